@@ -0,0 +1,363 @@
+/**
+ * @file fleet.js
+ * @description Deterministic synthetic fleet for the mock GPS Dozor server.
+ *
+ * Every vehicle drives back and forth along a fixed route through Czechia in
+ * repeating cycles of driving and parking. Its state is a pure function of
+ * time, so the live position, the position history, trips and eco events all
+ * agree with each other and move on as the clock advances – without any
+ * stored state.
+ *
+ * The payloads reproduce the quirks of the real API that the dashboard has to
+ * cope with: `LastPosition` and history coordinates as strings, the INT32_MIN
+ * speed sentinel on eco events, odometers in metres, vehicles without a
+ * position and a unit that stopped reporting days ago.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** GPS Dozor's "no value" sentinel for integer fields (INT32_MIN). */
+export const NO_SPEED = -2147483648
+
+/** Reference instant all driving cycles are counted from. */
+const EPOCH = Date.UTC(2026, 0, 1)
+
+const MINUTE = 60_000
+const HOUR   = 60 * MINUTE
+const DAY    = 24 * HOUR
+
+/** Sampling step of the position history while driving / parked. */
+const DRIVE_STEP = 30_000
+const PARK_STEP  = 10 * MINUTE
+
+// ---------------------------------------------------------------------------
+// Routes – [lat, lng] waypoints; vehicles ping-pong between the ends
+// ---------------------------------------------------------------------------
+
+const ROUTES = {
+  pragueRing: [[50.087, 14.421], [50.103, 14.392], [50.128, 14.470], [50.079, 14.530], [50.030, 14.490], [50.050, 14.400], [50.087, 14.421]],
+  d5Plzen:    [[50.060, 14.300], [49.980, 14.060], [49.860, 13.830], [49.750, 13.380]],
+  d1Brno:     [[50.030, 14.520], [49.830, 14.880], [49.600, 15.300], [49.400, 15.600], [49.250, 16.000], [49.190, 16.610]],
+  brnoCity:   [[49.195, 16.608], [49.210, 16.570], [49.230, 16.630], [49.180, 16.670], [49.170, 16.600], [49.195, 16.608]],
+  d1Ostrava:  [[49.835, 18.290], [49.740, 18.020], [49.620, 17.680], [49.590, 17.250]],
+  r10Liberec: [[50.770, 15.060], [50.580, 15.020], [50.410, 14.910], [50.180, 14.690], [50.100, 14.550]],
+}
+
+// ---------------------------------------------------------------------------
+// Fleet definition
+// ---------------------------------------------------------------------------
+
+export const GROUPS = [
+  { Code: 'PRG', Name: 'Praha – distribuce' },
+  { Code: 'BRN', Name: 'Brno – servis' },
+  { Code: 'OVA', Name: 'Ostrava – logistika' },
+]
+
+/**
+ * Vehicle templates. `cruise` is the typical speed in km/h, `drive`/`park`
+ * the cycle lengths in minutes. `offline` freezes the unit at a point in the
+ * past; `noGps` means the unit never reported a position.
+ */
+const TEMPLATES = [
+  { group: 'PRG', name: 'Ford Transit 01',    spz: '1AB 2345', route: 'pragueRing', cruise: 38, drive: 45,  park: 25 },
+  { group: 'PRG', name: 'Ford Transit 02',    spz: '1AB 2346', route: 'pragueRing', cruise: 42, drive: 35,  park: 40 },
+  { group: 'PRG', name: 'Škoda Octavia',      spz: '2AC 1180', route: 'd5Plzen',    cruise: 105, drive: 70, park: 50 },
+  { group: 'PRG', name: 'Mercedes Sprinter',  spz: '3AD 7741', route: 'r10Liberec', cruise: 88, drive: 60,  park: 45 },
+  { group: 'PRG', name: 'Iveco Daily',        spz: '',         route: 'pragueRing', cruise: 35, drive: 50,  park: 30, battery: 0 },
+  { group: 'PRG', name: 'Renault Master',     spz: '4AE 0012', route: 'd5Plzen',    cruise: 80, drive: 80,  park: 60, offline: 3 * DAY },
+  { group: 'BRN', name: 'VW Crafter 11',      spz: '7B1 4410', route: 'brnoCity',   cruise: 36, drive: 40,  park: 20 },
+  { group: 'BRN', name: 'VW Crafter 12',      spz: '7B1 4411', route: 'brnoCity',   cruise: 33, drive: 30,  park: 35 },
+  { group: 'BRN', name: 'Škoda Superb',       spz: '7B2 0099', route: 'd1Brno',     cruise: 118, drive: 90, park: 60 },
+  { group: 'BRN', name: 'Fiat Ducato',        spz: '7B3 5120', route: 'd1Brno',     cruise: 92, drive: 75,  park: 40 },
+  { group: 'BRN', name: 'Dacia Dokker',       spz: '7B4 8000', route: 'brnoCity',   cruise: 30, drive: 25,  park: 50, noGps: true },
+  { group: 'OVA', name: 'MAN TGL',            spz: '8T1 2001', route: 'd1Ostrava',  cruise: 78, drive: 95,  park: 55 },
+  { group: 'OVA', name: 'MAN TGM',            spz: '8T1 2002', route: 'd1Ostrava',  cruise: 74, drive: 110, park: 45 },
+  { group: 'OVA', name: 'Scania P280',        spz: '8T2 3303', route: 'd1Ostrava',  cruise: 82, drive: 85,  park: 70, battery: 0 },
+]
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Small seeded PRNG (mulberry32) so every run produces the same fleet.
+ *
+ * @param {number} seed
+ * @returns {() => number} Uniform numbers in [0, 1).
+ */
+function prng(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/** Great-circle distance in km. */
+function haversine([lat1, lng1], [lat2, lng2]) {
+  const rad = Math.PI / 180
+  const dLat = (lat2 - lat1) * rad
+  const dLng = (lng2 - lng1) * rad
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2
+  return 12742 * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Formats a timestamp like the real API: local time, no zone, no millis.
+ *
+ * @param {number} ms
+ * @returns {string} e.g. `2024-05-01T08:30:00`
+ */
+export function formatTime(ms) {
+  const d = new Date(ms)
+  const p = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`
+}
+
+/** Formats a duration as `HH:MM:SS` (the API's TimeSpan format). */
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000)
+  const p = (n) => String(n).padStart(2, '0')
+  return `${p(Math.floor(s / 3600))}:${p(Math.floor((s % 3600) / 60))}:${p(s % 60)}`
+}
+
+/** Coordinate as the API sends it: a string with 6 decimals. */
+const coord = (n) => n.toFixed(6)
+
+// ---------------------------------------------------------------------------
+// Vehicle model
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a route with cumulative distances so positions can be interpolated.
+ *
+ * @param {Array<[number, number]>} points
+ */
+function buildRoute(points) {
+  const cumulative = [0]
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversine(points[i - 1], points[i]))
+  }
+  return { points, cumulative, length: cumulative[cumulative.length - 1] }
+}
+
+const routes = Object.fromEntries(Object.entries(ROUTES).map(([k, v]) => [k, buildRoute(v)]))
+
+/**
+ * Fleet size; `MOCK_FLEET_SIZE` above the number of templates pads the fleet
+ * with numbered copies of the regular templates to exercise large fleets.
+ */
+const FLEET_SIZE = Math.max(TEMPLATES.length, Number(process.env.MOCK_FLEET_SIZE) || 0)
+
+const regular = TEMPLATES.filter((t) => !t.offline && !t.noGps)
+
+const fleet = Array.from({ length: FLEET_SIZE }, (_, i) => {
+  if (i < TEMPLATES.length) return TEMPLATES[i]
+  const t = regular[i % regular.length]
+  return { ...t, group: GROUPS[i % GROUPS.length].Code, name: `${t.name} #${i + 1}`, spz: `9X${String(i).padStart(5, '0')}` }
+})
+
+/** Fully resolved vehicles (template + derived constants). */
+export const VEHICLES = fleet.map((t, i) => {
+  const rand = prng(1000 + i)
+  return {
+    ...t,
+    code:     `MOCK${String(i + 1).padStart(3, '0')}`,
+    route:    routes[t.route],
+    driveMs:  t.drive * MINUTE,
+    cycleMs:  (t.drive + t.park) * MINUTE,
+    phase:    Math.floor(rand() * (t.drive + t.park)) * MINUTE,
+    startKm:  rand() * routes[t.route].length * 2,
+    odometer: Math.floor(150_000 + rand() * 250_000) * 1000,
+    battery:  t.battery ?? Math.floor(55 + rand() * 45),
+    seed:     2000 + i * 7919,
+  }
+})
+
+/**
+ * Position on the route after `km` kilometres of ping-pong driving.
+ *
+ * @returns {[number, number]}
+ */
+function positionAt(route, km) {
+  const loop = route.length * 2
+  let d = ((km % loop) + loop) % loop // instants before EPOCH give negative km
+  if (d > route.length) d = route.length * 2 - d
+
+  const { points, cumulative } = route
+  let i = 1
+  while (i < cumulative.length - 1 && cumulative[i] < d) i++
+  const span = cumulative[i] - cumulative[i - 1] || 1
+  const f = (d - cumulative[i - 1]) / span
+  return [
+    points[i - 1][0] + (points[i][0] - points[i - 1][0]) * f,
+    points[i - 1][1] + (points[i][1] - points[i - 1][1]) * f,
+  ]
+}
+
+/**
+ * The vehicle's state at instant `t`: which cycle it is in, whether it is
+ * driving, the distance driven since the epoch and its instantaneous speed.
+ *
+ * @param {object} v - Resolved vehicle.
+ * @param {number} t - Unix ms.
+ */
+export function stateAt(v, t) {
+  const elapsed = t - EPOCH - v.phase
+  const cycle = Math.floor(elapsed / v.cycleMs)
+  const inCycle = elapsed - cycle * v.cycleMs
+  const moving = inCycle < v.driveMs
+
+  const cycleKm = v.cruise * (v.driveMs / HOUR)
+  const km = v.startKm + cycle * cycleKm + (moving ? v.cruise * (inCycle / HOUR) : cycleKm)
+
+  // Slow sine wobble around the cruise speed; never 0 while driving
+  const speed = moving
+    ? Math.max(5, Math.round(v.cruise * (0.8 + 0.25 * Math.sin(t / 97_000 + v.seed))))
+    : 0
+
+  return { cycle, moving, km, speed, position: positionAt(v.route, km) }
+}
+
+/** Start instant of driving cycle `cycle`. */
+const cycleStart = (v, cycle) => EPOCH + v.phase + cycle * v.cycleMs
+
+/**
+ * The vehicle's own clock. Offline units stopped reporting `offline` ms before
+ * the start of the current day, so their last fix stays put within a day.
+ */
+const clock = (v, now) => (v.offline ? Math.floor(now / DAY) * DAY - v.offline : now)
+
+// ---------------------------------------------------------------------------
+// API payloads
+// ---------------------------------------------------------------------------
+
+/**
+ * `/vehicles/group/:code` entry for one vehicle at time `now`.
+ *
+ * @param {object} v
+ * @param {number} now
+ */
+export function vehiclePayload(v, now) {
+  const t = clock(v, now)
+  const s = stateAt(v, t)
+  const lastFix = s.moving ? t - 5_000 : cycleStart(v, s.cycle) + v.driveMs
+
+  return {
+    Code:                  v.code,
+    GroupCode:             v.group,
+    Name:                  v.name,
+    SPZ:                   v.spz,
+    BranchName:            GROUPS.find((g) => g.Code === v.group).Name,
+    Speed:                 v.offline ? 0 : s.speed,
+    BatteryPercentage:     v.battery,
+    Odometer:              Math.round(v.odometer + s.km * 1000),
+    IsActive:              !v.offline,
+    LastPosition:          v.noGps ? null : { Latitude: coord(s.position[0]), Longitude: coord(s.position[1]) },
+    LastPositionTimestamp: v.noGps ? null : formatTime(lastFix),
+  }
+}
+
+/**
+ * `/vehicles/history/:code` payload – one entry per vehicle with sampled
+ * positions (every 30 s while driving, every 10 min while parked).
+ *
+ * @param {object} v
+ * @param {number} from - Unix ms.
+ * @param {number} to   - Unix ms.
+ * @param {number} now  - Unix ms; nothing after it is returned.
+ */
+export function historyPayload(v, from, to, now) {
+  const positions = []
+  if (!v.noGps) {
+    const end = Math.min(to, clock(v, now))
+    for (let t = from; t <= end;) {
+      const s = stateAt(v, t)
+      positions.push({
+        Lat:   coord(s.position[0]),
+        Lng:   coord(s.position[1]),
+        Time:  formatTime(t),
+        Speed: s.speed,
+      })
+      t += s.moving ? DRIVE_STEP : PARK_STEP
+    }
+  }
+  return [{ VehicleCode: v.code, Positions: positions }]
+}
+
+/**
+ * Completed driving cycles that lie entirely inside [from, to].
+ *
+ * @returns {Array<{ index: number, start: number, finish: number }>}
+ */
+function cyclesIn(v, from, to, now) {
+  const end = Math.min(to, clock(v, now))
+  const first = Math.ceil((from - EPOCH - v.phase) / v.cycleMs)
+  const out = []
+  for (let c = first; cycleStart(v, c) + v.driveMs <= end; c++) {
+    out.push({ index: c, start: cycleStart(v, c), finish: cycleStart(v, c) + v.driveMs })
+  }
+  return out
+}
+
+/**
+ * `/vehicle/:code/trips` payload. Addresses are left empty on some trips, as
+ * the real API does when it could not resolve them.
+ */
+export function tripsPayload(v, from, to, now) {
+  if (v.noGps) return []
+
+  return cyclesIn(v, from, to, now).map(({ index, start, finish }) => {
+    const a = stateAt(v, start)
+    const b = stateAt(v, finish)
+    const rand = prng(v.seed + index)
+    const distance = b.km - a.km
+
+    return {
+      Id:             `${v.code}-${index}`,
+      StartTime:      formatTime(start),
+      FinishTime:     formatTime(finish),
+      StartPosition:  { Latitude: coord(a.position[0]), Longitude: coord(a.position[1]) },
+      FinishPosition: { Latitude: coord(b.position[0]), Longitude: coord(b.position[1]) },
+      StartAddress:   rand() < 0.3 ? '' : `Stop ${index % 17 + 1}`,
+      FinishAddress:  rand() < 0.3 ? '' : `Stop ${(index + 1) % 17 + 1}`,
+      TripLength:     formatDuration(finish - start),
+      TotalDistance:  Math.round(distance * 10) / 10,
+      AverageSpeed:   Math.round(distance / ((finish - start) / HOUR)),
+      MaxSpeed:       Math.round(v.cruise * 1.05 + rand() * 20),
+      Odometer:       Math.round(v.odometer + b.km * 1000),
+    }
+  })
+}
+
+/**
+ * `/vehicle/:code/eco-driving-events` payload: 0–4 events per trip with
+ * random type and severity. About one in eight events carries the INT32_MIN
+ * speed sentinel instead of a real speed.
+ */
+export function ecoPayload(v, from, to, now) {
+  if (v.noGps) return []
+
+  const events = []
+  for (const { index, start } of cyclesIn(v, from, to, now)) {
+    const rand = prng(v.seed * 3 + index)
+    const count = Math.floor(rand() * 5)
+    for (let i = 0; i < count; i++) {
+      const t = start + Math.floor(rand() * v.driveMs)
+      const s = stateAt(v, t)
+      events.push({
+        Timestamp:     formatTime(t),
+        EventType:     1 + Math.floor(rand() * 9),
+        EventSeverity: 1 + Math.floor(rand() * 3),
+        Speed:         rand() < 0.125 ? NO_SPEED : s.speed,
+        Position:      { Latitude: coord(s.position[0]), Longitude: coord(s.position[1]) },
+      })
+    }
+  }
+  return events.sort((a, b) => a.Timestamp.localeCompare(b.Timestamp))
+}
@@ -0,0 +1,125 @@
+/**
+ * @file server.js
+ * @description Offline mock of the GPS Dozor REST API for demos and development.
+ *
+ * Implements the endpoints used by `src/api/gpsdozor.js` under `/api/v1`
+ * against the synthetic fleet in `mock/fleet.js`:
+ *
+ *   GET /groups
+ *   GET /vehicles/group/:code
+ *   GET /vehicles/history/:code?from=&to=
+ *   GET /vehicle/:code/trips?from=&to=
+ *   GET /vehicle/:code/eco-driving-events?from=&to=
+ *
+ * Requests need Basic auth matching MOCK_USER / MOCK_PASSWORD (default
+ * `demo` / `demo`) so the login screen and 401 handling can be exercised.
+ *
+ * Usage: `npm run mock` (port MOCK_PORT, default 3001), then `npm run dev:mock`
+ * to point the Vite proxy at it.
+ * MOCK_FLEET_SIZE pads the fleet with generated vehicles (e.g. 2000) to
+ * test marker clustering and rendering with large fleets.
+ */
+
+import { createServer } from 'node:http'
+
+import {
+  GROUPS,
+  VEHICLES,
+  vehiclePayload,
+  historyPayload,
+  tripsPayload,
+  ecoPayload,
+} from './fleet.js'
+
+const env = process.env
+
+const PORT     = Number(env.MOCK_PORT) || 3001
+const USER     = env.MOCK_USER ?? 'demo'
+const PASSWORD = env.MOCK_PASSWORD ?? 'demo'
+
+/** Expected Authorization header value. */
+const EXPECTED_AUTH = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Writes a JSON response.
+ *
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function json(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Parses the `from` / `to` query parameters (local time, like the real API).
+ *
+ * @param {URLSearchParams} query
+ * @returns {{ from: number, to: number } | null} Null when either is invalid.
+ */
+function parseRange(query) {
+  const from = new Date(query.get('from')).getTime()
+  const to   = new Date(query.get('to')).getTime()
+  return isNaN(from) || isNaN(to) || from > to ? null : { from, to }
+}
+
+// ---------------------------------------------------------------------------
+// Routes – [pattern, handler(match, query, now)] returning [status, body]
+// ---------------------------------------------------------------------------
+
+const byCode = (code) => VEHICLES.find((v) => v.code === code)
+
+/** Wraps a per-vehicle, date-ranged endpoint with lookup and validation. */
+const ranged = (build) => (match, query, now) => {
+  const vehicle = byCode(match[1])
+  if (!vehicle) return [404, { Message: `Vehicle ${match[1]} not found` }]
+  const range = parseRange(query)
+  if (!range) return [400, { Message: 'Invalid from/to' }]
+  return [200, build(vehicle, range.from, range.to, now)]
+}
+
+const routes = [
+  [/^\/groups$/, () => [200, GROUPS]],
+
+  [/^\/vehicles\/group\/([^/]+)$/, (match, _query, now) => {
+    if (!GROUPS.some((g) => g.Code === match[1])) return [404, { Message: `Group ${match[1]} not found` }]
+    return [200, VEHICLES.filter((v) => v.group === match[1]).map((v) => vehiclePayload(v, now))]
+  }],
+
+  [/^\/vehicles\/history\/([^/]+)$/,            ranged(historyPayload)],
+  [/^\/vehicle\/([^/]+)\/trips$/,               ranged(tripsPayload)],
+  [/^\/vehicle\/([^/]+)\/eco-driving-events$/,  ranged(ecoPayload)],
+]
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url ?? '/', 'http://localhost')
+  const path = url.pathname.replace(/^\/api\/v1/, '')
+
+  if (req.headers.authorization !== EXPECTED_AUTH) {
+    json(res, 401, { Message: 'Authorization has been denied for this request.' })
+    return
+  }
+
+  for (const [pattern, handler] of routes) {
+    const match = path.match(pattern)
+    if (!match) continue
+    const [status, body] = handler(match, url.searchParams, Date.now())
+    json(res, status, body)
+    return
+  }
+
+  json(res, 404, { Message: `No mock for ${path}` })
+})
+
+server.listen(PORT, () => {
+  console.log(`[mock] GPS Dozor mock on http://localhost:${PORT}/api/v1 (login ${USER} / ${PASSWORD})`)
+})
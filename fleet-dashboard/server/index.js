@@ -0,0 +1,133 @@
+/**
+ * @file index.js
+ * @description Production server for the Fleet Dashboard.
+ *
+ * Replaces the Vite dev-server proxy for `npm run build` output. A single
+ * origin serves the built `dist/` folder and reverse-proxies every external
+ * API the browser needs:
+ *
+ *   /api/v1/*   → GPS Dozor REST API  (vehicle lists cached for a short TTL)
+ *   /live/v1/*  → SSE stream of vehicle-list diffs (server/live.js)
+ *   /weather/*  → Open-Meteo
+ *   /weather-archive/* → Open-Meteo historical weather
+ *   /geocode/*  → Nominatim (or another geocoder, see GEOCODER_URL)
+ *
+ * Configuration (environment variables):
+ *   PORT                – listen port (default 8080)
+ *   GPSDOZOR_URL        – GPS Dozor origin (default https://a1.gpsguard.eu)
+ *   GPSDOZOR_USER       – optional server-side API username …
+ *   GPSDOZOR_PASSWORD   – … and password, used when the browser sends no
+ *                         Authorization header of its own – only with:
+ *   SHARE_SERVER_CREDENTIALS=1 – opt-in for the above. Anyone who can reach
+ *                         the port then reads the fleet without logging in,
+ *                         so only enable it behind your own access control.
+ *   VEHICLES_CACHE_TTL  – cache lifetime of `/vehicles/group/:code` in seconds (default 10)
+ *   LIVE_POLL_INTERVAL  – upstream polling interval behind the SSE stream in seconds (default 5)
+ *   GEOCODER_URL        – geocoder origin, e.g. a self-hosted Nominatim or Photon
+ *                         (default https://nominatim.openstreetmap.org)
+ *   NOMINATIM_USER_AGENT – User-Agent sent to the geocoder, as Nominatim's usage policy requires
+ *
+ * Usage: `npm run build && npm start`
+ */
+
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+
+import { createProxy }      from './proxy.js'
+import { createStatic }     from './static.js'
+import { createLiveStream } from './live.js'
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+const env = process.env
+
+const PORT          = Number(env.PORT) || 8080
+const GPSDOZOR_URL  = (env.GPSDOZOR_URL || 'https://a1.gpsguard.eu').replace(/\/$/, '')
+const VEHICLES_TTL  = (Number(env.VEHICLES_CACHE_TTL) || 10) * 1000
+const LIVE_INTERVAL = (Number(env.LIVE_POLL_INTERVAL) || 5) * 1000
+const GEOCODER_URL  = (env.GEOCODER_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '')
+const DIST_DIR      = join(dirname(fileURLToPath(import.meta.url)), '..', 'dist')
+
+/** Whether requests without credentials may use the server's own account (explicit opt-in). */
+const SHARE_AUTH    = env.SHARE_SERVER_CREDENTIALS === '1' && !!env.GPSDOZOR_USER
+
+/** Server-held Basic-auth header; only applied when the browser sends none, and only when shared. */
+const serverAuth = SHARE_AUTH
+  ? { authorization: `Basic ${Buffer.from(`${env.GPSDOZOR_USER}:${env.GPSDOZOR_PASSWORD ?? ''}`).toString('base64')}` }
+  : {}
+
+if (SHARE_AUTH) {
+  console.warn(`[server] SHARE_SERVER_CREDENTIALS=1: requests without a login use ${env.GPSDOZOR_USER}'s GPS Dozor account – do not expose this port publicly`)
+} else if (env.GPSDOZOR_USER) {
+  console.warn('[server] GPSDOZOR_USER is ignored without SHARE_SERVER_CREDENTIALS=1; users log in with their own credentials')
+}
+
+// ---------------------------------------------------------------------------
+// Route table – first matching prefix wins; the prefix is stripped before
+// the remaining path (including the query string) is forwarded.
+// ---------------------------------------------------------------------------
+
+const routes = [
+  {
+    prefix:  '/api/v1',
+    handler: createProxy({
+      target:         `${GPSDOZOR_URL}/api/v1`,
+      defaultHeaders: serverAuth,
+      cacheTtl:       VEHICLES_TTL,
+      cacheable:      (path) => /^\/vehicles\/group\/[^/?]+(\?|$)/.test(path),
+    }),
+  },
+  {
+    prefix:  '/live/v1',
+    handler: createLiveStream({
+      target:         `${GPSDOZOR_URL}/api/v1`,
+      defaultHeaders: serverAuth,
+      interval:       LIVE_INTERVAL,
+    }),
+  },
+  {
+    prefix:  '/weather',
+    handler: createProxy({ target: 'https://api.open-meteo.com' }),
+  },
+  {
+    prefix:  '/weather-archive',
+    handler: createProxy({ target: 'https://archive-api.open-meteo.com' }),
+  },
+  {
+    prefix:  '/geocode',
+    handler: createProxy({
+      target:  GEOCODER_URL,
+      headers: { 'user-agent': env.NOMINATIM_USER_AGENT || 'fleet-dashboard/1.0' },
+    }),
+  },
+]
+
+const serveStatic = createStatic(DIST_DIR)
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+const server = createServer(async (req, res) => {
+  const url = req.url ?? '/'
+
+  try {
+    const route = routes.find((r) => url === r.prefix || url.startsWith(`${r.prefix}/`) || url.startsWith(`${r.prefix}?`))
+    if (route) {
+      await route.handler(req, res, url.slice(route.prefix.length))
+    } else {
+      await serveStatic(req, res, url.split('?')[0])
+    }
+  } catch (err) {
+    console.error(`[server] ${req.method} ${url} failed:`, err)
+    if (!res.headersSent) res.writeHead(500, { 'content-type': 'text/plain' })
+    res.end('Internal server error')
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`[server] Fleet Dashboard on http://localhost:${PORT} → ${GPSDOZOR_URL}`)
+})
@@ -0,0 +1,150 @@
+/**
+ * @file live.js
+ * @description Server-Sent Events endpoint that pushes vehicle-list diffs.
+ *
+ * `GET /live/v1/vehicles/group/:code` subscribes to a channel keyed by group
+ * and credentials. The first subscriber starts polling the upstream
+ * `/vehicles/group/:code` every `interval` ms; each poll is compared with the
+ * previous snapshot and only changed or removed vehicles are pushed. When the
+ * last subscriber disconnects the channel and its timer are dropped, so the
+ * upstream is only polled once per group no matter how many browsers watch.
+ * A tick is skipped while the previous poll is still running, and a poll
+ * gives up after `POLL_TIMEOUT`, so a slow upstream cannot pile up requests.
+ * A client that joins before the channel has a list (its first poll still
+ * running or failed) gets the snapshot from the next successful poll.
+ *
+ * Events: `snapshot` (full list, first), `diff` ({ updated, removed }),
+ * `error` ({ status, message }). Comment lines keep idle connections open.
+ */
+
+/** Upstream poll timeout in ms. */
+const POLL_TIMEOUT = 10_000
+
+/**
+ * Writes one SSE event.
+ *
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} event
+ * @param {any} data
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Creates the SSE request handler.
+ *
+ * @param {object} options
+ * @param {string} options.target           - GPS Dozor API base, e.g. `https://a1.gpsguard.eu/api/v1`.
+ * @param {object} [options.defaultHeaders] - Headers used when the browser sends no Authorization.
+ * @param {number} [options.interval=5000]  - Upstream polling interval in ms.
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, path: string) => Promise<void>}
+ */
+export function createLiveStream({ target, defaultHeaders = {}, interval = 5000 }) {
+  /**
+   * @type {Map<string, {
+   *   clients:  Set<import('node:http').ServerResponse>,
+   *   waiting:  Set<import('node:http').ServerResponse>,
+   *   snapshot: Map<string, string> | null,
+   *   list:     Array<object> | null,
+   *   timer:    NodeJS.Timeout,
+   *   polling:  boolean,
+   * }>}
+   */
+  const channels = new Map()
+
+  /**
+   * Fetches the group once and pushes whatever changed to every client.
+   * Does nothing while the channel's previous poll is still running.
+   */
+  async function poll(channel, path, headers) {
+    if (channel.polling) return
+    channel.polling = true
+    try {
+      await update(channel, path, headers)
+    } finally {
+      channel.polling = false
+    }
+  }
+
+  /** One poll: fetch, compare with the snapshot, push. */
+  async function update(channel, path, headers) {
+    let list
+    try {
+      const res = await fetch(target + path, { headers, signal: AbortSignal.timeout(POLL_TIMEOUT) })
+      if (!res.ok) {
+        channel.clients.forEach((c) => send(c, 'error', { status: res.status, message: res.statusText }))
+        return
+      }
+      list = (await res.json()) || []
+    } catch (err) {
+      channel.clients.forEach((c) => send(c, 'error', { status: 502, message: err.message }))
+      return
+    }
+
+    const next = new Map(list.map((v) => [v.Code, JSON.stringify(v)]))
+
+    // Clients without a snapshot get one; the rest get what changed
+    channel.waiting.forEach((c) => send(c, 'snapshot', list))
+    const current = [...channel.clients].filter((c) => !channel.waiting.has(c))
+    channel.waiting.clear()
+
+    if (channel.snapshot) {
+      const updated = list.filter((v) => channel.snapshot.get(v.Code) !== next.get(v.Code))
+      const removed = [...channel.snapshot.keys()].filter((code) => !next.has(code))
+
+      if (updated.length || removed.length) {
+        current.forEach((c) => send(c, 'diff', { updated, removed }))
+      } else {
+        current.forEach((c) => c.write(': ping\n\n'))
+      }
+    }
+
+    channel.snapshot = next
+    channel.list = list
+  }
+
+  return async function liveStream(req, res, path) {
+    const match = path.match(/^\/vehicles\/group\/([^/?]+)$/)
+    if (req.method !== 'GET' || !match) {
+      res.writeHead(404, { 'content-type': 'text/plain' })
+      res.end('Not found')
+      return
+    }
+
+    const headers = { ...defaultHeaders }
+    if (req.headers.authorization) headers.authorization = req.headers.authorization
+
+    const upstreamPath = `/vehicles/group/${match[1]}`
+    const key = `${headers.authorization ?? ''} ${upstreamPath}`
+
+    res.writeHead(200, {
+      'content-type':      'text/event-stream',
+      'cache-control':     'no-cache',
+      'connection':        'keep-alive',
+      'x-accel-buffering': 'no',
+    })
+
+    let channel = channels.get(key)
+    const isNew = !channel
+    if (isNew) {
+      channel = { clients: new Set(), waiting: new Set(), snapshot: null, list: null, timer: null, polling: false }
+      channel.timer = setInterval(() => poll(channel, upstreamPath, headers), interval)
+      channels.set(key, channel)
+    }
+    channel.clients.add(res)
+    if (channel.list) send(res, 'snapshot', channel.list)
+    else channel.waiting.add(res)
+
+    req.on('close', () => {
+      channel.clients.delete(res)
+      channel.waiting.delete(res)
+      if (!channel.clients.size) {
+        clearInterval(channel.timer)
+        channels.delete(key)
+      }
+    })
+
+    if (isNew) await poll(channel, upstreamPath, headers)
+  }
+}
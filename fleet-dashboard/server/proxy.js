@@ -0,0 +1,115 @@
+/**
+ * @file proxy.js
+ * @description Minimal reverse proxy built on Node's global `fetch`.
+ *
+ * Each proxy forwards a request path to a fixed upstream origin, optionally
+ * injecting headers (credentials, User-Agent) and caching successful GET
+ * responses for a short TTL. Responses are buffered, which is fine for the
+ * small JSON payloads the dashboard requests. An upstream that does not
+ * answer within the timeout gets a 504, so a hung request cannot keep the
+ * browser's open.
+ */
+
+/** Request headers forwarded verbatim to the upstream. */
+const FORWARDED_REQUEST_HEADERS = ['accept', 'accept-language', 'authorization', 'content-type']
+
+/** Response headers copied back to the browser. */
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'cache-control', 'last-modified', 'etag']
+
+/**
+ * Reads the full request body (for non-GET methods).
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Creates a request handler that forwards to `target`.
+ *
+ * @param {object}   options
+ * @param {string}   options.target              - Upstream origin + base path, e.g. `https://a1.gpsguard.eu/api/v1`.
+ * @param {object}   [options.headers]           - Headers added to every upstream request.
+ * @param {object}   [options.defaultHeaders]    - Headers added only when the browser did not send them.
+ * @param {number}   [options.cacheTtl=0]        - Cache lifetime in ms for cacheable responses (0 disables caching).
+ * @param {(path: string) => boolean} [options.cacheable] - Decides which GET paths may be cached.
+ * @param {number}   [options.timeout=30000]     - Upstream timeout in ms, including reading the body.
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, path: string) => Promise<void>}
+ */
+export function createProxy({ target, headers = {}, defaultHeaders = {}, cacheTtl = 0, cacheable = () => false, timeout = 30_000 }) {
+  /** @type {Map<string, { expires: number, status: number, headers: object, body: Buffer }>} */
+  const cache = new Map()
+
+  /** Drops expired entries; called on every insert so the map cannot grow unbounded. */
+  function prune(now) {
+    for (const [key, entry] of cache) {
+      if (entry.expires <= now) cache.delete(key)
+    }
+  }
+
+  return async function proxy(req, res, path) {
+    const outHeaders = { ...defaultHeaders }
+    for (const name of FORWARDED_REQUEST_HEADERS) {
+      if (req.headers[name]) outHeaders[name] = req.headers[name]
+    }
+    Object.assign(outHeaders, headers)
+
+    // Cache entries are keyed per credential so users never see each other's data
+    const useCache = cacheTtl > 0 && req.method === 'GET' && cacheable(path)
+    const cacheKey = `${outHeaders.authorization ?? ''} ${path}`
+    const now = Date.now()
+
+    if (useCache) {
+      const hit = cache.get(cacheKey)
+      if (hit && hit.expires > now) {
+        res.writeHead(hit.status, { ...hit.headers, 'x-cache': 'HIT' })
+        res.end(hit.body)
+        return
+      }
+    }
+
+    let upstream
+    let body
+    try {
+      const hasBody = !['GET', 'HEAD'].includes(req.method)
+      upstream = await fetch(target + path, {
+        method:  req.method,
+        headers: outHeaders,
+        body:    hasBody ? await readBody(req) : undefined,
+        signal:  AbortSignal.timeout(timeout),
+      })
+      body = Buffer.from(await upstream.arrayBuffer())
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        res.writeHead(504, { 'content-type': 'text/plain' })
+        res.end('Upstream timed out')
+      } else {
+        res.writeHead(502, { 'content-type': 'text/plain' })
+        res.end(`Upstream unreachable: ${err.message}`)
+      }
+      return
+    }
+
+    // `fetch` already decoded the body, so content-encoding/length must not be
+    // copied. WWW-Authenticate is dropped so the browser never shows its own
+    // Basic-auth prompt on a 401 – the app handles that with its login screen.
+    const resHeaders = {}
+    for (const name of FORWARDED_RESPONSE_HEADERS) {
+      const value = upstream.headers.get(name)
+      if (value) resHeaders[name] = value
+    }
+
+    if (useCache && upstream.ok) {
+      prune(now)
+      cache.set(cacheKey, { expires: now + cacheTtl, status: upstream.status, headers: resHeaders, body })
+      resHeaders['x-cache'] = 'MISS'
+    }
+
+    res.writeHead(upstream.status, resHeaders)
+    res.end(body)
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * @file static.js
+ * @description Serves the Vite build output (`dist/`) with an SPA fallback.
+ *
+ * Unknown paths without a file extension fall back to `index.html`; hashed
+ * assets under `/assets/` get a long-lived immutable cache header.
+ */
+
+import { readFile, stat } from 'node:fs/promises'
+import { extname, join, normalize, sep } from 'node:path'
+
+/** Content types for the file extensions Vite emits. */
+const MIME_TYPES = {
+  '.html':  'text/html; charset=utf-8',
+  '.js':    'text/javascript; charset=utf-8',
+  '.css':   'text/css; charset=utf-8',
+  '.json':  'application/json',
+  '.svg':   'image/svg+xml',
+  '.png':   'image/png',
+  '.jpg':   'image/jpeg',
+  '.ico':   'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.woff':  'font/woff',
+  '.map':   'application/json',
+}
+
+/**
+ * Creates a request handler that serves files from `root`.
+ *
+ * @param {string} root - Absolute path of the build directory.
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, path: string) => Promise<void>}
+ */
+export function createStatic(root) {
+  /** Resolves a URL path inside `root`, or null if it is malformed or would escape it. */
+  function resolve(path) {
+    let decoded
+    try {
+      decoded = decodeURIComponent(path)
+    } catch {
+      return null // malformed percent-encoding
+    }
+    const file = normalize(join(root, decoded))
+    return file === root || file.startsWith(root + sep) ? file : null
+  }
+
+  /** Returns the path when it is an existing regular file, else null. */
+  async function existingFile(file) {
+    try {
+      return (await stat(file)).isFile() ? file : null
+    } catch {
+      return null
+    }
+  }
+
+  return async function serveStatic(req, res, path) {
+    let file = resolve(path === '/' ? '/index.html' : path)
+    if (!file) {
+      res.writeHead(400, { 'content-type': 'text/plain' })
+      res.end('Bad request')
+      return
+    }
+
+    file = await existingFile(file)
+
+    // SPA fallback: extension-less paths are client routes, not missing assets
+    if (!file && !extname(path)) file = await existingFile(join(root, 'index.html'))
+
+    if (!file) {
+      res.writeHead(404, { 'content-type': 'text/plain' })
+      res.end('Not found')
+      return
+    }
+
+    const headers = { 'content-type': MIME_TYPES[extname(file)] ?? 'application/octet-stream' }
+    if (path.startsWith('/assets/')) headers['cache-control'] = 'public, max-age=31536000, immutable'
+
+    res.writeHead(200, headers)
+    res.end(req.method === 'HEAD' ? undefined : await readFile(file))
+  }
+}
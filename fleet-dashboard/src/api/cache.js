@@ -0,0 +1,167 @@
+/**
+ * @file cache.js
+ * @description Two-level response cache used by `request.js`: a small
+ * in-memory LRU in front of an IndexedDB store that survives reloads.
+ *
+ * Entries carry their own expiry. Only entries written with `persist` reach
+ * IndexedDB – callers use that for data that no longer changes (e.g. trips
+ * of a closed date range), while answers that may still change live in
+ * memory for a short while only. When IndexedDB is unavailable (private
+ * mode, blocked storage) the cache silently degrades to memory only.
+ */
+
+/** IndexedDB database / object store names. */
+const DB_NAME    = 'fleet-cache'
+const STORE      = 'responses'
+const DB_VERSION = 1
+
+/** Entries kept in memory before the least recently used one is dropped. */
+const MEMORY_LIMIT = 200
+
+/** key → `{ value, expires }`; Map order doubles as LRU order. */
+const memory = new Map()
+
+/** Lazily opened database (resolves to null when IndexedDB is unusable). */
+let dbPromise = null
+
+// ---------------------------------------------------------------------------
+// IndexedDB helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Wraps an `IDBRequest` in a promise.
+ *
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+/**
+ * Opens the database once, pruning expired entries on the way.
+ *
+ * @returns {Promise<IDBDatabase | null>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') return resolve(null)
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'key' })
+      store.createIndex('expires', 'expires')
+    }
+    req.onsuccess = () => {
+      const db = req.result
+      prune(db)
+      resolve(db)
+    }
+    req.onerror = () => {
+      console.warn('[cache] IndexedDB unavailable, caching in memory only:', req.error)
+      resolve(null)
+    }
+  })
+  return dbPromise
+}
+
+/**
+ * Deletes every expired entry.
+ *
+ * @param {IDBDatabase} db
+ */
+function prune(db) {
+  const range = IDBKeyRange.upperBound(Date.now())
+  const cursorReq = db.transaction(STORE, 'readwrite').objectStore(STORE).index('expires').openCursor(range)
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result
+    if (!cursor) return
+    cursor.delete()
+    cursor.continue()
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Memory helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Stores an entry in memory, evicting the least recently used one when full.
+ *
+ * @param {string} key
+ * @param {{ value: any, expires: number }} entry
+ */
+function remember(key, entry) {
+  memory.delete(key)
+  memory.set(key, entry)
+  if (memory.size > MEMORY_LIMIT) memory.delete(memory.keys().next().value)
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Looks a key up in memory, then in IndexedDB.
+ *
+ * @param {string} key
+ * @returns {Promise<any>} The cached value, or `undefined` on a miss.
+ */
+export async function cacheGet(key) {
+  const hit = memory.get(key)
+  if (hit && hit.expires > Date.now()) {
+    remember(key, hit)
+    return hit.value
+  }
+  if (hit) memory.delete(key)
+
+  const db = await openDb()
+  if (!db) return undefined
+  try {
+    const entry = await promisify(db.transaction(STORE).objectStore(STORE).get(key))
+    if (!entry || entry.expires <= Date.now()) return undefined
+    remember(key, { value: entry.value, expires: entry.expires })
+    return entry.value
+  } catch (err) {
+    console.warn('[cache] read failed:', err)
+    return undefined
+  }
+}
+
+/**
+ * Caches a value for `ttl` ms, in IndexedDB too when `persist` is set.
+ *
+ * @param {string} key
+ * @param {any} value - Must be structured-cloneable when persisted.
+ * @param {{ ttl: number, persist?: boolean }} options
+ */
+export async function cacheSet(key, value, { ttl, persist = false }) {
+  const expires = Date.now() + ttl
+  remember(key, { value, expires })
+  if (!persist) return
+
+  const db = await openDb()
+  if (!db) return
+  try {
+    await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).put({ key, value, expires }))
+  } catch (err) {
+    console.warn('[cache] write failed:', err)
+  }
+}
+
+/** Empties both cache levels (e.g. on logout). */
+export async function cacheClear() {
+  memory.clear()
+  const db = await openDb()
+  if (!db) return
+  try {
+    await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).clear())
+  } catch (err) {
+    console.warn('[cache] clear failed:', err)
+  }
+}
@@ -1,33 +1,213 @@
 /**
- * geocoding.js – Thin client for the Nominatim OpenStreetMap reverse-geocoding API.
+ * geocoding.js – Geocoding service: coordinates to addresses and back.
  *
- * Resolves a lat/lng pair to a structured address object. No API key required.
- * zoom=16 resolves to street-level detail.
+ * Requests go to the same-origin `/geocode` prefix, which the Vite dev proxy
+ * and the production server (server/index.js) forward to the geocoder set by
+ * `GEOCODER_URL` – public Nominatim by default, or a self-hosted Nominatim or
+ * Photon instance. `VITE_GEOCODER` tells the client which API that is
+ * (`nominatim` or `photon`); both are normalised to the same `Place` shape.
+ *
+ * Reverse lookups are cached in IndexedDB per ~10 m grid cell, provider and
+ * language, since addresses practically never change. Everything that misses
+ * the cache waits in one queue started at `VITE_GEOCODE_RATE` requests per
+ * second (default 1, Nominatim's usage policy), so callers need no pacing of
+ * their own. Names come in the dashboard's language where OSM has them.
+ *
+ * Nominatim's policy also forbids search-as-you-type, so the address search
+ * only looks up what the user submits; Photon is built for type-ahead.
  *
  * @see https://nominatim.org/release-docs/latest/api/Reverse/
+ * @see https://github.com/komoot/photon#search-api
+ */
+
+import { request } from './request.js'
+import { cacheGet, cacheSet } from './cache.js'
+import { rateLimit } from '../utils/concurrency.js'
+import { locale } from '../i18n/index.js'
+
+const BASE = '/geocode'
+
+/** Geocoder API behind the proxy: `nominatim` or `photon`. */
+const PROVIDER = import.meta.env.VITE_GEOCODER === 'photon' ? 'photon' : 'nominatim'
+
+/** Whether the address search may look up as the user types. */
+export const TYPE_AHEAD = PROVIDER === 'photon'
+
+/** Requests started per second. */
+const RATE = Number(import.meta.env.VITE_GEOCODE_RATE) || 1
+
+/** How long a resolved address is reused (ms). */
+const ADDRESS_TTL = 30 * 86_400_000
+
+/** Results of an address search. */
+const SEARCH_LIMIT = 6
+
+/** Languages Photon has names for; others fall back to its default. */
+const PHOTON_LANGS = ['en', 'de', 'fr', 'it']
+
+/**
+ * @typedef {object} Place
+ * @property {string} name  - Short label, "Road, City" where available.
+ * @property {string} label - Full address.
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+/** Shared queue of all geocoder requests. */
+const schedule = rateLimit(RATE)
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalises a Nominatim result (reverse or search) to a place.
+ *
+ * @param {{ display_name: string, lat: string, lon: string, address?: object }} result
+ * @returns {Place}
+ */
+function nominatimPlace(result) {
+  const addr = result.address ?? {}
+  const road = addr.road ?? addr.pedestrian ?? addr.path ?? ''
+  const city = addr.city ?? addr.town ?? addr.village ?? addr.municipality ?? ''
+  return {
+    name:  road && city ? `${road}, ${city}` : result.display_name,
+    label: result.display_name,
+    lat:   Number(result.lat),
+    lng:   Number(result.lon),
+  }
+}
+
+/**
+ * Normalises a Photon GeoJSON feature to a place.
+ *
+ * @param {{ geometry: { coordinates: [number, number] }, properties: object }} feature
+ * @returns {Place}
+ */
+function photonPlace({ geometry, properties: p }) {
+  const street = [p.street, p.housenumber].filter(Boolean).join(' ')
+  const city   = p.city ?? p.town ?? p.village ?? p.county ?? ''
+  const label  = [p.name, street, [p.postcode, city].filter(Boolean).join(' '), p.country]
+    .filter((part, i, all) => part && all.indexOf(part) === i)
+    .join(', ')
+  return {
+    name:  street && city ? `${street}, ${city}` : [p.name ?? street, city].filter(Boolean).join(', ') || label,
+    label,
+    lat:   geometry.coordinates[1],
+    lng:   geometry.coordinates[0],
+  }
+}
+
+/** Request URLs and response parsing per provider. */
+const PROVIDERS = {
+  nominatim: {
+    reverseUrl: (lat, lng) =>
+      `${BASE}/reverse?${new URLSearchParams({ lat, lon: lng, format: 'json', zoom: 16, addressdetails: 1 })}`,
+    searchUrl: (query) =>
+      `${BASE}/search?${new URLSearchParams({ q: query, format: 'json', addressdetails: 1, limit: SEARCH_LIMIT })}`,
+    reverse: (data) => (data?.error || !data?.display_name ? null : nominatimPlace(data)),
+    search:  (data) => (Array.isArray(data) ? data.map(nominatimPlace) : []),
+  },
+  photon: {
+    reverseUrl: (lat, lng, lang) =>
+      `${BASE}/reverse?${new URLSearchParams({ lat, lon: lng, ...photonLang(lang) })}`,
+    searchUrl: (query, lang) =>
+      `${BASE}/api?${new URLSearchParams({ q: query, limit: SEARCH_LIMIT, ...photonLang(lang) })}`,
+    reverse: (data) => (data?.features?.length ? photonPlace(data.features[0]) : null),
+    search:  (data) => (data?.features ?? []).map(photonPlace),
+  },
+}
+
+/** Photon's `lang` parameter, only for languages it supports. */
+const photonLang = (lang) => (PHOTON_LANGS.includes(lang) ? { lang } : {})
+
+const provider = PROVIDERS[PROVIDER]
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Reverse-geocode the given coordinates. Cached results return at once;
+ * anything else waits for its turn in the request queue. A failed request
+ * is not retried here: retries would bypass the queue's pacing, and the
+ * next lookup of the same spot tries again anyway.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Place | null>} Null where the geocoder knows no address (e.g. open sea).
  */
+export async function reverseGeocode(lat, lng, { signal } = {}) {
+  const lang = locale.value
+  const key  = `geocode|${PROVIDER}|${lang}|${lat.toFixed(4)},${lng.toFixed(4)}`
+
+  const hit = await cacheGet(key)
+  if (hit !== undefined) return hit
 
-const BASE = 'https://nominatim.openstreetmap.org/reverse'
+  const data = await schedule(() => request(provider.reverseUrl(lat, lng, lang), {
+    headers: { 'Accept-Language': `${lang},en` },
+    signal,
+    retries: 0,
+  }), signal)
+  const place = provider.reverse(data)
+  cacheSet(key, place, { ttl: ADDRESS_TTL, persist: true })
+  return place
+}
 
 /**
- * Reverse-geocode the given coordinates.
+ * Short "Road, City" label for the given coordinates.
  *
  * @param {number} lat
  * @param {number} lng
- * @returns {Promise<{display_name: string, address: object}>}
- */
-export async function reverseGeocode(lat, lng) {
-  const params = new URLSearchParams({
-    lat,
-    lon:    lng,
-    format: 'json',
-    zoom:   16,
-  })
-
-  const res = await fetch(`${BASE}?${params}`, {
-    headers: { 'Accept-Language': 'cs,en' },
-  })
-  if (!res.ok) throw new Error(`Nominatim ${res.status}`)
-
-  return res.json()
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string | null>}
+ */
+export async function resolveAddress(lat, lng, options) {
+  const place = await reverseGeocode(lat, lng, options)
+  return place?.name ?? null
+}
+
+/**
+ * Looks up places matching a free-text address, best match first.
+ *
+ * @param {string} query
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Place[]>}
+ */
+export async function searchAddress(query, { signal } = {}) {
+  const lang = locale.value
+  const data = await schedule(() => request(provider.searchUrl(query, lang), {
+    headers: { 'Accept-Language': `${lang},en` },
+    signal,
+    retries: 0,
+  }), signal)
+  return provider.search(data)
+}
+
+/**
+ * Fills in the start and finish addresses the API left empty, one request
+ * at a time, writing them into the trip objects as they resolve (so passing
+ * a reactive list updates the view). Failures are logged and skipped.
+ *
+ * @param {import('./models.js').Trip[]} trips
+ * @param {{ signal?: AbortSignal }} [options] - Aborting stops the backfill.
+ * @returns {Promise<void>}
+ */
+export async function fillTripAddresses(trips, { signal } = {}) {
+  const ends = [['startAddress', 'start'], ['finishAddress', 'finish']]
+  for (const trip of trips) {
+    for (const [field, position] of ends) {
+      if (signal?.aborted) return
+      if (trip[field] || !trip[position]) continue
+
+      try {
+        const address = await resolveAddress(trip[position].lat, trip[position].lng, { signal })
+        if (address && !signal?.aborted) trip[field] = address
+      } catch (err) {
+        if (signal?.aborted) return
+        console.warn('[fillTripAddresses] lookup failed:', err)
+      }
+    }
+  }
 }
@@ -3,36 +3,154 @@
  * @description HTTP client for the GPS Dozor REST API.
  *
  * All requests use HTTP Basic authentication and target the proxy path `/api/v1`,
- * which Vite's dev-server rewrites to the real GPS Dozor host (see vite.config.js).
+ * which Vite's dev-server (see vite.config.js) or the production server
+ * (see server/index.js) forwards to the real GPS Dozor host.
+ *
+ * Credentials are never bundled: the login screen calls `setCredentials()`, the
+ * encoded header is kept in `sessionStorage` for the lifetime of the browser tab
+ * and dropped again by `clearCredentials()` on logout or on a 401 response.
  *
  * Exported helpers are thin wrappers around `apiFetch` so callers never have to
- * construct URLs or set auth headers manually.
+ * construct URLs or set auth headers manually; they resolve to the domain
+ * objects of `models.js`, never to raw payloads. Requests go through the shared
+ * layer in `request.js`; per-vehicle date-range queries are cached there,
+ * keyed by user, vehicle and range, and accept an `AbortSignal` so callers
+ * can cancel requests that have become stale.
  */
 
-/** Base path forwarded by the Vite dev-server proxy. */
+import { request } from './request.js'
+import { cacheClear } from './cache.js'
+import { toGroups, toVehicles, toPositions, toTrips, toEcoEvents } from './models.js'
+
+/** Base path forwarded by the dev-server / production proxy. */
 const API_BASE = '/api/v1'
 
-/** Pre-encoded Basic-auth header value (username:password → base64). */
-const AUTH = btoa('api_gpsdozor:yakmwlARdn')
+/** Cache lifetime of a date range that is over (ms). */
+const CLOSED_RANGE_TTL = 7 * 86_400_000
+
+/** Cache lifetime of a date range that reaches into the present (ms). */
+const OPEN_RANGE_TTL = 60_000
 
-/** Default headers applied to every request. */
-const HEADERS = { Authorization: `Basic ${AUTH}` }
+/** How long after a range ends its data may still change (ms). */
+const LATE_UPLOAD_GRACE = 2 * 3_600_000
+
+/** `sessionStorage` key holding `{ user, auth }` for the current tab. */
+const SESSION_KEY = 'gpsdozor.session'
+
+// ---------------------------------------------------------------------------
+// Session credentials
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads the stored session, tolerating missing or corrupted entries.
+ *
+ * @returns {{ user: string, auth: string } | null}
+ */
+function readSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || null
+  } catch {
+    return null
+  }
+}
+
+/** Current session (username + pre-encoded Basic-auth value), or null. */
+let session = readSession()
+
+/** Callback invoked when the API rejects the stored credentials. */
+let unauthorizedHandler = null
+
+/**
+ * Stores credentials for subsequent requests (username:password → base64).
+ * The pair is encoded as UTF-8 first, since `btoa()` only takes Latin-1 and
+ * passwords may well contain letters such as ř or č.
+ *
+ * @param {string} user
+ * @param {string} password
+ */
+export function setCredentials(user, password) {
+  const bytes = new TextEncoder().encode(`${user}:${password}`)
+  session = { user, auth: btoa(String.fromCharCode(...bytes)) }
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session))
+}
+
+/** Forgets the stored credentials and drops every cached response. */
+export function clearCredentials() {
+  session = null
+  sessionStorage.removeItem(SESSION_KEY)
+  cacheClear()
+}
+
+/**
+ * Returns the username of the current session, or null when logged out.
+ *
+ * @returns {string | null}
+ */
+export const getSessionUser = () => session?.user ?? null
+
+/**
+ * Returns the Authorization header for the current session (empty when logged
+ * out). Used by clients that cannot go through `apiFetch`, e.g. the live stream.
+ *
+ * @returns {Record<string, string>}
+ */
+export const authHeaders = () => (session ? { Authorization: `Basic ${session.auth}` } : {})
+
+/**
+ * Registers the callback invoked after a 401 response has cleared the session.
+ *
+ * @param {(() => void) | null} handler
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler
+}
 
 // ---------------------------------------------------------------------------
 // Core fetch helper
 // ---------------------------------------------------------------------------
 
 /**
- * Performs an authenticated GET request against the GPS Dozor API.
+ * Performs an authenticated GET request against the GPS Dozor API through
+ * the shared request layer (timeout, retries, optional cache). The raw body
+ * is what gets cached, so adapters can change without stale entries. A 401
+ * response clears the session and notifies the `onUnauthorized` handler.
  *
  * @param {string} path - API path relative to `API_BASE` (e.g. `/groups`).
+ * @param {{ signal?: AbortSignal, cache?: object | null }} [options]
  * @returns {Promise<any>} Parsed JSON response body.
- * @throws {Error} When the HTTP response status is not OK (2xx).
+ * @throws {Error} When the request fails for good (see `request()`).
+ */
+async function apiFetch(path, { signal, cache = null } = {}) {
+  try {
+    return await request(API_BASE + path, { headers: authHeaders(), signal, cache })
+  } catch (err) {
+    if (err.status === 401) {
+      clearCredentials()
+      unauthorizedHandler?.()
+    }
+    throw err
+  }
+}
+
+/**
+ * Cache settings for a per-vehicle date-range query. Once the range is over
+ * (plus a grace period for units that upload late) its data no longer
+ * changes and is kept in IndexedDB for days; a range reaching into the
+ * present is only reused for a minute, in memory.
+ *
+ * @param {string} kind - Endpoint name, part of the key.
+ * @param {string} code - Vehicle code.
+ * @param {string} from - ISO 8601 local start datetime.
+ * @param {string} to   - ISO 8601 local end datetime.
+ * @returns {{ key: string, ttl: number, persist: boolean }}
  */
-async function apiFetch(path) {
-  const res = await fetch(API_BASE + path, { headers: HEADERS })
-  if (!res.ok) throw new Error(`API ${res.status}: ${path}`)
-  return res.json()
+function rangeCache(kind, code, from, to) {
+  const closed = new Date(to).getTime() + LATE_UPLOAD_GRACE < Date.now()
+  return {
+    key:     `gpsdozor|${session?.user}|${kind}|${code}|${from}|${to}`,
+    ttl:     closed ? CLOSED_RANGE_TTL : OPEN_RANGE_TTL,
+    persist: closed,
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -42,17 +160,17 @@ async function apiFetch(path) {
 /**
  * Fetches all vehicle groups the authenticated user has access to.
  *
- * @returns {Promise<Array<{Code: string, Name: string}>>}
+ * @returns {Promise<import('./models.js').Group[]>}
  */
-export const getGroups = () => apiFetch('/groups')
+export const getGroups = () => apiFetch('/groups').then(toGroups)
 
 /**
  * Fetches all vehicles belonging to a specific group.
  *
  * @param {string} groupCode - The group's unique code.
- * @returns {Promise<Array<object>>} Array of vehicle objects.
+ * @returns {Promise<import('./models.js').Vehicle[]>}
  */
-export const getVehicles = (groupCode) => apiFetch(`/vehicles/group/${groupCode}`)
+export const getVehicles = (groupCode) => apiFetch(`/vehicles/group/${groupCode}`).then(toVehicles)
 
 /**
  * Fetches GPS position history for a single vehicle within a time window.
@@ -60,10 +178,12 @@ export const getVehicles = (groupCode) => apiFetch(`/vehicles/group/${groupCode}
  * @param {string} code  - Vehicle code.
  * @param {string} from  - ISO 8601 start datetime (e.g. `"2024-01-01T00:00"`).
  * @param {string} to    - ISO 8601 end datetime.
- * @returns {Promise<Array<object>>}
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<import('./models.js').Position[]>} In time order.
  */
-export const getVehicleHistory = (code, from, to) =>
-  apiFetch(`/vehicles/history/${code}?from=${from}&to=${to}`)
+export const getVehicleHistory = (code, from, to, { signal } = {}) =>
+  apiFetch(`/vehicles/history/${code}?from=${from}&to=${to}`, { signal, cache: rangeCache('history', code, from, to) })
+    .then(toPositions)
 
 /**
  * Fetches trip records for a vehicle within a time window.
@@ -71,10 +191,12 @@ export const getVehicleHistory = (code, from, to) =>
  * @param {string} code  - Vehicle code.
  * @param {string} from  - ISO 8601 start datetime.
  * @param {string} to    - ISO 8601 end datetime.
- * @returns {Promise<Array<object>>}
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<import('./models.js').Trip[]>}
  */
-export const getTrips = (code, from, to) =>
-  apiFetch(`/vehicle/${code}/trips?from=${from}&to=${to}`)
+export const getTrips = (code, from, to, { signal } = {}) =>
+  apiFetch(`/vehicle/${code}/trips?from=${from}&to=${to}`, { signal, cache: rangeCache('trips', code, from, to) })
+    .then(toTrips)
 
 /**
  * Fetches eco-driving events for a vehicle within a time window.
@@ -82,7 +204,9 @@ export const getTrips = (code, from, to) =>
  * @param {string} code  - Vehicle code.
  * @param {string} from  - ISO 8601 start datetime.
  * @param {string} to    - ISO 8601 end datetime.
- * @returns {Promise<Array<object>>}
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<import('./models.js').EcoEvent[]>}
  */
-export const getEcoDriving = (code, from, to) =>
-  apiFetch(`/vehicle/${code}/eco-driving-events?from=${from}&to=${to}`)
+export const getEcoDriving = (code, from, to, { signal } = {}) =>
+  apiFetch(`/vehicle/${code}/eco-driving-events?from=${from}&to=${to}`, { signal, cache: rangeCache('eco', code, from, to) })
+    .then(toEcoEvents)
@@ -0,0 +1,94 @@
+/**
+ * @file live.js
+ * @description Client for the backend proxy's Server-Sent Events stream of
+ * vehicle-list diffs (see server/live.js).
+ *
+ * `EventSource` cannot send an Authorization header, so the stream is read
+ * with `fetch` and parsed by hand. The wire format is plain SSE:
+ *
+ *   event: snapshot   data: full vehicle array (sent first)
+ *   event: diff       data: { updated: [vehicle…], removed: [code…] }
+ *   event: error      data: { status, message } (upstream request failed)
+ *
+ * The proxy forwards raw API vehicles; they are adapted to `models.js`
+ * vehicles before reaching the handlers.
+ */
+
+import { authHeaders } from './gpsdozor.js'
+import { toVehicles } from './models.js'
+
+/** Base path of the SSE endpoints on the backend proxy. */
+const LIVE_BASE = '/live/v1'
+
+/**
+ * Parses one SSE block (lines up to a blank line) into `{ event, data }`.
+ *
+ * @param {string} block
+ * @returns {{ event: string, data: string }}
+ */
+function parseBlock(block) {
+  let event = 'message'
+  const data = []
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim()
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart())
+  }
+  return { event, data: data.join('\n') }
+}
+
+/**
+ * Opens a live stream for one vehicle group.
+ *
+ * `onError` fires once when the stream cannot be opened, closes, or reports
+ * an upstream error; it never fires after the returned close function ran.
+ *
+ * @param {string} groupCode
+ * @param {{
+ *   onSnapshot: (vehicles: import('./models.js').Vehicle[]) => void,
+ *   onDiff:     (diff: { updated: import('./models.js').Vehicle[], removed: string[] }) => void,
+ *   onError:    (err: Error) => void,
+ * }} handlers
+ * @returns {() => void} Closes the stream.
+ */
+export function subscribeVehicles(groupCode, { onSnapshot, onDiff, onError }) {
+  const controller = new AbortController()
+
+  async function run() {
+    const res = await fetch(`${LIVE_BASE}/vehicles/group/${groupCode}`, {
+      headers: { ...authHeaders(), Accept: 'text/event-stream' },
+      signal:  controller.signal,
+    })
+    if (!res.ok || !res.body) throw new Error(`Live ${res.status}: ${groupCode}`)
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) throw new Error(`Live stream closed: ${groupCode}`)
+
+      buffer += value.replace(/\r\n/g, '\n')
+      let end
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const { event, data } = parseBlock(buffer.slice(0, end))
+        buffer = buffer.slice(end + 2)
+
+        if (event === 'snapshot') {
+          onSnapshot(toVehicles(JSON.parse(data)))
+        } else if (event === 'diff') {
+          const { updated = [], removed = [] } = JSON.parse(data)
+          onDiff({ updated: toVehicles(updated), removed })
+        }
+        else if (event === 'error') throw new Error(`Live upstream error: ${data}`)
+      }
+    }
+  }
+
+  run().catch((err) => {
+    if (controller.signal.aborted) return
+    controller.abort() // release the connection before reporting
+    onError(err)
+  })
+
+  return () => controller.abort()
+}
@@ -0,0 +1,332 @@
+/**
+ * @file models.js
+ * @description Domain model of the dashboard: adapters that turn raw GPS
+ * Dozor payloads into clean Group, Vehicle, Position, Trip and EcoEvent
+ * objects. `gpsdozor.js` and the live stream run every response through
+ * them, so the rest of the app never sees the API's quirks:
+ *
+ *   • coordinates arrive as strings, and `0, 0` means "no fix"
+ *   • integer fields carry INT32_MIN (`NO_VALUE`) when there is no reading
+ *   • odometers are in metres, speeds in km/h
+ *   • times are local wall-clock times without a zone (`2024-05-01T08:30:00`)
+ *   • durations are .NET TimeSpans (`HH:MM:SS`, `d.HH:MM:SS` past a day)
+ *   • empty strings stand for missing text (plates, addresses)
+ *
+ * A missing or invalid value becomes `null` (text, numbers, positions) – never
+ * `0`, an empty string or the sentinel. A record without what identifies it
+ * (a vehicle without a code, a trip without its start or finish time, a
+ * position without coordinates…) is dropped with a warning.
+ */
+
+/** GPS Dozor's "no value" sentinel for integer fields (INT32_MIN). */
+export const NO_VALUE = -2147483648
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} LatLng
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+/**
+ * @typedef {object} Group
+ * @property {string} code
+ * @property {string} name - Falls back to the code.
+ */
+
+/**
+ * @typedef {object} Vehicle
+ * @property {string} code
+ * @property {string} name           - Falls back to the code.
+ * @property {string | null} plate   - Registration plate (`SPZ`).
+ * @property {string | null} groupCode
+ * @property {string | null} groupName - Name of `groupCode` (set by `useFleet`).
+ * @property {string | null} branch
+ * @property {number | null} speed   - km/h.
+ * @property {number | null} battery - Percent; null when not reported.
+ * @property {number | null} odometer - Kilometres.
+ * @property {boolean} active
+ * @property {LatLng | null} position - Last known position.
+ * @property {number | null} lastSeen - Time of the last fix (Unix ms).
+ */
+
+/**
+ * @typedef {object} Position
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} time          - Unix ms.
+ * @property {number | null} speed  - km/h.
+ */
+
+/**
+ * @typedef {object} Trip
+ * @property {string | null} id
+ * @property {number} startTime               - Unix ms.
+ * @property {number} finishTime              - Unix ms.
+ * @property {LatLng | null} start
+ * @property {LatLng | null} finish
+ * @property {string | null} startAddress     - Filled in by `fillTripAddresses` when the API has none.
+ * @property {string | null} finishAddress
+ * @property {number} duration                - ms; from `TripLength`, else finish − start.
+ * @property {number | null} distance         - Kilometres.
+ * @property {number | null} avgSpeed         - km/h.
+ * @property {number | null} maxSpeed         - km/h.
+ * @property {number | null} odometer         - Kilometres at the finish.
+ */
+
+/**
+ * @typedef {object} EcoEvent
+ * @property {number} time            - Unix ms.
+ * @property {number} type            - `EventType`; 0 when unknown.
+ * @property {number} severity        - 1–3; 0 when unknown.
+ * @property {number | null} speed    - km/h.
+ * @property {LatLng | null} position
+ */
+
+// ---------------------------------------------------------------------------
+// Value parsers
+// ---------------------------------------------------------------------------
+
+/**
+ * Trimmed text, or null for missing / empty values.
+ *
+ * @param {any} value
+ * @returns {string | null}
+ */
+function text(value) {
+  if (value == null) return null
+  const s = String(value).trim()
+  return s || null
+}
+
+/**
+ * Finite number from a number or numeric string, or null (also for the
+ * `NO_VALUE` sentinel).
+ *
+ * @param {any} value
+ * @returns {number | null}
+ */
+function number(value) {
+  if (value == null || value === '' || typeof value === 'boolean') return null
+  const n = Number(value)
+  return Number.isFinite(n) && n !== NO_VALUE ? n : null
+}
+
+/**
+ * Number that cannot be negative (speeds, distances), or null.
+ *
+ * @param {any} value
+ * @returns {number | null}
+ */
+function positive(value) {
+  const n = number(value)
+  return n != null && n >= 0 ? n : null
+}
+
+/**
+ * Coordinates in range, or null; `0, 0` is the API's "no fix".
+ *
+ * @param {any} lat
+ * @param {any} lng
+ * @returns {LatLng | null}
+ */
+function latLng(lat, lng) {
+  const a = number(lat)
+  const b = number(lng)
+  if (a == null || b == null || (a === 0 && b === 0)) return null
+  if (Math.abs(a) > 90 || Math.abs(b) > 180) return null
+  return { lat: a, lng: b }
+}
+
+/**
+ * Unix ms of an API time (local wall-clock time without a zone), or null.
+ *
+ * @param {any} value
+ * @returns {number | null}
+ */
+function time(value) {
+  if (typeof value !== 'string' || !value) return null
+  const ms = new Date(value).getTime()
+  return isNaN(ms) ? null : ms
+}
+
+/**
+ * Milliseconds of a .NET TimeSpan (`HH:MM:SS`, `d.HH:MM:SS`, optional
+ * fraction), or null.
+ *
+ * @param {any} value
+ * @returns {number | null}
+ */
+export function parseTimeSpan(value) {
+  const m = /^(?:(\d+)\.)?(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(String(value ?? '').trim())
+  if (!m) return null
+  const [, days = 0, h, min, s] = m
+  return Math.round((((Number(days) * 24 + Number(h)) * 60 + Number(min)) * 60 + Number(s)) * 1000)
+}
+
+/**
+ * Runs `adapt` over a list payload, dropping the records it rejects.
+ *
+ * @template T
+ * @param {any} payload
+ * @param {(raw: object) => T | null} adapt
+ * @param {string} kind - Record name for the warnings.
+ * @returns {T[]}
+ */
+function list(payload, adapt, kind) {
+  if (payload == null) return []
+  if (!Array.isArray(payload)) {
+    console.warn(`[models] expected a list of ${kind}, got:`, payload)
+    return []
+  }
+  const out = []
+  payload.forEach((raw) => {
+    const item = raw && typeof raw === 'object' ? adapt(raw) : null
+    if (item) out.push(item)
+  })
+  if (out.length < payload.length) {
+    console.warn(`[models] dropped ${payload.length - out.length} invalid ${kind} of ${payload.length}`)
+  }
+  return out
+}
+
+// ---------------------------------------------------------------------------
+// Adapters
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} raw - `/groups` entry.
+ * @returns {Group | null} Null without a code.
+ */
+export function toGroup(raw) {
+  const code = text(raw.Code)
+  return code ? { code, name: text(raw.Name) ?? code } : null
+}
+
+/**
+ * @param {object} raw - `/vehicles/group/:code` entry.
+ * @returns {Vehicle | null} Null without a code.
+ */
+export function toVehicle(raw) {
+  const code = text(raw.Code)
+  if (!code) return null
+
+  const position = latLng(raw.LastPosition?.Latitude, raw.LastPosition?.Longitude)
+  const battery = number(raw.BatteryPercentage)
+  const odometer = number(raw.Odometer)
+
+  return {
+    code,
+    name:      text(raw.Name) ?? code,
+    plate:     text(raw.SPZ),
+    groupCode: text(raw.GroupCode),
+    groupName: null,
+    branch:    text(raw.BranchName),
+    speed:     positive(raw.Speed),
+    // The API reports 0 % for units without a battery sensor
+    battery:   battery > 0 && battery <= 100 ? battery : null,
+    odometer:  odometer > 0 ? odometer / 1000 : null,
+    active:    raw.IsActive !== false,
+    position,
+    lastSeen:  time(raw.LastPositionTimestamp),
+  }
+}
+
+/**
+ * @param {object} raw - Entry of a history's `Positions`.
+ * @returns {Position | null} Null without coordinates or time.
+ */
+export function toPosition(raw) {
+  const point = latLng(raw.Lat, raw.Lng)
+  const at = time(raw.Time)
+  return point && at != null ? { ...point, time: at, speed: positive(raw.Speed) } : null
+}
+
+/**
+ * @param {object} raw - `/vehicle/:code/trips` entry.
+ * @returns {Trip | null} Null without a start and finish time in order.
+ */
+export function toTrip(raw) {
+  const startTime = time(raw.StartTime)
+  const finishTime = time(raw.FinishTime)
+  if (startTime == null || finishTime == null || finishTime < startTime) return null
+
+  const odometer = number(raw.Odometer)
+
+  return {
+    id:            text(raw.Id),
+    startTime,
+    finishTime,
+    start:         latLng(raw.StartPosition?.Latitude, raw.StartPosition?.Longitude),
+    finish:        latLng(raw.FinishPosition?.Latitude, raw.FinishPosition?.Longitude),
+    startAddress:  text(raw.StartAddress),
+    finishAddress: text(raw.FinishAddress),
+    duration:      parseTimeSpan(raw.TripLength) ?? finishTime - startTime,
+    distance:      positive(raw.TotalDistance),
+    avgSpeed:      positive(raw.AverageSpeed),
+    maxSpeed:      positive(raw.MaxSpeed),
+    odometer:      odometer > 0 ? odometer / 1000 : null,
+  }
+}
+
+/**
+ * @param {object} raw - `/vehicle/:code/eco-driving-events` entry.
+ * @returns {EcoEvent | null} Null without a time.
+ */
+export function toEcoEvent(raw) {
+  const at = time(raw.Timestamp)
+  if (at == null) return null
+
+  const type = number(raw.EventType)
+  const severity = number(raw.EventSeverity)
+
+  return {
+    time:     at,
+    type:     Number.isInteger(type) && type > 0 ? type : 0,
+    severity: [1, 2, 3].includes(severity) ? severity : 0,
+    speed:    positive(raw.Speed),
+    position: latLng(raw.Position?.Latitude, raw.Position?.Longitude),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Payload adapters
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {any} payload - `/groups` response.
+ * @returns {Group[]}
+ */
+export const toGroups = (payload) => list(payload, toGroup, 'groups')
+
+/**
+ * @param {any} payload - `/vehicles/group/:code` response (or a live snapshot).
+ * @returns {Vehicle[]}
+ */
+export const toVehicles = (payload) => list(payload, toVehicle, 'vehicles')
+
+/**
+ * Positions of a `/vehicles/history/:code` response, which wraps them in a
+ * one-entry list per vehicle; in time order.
+ *
+ * @param {any} payload
+ * @returns {Position[]}
+ */
+export const toPositions = (payload) =>
+  list(Array.isArray(payload) ? payload[0]?.Positions : payload, toPosition, 'positions')
+    .sort((a, b) => a.time - b.time)
+
+/**
+ * @param {any} payload - `/vehicle/:code/trips` response.
+ * @returns {Trip[]}
+ */
+export const toTrips = (payload) => list(payload, toTrip, 'trips')
+
+/**
+ * @param {any} payload - `/vehicle/:code/eco-driving-events` response.
+ * @returns {EcoEvent[]}
+ */
+export const toEcoEvents = (payload) => list(payload, toEcoEvent, 'eco events')
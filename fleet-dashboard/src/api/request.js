@@ -0,0 +1,167 @@
+/**
+ * @file request.js
+ * @description Shared JSON request layer for the GPS Dozor, weather and
+ * geocoding clients.
+ *
+ * Every request gets a timeout and is retried with exponential backoff on
+ * network errors, timeouts and 5xx responses; 4xx responses fail at once.
+ * Callers pass an `AbortSignal` to cancel a request that has become stale
+ * (see `latestRequest()`); an aborted request rejects with an `AbortError`,
+ * which `isAbortError()` recognises so it can be ignored rather than shown.
+ *
+ * With a `cache` option the parsed body is served from / stored in the
+ * two-level cache of `cache.js` under the caller's key.
+ */
+
+import { cacheGet, cacheSet } from './cache.js'
+
+/** Time allowed per attempt before it is abandoned (ms). */
+const DEFAULT_TIMEOUT = 20_000
+
+/** Extra attempts after the first one fails with a retryable error. */
+const DEFAULT_RETRIES = 2
+
+/** Backoff before the first retry; doubles with every further retry (ms). */
+const BACKOFF_BASE = 600
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+/** @returns {DOMException} The error an aborted request rejects with. */
+const abortError = () => new DOMException('Request aborted', 'AbortError')
+
+/**
+ * True for the rejection of a request cancelled through its signal.
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export const isAbortError = (err) => err?.name === 'AbortError'
+
+/**
+ * Whether another attempt may succeed: network failures (`fetch` rejects
+ * with a TypeError), timeouts and server errors.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+const isRetryable = (err) => err instanceof TypeError || err.timeout || err.status >= 500
+
+// ---------------------------------------------------------------------------
+// Cancellation
+// ---------------------------------------------------------------------------
+
+/**
+ * Hands out signals for a sequence of requests where only the latest one
+ * matters: taking a new signal aborts the previous request.
+ *
+ * @returns {{ next: () => AbortSignal, cancel: () => void }}
+ */
+export function latestRequest() {
+  let controller = null
+  return {
+    next() {
+      controller?.abort()
+      controller = new AbortController()
+      return controller.signal
+    },
+    cancel() {
+      controller?.abort()
+      controller = null
+    },
+  }
+}
+
+/**
+ * Waits `ms`, rejecting early when the signal aborts.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError())
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(abortError())
+    }, { once: true })
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Request
+// ---------------------------------------------------------------------------
+
+/**
+ * One attempt: fetches and parses the body within the timeout.
+ *
+ * @param {string} url
+ * @param {Record<string, string>} headers
+ * @param {AbortSignal | undefined} signal
+ * @param {number} timeout
+ * @returns {Promise<any>}
+ */
+async function attempt(url, headers, signal, timeout) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => { timedOut = true; controller.abort() }, timeout)
+  const forward = () => controller.abort()
+  signal?.addEventListener('abort', forward, { once: true })
+
+  try {
+    const res = await fetch(url, { headers, signal: controller.signal })
+    if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}: ${url}`), { status: res.status })
+    return await res.json()
+  } catch (err) {
+    if (signal?.aborted) throw abortError()
+    if (timedOut) throw Object.assign(new Error(`Timed out after ${timeout} ms: ${url}`), { timeout: true })
+    throw err
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', forward)
+  }
+}
+
+/**
+ * Performs a GET request and returns the parsed JSON body.
+ *
+ * @param {string} url
+ * @param {{
+ *   headers?: Record<string, string>,
+ *   signal?:  AbortSignal,
+ *   timeout?: number,
+ *   retries?: number,
+ *   cache?:   { key: string, ttl: number, persist?: boolean } | null,
+ * }} [options]
+ * @returns {Promise<any>}
+ * @throws {Error} With `status` for HTTP errors or `timeout` for timeouts,
+ *   the fetch TypeError for network errors, or an `AbortError`.
+ */
+export async function request(url, {
+  headers = {},
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  cache = null,
+} = {}) {
+  if (cache) {
+    const hit = await cacheGet(cache.key)
+    if (hit !== undefined) return hit
+  }
+
+  for (let i = 0; ; i++) {
+    if (signal?.aborted) throw abortError()
+    try {
+      const data = await attempt(url, headers, signal, timeout)
+      if (cache) cacheSet(cache.key, data, cache)
+      return data
+    } catch (err) {
+      if (isAbortError(err) || i >= retries || !isRetryable(err)) throw err
+      const delay = BACKOFF_BASE * 2 ** i * (0.75 + Math.random() / 2) // ±25 % jitter
+      console.warn(`[request] attempt ${i + 1} failed, retrying in ${Math.round(delay)} ms:`, err)
+      await sleep(delay, signal)
+    }
+  }
+}
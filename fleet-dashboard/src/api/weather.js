@@ -2,21 +2,75 @@
  * weather.js – Thin client for the Open-Meteo public API.
  *
  * Fetches current weather (temperature, wind speed, WMO weather code) for a
- * given latitude / longitude. No API key required.
+ * given latitude / longitude, and hourly historical weather for the places
+ * and times of trips and eco events. No API key required.
+ *
+ * Requests go to the same-origin `/weather` and `/weather-archive` prefixes,
+ * which the Vite dev proxy and the production server (server/index.js)
+ * forward to api.open-meteo.com and archive-api.open-meteo.com. Requests go
+ * through the shared layer in `request.js`; current conditions are cached in
+ * memory for a few minutes per ~1 km grid cell.
+ *
+ * Historical weather is fetched and cached per ~10 km grid cell and day.
+ * Days older than `ARCHIVE_LAG_DAYS` come from the reanalysis archive and
+ * never change, so they are cached in IndexedDB; the archive lags a few
+ * days behind, so recent days come from the forecast endpoint's past data
+ * and are cached briefly. Missing cells are fetched several per request
+ * (Open-Meteo accepts lists of coordinates).
  *
  * @see https://open-meteo.com/en/docs
+ * @see https://open-meteo.com/en/docs/historical-weather-api
  */
 
-const BASE = 'https://api.open-meteo.com/v1/forecast'
+import { request } from './request.js'
+import { cacheGet, cacheSet } from './cache.js'
+import { mapLimit } from '../utils/concurrency.js'
+import { toApiTime, addDays } from '../utils/time.js'
+
+const BASE         = '/weather/v1/forecast'
+const ARCHIVE_BASE = '/weather-archive/v1/archive'
+
+/** How long current conditions are reused for the same spot (ms). */
+const CURRENT_TTL = 10 * 60_000
+
+/** Days before today from which the archive has final data. */
+const ARCHIVE_LAG_DAYS = 6
+
+/** How long hourly weather of recent (non-archive) days is reused (ms). */
+const RECENT_TTL = 60 * 60_000
+
+/** How long archived hourly weather is reused (ms). */
+const ARCHIVE_TTL = 365 * 86_400_000
+
+/** Grid cell size for historical weather (degrees, ≈ 10 km). */
+const CELL = 0.1
+
+/** Grid cells per historical request. */
+const BATCH_SIZE = 10
+
+/** Historical requests in flight at once. */
+const CONCURRENCY = 2
+
+/** Hourly variables of the historical requests. */
+const HOURLY = ['weather_code', 'temperature_2m', 'precipitation', 'snowfall']
+
+/**
+ * @typedef {object} HourlyWeather
+ * @property {number} code          - WMO weather code.
+ * @property {number} temp          - Temperature (°C).
+ * @property {number} precipitation - Precipitation in the hour (mm).
+ * @property {number} snowfall      - Snowfall in the hour (cm).
+ */
 
 /**
  * Fetch current weather for the given coordinates.
  *
  * @param {number} lat
  * @param {number} lng
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {Promise<{temperature_2m: number, wind_speed_10m: number, weather_code: number}>}
  */
-export async function getCurrentWeather(lat, lng) {
+export async function getCurrentWeather(lat, lng, { signal } = {}) {
   const params = new URLSearchParams({
     latitude:              lat,
     longitude:             lng,
@@ -25,9 +79,111 @@ export async function getCurrentWeather(lat, lng) {
     forecast_days:         1,
   })
 
-  const res = await fetch(`${BASE}?${params}`)
-  if (!res.ok) throw new Error(`Open-Meteo ${res.status}`)
-
-  const data = await res.json()
+  const data = await request(`${BASE}?${params}`, {
+    signal,
+    cache: { key: `weather|${lat.toFixed(2)},${lng.toFixed(2)}`, ttl: CURRENT_TTL },
+  })
   return data.current
 }
+
+/**
+ * Hourly weather at the given places and times, e.g. the start of every
+ * trip. Cached cells and days are answered without a request.
+ *
+ * @param {Array<{ lat: number, lng: number, time: string | number | Date }>} points
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<HourlyWeather | null>>} Aligned with `points`; null
+ *   where Open-Meteo has no data (e.g. today's later hours).
+ */
+export async function getHistoricalWeather(points, { signal } = {}) {
+  const archiveBefore = addDays(toApiTime(Date.now()).slice(0, 10), -ARCHIVE_LAG_DAYS)
+
+  // Grid cell, day and hour of every point
+  const slots = points.map(({ lat, lng, time }) => {
+    const local = toApiTime(time)
+    const cell  = [snap(lat), snap(lng)]
+    return { cell, day: local.slice(0, 10), hour: Number(local.slice(11, 13)), key: dayKey(cell, local.slice(0, 10)) }
+  })
+
+  // Answer what the cache has; collect the days still missing per cell
+  const days = new Map()
+  const missing = new Map()
+  for (const slot of slots) {
+    if (days.has(slot.key)) continue
+    const hit = await cacheGet(slot.key)
+    days.set(slot.key, hit)
+    if (hit !== undefined) continue
+    const cellKey = slot.cell.join(',')
+    const entry = missing.get(cellKey) ?? { cell: slot.cell, days: new Set() }
+    entry.days.add(slot.day)
+    missing.set(cellKey, entry)
+  }
+
+  // Fetch missing cells in batches, split by archive / recent days
+  const batches = []
+  for (const archived of [true, false]) {
+    const cells = [...missing.values()]
+      .map(({ cell, days: d }) => ({ cell, days: [...d].filter((day) => (day < archiveBefore) === archived) }))
+      .filter((c) => c.days.length)
+    for (let i = 0; i < cells.length; i += BATCH_SIZE) batches.push({ archived, cells: cells.slice(i, i + BATCH_SIZE) })
+  }
+
+  await mapLimit(batches, CONCURRENCY, async ({ archived, cells }) => {
+    const wanted = cells.flatMap((c) => c.days).sort()
+    const params = new URLSearchParams({
+      latitude:   cells.map((c) => c.cell[0]).join(','),
+      longitude:  cells.map((c) => c.cell[1]).join(','),
+      hourly:     HOURLY.join(','),
+      start_date: wanted[0],
+      end_date:   wanted[wanted.length - 1],
+      timezone:   'auto',
+    })
+    const data = await request(`${archived ? ARCHIVE_BASE : BASE}?${params}`, { signal })
+
+    // One location answers with an object, several with an array
+    const locations = Array.isArray(data) ? data : [data]
+    cells.forEach(({ cell, days: cellDays }, i) => {
+      const byDay = splitDays(locations[i]?.hourly)
+      cellDays.forEach((day) => {
+        const value = byDay[day] ?? null
+        days.set(dayKey(cell, day), value)
+        cacheSet(dayKey(cell, day), value, archived
+          ? { ttl: ARCHIVE_TTL, persist: value != null }
+          : { ttl: RECENT_TTL })
+      })
+    })
+  })
+
+  return slots.map(({ key, hour }) => days.get(key)?.[hour] ?? null)
+}
+
+/** Snaps a coordinate to the historical weather grid (as a request parameter). */
+const snap = (deg) => (Math.round(deg / CELL) * CELL).toFixed(1)
+
+/** Cache key of a grid cell's hourly weather for one day. */
+const dayKey = (cell, day) => `weather-day|${cell.join(',')}|${day}`
+
+/**
+ * Splits Open-Meteo's hourly arrays into 24 entries per day.
+ *
+ * @param {{ time: string[] } & Object<string, number[]> | undefined} hourly
+ * @returns {Object<string, Array<HourlyWeather | null>>} Keyed by `YYYY-MM-DD`.
+ */
+function splitDays(hourly) {
+  const byDay = {}
+  hourly?.time.forEach((time, i) => {
+    const code = hourly.weather_code[i]
+    const entry = code == null ? null : {
+      code,
+      temp:          hourly.temperature_2m[i],
+      precipitation: hourly.precipitation[i] ?? 0,
+      snowfall:      hourly.snowfall[i] ?? 0,
+    }
+    const day = time.slice(0, 10)
+    byDay[day] ??= []
+    byDay[day][Number(time.slice(11, 13))] = entry
+  })
+  // Days without any data count as unknown rather than as 24 empty hours
+  Object.keys(byDay).forEach((day) => { if (!byDay[day].some(Boolean)) byDay[day] = null })
+  return byDay
+}
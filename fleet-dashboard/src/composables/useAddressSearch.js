@@ -0,0 +1,104 @@
+/**
+ * @file useAddressSearch.js
+ * @description Composable behind the map's address search: looks up places
+ * for a typed address through the geocoding service.
+ *
+ * Addresses are looked up when the user submits them; only with a geocoder
+ * that allows it (`TYPE_AHEAD`, i.e. Photon) is typing searched as well,
+ * debounced. Only the latest lookup counts – a new query aborts the
+ * previous one, so results never belong to an older query. Lookups share
+ * the geocoder's request queue with the reverse lookups.
+ */
+
+import { ref } from 'vue'
+import { searchAddress, TYPE_AHEAD } from '../api/geocoding.js'
+import { latestRequest } from '../api/request.js'
+import { reportError } from './useToasts.js'
+import { t } from '../i18n/index.js'
+
+/** Pause after the last keystroke before searching (ms). */
+const DEBOUNCE = 400
+
+/** Shortest query searched for. */
+export const SEARCH_MIN_LENGTH = 3
+
+/** Whether typing searches too, rather than only submitting. */
+export const SEARCH_AS_YOU_TYPE = TYPE_AHEAD
+
+/**
+ * @returns {{
+ *   results:   import('vue').Ref<import('../api/geocoding.js').Place[]>,
+ *   searching: import('vue').Ref<boolean>,
+ *   search:    (query: string) => void,
+ *   submit:    (query: string) => void,
+ *   clear:     () => void,
+ * }}
+ */
+export function useAddressSearch() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Places matching the last query, best match first. */
+  const results = ref([])
+
+  /** True from the search request until the lookup returns. */
+  const searching = ref(false)
+
+  const lookup = latestRequest()
+  let timer = null
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Searches for `query` once typing pauses; short queries clear the results.
+   * Use only with `SEARCH_AS_YOU_TYPE`.
+   *
+   * @param {string} query
+   * @param {number} [delay] - Wait before the lookup (ms).
+   */
+  function search(query, delay = DEBOUNCE) {
+    clearTimeout(timer)
+    lookup.cancel()
+    const q = query.trim()
+    if (q.length < SEARCH_MIN_LENGTH) {
+      results.value = []
+      searching.value = false
+      return
+    }
+    searching.value = true
+    timer = setTimeout(() => run(q), delay)
+  }
+
+  /**
+   * Searches for a submitted `query` right away.
+   *
+   * @param {string} query
+   */
+  const submit = (query) => search(query, 0)
+
+  /** @param {string} query */
+  async function run(query) {
+    const signal = lookup.next()
+    try {
+      results.value = await searchAddress(query, { signal })
+    } catch (err) {
+      reportError('useAddressSearch', t('errors.addressSearch'), err, 'warning')
+      if (!signal.aborted) results.value = []
+    } finally {
+      if (!signal.aborted) searching.value = false
+    }
+  }
+
+  /** Drops the results and any pending lookup. */
+  function clear() {
+    clearTimeout(timer)
+    lookup.cancel()
+    results.value = []
+    searching.value = false
+  }
+
+  return { results, searching, search, submit, clear }
+}
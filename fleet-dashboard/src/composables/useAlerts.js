@@ -0,0 +1,383 @@
+/**
+ * @file useAlerts.js
+ * @description Composable that evaluates configurable alert rules against the
+ * fleet on every refresh and keeps a de-duplicated list of alerts for the
+ * header notification center.
+ *
+ * Rules (each can be toggled and tuned in the settings dialog):
+ *   overspeed – speed above a threshold
+ *   stale     – last fix older than N minutes
+ *   battery   – battery below X % (vehicles that do not report one are skipped)
+ *   idle      – standing still for longer than N hours
+ *   ecoBurst  – at least N high-severity eco events within a time window
+ *
+ * An alert is keyed by rule + vehicle. While its condition keeps holding the
+ * same alert is updated instead of a new one being raised; when the
+ * condition clears the alert is marked resolved. Acknowledged alerts stay
+ * quiet until they resolve and recur; snoozed alerts come back when the
+ * snooze expires. New alerts can also be shown as browser notifications.
+ *
+ * Alerts hold their rule and raw, metric values (`params`) rather than text;
+ * `alertMessage()` words them in the active language and units.
+ */
+
+import { ref, computed, watch, onUnmounted } from 'vue'
+import { getEcoDriving } from '../api/gpsdozor.js'
+import { mapLimit } from '../utils/concurrency.js'
+import { toApiTime } from '../utils/time.js'
+import { reportError } from './useToasts.js'
+import { t, formatNumber, formatSpeed } from '../i18n/index.js'
+
+/** `localStorage` keys. */
+const RULES_KEY  = 'fleet.alertRules'
+const NOTIFY_KEY = 'fleet.alertNotifications'
+
+/** Resolved alerts kept for the notification history. */
+const MAX_RESOLVED = 50
+
+/** Minimum time between two eco-burst checks (each costs one request per vehicle). */
+const ECO_CHECK_MS = 5 * 60_000
+
+/** Parallel requests used by the eco-burst check. */
+const ECO_CONCURRENCY = 4
+
+/** Rule metadata: severity and the default settings. Labels are under `alerts.rules`. */
+export const ALERT_RULES = {
+  overspeed: { severity: 'high', defaults: { enabled: true,  kmh: 110 } },
+  stale:     { severity: 'med',  defaults: { enabled: true,  minutes: 30 } },
+  battery:   { severity: 'med',  defaults: { enabled: true,  percent: 20 } },
+  idle:      { severity: 'low',  defaults: { enabled: false, hours: 4 } },
+  ecoBurst:  { severity: 'high', defaults: { enabled: false, count: 3, minutes: 60 } },
+}
+
+/**
+ * Name of an alert's rule in the active language.
+ *
+ * @param {{ rule: string }} alert
+ * @returns {string}
+ */
+export const alertLabel = (alert) => t(`alerts.rules.${alert.rule}`)
+
+/**
+ * Describes an alert's condition in the active language and units.
+ *
+ * @param {{ rule: string, params: object }} alert
+ * @returns {string}
+ */
+export function alertMessage({ rule, params }) {
+  const p = { ...params }
+  if (rule === 'overspeed') {
+    p.speed = formatSpeed(params.speed)
+    p.limit = formatSpeed(params.limit)
+  }
+  if (rule === 'idle') p.hours = formatNumber(params.hours, 1)
+  return t(`alerts.messages.${rule}`, p)
+}
+
+/**
+ * Reads the stored rule settings merged over the defaults, so rules added in
+ * later versions get sensible values.
+ *
+ * @returns {Record<string, object>}
+ */
+function loadRules() {
+  let saved = {}
+  try {
+    saved = JSON.parse(localStorage.getItem(RULES_KEY)) || {}
+  } catch {
+    // fall back to defaults
+  }
+  return Object.fromEntries(
+    Object.entries(ALERT_RULES).map(([key, rule]) => [key, { ...rule.defaults, ...saved[key] }]),
+  )
+}
+
+/**
+ * @returns {{
+ *   rules:                import('vue').Ref<Record<string, object>>,
+ *   alerts:               import('vue').Ref<Array<object>>,
+ *   unreadCount:          import('vue').ComputedRef<number>,
+ *   browserNotifications: import('vue').Ref<boolean>,
+ *   evaluate:             (vehicles: Array<object>) => Promise<void>,
+ *   acknowledge:          (id: string) => void,
+ *   acknowledgeAll:       () => void,
+ *   snooze:               (id: string, minutes: number) => void,
+ *   clearResolved:        () => void,
+ * }}
+ */
+export function useAlerts() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Rule settings, persisted on change. */
+  const rules = ref(loadRules())
+
+  /** Active alerts first (newest first), then resolved ones. */
+  const alerts = ref([])
+
+  /** Also raise a browser notification for every new alert. */
+  const browserNotifications = ref(localStorage.getItem(NOTIFY_KEY) === 'true')
+
+  /** When each vehicle was first seen standing still (Unix ms). */
+  const idleSince = new Map()
+
+  /** Vehicles with an eco burst at the last check → event count. */
+  let ecoBursts = new Map()
+
+  /** Time of the last eco-burst check (Unix ms). */
+  let lastEcoCheck = 0
+
+  /** True while an evaluation (possibly waiting on eco requests) runs. */
+  let evaluating = false
+
+  /** Vehicle list that arrived during a running evaluation. */
+  let queued = null
+
+  /** Time `unreadCount` is counted at, moved on whenever a snooze runs out (Unix ms). */
+  const now = ref(Date.now())
+
+  /** Timer for the earliest snooze to run out. */
+  let snoozeTimer = null
+
+  watch(rules, (r) => localStorage.setItem(RULES_KEY, JSON.stringify(r)), { deep: true })
+
+  watch(browserNotifications, async (on) => {
+    localStorage.setItem(NOTIFY_KEY, String(on))
+    if (on && 'Notification' in window && Notification.permission === 'default') {
+      await Notification.requestPermission()
+    }
+  })
+
+  // ---------------------------------------------------------------------------
+  // Derived state
+  // ---------------------------------------------------------------------------
+
+  /** Alerts that still need attention: active, not acknowledged, not snoozed. */
+  const unreadCount = computed(() =>
+    alerts.value.filter((a) => !a.resolved && !a.acknowledged && !(a.snoozedUntil > now.value)).length,
+  )
+
+  /**
+   * Updates `now` and sets a timer for the next snooze to run out, so the
+   * count goes up when it does rather than on the next fleet refresh.
+   */
+  function scheduleSnoozeEnd() {
+    clearTimeout(snoozeTimer)
+    now.value = Date.now()
+    const next = Math.min(...alerts.value.filter((a) => a.snoozedUntil > now.value).map((a) => a.snoozedUntil))
+    if (next < Infinity) snoozeTimer = setTimeout(scheduleSnoozeEnd, next - now.value)
+  }
+
+  watch(alerts, scheduleSnoozeEnd)
+  onUnmounted(() => clearTimeout(snoozeTimer))
+
+  // ---------------------------------------------------------------------------
+  // Rule evaluation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Checks one vehicle against the synchronous rules.
+   *
+   * @param {import('../api/models.js').Vehicle} v
+   * @param {number} now - Unix ms.
+   * @returns {Array<{ rule: string, params: object }>} Conditions that currently hold.
+   */
+  function check(v, now) {
+    const r = rules.value
+    const hits = []
+
+    if (r.overspeed.enabled && v.speed > r.overspeed.kmh) {
+      hits.push({ rule: 'overspeed', params: { speed: v.speed, limit: r.overspeed.kmh } })
+    }
+
+    const fix = v.lastSeen
+    if (r.stale.enabled && fix != null && now - fix > r.stale.minutes * 60_000) {
+      hits.push({ rule: 'stale', params: { minutes: Math.round((now - fix) / 60_000) } })
+    }
+
+    if (r.battery.enabled && v.battery != null && v.battery < r.battery.percent) {
+      hits.push({ rule: 'battery', params: { percent: v.battery } })
+    }
+
+    // The last fix of a parked vehicle is usually when it stopped – use it
+    // as the idle start when it is older than the first sighting.
+    if (v.speed > 0) {
+      idleSince.delete(v.code)
+    } else if (!idleSince.has(v.code)) {
+      idleSince.set(v.code, fix == null ? now : Math.min(fix, now))
+    }
+    const idleMs = idleSince.has(v.code) ? now - idleSince.get(v.code) : 0
+    if (r.idle.enabled && idleMs > r.idle.hours * 3_600_000) {
+      hits.push({ rule: 'idle', params: { hours: idleMs / 3_600_000 } })
+    }
+
+    if (r.ecoBurst.enabled && ecoBursts.has(v.code)) {
+      hits.push({ rule: 'ecoBurst', params: { count: ecoBursts.get(v.code), minutes: r.ecoBurst.minutes } })
+    }
+
+    return hits
+  }
+
+  /**
+   * Refreshes `ecoBursts` by fetching the recent eco events of every vehicle
+   * that has been moving. Runs at most once per `ECO_CHECK_MS`.
+   *
+   * @param {Array<object>} vehicles
+   * @param {number} now
+   */
+  async function checkEcoBursts(vehicles, now) {
+    const r = rules.value.ecoBurst
+    if (!r.enabled) {
+      ecoBursts = new Map()
+      return
+    }
+    if (now - lastEcoCheck < ECO_CHECK_MS) return
+    lastEcoCheck = now
+
+    const windowStart = now - r.minutes * 60_000
+    const candidates = vehicles.filter((v) => v.speed > 0 || v.lastSeen > windowStart)
+
+    const bursts = new Map()
+    await mapLimit(candidates, ECO_CONCURRENCY, async (v) => {
+      try {
+        const events = await getEcoDriving(v.code, toApiTime(windowStart), toApiTime(now))
+        const high = events.filter((e) => e.severity >= 3).length
+        if (high >= r.count) bursts.set(v.code, high)
+      } catch (err) {
+        reportError('useAlerts', t('errors.ecoAlert', { name: v.name }), err, 'warning')
+      }
+    })
+    ecoBursts = bursts
+  }
+
+  /**
+   * Evaluates every rule for every vehicle and updates `alerts`: raises new
+   * alerts, refreshes ongoing ones, resolves cleared ones and re-arms
+   * expired snoozes. Should be called after each fleet refresh; calls made
+   * while an evaluation is still running are coalesced into one rerun with
+   * the latest list.
+   *
+   * @param {Array<object>} vehicles
+   */
+  async function evaluate(vehicles) {
+    if (evaluating) {
+      queued = vehicles
+      return
+    }
+    evaluating = true
+    try {
+      await runRules(vehicles)
+    } finally {
+      evaluating = false
+    }
+    if (queued) {
+      const next = queued
+      queued = null
+      await evaluate(next)
+    }
+  }
+
+  /**
+   * One evaluation pass (see `evaluate`).
+   *
+   * @param {Array<object>} vehicles
+   */
+  async function runRules(vehicles) {
+    const now = Date.now()
+    await checkEcoBursts(vehicles, now)
+
+    const current = new Map()
+    for (const v of vehicles) {
+      for (const hit of check(v, now)) current.set(`${hit.rule}:${v.code}`, { ...hit, vehicle: v })
+    }
+
+    const next = []
+    const resolved = []
+    const raised = []
+
+    for (const a of alerts.value) {
+      if (a.resolved) {
+        resolved.push(a)
+        continue
+      }
+      const hit = current.get(a.key)
+      if (!hit) {
+        resolved.push({ ...a, resolved: true, resolvedAt: now })
+        continue
+      }
+      current.delete(a.key)
+      const snoozeOver = a.snoozedUntil && a.snoozedUntil <= now
+      next.push({ ...a, params: hit.params, lastSeen: now, ...(snoozeOver ? { snoozedUntil: null, acknowledged: false } : {}) })
+      if (snoozeOver) raised.push(a)
+    }
+
+    current.forEach((hit, key) => {
+      const alert = {
+        id:           `${key}:${now}`,
+        key,
+        rule:         hit.rule,
+        severity:     ALERT_RULES[hit.rule].severity,
+        vehicleCode:  hit.vehicle.code,
+        vehicleName:  hit.vehicle.name,
+        params:       hit.params,
+        firstSeen:    now,
+        lastSeen:     now,
+        acknowledged: false,
+        snoozedUntil: null,
+        resolved:     false,
+      }
+      next.unshift(alert)
+      raised.push(alert)
+    })
+
+    alerts.value = [...next, ...resolved.slice(0, MAX_RESOLVED)]
+    raised.forEach(notify)
+  }
+
+  /**
+   * Shows a browser notification for an alert when enabled and permitted.
+   *
+   * @param {object} alert
+   */
+  function notify(alert) {
+    if (!browserNotifications.value || !('Notification' in window) || Notification.permission !== 'granted') return
+    new Notification(`${alertLabel(alert)}: ${alert.vehicleName}`, { body: alertMessage(alert), tag: alert.key })
+  }
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /** Updates one alert by id. */
+  function patch(id, changes) {
+    alerts.value = alerts.value.map((a) => (a.id === id ? { ...a, ...changes } : a))
+  }
+
+  /** Marks an alert as seen; it stays quiet until it resolves and recurs. */
+  const acknowledge = (id) => patch(id, { acknowledged: true })
+
+  /** Acknowledges every active alert. */
+  function acknowledgeAll() {
+    alerts.value = alerts.value.map((a) => (a.resolved ? a : { ...a, acknowledged: true }))
+  }
+
+  /**
+   * Hides an alert for a while; if its condition still holds afterwards it
+   * is raised again.
+   *
+   * @param {string} id
+   * @param {number} minutes
+   */
+  const snooze = (id, minutes) => patch(id, { snoozedUntil: Date.now() + minutes * 60_000 })
+
+  /** Drops resolved alerts from the history. */
+  function clearResolved() {
+    alerts.value = alerts.value.filter((a) => !a.resolved)
+  }
+
+  return {
+    rules, alerts, unreadCount, browserNotifications,
+    evaluate, acknowledge, acknowledgeAll, snooze, clearResolved,
+  }
+}
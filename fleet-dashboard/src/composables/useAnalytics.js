@@ -0,0 +1,68 @@
+/**
+ * @file useAnalytics.js
+ * @description Composable behind the fleet analytics view: fetches trips
+ * and eco events of every vehicle of the group for a date range and
+ * aggregates them with `utils/analytics.js`.
+ *
+ * Vehicles are fetched through `useFleetLoader`. A vehicle whose requests
+ * fail is left out of the totals and counted in `failed`.
+ */
+
+import { ref } from 'vue'
+import { getTrips, getEcoDriving } from '../api/gpsdozor.js'
+import { fleetAnalytics } from '../utils/analytics.js'
+import { useFleetLoader } from './useFleetLoader.js'
+
+/**
+ * @returns {{
+ *   analytics: import('vue').Ref<import('../utils/analytics.js').FleetAnalytics | null>,
+ *   loading:   import('vue').Ref<boolean>,
+ *   progress:  import('vue').Ref<{ done: number, total: number } | null>,
+ *   period:    import('vue').Ref<{ from: string, to: string } | null>,
+ *   load:      (vehicles: object[], fromDate: string, toDate: string) => Promise<void>,
+ * }}
+ */
+export function useAnalytics() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Aggregates of the last load, or null before the first one. */
+  const analytics = ref(null)
+
+  /** Date range of the loaded analytics. */
+  const period = ref(null)
+
+  const fleet = useFleetLoader('useAnalytics')
+  const { loading, progress } = fleet
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches and aggregates the given vehicles for `fromDate`–`toDate`.
+   *
+   * @param {object[]} vehicles
+   * @param {string} fromDate - `YYYY-MM-DD`
+   * @param {string} toDate   - `YYYY-MM-DD`
+   */
+  async function load(vehicles, fromDate, toDate) {
+    const from = `${fromDate}T00:00`
+    const to   = `${toDate}T23:59`
+    analytics.value = null
+    period.value = { from: fromDate, to: toDate }
+
+    const results = await fleet.load(vehicles, async (vehicle, i, signal) => {
+      const [trips, events] = await Promise.all([
+        getTrips(vehicle.code, from, to, { signal }),
+        getEcoDriving(vehicle.code, from, to, { signal }),
+      ])
+      return { vehicle, trips, events }
+    }, (vehicle) => ({ vehicle, trips: [], events: [] }))
+
+    if (results) analytics.value = fleetAnalytics(results, fromDate, toDate)
+  }
+
+  return { analytics, loading, progress, period, load }
+}
@@ -0,0 +1,92 @@
+/**
+ * @file useAuth.js
+ * @description Composable that manages the login session for the GPS Dozor API.
+ *
+ * State lives at module scope so every caller shares one session: the login
+ * view, the header (logged-in user + logout) and the root component that
+ * decides whether the dashboard is mounted at all.
+ *
+ * Credentials are validated by calling `/groups`; on success they stay in
+ * `sessionStorage` (see `api/gpsdozor.js`) until logout, tab close, or a 401.
+ */
+
+import { ref, computed } from 'vue'
+import {
+  getGroups,
+  setCredentials,
+  clearCredentials,
+  getSessionUser,
+  onUnauthorized,
+} from '../api/gpsdozor.js'
+
+// ---------------------------------------------------------------------------
+// Shared state
+// ---------------------------------------------------------------------------
+
+/** Username of the logged-in user, or null when logged out. */
+const user = ref(getSessionUser())
+
+/** True while credentials are being validated. */
+const loggingIn = ref(false)
+
+/** Message key shown on the login screen (failed login or expired session). */
+const authError = ref('')
+
+// A 401 from any request means the stored credentials are no longer valid –
+// drop back to the login screen with an explanation.
+onUnauthorized(() => {
+  if (!user.value) return
+  user.value = null
+  authError.value = 'login.expired'
+})
+
+/**
+ * @returns {{
+ *   user:            import('vue').Ref<string | null>,
+ *   isAuthenticated: import('vue').ComputedRef<boolean>,
+ *   loggingIn:       import('vue').Ref<boolean>,
+ *   authError:       import('vue').Ref<string>,
+ *   login:           (username: string, password: string) => Promise<boolean>,
+ *   logout:          () => void,
+ * }}
+ */
+export function useAuth() {
+  const isAuthenticated = computed(() => !!user.value)
+
+  /**
+   * Stores the credentials and validates them against `/groups`.
+   * On failure the credentials are discarded and `authError` is set.
+   *
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<boolean>} True when the login succeeded.
+   */
+  async function login(username, password) {
+    loggingIn.value = true
+    authError.value = ''
+
+    try {
+      setCredentials(username, password)
+      await getGroups()
+      user.value = username
+      return true
+    } catch (err) {
+      clearCredentials()
+      authError.value = err.status === 401
+        ? 'login.invalid'
+        : 'login.unreachable'
+      return false
+    } finally {
+      loggingIn.value = false
+    }
+  }
+
+  /** Clears the session and returns to the login screen. */
+  function logout() {
+    clearCredentials()
+    user.value = null
+    authError.value = ''
+  }
+
+  return { user, isAuthenticated, loggingIn, authError, login, logout }
+}
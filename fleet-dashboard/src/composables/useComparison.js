@@ -0,0 +1,118 @@
+/**
+ * @file useComparison.js
+ * @description Composable behind the multi-vehicle comparison: trips, eco
+ * events and the position history of a few vehicles for one date range,
+ * reduced to comparable totals (`utils/tripStats.js`) and a distance per
+ * day series for the overlaid charts.
+ *
+ * Every vehicle gets a fixed colour from `COMPARE_COLORS`, used by its
+ * table column, its chart series and its track on the map. The number of
+ * vehicles is capped at `MAX_COMPARED`, since each one brings its whole
+ * position history. Vehicles are fetched through `useFleetLoader`; a
+ * vehicle whose requests fail stays in the comparison without data.
+ */
+
+import { ref } from 'vue'
+import { getTrips, getEcoDriving, getVehicleHistory } from '../api/gpsdozor.js'
+import { tripTotals, distancePerDay } from '../utils/tripStats.js'
+import { useFleetLoader } from './useFleetLoader.js'
+
+/** Series colours, one per compared vehicle. */
+export const COMPARE_COLORS = ['#f5a623', '#4fc3f7', '#f472b6', '#3dd68c', '#a78bfa', '#ff4757']
+
+/** Most vehicles compared at once. */
+export const MAX_COMPARED = COMPARE_COLORS.length
+
+/** Parallel vehicles fetched (fewer than elsewhere: histories are large). */
+const CONCURRENCY = 3
+
+/**
+ * @typedef {object} ComparisonRow
+ * @property {import('../api/models.js').Vehicle} vehicle
+ * @property {string} color
+ * @property {import('../utils/tripStats.js').TripTotals} totals
+ * @property {Array<{ date: string, distance: number }>} days - Distance per day of the range.
+ * @property {import('../api/models.js').Position[]} positions
+ * @property {boolean} failed
+ */
+
+/**
+ * Eco event types recorded for any of the compared vehicles, most frequent
+ * first – the row order of the table and the category order of the chart.
+ *
+ * @param {ComparisonRow[]} rows
+ * @returns {string[]} Event types.
+ */
+export function comparedEcoTypes(rows) {
+  const totals = {}
+  rows.forEach((r) => {
+    Object.entries(r.totals.byType).forEach(([type, n]) => { totals[type] = (totals[type] || 0) + n })
+  })
+  return Object.keys(totals).sort((a, b) => totals[b] - totals[a])
+}
+
+/**
+ * @returns {{
+ *   rows:     import('vue').Ref<ComparisonRow[]>,
+ *   loading:  import('vue').Ref<boolean>,
+ *   progress: import('vue').Ref<{ done: number, total: number } | null>,
+ *   load:     (vehicles: object[], fromDate: string, toDate: string) => Promise<void>,
+ *   clear:    () => void,
+ * }}
+ */
+export function useComparison() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Compared vehicles, in the order they were picked. */
+  const rows = ref([])
+
+  const fleet = useFleetLoader('useComparison', { concurrency: CONCURRENCY })
+  const { loading, progress } = fleet
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches and totals the given vehicles for `fromDate`–`toDate`.
+   *
+   * @param {object[]} vehicles - At most `MAX_COMPARED`; extra vehicles are ignored.
+   * @param {string} fromDate - `YYYY-MM-DD`
+   * @param {string} toDate   - `YYYY-MM-DD`
+   */
+  async function load(vehicles, fromDate, toDate) {
+    const from = `${fromDate}T00:00`
+    const to   = `${toDate}T23:59`
+    rows.value = []
+
+    /** Row of a vehicle from its trips, events and positions. */
+    const row = (vehicle, i, trips, events, positions) => ({
+      vehicle,
+      color:  COMPARE_COLORS[i],
+      totals: tripTotals(trips, events),
+      days:   distancePerDay(trips, fromDate, toDate),
+      positions,
+    })
+
+    const results = await fleet.load(vehicles.slice(0, MAX_COMPARED), async (vehicle, i, signal) => {
+      const [trips, events, positions] = await Promise.all([
+        getTrips(vehicle.code, from, to, { signal }),
+        getEcoDriving(vehicle.code, from, to, { signal }),
+        getVehicleHistory(vehicle.code, from, to, { signal }),
+      ])
+      return row(vehicle, i, trips, events, positions)
+    }, (vehicle, i) => row(vehicle, i, [], [], []))
+
+    if (results) rows.value = results
+  }
+
+  /** Drops the comparison (and aborts a load still in flight). */
+  function clear() {
+    fleet.cancel()
+    rows.value = []
+  }
+
+  return { rows, loading, progress, load, clear }
+}
@@ -0,0 +1,103 @@
+/**
+ * @file useDispatch.js
+ * @description Composable behind the map's DISPATCH panel: a job location,
+ * set by clicking the map or picking a searched address, and the fleet
+ * ranked by how quickly each vehicle could get there (`utils/dispatch.js`).
+ *
+ * The ranking follows the live vehicle list, so it updates on every refresh.
+ * The filters are persisted in `localStorage`. A job set by a map click is
+ * labelled by reverse geocoding; only the latest lookup counts.
+ */
+
+import { ref, computed, watch } from 'vue'
+import { resolveAddress } from '../api/geocoding.js'
+import { latestRequest } from '../api/request.js'
+import { reportError } from './useToasts.js'
+import { t } from '../i18n/index.js'
+import { rankVehicles, DISPATCH_DEFAULTS } from '../utils/dispatch.js'
+
+/** `localStorage` key holding the filters. */
+const STORAGE_KEY = 'fleet.dispatchFilters'
+
+/** Line colours of the top candidates on the map, best first. */
+export const DISPATCH_COLORS = ['#3dd68c', '#f5a623', '#4fc3f7']
+
+/**
+ * Reads the stored filters merged over the defaults.
+ *
+ * @returns {typeof DISPATCH_DEFAULTS}
+ */
+function loadFilters() {
+  try {
+    return { ...DISPATCH_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+  } catch {
+    return { ...DISPATCH_DEFAULTS }
+  }
+}
+
+/**
+ * @param {import('vue').Ref<import('../api/models.js').Vehicle[]>} vehicles - Live vehicle list.
+ * @returns {{
+ *   job:        import('vue').Ref<{ lat: number, lng: number, label: string | null } | null>,
+ *   filters:    import('vue').Ref<typeof DISPATCH_DEFAULTS>,
+ *   candidates: import('vue').ComputedRef<import('../utils/dispatch.js').DispatchCandidate[]>,
+ *   setJob:     (lat: number, lng: number, label?: string) => void,
+ *   clear:      () => void,
+ * }}
+ */
+export function useDispatch(vehicles) {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Job location, or null before one is set. */
+  const job = ref(null)
+
+  /** Status / stale filters and sort order. */
+  const filters = ref(loadFilters())
+
+  const lookup = latestRequest()
+
+  watch(filters, (value) => localStorage.setItem(STORAGE_KEY, JSON.stringify(value)), { deep: true })
+
+  // ---------------------------------------------------------------------------
+  // Derived state
+  // ---------------------------------------------------------------------------
+
+  /** Vehicles ranked for the job, best first; empty without a job. */
+  const candidates = computed(() =>
+    job.value ? rankVehicles(vehicles.value, job.value, filters.value) : [],
+  )
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Sets the job location. Without a label the address is looked up.
+   *
+   * @param {number} lat
+   * @param {number} lng
+   * @param {string} [label] - E.g. the picked search result.
+   */
+  async function setJob(lat, lng, label) {
+    const signal = lookup.next()
+    job.value = { lat, lng, label: label ?? null }
+    if (label) return
+
+    try {
+      const address = await resolveAddress(lat, lng, { signal })
+      if (!signal.aborted && job.value) job.value = { ...job.value, label: address }
+    } catch (err) {
+      reportError('useDispatch', t('errors.address'), err, 'warning')
+    }
+  }
+
+  /** Drops the job (and ignores a lookup still in flight). */
+  function clear() {
+    lookup.cancel()
+    job.value = null
+  }
+
+  return { job, filters, candidates, setJob, clear }
+}
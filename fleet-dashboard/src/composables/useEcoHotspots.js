@@ -0,0 +1,74 @@
+/**
+ * @file useEcoHotspots.js
+ * @description Composable behind the map's HOTSPOTS layer: fetches the eco
+ * events of every vehicle of the group for a date range and bins them into
+ * density cells with `utils/hotspots.js`.
+ *
+ * Vehicles are fetched through `useFleetLoader`, whose progress the toggle
+ * shows. A vehicle whose request fails is left out of the density and
+ * counted in `failed`.
+ */
+
+import { ref } from 'vue'
+import { getEcoDriving } from '../api/gpsdozor.js'
+import { ecoHotspots } from '../utils/hotspots.js'
+import { useFleetLoader } from './useFleetLoader.js'
+
+/**
+ * @returns {{
+ *   hotspots: import('vue').Ref<import('../utils/hotspots.js').Hotspot[]>,
+ *   loading:  import('vue').Ref<boolean>,
+ *   progress: import('vue').Ref<{ done: number, total: number } | null>,
+ *   failed:   import('vue').Ref<number>,
+ *   load:     (vehicles: import('../api/models.js').Vehicle[], fromDate: string, toDate: string) => Promise<void>,
+ *   clear:    () => void,
+ * }}
+ */
+export function useEcoHotspots() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Density cells of the last load, heaviest first. */
+  const hotspots = ref([])
+
+  /** Vehicles whose events could not be fetched. */
+  const failed = ref(0)
+
+  const fleet = useFleetLoader('useEcoHotspots')
+  const { loading, progress } = fleet
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches the eco events of the given vehicles for `fromDate`–`toDate`
+   * and bins them.
+   *
+   * @param {import('../api/models.js').Vehicle[]} vehicles
+   * @param {string} fromDate - `YYYY-MM-DD`
+   * @param {string} toDate   - `YYYY-MM-DD`
+   */
+  async function load(vehicles, fromDate, toDate) {
+    hotspots.value = []
+
+    const results = await fleet.load(vehicles, async (vehicle, i, signal) => {
+      const events = await getEcoDriving(vehicle.code, `${fromDate}T00:00`, `${toDate}T23:59`, { signal })
+      return { vehicle, events }
+    }, (vehicle) => ({ vehicle, events: [] }))
+
+    if (!results) return
+    hotspots.value = ecoHotspots(results)
+    failed.value = results.filter((r) => r.failed).length
+  }
+
+  /** Drops the hotspots (and aborts a load still in flight). */
+  function clear() {
+    fleet.cancel()
+    hotspots.value = []
+    failed.value = 0
+  }
+
+  return { hotspots, loading, progress, failed, load, clear }
+}
@@ -1,27 +1,63 @@
 /**
  * @file useFleet.js
- * @description Composable that manages fleet-level state: vehicle list, loading
- * indicator, last-refresh timestamp, and derived summary statistics.
+ * @description Composable that manages fleet-level state: available groups,
+ * the group selection, vehicle list, loading indicator, last-refresh
+ * timestamp, and derived summary statistics.
  *
- * On `init()` the composable fetches the first available group and then loads
- * its vehicles. Subsequent calls to `refresh()` re-fetch the vehicle list and
- * update the timestamp displayed in the header.
+ * On `init()` the composable fetches every group the account can see and
+ * restores the last selection from `localStorage` (falling back to the first
+ * group). The selection is either a single group code or `ALL_GROUPS`, in
+ * which case the vehicle lists of all groups are merged. Every vehicle is
+ * tagged with `groupCode` / `groupName` so the UI can tell them apart.
+ *
+ * Live mode keeps the list current without clicking REFRESH: either polling
+ * every `refreshInterval` seconds, or – with `pushUpdates` on – diffs pushed
+ * over SSE by the backend proxy (falling back to polling if the stream
+ * drops). Both pause while the browser tab is hidden. Vehicles whose status
+ * or position changed in the last sync are listed in `changed` for a few
+ * seconds so the UI can highlight them.
  */
 
-import { ref, computed } from 'vue'
+import { ref, computed, watch, onUnmounted } from 'vue'
 import { getGroups, getVehicles } from '../api/gpsdozor.js'
+import { subscribeVehicles } from '../api/live.js'
+import { notify, reportError } from './useToasts.js'
+import { t } from '../i18n/index.js'
+
+/** Selection value meaning "every group the account can see". */
+export const ALL_GROUPS = '*'
+
+/** `localStorage` key that persists the group selection between sessions. */
+const STORAGE_KEY = 'fleet.groupSelection'
+
+/** `localStorage` keys for the live-mode settings. */
+const INTERVAL_KEY = 'fleet.refreshInterval'
+const PUSH_KEY     = 'fleet.pushUpdates'
+
+/** Polling interval used until the user picks one (seconds). */
+const DEFAULT_INTERVAL = 30
+
+/** How long a changed vehicle stays highlighted (ms). */
+const HIGHLIGHT_MS = 4000
 
 /**
  * @returns {{
- *   groupCode:    import('vue').Ref<string>,
- *   vehicles:     import('vue').Ref<Array<object>>,
- *   loading:      import('vue').Ref<boolean>,
- *   lastRefresh:  import('vue').Ref<string>,
- *   movingCount:  import('vue').ComputedRef<number>,
- *   idleCount:    import('vue').ComputedRef<number>,
- *   avgSpeed:     import('vue').ComputedRef<number>,
- *   init:         () => Promise<void>,
- *   refresh:      () => Promise<void>,
+ *   groups:        import('vue').Ref<import('../api/models.js').Group[]>,
+ *   selectedGroup: import('vue').Ref<string>,
+ *   groupCodes:    import('vue').ComputedRef<string[]>,
+ *   vehicles:      import('vue').Ref<import('../api/models.js').Vehicle[]>,
+ *   loading:       import('vue').Ref<boolean>,
+ *   lastRefresh:   import('vue').Ref<number | null>,
+ *   refreshInterval: import('vue').Ref<number>,
+ *   pushUpdates:   import('vue').Ref<boolean>,
+ *   liveStatus:    import('vue').Ref<'off' | 'polling' | 'push' | 'paused'>,
+ *   changed:       import('vue').Ref<Record<string, 'status' | 'moved'>>,
+ *   movingCount:   import('vue').ComputedRef<number>,
+ *   idleCount:     import('vue').ComputedRef<number>,
+ *   avgSpeed:      import('vue').ComputedRef<number>,
+ *   init:          (preferred?: string | null) => Promise<void>,
+ *   refresh:       (options?: { showLoading?: boolean }) => Promise<void>,
+ *   selectGroup:   (code: string) => Promise<void>,
  * }}
  */
 export function useFleet() {
@@ -29,30 +65,68 @@ export function useFleet() {
   // State
   // ---------------------------------------------------------------------------
 
-  /** Code of the currently active vehicle group. */
-  const groupCode = ref('')
+  /** Every group the authenticated user has access to. */
+  const groups = ref([])
+
+  /** Selected group code, or `ALL_GROUPS` for the combined view. */
+  const selectedGroup = ref('')
 
-  /** Full vehicle list returned by the API for `groupCode`. */
+  /** Merged vehicle list for the selected group(s). */
   const vehicles = ref([])
 
-  /** True while a network request is in flight. */
+  /** True while the first list of a selection is being fetched. */
   const loading = ref(false)
 
-  /** Human-readable time of the most recent successful refresh. */
-  const lastRefresh = ref('')
+  /** Time of the most recent successful refresh (Unix ms), or null. */
+  const lastRefresh = ref(null)
+
+  /** Polling interval in seconds; 0 disables live updates. */
+  const refreshInterval = ref(Number(localStorage.getItem(INTERVAL_KEY) ?? DEFAULT_INTERVAL))
+
+  /** Receive pushed diffs over SSE instead of polling. */
+  const pushUpdates = ref(localStorage.getItem(PUSH_KEY) === 'true')
+
+  /** What live mode is currently doing (shown next to the controls). */
+  const liveStatus = ref('off')
+
+  /** Codes of vehicles changed in the latest sync → kind of change. */
+  const changed = ref({})
+
+  /** Latest vehicle list per group code – push diffs are applied to these. */
+  const byGroup = new Map()
+
+  /** Incremented per refresh, so a slower earlier refresh cannot overwrite a newer one. */
+  let generation = 0
+
+  /** Interval id of the polling timer. */
+  let pollTimer = null
+
+  /** Unsubscribe functions of the open SSE streams. */
+  let streams = []
+
+  // ---------------------------------------------------------------------------
+  // Derived selection
+  // ---------------------------------------------------------------------------
+
+  /** Codes of the groups whose vehicles are currently loaded. */
+  const groupCodes = computed(() =>
+    selectedGroup.value === ALL_GROUPS
+      ? groups.value.map((g) => g.code)
+      : selectedGroup.value ? [selectedGroup.value] : [],
+  )
 
   // ---------------------------------------------------------------------------
   // Derived statistics (computed from the vehicle list)
   // ---------------------------------------------------------------------------
 
-  /** Number of vehicles currently moving (Speed > 0). */
+  /** Number of vehicles currently moving (speed > 0). */
   const movingCount = computed(() =>
-    vehicles.value.filter((v) => v.Speed > 0).length,
+    vehicles.value.filter((v) => v.speed > 0).length,
   )
 
-  /** Number of vehicles at a standstill (Speed === 0). */
+  /** Number of vehicles at a standstill (speed 0). */
   const idleCount = computed(() =>
-    vehicles.value.filter((v) => v.Speed === 0).length,
+    vehicles.value.filter((v) => v.speed === 0).length,
   )
 
   /**
@@ -60,9 +134,9 @@ export function useFleet() {
    * Returns 0 when no vehicle is moving.
    */
   const avgSpeed = computed(() => {
-    const moving = vehicles.value.filter((v) => v.Speed > 0)
+    const moving = vehicles.value.filter((v) => v.speed > 0)
     if (!moving.length) return 0
-    return Math.round(moving.reduce((sum, v) => sum + v.Speed, 0) / moving.length)
+    return Math.round(moving.reduce((sum, v) => sum + v.speed, 0) / moving.length)
   })
 
   // ---------------------------------------------------------------------------
@@ -70,30 +144,216 @@ export function useFleet() {
   // ---------------------------------------------------------------------------
 
   /**
-   * Bootstraps the fleet: fetches groups from the API and loads vehicles for
-   * the first group. Should be called once from `onMounted`.
+   * Bootstraps the fleet: fetches groups from the API, selects the preferred
+   * group (e.g. from a link) or restores the persisted selection – whichever
+   * still exists first – and loads its vehicles. Should be called once from
+   * `onMounted`.
+   *
+   * @param {string | null} [preferred] - Group code or `ALL_GROUPS`.
    */
-  async function init() {
-    const groups = await getGroups()
-    if (groups.length) {
-      groupCode.value = groups[0].Code
-      await refresh()
-    }
+  async function init(preferred = null) {
+    groups.value = await getGroups()
+    if (!groups.value.length) return
+
+    const exists = (code) => code === ALL_GROUPS || groups.value.some((g) => g.code === code)
+    const initial = [preferred, localStorage.getItem(STORAGE_KEY)].find(exists)
+    selectedGroup.value = initial ?? groups.value[0].code
+    await refresh({ showLoading: true })
   }
 
   /**
-   * Re-fetches the vehicle list for `groupCode` and updates `lastRefresh`.
-   * Sets `loading` to true for the duration of the request.
+   * Switches the selection to another group (or `ALL_GROUPS`), persists it and
+   * reloads the vehicle list.
+   *
+   * @param {string} code - Group code or `ALL_GROUPS`.
    */
-  async function refresh() {
-    loading.value = true
+  async function selectGroup(code) {
+    selectedGroup.value = code
+    localStorage.setItem(STORAGE_KEY, code)
+    await refresh({ showLoading: true })
+  }
+
+  /**
+   * Re-fetches the vehicle lists of all selected groups in parallel and
+   * updates `lastRefresh`. Only the latest of overlapping refreshes (a poll
+   * tick and a group switch, say) is applied.
+   *
+   * @param {{ showLoading?: boolean }} [options] - Set `loading` for the
+   *   duration; for a new selection, not for the periodic polls.
+   */
+  async function refresh({ showLoading = false } = {}) {
+    const gen = ++generation
+    if (showLoading) loading.value = true
     try {
-      vehicles.value = await getVehicles(groupCode.value)
-      lastRefresh.value = new Date().toLocaleTimeString('cs-CZ')
+      const codes = groupCodes.value
+      const lists = await Promise.all(codes.map((code) => getVehicles(code)))
+      if (gen !== generation) return
+
+      byGroup.clear()
+      codes.forEach((code, i) => byGroup.set(code, lists[i] || []))
+      publish()
+    } catch (err) {
+      if (gen === generation) throw err // a superseded refresh fails quietly
     } finally {
-      loading.value = false
+      if (gen === generation) loading.value = false
     }
   }
 
-  return { groupCode, vehicles, loading, lastRefresh, movingCount, idleCount, avgSpeed, init, refresh }
+  // ---------------------------------------------------------------------------
+  // Live updates
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Merges `byGroup` into `vehicles` (a vehicle listed in several groups is
+   * kept once, under the first), records what changed since the previous
+   * list and updates `lastRefresh`.
+   */
+  function publish() {
+    const seen = new Set()
+    const merged = []
+    for (const code of groupCodes.value) {
+      const group = groups.value.find((g) => g.code === code)
+      for (const v of byGroup.get(code) || []) {
+        if (seen.has(v.code)) continue
+        seen.add(v.code)
+        merged.push({ ...v, groupCode: code, groupName: group?.name ?? code })
+      }
+    }
+
+    markChanges(vehicles.value, merged)
+    vehicles.value = merged
+    lastRefresh.value = Date.now()
+  }
+
+  /**
+   * Compares two vehicle lists and flags vehicles that switched between
+   * moving and idle (`'status'`) or reported a new position (`'moved'`).
+   * Each flag is cleared again after `HIGHLIGHT_MS`.
+   *
+   * @param {import('../api/models.js').Vehicle[]} prev
+   * @param {import('../api/models.js').Vehicle[]} next
+   */
+  function markChanges(prev, next) {
+    const before = new Map(prev.map((v) => [v.code, v]))
+    const flagged = {}
+
+    for (const v of next) {
+      const old = before.get(v.code)
+      if (!old) continue
+      if ((old.speed > 0) !== (v.speed > 0)) {
+        flagged[v.code] = 'status'
+      } else if (old.position?.lat !== v.position?.lat || old.position?.lng !== v.position?.lng) {
+        flagged[v.code] = 'moved'
+      }
+    }
+
+    const codes = Object.keys(flagged)
+    if (!codes.length) return
+
+    changed.value = { ...changed.value, ...flagged }
+    setTimeout(() => {
+      const rest = { ...changed.value }
+      codes.forEach((code) => { if (rest[code] === flagged[code]) delete rest[code] })
+      changed.value = rest
+    }, HIGHLIGHT_MS)
+  }
+
+  /**
+   * Applies a pushed diff to one group's list.
+   *
+   * @param {string} code - Group code the stream belongs to.
+   * @param {{ updated: import('../api/models.js').Vehicle[], removed: string[] }} diff
+   */
+  function applyDiff(code, { updated, removed }) {
+    const list = new Map((byGroup.get(code) || []).map((v) => [v.code, v]))
+    removed.forEach((c) => list.delete(c))
+    updated.forEach((v) => list.set(v.code, v))
+    byGroup.set(code, [...list.values()])
+    publish()
+  }
+
+  /** Stops polling and closes every SSE stream. */
+  function stopLive() {
+    clearInterval(pollTimer)
+    pollTimer = null
+    streams.forEach((close) => close())
+    streams = []
+  }
+
+  /** Starts the polling timer (no-op when the interval is 0). */
+  function startPolling() {
+    if (!refreshInterval.value) {
+      liveStatus.value = 'off'
+      return
+    }
+    pollTimer = setInterval(() => refresh().catch((err) => reportError('useFleet', t('errors.poll'), err)), refreshInterval.value * 1000)
+    liveStatus.value = 'polling'
+  }
+
+  /**
+   * (Re)starts live mode according to the current settings. Opens one SSE
+   * stream per selected group when push is enabled; if any stream fails, all
+   * are closed and polling takes over.
+   */
+  function startLive() {
+    stopLive()
+
+    if (document.hidden) {
+      liveStatus.value = 'paused'
+      return
+    }
+    if (!pushUpdates.value) {
+      startPolling()
+      return
+    }
+
+    liveStatus.value = 'push'
+    streams = groupCodes.value.map((code) =>
+      subscribeVehicles(code, {
+        onSnapshot: (list) => { byGroup.set(code, list); publish() },
+        onDiff:     (diff) => applyDiff(code, diff),
+        onError:    (err) => {
+          console.warn('[useFleet] live stream failed, falling back to polling:', err)
+          notify(t('errors.liveLost'), 'warning')
+          stopLive()
+          startPolling()
+        },
+      }),
+    )
+  }
+
+  /** Pauses live mode while the tab is hidden and catches up when it returns. */
+  function onVisibilityChange() {
+    if (document.hidden) {
+      stopLive()
+      liveStatus.value = 'paused'
+    } else if (groupCodes.value.length) {
+      refresh().catch((err) => reportError('useFleet', t('errors.poll'), err))
+      startLive()
+    }
+  }
+
+  document.addEventListener('visibilitychange', onVisibilityChange)
+
+  onUnmounted(() => {
+    stopLive()
+    document.removeEventListener('visibilitychange', onVisibilityChange)
+  })
+
+  // Persist the live settings and apply them immediately
+  watch([refreshInterval, pushUpdates], ([interval, push]) => {
+    localStorage.setItem(INTERVAL_KEY, String(interval))
+    localStorage.setItem(PUSH_KEY, String(push))
+    if (groupCodes.value.length) startLive()
+  })
+
+  // Streams are per group, so a new selection needs new streams
+  watch(groupCodes, (codes) => { if (codes.length) startLive() })
+
+  return {
+    groups, selectedGroup, groupCodes, vehicles, loading, lastRefresh,
+    refreshInterval, pushUpdates, liveStatus, changed,
+    movingCount, idleCount, avgSpeed,
+    init, refresh, selectGroup,
+  }
 }
@@ -0,0 +1,96 @@
+/**
+ * @file useFleetLoader.js
+ * @description Composable shared by the views that fetch data of every
+ * vehicle of the group (leaderboard, analytics, comparison, eco hotspots,
+ * reports).
+ *
+ * Vehicles are fetched with bounded concurrency and progress is exposed for
+ * the view. A vehicle whose fetch fails is logged and replaced by its
+ * fallback result, so one failing vehicle never fails the whole load. Only
+ * the latest load counts: starting a new one or calling `cancel()` aborts
+ * the one in flight – `fetchOne` gets its signal to pass on to the requests,
+ * and the vehicles not yet started are skipped – and it resolves to null.
+ */
+
+import { ref } from 'vue'
+import { mapLimit } from '../utils/concurrency.js'
+import { isAbortError } from '../api/request.js'
+
+/**
+ * @param {string} name - Caller's name, used in the warnings.
+ * @param {{ concurrency?: number }} [options] - Parallel vehicles fetched (default 4).
+ * @returns {{
+ *   loading:  import('vue').Ref<boolean>,
+ *   progress: import('vue').Ref<{ done: number, total: number } | null>,
+ *   load:     <R>(vehicles: object[], fetchOne: (vehicle: object, index: number, signal: AbortSignal) => Promise<R>, fallback: (vehicle: object, index: number, error: unknown) => R) => Promise<Array<R & { failed: boolean }> | null>,
+ *   cancel:   () => void,
+ * }}
+ */
+export function useFleetLoader(name, { concurrency = 4 } = {}) {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** True while vehicles are being fetched. */
+  const loading = ref(false)
+
+  /** Vehicles fetched so far, or null. */
+  const progress = ref(null)
+
+  /** Aborts the load in flight, or null. */
+  let controller = null
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches every vehicle with `fetchOne`, falling back to `fallback` for a
+   * vehicle whose fetch throws. Each result is marked `failed` accordingly.
+   *
+   * @param {object[]} vehicles
+   * @param {(vehicle: object, index: number, signal: AbortSignal) => Promise<object>} fetchOne
+   * @param {(vehicle: object, index: number, error: unknown) => object} fallback - Gets the fetch's error.
+   * @returns {Promise<object[] | null>} Results in vehicle order, or null when aborted.
+   */
+  async function load(vehicles, fetchOne, fallback) {
+    controller?.abort()
+    const own = new AbortController()
+    const { signal } = own
+    controller = own
+    loading.value = true
+    progress.value = { done: 0, total: vehicles.length }
+
+    try {
+      const results = await mapLimit(vehicles, concurrency, async (vehicle, i) => {
+        if (signal.aborted) return null
+        try {
+          return { ...(await fetchOne(vehicle, i, signal)), failed: false }
+        } catch (err) {
+          if (signal.aborted && isAbortError(err)) return null
+          console.warn(`[${name}] loading ${vehicle.code} failed:`, err)
+          return { ...fallback(vehicle, i, err), failed: true }
+        }
+      }, (done, total) => {
+        if (!signal.aborted) progress.value = { done, total }
+      })
+      return signal.aborted ? null : results
+    } finally {
+      if (controller === own) {
+        controller = null
+        loading.value = false
+        progress.value = null
+      }
+    }
+  }
+
+  /** Aborts the load in flight; it will resolve to null. */
+  function cancel() {
+    controller?.abort()
+    controller = null
+    loading.value = false
+    progress.value = null
+  }
+
+  return { loading, progress, load, cancel }
+}
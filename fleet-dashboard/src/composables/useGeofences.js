@@ -0,0 +1,288 @@
+/**
+ * @file useGeofences.js
+ * @description Composable that manages geofences (depots, customer sites,
+ * restricted zones) and detects when vehicles enter or leave them.
+ *
+ * Zones are plain objects stored in `localStorage` and can be exchanged as
+ * GeoJSON. Polygons map to `Polygon` features; circles map to `Point` features
+ * with a `radius` property (metres), the usual convention since GeoJSON has
+ * no circle geometry.
+ *
+ * Two kinds of zone activity are derived:
+ *   • live transitions – `checkFleet()` compares each refresh's
+ *     last position against the previous one and logs enter / exit events;
+ *   • visits from history – `visitsFromHistory()` walks a position history
+ *     and returns every stay in a zone with its duration.
+ */
+
+import { ref, watch } from 'vue'
+import { distance, pointInPolygon } from '../utils/geo.js'
+import { t } from '../i18n/index.js'
+
+/** `localStorage` key holding the zone list. */
+const STORAGE_KEY = 'fleet.geofences'
+
+/** Maximum number of live enter/exit events kept in memory. */
+const MAX_EVENTS = 200
+
+/** Zone categories → map colour. Labels are under `zones.categories`. */
+export const ZONE_CATEGORIES = {
+  depot:      { color: '#4fc3f7' },
+  customer:   { color: '#3dd68c' },
+  restricted: { color: '#ff4757' },
+}
+
+/**
+ * @typedef {object} Zone
+ * @property {string} id
+ * @property {string} name
+ * @property {'depot' | 'customer' | 'restricted'} category
+ * @property {'polygon' | 'circle'} shape
+ * @property {Array<[number, number]>} [points] - Polygon vertices (`[lat, lng]`).
+ * @property {[number, number]} [center]        - Circle centre (`[lat, lng]`).
+ * @property {number} [radius]                  - Circle radius in metres.
+ */
+
+/**
+ * Reads the stored zones, tolerating missing or corrupted entries.
+ *
+ * @returns {Zone[]}
+ */
+function loadZones() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+/** Generates a short unique zone id. */
+const newId = () => `z${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+
+/**
+ * True when the point lies inside the zone.
+ *
+ * @param {Zone} zone
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {boolean}
+ */
+export function zoneContains(zone, lat, lng) {
+  if (zone.shape === 'circle') {
+    return distance(lat, lng, zone.center[0], zone.center[1]) <= zone.radius
+  }
+  return pointInPolygon(lat, lng, zone.points)
+}
+
+/**
+ * @returns {{
+ *   zones:             import('vue').Ref<Zone[]>,
+ *   zoneEvents:        import('vue').Ref<Array<object>>,
+ *   addZone:           (geometry: Partial<Zone>) => Zone,
+ *   updateZone:        (id: string, patch: Partial<Zone>) => void,
+ *   removeZone:        (id: string) => void,
+ *   exportGeoJSON:     () => string,
+ *   importGeoJSON:     (text: string) => number,
+ *   checkFleet:        (vehicles: Array<object>) => Array<object>,
+ *   visitsFromHistory: (positions: Array<object> | undefined) => Array<object>,
+ * }}
+ */
+export function useGeofences() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** All zones, persisted to `localStorage` on every change. */
+  const zones = ref(loadZones())
+
+  /** Live enter/exit events, newest first. */
+  const zoneEvents = ref([])
+
+  /**
+   * Zone ids each vehicle was inside at the previous `checkFleet()` call.
+   * Vehicles not in the map have no baseline yet, so they produce no events.
+   *
+   * @type {Map<string, Set<string>>}
+   */
+  const insideByVehicle = new Map()
+
+  watch(zones, (list) => localStorage.setItem(STORAGE_KEY, JSON.stringify(list)), { deep: true })
+
+  // ---------------------------------------------------------------------------
+  // Zone management
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Adds a zone from a drawn geometry, with a default name and category.
+   *
+   * @param {Partial<Zone>} geometry - `shape` plus `points` or `center`/`radius`.
+   * @returns {Zone}
+   */
+  function addZone(geometry) {
+    const zone = {
+      id:       newId(),
+      name:     t('zones.defaultName', { n: zones.value.length + 1 }),
+      category: 'customer',
+      ...geometry,
+    }
+    zones.value = [...zones.value, zone]
+    return zone
+  }
+
+  /**
+   * Updates name, category or geometry of a zone.
+   *
+   * @param {string} id
+   * @param {Partial<Zone>} patch
+   */
+  function updateZone(id, patch) {
+    zones.value = zones.value.map((z) => (z.id === id ? { ...z, ...patch } : z))
+  }
+
+  /** @param {string} id */
+  function removeZone(id) {
+    zones.value = zones.value.filter((z) => z.id !== id)
+    insideByVehicle.forEach((set) => set.delete(id))
+  }
+
+  // ---------------------------------------------------------------------------
+  // GeoJSON import / export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Serialises all zones as a GeoJSON FeatureCollection.
+   *
+   * @returns {string}
+   */
+  function exportGeoJSON() {
+    const features = zones.value.map((z) => ({
+      type: 'Feature',
+      properties: {
+        name:     z.name,
+        category: z.category,
+        ...(z.shape === 'circle' ? { radius: z.radius } : {}),
+      },
+      geometry: z.shape === 'circle'
+        ? { type: 'Point', coordinates: [z.center[1], z.center[0]] }
+        : { type: 'Polygon', coordinates: [[...z.points, z.points[0]].map(([lat, lng]) => [lng, lat])] },
+    }))
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2)
+  }
+
+  /**
+   * Adds the zones of a GeoJSON FeatureCollection (or single Feature).
+   * Supports `Polygon` (outer ring only) and `Point` with a `radius` property;
+   * other geometries are skipped.
+   *
+   * @param {string} text - GeoJSON document.
+   * @returns {number} Number of zones imported.
+   * @throws {Error} When the text is not valid JSON.
+   */
+  function importGeoJSON(text) {
+    const doc = JSON.parse(text)
+    const features = doc.type === 'FeatureCollection' ? doc.features : [doc]
+    const imported = []
+
+    for (const f of features || []) {
+      const geom = f?.geometry
+      const props = f?.properties ?? {}
+      const base = {
+        id:       newId(),
+        name:     props.name || t('zones.defaultName', { n: zones.value.length + imported.length + 1 }),
+        category: ZONE_CATEGORIES[props.category] ? props.category : 'customer',
+      }
+
+      if (geom?.type === 'Polygon' && geom.coordinates?.[0]?.length >= 4) {
+        const ring = geom.coordinates[0].slice(0, -1) // GeoJSON rings repeat the first vertex
+        imported.push({ ...base, shape: 'polygon', points: ring.map(([lng, lat]) => [lat, lng]) })
+      } else if (geom?.type === 'Point' && props.radius > 0) {
+        const [lng, lat] = geom.coordinates
+        imported.push({ ...base, shape: 'circle', center: [lat, lng], radius: Number(props.radius) })
+      }
+    }
+
+    zones.value = [...zones.value, ...imported]
+    return imported.length
+  }
+
+  // ---------------------------------------------------------------------------
+  // Activity detection
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Compares every vehicle's last position with the zones it was in at the
+   * previous call and logs enter / exit transitions. The first call for a
+   * vehicle only records its baseline.
+   *
+   * @param {import('../api/models.js').Vehicle[]} vehicles
+   * @returns {Array<object>} Events produced by this call.
+   */
+  function checkFleet(vehicles) {
+    const events = []
+
+    for (const v of vehicles) {
+      if (!v.position) continue
+      const { lat, lng } = v.position
+
+      const now = new Set(zones.value.filter((z) => zoneContains(z, lat, lng)).map((z) => z.id))
+      const before = insideByVehicle.get(v.code)
+      insideByVehicle.set(v.code, now)
+      if (!before) continue
+
+      const time = v.lastSeen ?? Date.now()
+      const log = (zoneId, type) => {
+        const zone = zones.value.find((z) => z.id === zoneId)
+        if (zone) events.push({ type, time, vehicleCode: v.code, vehicleName: v.name, zoneId, zoneName: zone.name })
+      }
+      now.forEach((id) => { if (!before.has(id)) log(id, 'enter') })
+      before.forEach((id) => { if (!now.has(id)) log(id, 'exit') })
+    }
+
+    if (events.length) zoneEvents.value = [...events, ...zoneEvents.value].slice(0, MAX_EVENTS)
+    return events
+  }
+
+  /**
+   * Splits a history track into zone visits. A visit opens at the first
+   * position inside a zone and closes at the first position outside it (or
+   * at the last position of the track).
+   *
+   * @param {import('../api/models.js').Position[] | undefined} positions
+   * @returns {Array<{ zoneId: string, zoneName: string, category: string, enter: number, exit: number, duration: number }>}
+   *   Visits sorted by entry time.
+   */
+  function visitsFromHistory(positions) {
+    const visits = []
+    const open = new Map() // zoneId → entry time
+    let lastTime = 0
+
+    for (const { lat, lng, time } of positions || []) {
+      lastTime = time
+
+      for (const z of zones.value) {
+        const inside = zoneContains(z, lat, lng)
+        if (inside && !open.has(z.id)) open.set(z.id, time)
+        if (!inside && open.has(z.id)) {
+          visits.push(makeVisit(z, open.get(z.id), time))
+          open.delete(z.id)
+        }
+      }
+    }
+
+    open.forEach((enter, id) => visits.push(makeVisit(zones.value.find((z) => z.id === id), enter, lastTime)))
+    return visits.sort((a, b) => a.enter - b.enter)
+  }
+
+  /** Builds a visit record. */
+  function makeVisit(zone, enter, exit) {
+    return { zoneId: zone.id, zoneName: zone.name, category: zone.category, enter, exit, duration: exit - enter }
+  }
+
+  return {
+    zones, zoneEvents,
+    addZone, updateZone, removeZone,
+    exportGeoJSON, importGeoJSON,
+    checkFleet, visitsFromHistory,
+  }
+}
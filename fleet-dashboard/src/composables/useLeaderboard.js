@@ -0,0 +1,99 @@
+/**
+ * @file useLeaderboard.js
+ * @description Composable that ranks every vehicle of the group by eco score
+ * (see `utils/ecoScore.js`) for a date range and compares each score with
+ * the previous period of the same length.
+ *
+ * Each vehicle needs four requests (trips + eco events for both periods);
+ * vehicles are fetched through `useFleetLoader`. A vehicle whose requests
+ * fail stays in the list without a score.
+ */
+
+import { ref } from 'vue'
+import { getTrips, getEcoDriving } from '../api/gpsdozor.js'
+import { previousPeriod } from '../utils/time.js'
+import { ecoScore } from '../utils/ecoScore.js'
+import { useFleetLoader } from './useFleetLoader.js'
+
+/**
+ * @typedef {object} LeaderboardRow
+ * @property {object} vehicle
+ * @property {import('../utils/ecoScore.js').EcoScore} current
+ * @property {import('../utils/ecoScore.js').EcoScore | null} previous
+ * @property {number | null} trend - Score change against the previous period.
+ * @property {boolean} failed
+ */
+
+/**
+ * @returns {{
+ *   rows:     import('vue').Ref<LeaderboardRow[]>,
+ *   loading:  import('vue').Ref<boolean>,
+ *   progress: import('vue').Ref<{ done: number, total: number } | null>,
+ *   period:   import('vue').Ref<{ from: string, to: string, prevFrom: string, prevTo: string } | null>,
+ *   load:     (vehicles: object[], fromDate: string, toDate: string) => Promise<void>,
+ * }}
+ */
+export function useLeaderboard() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Ranked vehicles, best score first; vehicles without a score last. */
+  const rows = ref([])
+
+  /** Date ranges of the loaded ranking. */
+  const period = ref(null)
+
+  const fleet = useFleetLoader('useLeaderboard')
+  const { loading, progress } = fleet
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Scores one vehicle for one period.
+   *
+   * @param {string} code
+   * @param {string} from - `YYYY-MM-DD`
+   * @param {string} to   - `YYYY-MM-DD`
+   * @param {AbortSignal} signal
+   * @returns {Promise<import('../utils/ecoScore.js').EcoScore>}
+   */
+  async function scorePeriod(code, from, to, signal) {
+    const [trips, events] = await Promise.all([
+      getTrips(code, `${from}T00:00`, `${to}T23:59`, { signal }),
+      getEcoDriving(code, `${from}T00:00`, `${to}T23:59`, { signal }),
+    ])
+    return ecoScore(events, trips)
+  }
+
+  /**
+   * Fetches and ranks the given vehicles for `fromDate`–`toDate`.
+   *
+   * @param {object[]} vehicles
+   * @param {string} fromDate - `YYYY-MM-DD`
+   * @param {string} toDate   - `YYYY-MM-DD`
+   */
+  async function load(vehicles, fromDate, toDate) {
+    const prev = previousPeriod(fromDate, toDate)
+    rows.value = []
+    period.value = { from: fromDate, to: toDate, prevFrom: prev.from, prevTo: prev.to }
+
+    const results = await fleet.load(vehicles, async (vehicle, i, signal) => {
+      const [current, previous] = await Promise.all([
+        scorePeriod(vehicle.code, fromDate, toDate, signal),
+        scorePeriod(vehicle.code, prev.from, prev.to, signal),
+      ])
+      const trend = current.score != null && previous.score != null ? current.score - previous.score : null
+      return { vehicle, current, previous, trend }
+    }, (vehicle) => ({ vehicle, current: ecoScore([], []), previous: null, trend: null }))
+
+    if (!results) return
+    rows.value = results.sort((a, b) =>
+      (b.current.score ?? -1) - (a.current.score ?? -1) || b.current.distance - a.current.distance,
+    )
+  }
+
+  return { rows, loading, progress, period, load }
+}
@@ -0,0 +1,204 @@
+/**
+ * @file useMaintenance.js
+ * @description Composable behind the maintenance scheduler: per-vehicle
+ * service plans (`utils/maintenance.js`) tracked against the live odometer
+ * and the calendar.
+ *
+ * Plans are stored in `localStorage` by vehicle code, so they survive group
+ * switches; only the plans of vehicles in the current list are evaluated.
+ * They can be exchanged as a JSON file – an import adds new plans and
+ * replaces those with the same id, so a backup can be restored repeatedly.
+ */
+
+import { ref, computed, watch } from 'vue'
+import {
+  SERVICE_TYPES, newPlanId, planStatus, byUrgency, completePlan as completed, normalisePlan,
+} from '../utils/maintenance.js'
+import { toDay } from '../utils/time.js'
+import { t, formatDistance } from '../i18n/index.js'
+
+/** `localStorage` key holding the plans. */
+const STORAGE_KEY = 'fleet.maintenance'
+
+/** `format` marker of an exported file. */
+const EXPORT_FORMAT = 'fleet-maintenance'
+
+/**
+ * Distance to go, or past due, of a plan.
+ *
+ * @param {number} km - `kmLeft` of a plan status.
+ * @returns {string}
+ */
+export const kmLeftText = (km) =>
+  km >= 0 ? t('maintenance.left', { value: formatDistance(km, 0) }) : t('maintenance.over', { value: formatDistance(-km, 0) })
+
+/**
+ * Days to go, or past due, of a plan.
+ *
+ * @param {number} days - `daysLeft` of a plan status.
+ * @returns {string}
+ */
+export const daysLeftText = (days) =>
+  days >= 0 ? t('maintenance.daysLeft', { count: days }) : t('maintenance.daysOver', { count: -days })
+
+/**
+ * @typedef {import('../utils/maintenance.js').PlanStatus & {
+ *   plan:    import('../utils/maintenance.js').ServicePlan,
+ *   vehicle: import('../api/models.js').Vehicle,
+ * }} MaintenanceItem
+ */
+
+/**
+ * Reads the stored plans, dropping corrupted entries.
+ *
+ * @returns {import('../utils/maintenance.js').ServicePlan[]}
+ */
+function loadPlans() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(list) ? list.map(normalisePlan).filter(Boolean) : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * @param {import('vue').Ref<import('../api/models.js').Vehicle[]>} vehicles - Live vehicle list.
+ * @returns {{
+ *   plans:        import('vue').Ref<import('../utils/maintenance.js').ServicePlan[]>,
+ *   items:        import('vue').ComputedRef<MaintenanceItem[]>,
+ *   badges:       import('vue').ComputedRef<Object<string, { overdue: number, soon: number }>>,
+ *   addPlan:      (vehicle: import('../api/models.js').Vehicle, type: string) => void,
+ *   updatePlan:   (id: string, patch: object) => void,
+ *   removePlan:   (id: string) => void,
+ *   completePlan: (id: string) => void,
+ *   exportJSON:   () => string,
+ *   importJSON:   (text: string) => number,
+ * }}
+ */
+export function useMaintenance(vehicles) {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** All plans, persisted to `localStorage` on every change. */
+  const plans = ref(loadPlans())
+
+  watch(plans, (list) => localStorage.setItem(STORAGE_KEY, JSON.stringify(list)), { deep: true })
+
+  // ---------------------------------------------------------------------------
+  // Derived state
+  // ---------------------------------------------------------------------------
+
+  /** Plans of the listed vehicles with their status, most urgent first. */
+  const items = computed(() => {
+    const byCode = new Map(vehicles.value.map((v) => [v.code, v]))
+    const list = []
+    for (const plan of plans.value) {
+      const vehicle = byCode.get(plan.vehicleCode)
+      if (vehicle) list.push({ plan, vehicle, ...planStatus(plan, vehicle.odometer) })
+    }
+    return byUrgency(list)
+  })
+
+  /** Overdue / due-soon counts per vehicle code; vehicles with neither are left out. */
+  const badges = computed(() => {
+    const map = {}
+    for (const { vehicle, status } of items.value) {
+      if (status !== 'overdue' && status !== 'soon') continue
+      map[vehicle.code] ??= { overdue: 0, soon: 0 }
+      map[vehicle.code][status]++
+    }
+    return map
+  })
+
+  // ---------------------------------------------------------------------------
+  // Plan management
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Adds a plan with the type's default intervals, counting from the
+   * vehicle's current odometer and today until a real last service is entered.
+   *
+   * @param {import('../api/models.js').Vehicle} vehicle
+   * @param {keyof SERVICE_TYPES} type
+   */
+  function addPlan(vehicle, type) {
+    const plan = {
+      id:          newPlanId(),
+      vehicleCode: vehicle.code,
+      type,
+      note:        '',
+      ...SERVICE_TYPES[type],
+      lastKm:      vehicle.odometer != null ? Math.round(vehicle.odometer) : null,
+      lastDate:    toDay(Date.now()),
+      nextDate:    null,
+    }
+    plans.value = [...plans.value, plan]
+  }
+
+  /**
+   * Updates intervals, last service or note of a plan.
+   *
+   * @param {string} id
+   * @param {object} patch
+   */
+  function updatePlan(id, patch) {
+    plans.value = plans.value.map((p) => (p.id === id ? normalisePlan({ ...p, ...patch }) : p))
+  }
+
+  /** @param {string} id */
+  function removePlan(id) {
+    plans.value = plans.value.filter((p) => p.id !== id)
+  }
+
+  /**
+   * Records the plan's service as done today at the vehicle's odometer.
+   *
+   * @param {string} id
+   */
+  function completePlan(id) {
+    plans.value = plans.value.map((p) => {
+      if (p.id !== id) return p
+      const odometer = vehicles.value.find((v) => v.code === p.vehicleCode)?.odometer
+      return completed(p, odometer != null ? Math.round(odometer) : null)
+    })
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import / export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Serialises all plans (every group's).
+   *
+   * @returns {string}
+   */
+  function exportJSON() {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: 1, plans: plans.value }, null, 2)
+  }
+
+  /**
+   * Adds the plans of an exported file (or a bare plan array); plans whose id
+   * already exists are replaced. Entries without a vehicle code are skipped.
+   *
+   * @param {string} text
+   * @returns {number} Number of plans imported.
+   * @throws {Error} When the text is not valid JSON.
+   */
+  function importJSON(text) {
+    const doc = JSON.parse(text)
+    const list = Array.isArray(doc) ? doc : doc?.plans
+    const imported = (Array.isArray(list) ? list : []).map(normalisePlan).filter(Boolean)
+
+    const ids = new Set(imported.map((p) => p.id))
+    plans.value = [...plans.value.filter((p) => !ids.has(p.id)), ...imported]
+    return imported.length
+  }
+
+  return {
+    plans, items, badges,
+    addPlan, updatePlan, removePlan, completePlan,
+    exportJSON, importJSON,
+  }
+}
@@ -2,7 +2,17 @@
  * @file useMap.js
  * @description Composable that owns the Leaflet map instance and exposes
  * high-level helpers for rendering vehicle markers, route history polylines,
- * and trip start/end pins.
+ * the driven path of a trip, the history playback marker, geofence shapes
+ * (drawn and edited with leaflet-draw), detected stops, imported GPX /
+ * GeoJSON overlays, the tracks of compared vehicles with their legend, the
+ * place picked in the address search, the selected vehicle's eco events,
+ * the fleet's eco event hotspots and the dispatch job with lines to its
+ * nearest vehicles.
+ *
+ * Built for large fleets: live markers are clustered at low zoom and synced
+ * incrementally by vehicle code, and history tracks are drawn as one canvas
+ * polyline per speed band, which Leaflet simplifies to the current zoom
+ * level (`smoothFactor`) on every redraw.
  *
  * The map is initialised in `onMounted` (so the DOM element exists) and
  * destroyed in `onUnmounted` to prevent memory leaks.
@@ -14,6 +24,36 @@
 import { onMounted, onUnmounted } from 'vue'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
+import 'leaflet-draw'
+import 'leaflet-draw/dist/leaflet.draw.css'
+import 'leaflet.markercluster'
+import 'leaflet.markercluster/dist/MarkerCluster.css'
+
+import { ZONE_CATEGORIES } from './useGeofences.js'
+import { DISPATCH_COLORS } from './useDispatch.js'
+import { ecoName, ecoIcon, sevName } from '../utils/eco.js'
+import { escapeHtml } from '../utils/print.js'
+import { t, formatSpeed, formatDateTime, formatDuration } from '../i18n/index.js'
+
+/** Zoom level from which vehicles are never clustered. */
+const CLUSTER_MAX_ZOOM = 14
+
+/**
+ * Most visible markers animated per refresh; with more changes at once the
+ * markers jump, since every animation frame re-clusters the marker.
+ */
+const ANIMATE_LIMIT = 50
+
+/** Track simplification tolerance in screen pixels (Leaflet `smoothFactor`). */
+const TRACK_SMOOTHING = 1.5
+
+/**
+ * Track colour for a speed: green ≤ 60 km/h, amber ≤ 90 km/h, red above.
+ *
+ * @param {number} speed - km/h
+ * @returns {string}
+ */
+const speedColor = (speed) => (speed > 90 ? '#ff4757' : speed > 60 ? '#f5a623' : '#3dd68c')
 
 export function useMap(containerId) {
   // ---------------------------------------------------------------------------
@@ -24,12 +64,63 @@ export function useMap(containerId) {
   /** @type {L.Map | null} */
   let map = null
 
-  /** Layer group that holds live-position markers. */
+  /** Marker cluster group that holds live-position markers. */
   let markersLayer = null
 
+  /** Canvas renderer shared by long polylines (history tracks). */
+  let canvasRenderer = null
+
+  /** Live markers keyed by vehicle code, so refreshes can move them in place. */
+  const markersByCode = new Map()
+
+  /** Click callback for live markers (latest one passed to `updateMarkers`). */
+  let markerClickHandler = () => {}
+
   /** Layer group that holds route-history polylines and trip pins. */
   let historyLayer = null
 
+  /** Marker that follows the history playback clock. */
+  let playbackMarker = null
+
+  /** Feature group holding geofence shapes (also the leaflet-draw edit target). */
+  let geofenceLayer = null
+
+  /** Layer group holding detected stops of the selected vehicle. */
+  let stopsLayer = null
+
+  /** Layer group holding imported track overlays (planned routes etc.). */
+  let overlayLayer = null
+
+  /** leaflet-draw toolbar, present only while geofence editing is enabled. */
+  let drawControl = null
+
+  /** Callbacks for geofences drawn, edited or deleted on the map. */
+  let geofenceHandlers = null
+
+  /** Called with the new viewport whenever the map stops moving. */
+  let viewHandler = null
+
+  /** Legend of the comparison tracks, present while they are drawn. */
+  let legendControl = null
+
+  /** Pin of the place picked in the address search. */
+  let placeMarker = null
+
+  /** Layer group holding the selected vehicle's eco events. */
+  let ecoLayer = null
+
+  /** Eco event markers by event index (null for events without a position). */
+  let ecoMarkers = []
+
+  /** Layer group holding the fleet's eco event hotspots. */
+  let hotspotLayer = null
+
+  /** Layer group holding the dispatch job and the lines to its candidates. */
+  let dispatchLayer = null
+
+  /** Called with `(lat, lng)` on a map click while picking a location, or null. */
+  let pickHandler = null
+
   // ---------------------------------------------------------------------------
   // Lifecycle hooks
   // ---------------------------------------------------------------------------
@@ -42,14 +133,40 @@ export function useMap(containerId) {
       maxZoom: 19,
     }).addTo(map)
 
-    markersLayer = L.layerGroup().addTo(map)
+    geofenceLayer = L.featureGroup().addTo(map)
+    overlayLayer = L.layerGroup().addTo(map)
+    stopsLayer = L.layerGroup().addTo(map)
+    markersLayer = L.markerClusterGroup({
+      chunkedLoading:          true,
+      disableClusteringAtZoom: CLUSTER_MAX_ZOOM,
+      showCoverageOnHover:     false,
+      maxClusterRadius:        50,
+      iconCreateFunction:      clusterIcon,
+    }).addTo(map)
+    canvasRenderer = L.canvas({ padding: 0.5 })
+    hotspotLayer = L.layerGroup().addTo(map)
     historyLayer = L.layerGroup().addTo(map)
+    ecoLayer = L.layerGroup().addTo(map)
+    dispatchLayer = L.layerGroup().addTo(map)
+
+    // Forward leaflet-draw results as plain zone geometries
+    map.on(L.Draw.Event.CREATED, (e) => geofenceHandlers?.onCreate(layerGeometry(e.layer)))
+    map.on(L.Draw.Event.EDITED, (e) => e.layers.eachLayer((l) => geofenceHandlers?.onEdit(l.zoneId, layerGeometry(l))))
+    map.on(L.Draw.Event.DELETED, (e) => e.layers.eachLayer((l) => geofenceHandlers?.onDelete(l.zoneId)))
+
+    map.on('click', (e) => pickHandler?.(e.latlng.lat, e.latlng.lng))
+
+    map.on('moveend', () => {
+      const c = map.getCenter()
+      viewHandler?.({ lat: c.lat, lng: c.lng, zoom: map.getZoom() })
+    })
 
     // Default view: central Czechia
     map.setView([50.07, 14.43], 7)
   })
 
   onUnmounted(() => {
+    markersByCode.forEach((m) => cancelAnimationFrame(m.animation))
     if (map) map.remove()
   })
 
@@ -75,6 +192,25 @@ export function useMap(containerId) {
     })
   }
 
+  /**
+   * Icon for a cluster of vehicles: the vehicle count, with a green ring
+   * whose share shows how many of them are moving.
+   *
+   * @param {L.MarkerCluster} cluster
+   * @returns {L.DivIcon}
+   */
+  function clusterIcon(cluster) {
+    const children = cluster.getAllChildMarkers()
+    const moving = children.filter((m) => m.vehicle?.speed > 0).length
+    const share = Math.round((moving / children.length) * 360)
+    const size = children.length < 10 ? 30 : children.length < 100 ? 36 : 44
+    return L.divIcon({
+      className: 'vehicle-cluster',
+      iconSize: [size, size],
+      html: `<div style="background:conic-gradient(#3dd68c ${share}deg,#4a5568 0)"><span>${children.length}</span></div>`,
+    })
+  }
+
   /**
    * Returns a small circular `divIcon` used for route start / end pins and
    * trip pins, coloured according to `color`.
@@ -91,129 +227,681 @@ export function useMap(containerId) {
     })
   }
 
+  /**
+   * Creates the `divIcon` of an eco event: its type glyph on a disc
+   * coloured by severity (`.eco-marker.sev0`–`sev3`).
+   *
+   * @param {import('../api/models.js').EcoEvent} event
+   * @returns {L.DivIcon}
+   */
+  function ecoEventIcon(event) {
+    return L.divIcon({
+      className: `eco-marker sev${event.severity}`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11],
+      html: ecoIcon(event.type),
+    })
+  }
+
+  /**
+   * Splits positions into Leaflet coordinates and speeds.
+   *
+   * @param {import('../api/models.js').Position[] | undefined} positions
+   * @returns {{ coords: Array<[number, number]>, speeds: Array<number | null> }}
+   */
+  function splitPositions(positions) {
+    const list = positions || []
+    return { coords: list.map((p) => [p.lat, p.lng]), speeds: list.map((p) => p.speed) }
+  }
+
+  /**
+   * Converts a drawn or edited Leaflet shape into a zone geometry.
+   *
+   * @param {L.Circle | L.Polygon} layer
+   * @returns {{ shape: 'circle', center: [number, number], radius: number } | { shape: 'polygon', points: Array<[number, number]> }}
+   */
+  function layerGeometry(layer) {
+    if (layer instanceof L.Circle) {
+      const c = layer.getLatLng()
+      return { shape: 'circle', center: [c.lat, c.lng], radius: Math.round(layer.getRadius()) }
+    }
+    return { shape: 'polygon', points: layer.getLatLngs()[0].map((ll) => [ll.lat, ll.lng]) }
+  }
+
   // ---------------------------------------------------------------------------
   // Public API
   // ---------------------------------------------------------------------------
 
   /**
-   * Replaces all markers in `markersLayer` with fresh markers built from the
-   * current vehicle list. Each marker opens a popup and triggers `onVehicleClick`
-   * when clicked.
+   * Popup HTML for a live vehicle marker; name and plate are escaped.
+   *
+   * @param {import('../api/models.js').Vehicle} v
+   * @returns {string}
+   */
+  function vehiclePopup(v) {
+    return `
+        <div class="map-popup">
+          <div class="map-popup-name">${escapeHtml(v.name)}</div>
+          <div class="map-popup-sub">${escapeHtml(v.plate || t('common.noPlate'))}</div>
+          <div class="map-popup-speed">${t('map.popupSpeed')} <span>${formatSpeed(v.speed)}</span></div>
+        </div>`
+  }
+
+  /**
+   * Glides a marker from its current position to `to` with an ease-out curve
+   * instead of jumping. A new call cancels the previous animation.
    *
-   * @param {Array<object>} vehicles       - Vehicle objects from the API.
-   * @param {(v: object) => void} onVehicleClick - Callback invoked on marker click.
+   * @param {L.Marker} marker
+   * @param {[number, number]} to
+   * @param {number} [duration=1000] - Animation length in ms.
+   */
+  function animateMarker(marker, to, duration = 1000) {
+    cancelAnimationFrame(marker.animation)
+
+    const from = marker.getLatLng()
+    if (from.lat === to[0] && from.lng === to[1]) return
+
+    const start = performance.now()
+    const step = (now) => {
+      const progress = Math.min((now - start) / duration, 1)
+      const k = 1 - (1 - progress) ** 3
+      marker.setLatLng([from.lat + (to[0] - from.lat) * k, from.lng + (to[1] - from.lng) * k])
+      if (progress < 1) marker.animation = requestAnimationFrame(step)
+    }
+    marker.animation = requestAnimationFrame(step)
+  }
+
+  /** Removes every live marker (and stops their animations). */
+  function clearMarkers() {
+    markersByCode.forEach((m) => cancelAnimationFrame(m.animation))
+    markersByCode.clear()
+    markersLayer?.clearLayers()
+  }
+
+  /**
+   * Syncs the live markers with the current vehicle list, keyed by vehicle
+   * code: new vehicles get a marker, known ones move only when their
+   * position changed and restyle only when their moving/idle status flips,
+   * and vehicles that left the list are removed. Additions and removals are
+   * batched into single cluster operations.
+   *
+   * Moves are animated only for markers that are visible on screen and not
+   * inside a cluster (up to `ANIMATE_LIMIT`); everything else jumps. Popup
+   * content is rendered when a popup opens, so refreshes never rebuild it.
+   *
+   * @param {import('../api/models.js').Vehicle[]} vehicles
+   * @param {(v: import('../api/models.js').Vehicle) => void} onVehicleClick - Callback invoked on marker click.
    */
   function updateMarkers(vehicles, onVehicleClick) {
     if (!markersLayer) return
-    markersLayer.clearLayers()
+    markerClickHandler = onVehicleClick
+
+    const seen = new Set()
+    const added = []
+    const moved = []
+    const restyled = []
 
     vehicles.forEach((v) => {
       // Skip vehicles with no position data
-      if (!v.LastPosition?.Latitude) return
-
-      const lat = parseFloat(v.LastPosition.Latitude)
-      const lng = parseFloat(v.LastPosition.Longitude)
-      if (isNaN(lat) || isNaN(lng)) return
-
-      const marker = L.marker([lat, lng], { icon: vehicleIcon(v.Speed) })
+      if (!v.position) return
+      const { lat, lng } = v.position
+
+      seen.add(v.code)
+      let marker = markersByCode.get(v.code)
+
+      if (!marker) {
+        marker = L.marker([lat, lng], { icon: vehicleIcon(v.speed) })
+        marker.bindPopup(() => vehiclePopup(marker.vehicle), { className: 'dark-popup' })
+        marker.on('click', () => markerClickHandler(marker.vehicle))
+        markersByCode.set(v.code, marker)
+        added.push(marker)
+      } else {
+        if ((marker.vehicle.speed > 0) !== (v.speed > 0)) {
+          marker.setIcon(vehicleIcon(v.speed))
+          restyled.push(marker)
+        }
+        const to = marker.target ?? marker.getLatLng()
+        if (to.lat !== lat || to.lng !== lng) moved.push([marker, L.latLng(lat, lng)])
+        if (marker.isPopupOpen()) marker.getPopup().setContent(vehiclePopup(v))
+      }
+
+      marker.vehicle = v
+    })
 
-      marker.bindPopup(`
-        <div class="map-popup">
-          <div class="map-popup-name">${v.Name}</div>
-          <div class="map-popup-sub">${v.SPZ || 'No plate'}</div>
-          <div class="map-popup-speed">Speed: <span>${v.Speed} km/h</span></div>
-        </div>`, { className: 'dark-popup' })
+    // Drop markers of vehicles that are gone (or lost their position)
+    const removed = []
+    markersByCode.forEach((marker, code) => {
+      if (seen.has(code)) return
+      cancelAnimationFrame(marker.animation)
+      removed.push(marker)
+      markersByCode.delete(code)
+    })
 
-      marker.on('click', () => onVehicleClick(v))
-      markersLayer.addLayer(marker)
+    if (removed.length) markersLayer.removeLayers(removed)
+    if (added.length) markersLayer.addLayers(added)
+
+    const bounds = map.getBounds()
+    const visible = (m) => markersLayer.getVisibleParent(m) === m && bounds.contains(m.getLatLng())
+    let animated = 0
+    moved.forEach(([marker, to]) => {
+      marker.target = to
+      if (animated < ANIMATE_LIMIT && visible(marker)) {
+        animated++
+        animateMarker(marker, [to.lat, to.lng])
+      } else {
+        cancelAnimationFrame(marker.animation)
+        marker.setLatLng(to)
+      }
     })
+
+    // Cluster icons show the moving share, so refresh the ones whose members flipped
+    if (restyled.length) markersLayer.refreshClusters(restyled)
   }
 
   /**
-   * Renders a GPS history track as a colour-coded polyline on `historyLayer`.
-   * Segment colour encodes speed: green ≤ 60 km/h, amber ≤ 90 km/h, red > 90 km/h.
-   * Start and end positions are marked with coloured pins.
+   * Renders a GPS history track on `historyLayer`, coloured by speed:
+   * green ≤ 60 km/h, amber ≤ 90 km/h, red > 90 km/h. Consecutive points of
+   * the same band form one run and all runs of a band are drawn as a single
+   * multi-polyline on the canvas renderer, so even 100k points produce just
+   * three layers. Start and end positions are marked with coloured pins.
    *
-   * @param {Array<{Lat: string, Lng: string, Speed: number}> | undefined} positions
+   * @param {import('../api/models.js').Position[] | undefined} positions
    */
   function drawHistory(positions) {
     if (!historyLayer) return
-    historyLayer.clearLayers()
-    markersLayer.clearLayers()
+    clearHistory()
+    clearMarkers()
 
-    if (!positions?.length) return
+    const { coords, speeds } = splitPositions(positions)
+    if (!coords.length) return
 
-    const coords = positions.map((p) => [parseFloat(p.Lat), parseFloat(p.Lng)])
+    drawSpeedTrack(coords, speeds, historyLayer)
+
+    // Start pin (green) and end pin (red)
+    L.marker(coords[0], { icon: pinIcon('#3dd68c') }).addTo(historyLayer).bindPopup(t('common.start'))
+    L.marker(coords[coords.length - 1], { icon: pinIcon('#ff4757') }).addTo(historyLayer).bindPopup(t('common.end'))
+
+    map.fitBounds(coords, { padding: [40, 40] })
+  }
+
+  /**
+   * Adds a speed-coloured track to `layer` as one canvas multi-polyline per
+   * colour. Each segment takes the colour of its starting point; runs share
+   * their boundary point so the line stays continuous.
+   *
+   * @param {Array<[number, number]>} coords
+   * @param {number[]} speeds - Speed per coordinate (km/h).
+   * @param {L.LayerGroup} layer
+   * @param {object} [style] - Extra polyline options.
+   */
+  function drawSpeedTrack(coords, speeds, layer, style = {}) {
+    const runsByColor = new Map()
+    let run = null
+    let color = null
 
-    // Draw individual segments so each can be coloured by speed
     for (let i = 0; i < coords.length - 1; i++) {
-      const speed = positions[i].Speed
-      const color = speed > 90 ? '#ff4757' : speed > 60 ? '#f5a623' : '#3dd68c'
-      L.polyline([coords[i], coords[i + 1]], { color, weight: 3, opacity: 0.85 }).addTo(historyLayer)
+      const c = speedColor(speeds[i])
+      if (c !== color) {
+        color = c
+        run = [coords[i]]
+        if (!runsByColor.has(c)) runsByColor.set(c, [])
+        runsByColor.get(c).push(run)
+      }
+      run.push(coords[i + 1])
     }
 
-    // Start pin (green) and end pin (red)
-    L.marker(coords[0], { icon: pinIcon('#3dd68c') }).addTo(historyLayer).bindPopup('Start')
-    L.marker(coords[coords.length - 1], { icon: pinIcon('#ff4757') }).addTo(historyLayer).bindPopup('End')
+    runsByColor.forEach((runs, c) => {
+      L.polyline(runs, {
+        color: c,
+        weight: 3,
+        opacity: 0.85,
+        renderer: canvasRenderer,
+        smoothFactor: TRACK_SMOOTHING,
+        ...style,
+      }).addTo(layer)
+    })
+  }
 
-    map.fitBounds(coords, { padding: [40, 40] })
+  /**
+   * Renders the history tracks of compared vehicles on `historyLayer`, each
+   * as one canvas polyline in the vehicle's colour with a pin at its last
+   * position, adds a legend in the bottom-right corner and fits the map to
+   * all tracks. Live markers are removed, as in history mode. Vehicle names
+   * are escaped wherever they end up as HTML.
+   *
+   * @param {Array<{ name: string, color: string, positions: import('../api/models.js').Position[] }>} tracks
+   */
+  function drawComparison(tracks) {
+    if (!historyLayer) return
+    clearHistory()
+    clearMarkers()
+
+    const bounds = L.latLngBounds([])
+    tracks.forEach((track) => {
+      const { coords } = splitPositions(track.positions)
+      if (!coords.length) return
+      const name = escapeHtml(track.name)
+      const line = L.polyline(coords, {
+        color: track.color,
+        weight: 3,
+        opacity: 0.85,
+        renderer: canvasRenderer,
+        smoothFactor: TRACK_SMOOTHING,
+      }).bindTooltip(name, { sticky: true }).addTo(historyLayer)
+      L.marker(coords[coords.length - 1], { icon: pinIcon(track.color) }).addTo(historyLayer).bindPopup(name)
+      bounds.extend(line.getBounds())
+    })
+
+    legendControl = L.control({ position: 'bottomright' })
+    legendControl.onAdd = () => {
+      const div = L.DomUtil.create('div', 'map-legend')
+      div.innerHTML = tracks
+        .map((track) => `<div><span class="map-legend-swatch" style="background:${track.color}"></span>${escapeHtml(track.name)}</div>`)
+        .join('')
+      return div
+    }
+    legendControl.addTo(map)
+
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [40, 40] })
   }
 
   /**
-   * Plots a trip's start and finish as pins connected by a dashed amber line.
-   * Clears any existing history layer content first.
+   * Plots a trip: the driven path coloured by speed, as `drawHistory` does,
+   * with start and finish pins. Until the trip's history has loaded (or when
+   * it has no positions) a dashed line joins the pins instead. Clears any
+   * existing history layer content first.
    *
-   * @param {{ StartPosition: object, FinishPosition: object, StartAddress?: string, FinishAddress?: string }} trip
+   * @param {import('../api/models.js').Trip} trip
+   * @param {import('../api/models.js').Position[]} [positions] - History of the trip window.
    */
-  function drawTripPins(trip) {
-    if (!trip.StartPosition || !trip.FinishPosition) return
+  function drawTripPath(trip, positions) {
+    if (!trip.start || !trip.finish) return
 
-    const start  = [parseFloat(trip.StartPosition.Latitude),  parseFloat(trip.StartPosition.Longitude)]
-    const finish = [parseFloat(trip.FinishPosition.Latitude), parseFloat(trip.FinishPosition.Longitude)]
+    const start  = [trip.start.lat, trip.start.lng]
+    const finish = [trip.finish.lat, trip.finish.lng]
+    const { coords, speeds } = splitPositions(positions)
 
-    historyLayer.clearLayers()
+    clearHistory()
 
-    L.marker(start,  { icon: pinIcon('#3dd68c') }).addTo(historyLayer).bindPopup(`Start: ${trip.StartAddress  || ''}`)
-    L.marker(finish, { icon: pinIcon('#ff4757') }).addTo(historyLayer).bindPopup(`End: ${trip.FinishAddress || ''}`)
+    if (coords.length > 1) {
+      drawSpeedTrack(coords, speeds, historyLayer)
+    } else {
+      L.polyline([start, finish], { color: '#f5a623', weight: 2, dashArray: '6,4' }).addTo(historyLayer)
+    }
 
-    // Dashed line as a visual guide between start and finish
-    L.polyline([start, finish], { color: '#f5a623', weight: 2, dashArray: '6,4' }).addTo(historyLayer)
+    L.marker(start,  { icon: pinIcon('#3dd68c') }).addTo(historyLayer).bindPopup(t('map.tripStart', { address: escapeHtml(trip.startAddress || '') }))
+    L.marker(finish, { icon: pinIcon('#ff4757') }).addTo(historyLayer).bindPopup(t('map.tripEnd', { address: escapeHtml(trip.finishAddress || '') }))
 
-    map.fitBounds([start, finish], { padding: [60, 60] })
+    map.fitBounds([start, finish, ...coords], { padding: [60, 60] })
   }
 
   /**
    * Fits the map viewport to show all vehicles that have a known position.
    *
-   * @param {Array<object>} vehicles - Vehicle objects from the API.
+   * @param {import('../api/models.js').Vehicle[]} vehicles
    */
   function fitAll(vehicles) {
     const points = vehicles
-      .filter((v) => v.LastPosition?.Latitude)
-      .map((v) => [parseFloat(v.LastPosition.Latitude), parseFloat(v.LastPosition.Longitude)])
-      .filter((p) => !isNaN(p[0]))
+      .filter((v) => v.position)
+      .map((v) => [v.position.lat, v.position.lng])
 
     if (points.length) map.fitBounds(points, { padding: [30, 30] })
   }
 
+  /**
+   * Restores a viewport, e.g. one read from the URL.
+   *
+   * @param {{ lat: number, lng: number, zoom: number }} view
+   */
+  function setView({ lat, lng, zoom }) {
+    map.setView([lat, lng], zoom)
+  }
+
+  /**
+   * Registers the callback invoked with `{ lat, lng, zoom }` after every pan
+   * or zoom.
+   *
+   * @param {((view: { lat: number, lng: number, zoom: number }) => void) | null} handler
+   */
+  function onViewChange(handler) {
+    viewHandler = handler
+  }
+
   /**
    * Pans and zooms the map to centre on a single vehicle's last known position.
    *
-   * @param {object} vehicle - Vehicle object from the API.
+   * @param {import('../api/models.js').Vehicle} vehicle
    */
   function panTo(vehicle) {
-    if (!vehicle.LastPosition?.Latitude) return
-    const lat = parseFloat(vehicle.LastPosition.Latitude)
-    const lng = parseFloat(vehicle.LastPosition.Longitude)
-    if (!isNaN(lat)) map.setView([lat, lng], 13)
+    if (vehicle.position) map.setView([vehicle.position.lat, vehicle.position.lng], 13)
   }
 
   /**
-   * Removes all layers from `historyLayer` (route polylines and trip pins).
+   * Moves the playback marker to the given position, creating it on
+   * `historyLayer` on first use (or after the layer was cleared).
+   *
+   * @param {{ lat: number, lng: number, speed: number } | null} point
+   */
+  function setPlaybackMarker(point) {
+    if (!historyLayer) return
+    if (!point) {
+      clearPlaybackMarker()
+      return
+    }
+
+    if (!playbackMarker || !historyLayer.hasLayer(playbackMarker)) {
+      playbackMarker = L.marker([point.lat, point.lng], {
+        icon: vehicleIcon(point.speed),
+        zIndexOffset: 1000,
+      }).addTo(historyLayer)
+    } else {
+      playbackMarker.setLatLng([point.lat, point.lng])
+    }
+
+    // Restyle only when moving/idle flips to avoid rebuilding the icon every frame
+    const moving = point.speed > 0
+    if (playbackMarker.moving !== moving) {
+      playbackMarker.setIcon(vehicleIcon(point.speed))
+      playbackMarker.moving = moving
+    }
+  }
+
+  /** Removes the playback marker, if any. */
+  function clearPlaybackMarker() {
+    if (playbackMarker) historyLayer?.removeLayer(playbackMarker)
+    playbackMarker = null
+  }
+
+  /**
+   * Removes all layers from `historyLayer` (route polylines and trip pins)
+   * and the comparison legend.
    */
   function clearHistory() {
     historyLayer?.clearLayers()
+    playbackMarker = null
+    legendControl?.remove()
+    legendControl = null
   }
 
-  return { updateMarkers, drawHistory, drawTripPins, fitAll, panTo, clearHistory }
+  /**
+   * Replaces the geofence shapes on the map. Each shape is tagged with its
+   * zone id so edits and deletions can be mapped back to the zone.
+   *
+   * @param {Array<import('./useGeofences.js').Zone>} zones
+   */
+  function drawGeofences(zones) {
+    if (!geofenceLayer) return
+    geofenceLayer.clearLayers()
+
+    zones.forEach((z) => {
+      const color = ZONE_CATEGORIES[z.category]?.color ?? '#f5a623'
+      const style = { color, weight: 2, fillOpacity: 0.12 }
+      const layer = z.shape === 'circle'
+        ? L.circle(z.center, { ...style, radius: z.radius })
+        : L.polygon(z.points, style)
+
+      layer.zoneId = z.id
+      layer.bindTooltip(escapeHtml(z.name), { className: 'zone-tooltip', sticky: true }) // names may come from imported files
+      geofenceLayer.addLayer(layer)
+    })
+  }
+
+  /**
+   * Shows or hides the leaflet-draw toolbar for drawing polygons, rectangles
+   * and circles and editing / deleting existing geofences.
+   *
+   * @param {boolean} enabled
+   * @param {{
+   *   onCreate: (geometry: object) => void,
+   *   onEdit:   (zoneId: string, geometry: object) => void,
+   *   onDelete: (zoneId: string) => void,
+   * }} [handlers]
+   */
+  function setGeofenceEditing(enabled, handlers) {
+    if (!map) return
+    if (drawControl) {
+      map.removeControl(drawControl)
+      drawControl = null
+    }
+    geofenceHandlers = enabled ? handlers : null
+    if (!enabled) return
+
+    const shapeOptions = { color: '#f5a623', weight: 2, fillOpacity: 0.12 }
+    drawControl = new L.Control.Draw({
+      position: 'topleft',
+      draw: {
+        // showArea is off: leaflet-draw 1.0.4 throws computing it in strict mode
+        polygon:      { showArea: false, shapeOptions },
+        rectangle:    { showArea: false, shapeOptions },
+        circle:       { shapeOptions },
+        polyline:     false,
+        marker:       false,
+        circlemarker: false,
+      },
+      edit: { featureGroup: geofenceLayer },
+    })
+    map.addControl(drawControl)
+  }
+
+  /**
+   * Replaces the stop markers. Marker size grows with the square root of the
+   * dwell time, so a night at the depot does not dwarf every delivery stop.
+   *
+   * @param {Array<{ lat: number, lng: number, arrival: number, departure: number, duration: number, address?: string | null }>} stops
+   * @param {(index: number) => void} [onClick] - Called with the stop's index.
+   */
+  function drawStops(stops, onClick) {
+    if (!stopsLayer) return
+    stopsLayer.clearLayers()
+
+    stops.forEach((s, i) => {
+      const radius = Math.min(28, 5 + Math.sqrt(s.duration / 60_000) * 1.5)
+      L.circleMarker([s.lat, s.lng], { radius, color: '#4fc3f7', weight: 2, fillColor: '#4fc3f7', fillOpacity: 0.25 })
+        .bindTooltip(`${s.address ? escapeHtml(s.address) + '<br>' : ''}${formatDateTime(s.arrival)} – ${formatDateTime(s.departure)} (${formatDuration(s.duration)})`)
+        .on('click', () => onClick?.(i))
+        .addTo(stopsLayer)
+    })
+  }
+
+  /** Removes all stop markers. */
+  function clearStops() {
+    stopsLayer?.clearLayers()
+  }
+
+  /**
+   * Replaces the eco event markers of the selected vehicle. They sit above
+   * the history track, so the places of the events show along the route.
+   *
+   * @param {import('../api/models.js').EcoEvent[]} events
+   */
+  function drawEcoEvents(events) {
+    if (!ecoLayer) return
+    ecoLayer.clearLayers()
+
+    ecoMarkers = events.map((e) => {
+      if (!e.position) return null
+
+      const speed = e.speed != null ? ` · ${formatSpeed(e.speed)}` : ''
+      return L.marker([e.position.lat, e.position.lng], { icon: ecoEventIcon(e), zIndexOffset: 500 })
+        .bindTooltip(`${ecoName(e.type)} · ${sevName(e.severity)}<br>${formatDateTime(e.time)}${speed}`)
+        .addTo(ecoLayer)
+    })
+  }
+
+  /**
+   * Flies to an eco event drawn by `drawEcoEvents` and shows its tooltip.
+   *
+   * @param {number} index - Index of the event in the drawn list.
+   */
+  function focusEcoEvent(index) {
+    const marker = ecoMarkers[index]
+    if (!marker) return
+    const { lat, lng } = marker.getLatLng()
+    flyTo(lat, lng, 17)
+    marker.openTooltip()
+  }
+
+  /** Removes the eco event markers. */
+  function clearEcoEvents() {
+    ecoLayer?.clearLayers()
+    ecoMarkers = []
+  }
+
+  /**
+   * Replaces the eco event hotspots. Circles grow and turn from yellow to
+   * red with the cell's weight relative to the heaviest cell.
+   *
+   * @param {import('../utils/hotspots.js').Hotspot[]} hotspots - Heaviest first.
+   */
+  function drawHotspots(hotspots) {
+    if (!hotspotLayer) return
+    hotspotLayer.clearLayers()
+
+    const max = hotspots[0]?.weight || 1
+    hotspots.forEach((h) => {
+      const share = h.weight / max
+      L.circleMarker([h.lat, h.lng], {
+        renderer:    canvasRenderer,
+        radius:      5 + 15 * Math.sqrt(share),
+        stroke:      false,
+        fillColor:   share > 0.5 ? '#ff4757' : share > 0.2 ? '#f5a623' : '#ffe066',
+        fillOpacity: 0.2 + 0.5 * share,
+      })
+        .bindTooltip(`${t('map.hotspotEvents', { count: h.count })} · ${t('map.hotspotVehicles', { count: h.vehicles })}<br>${t('map.hotspotType', { type: ecoName(h.topType) })}`)
+        .addTo(hotspotLayer)
+    })
+  }
+
+  /** Removes the eco event hotspots. */
+  function clearHotspots() {
+    hotspotLayer?.clearLayers()
+  }
+
+  /**
+   * Flies the map to a point.
+   *
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} [zoom=16]
+   */
+  function flyTo(lat, lng, zoom = 16) {
+    map?.flyTo([lat, lng], zoom, { duration: 0.8 })
+  }
+
+  /**
+   * Pins a place found by the address search and flies to it; replaces the
+   * previous pin.
+   *
+   * @param {{ name: string, label: string, lat: number, lng: number }} place
+   */
+  function showPlace(place) {
+    if (!map) return
+    clearPlace()
+    placeMarker = L.marker([place.lat, place.lng], { icon: pinIcon('#4fc3f7') })
+      .bindPopup(escapeHtml(place.label))
+      .addTo(map)
+    flyTo(place.lat, place.lng)
+  }
+
+  /** Removes the address search pin. */
+  function clearPlace() {
+    placeMarker?.remove()
+    placeMarker = null
+  }
+
+  /**
+   * Makes map clicks pick a location (crosshair cursor) and reports them to
+   * `handler`; null restores normal clicks.
+   *
+   * @param {((lat: number, lng: number) => void) | null} handler
+   */
+  function setLocationPicker(handler) {
+    pickHandler = handler
+    map?.getContainer().classList.toggle('map-picking', !!handler)
+  }
+
+  /**
+   * Replaces the dispatch job pin and draws a dashed line from it to each of
+   * the top candidates, coloured by rank (`DISPATCH_COLORS`).
+   *
+   * @param {{ lat: number, lng: number, label: string | null } | null} job
+   * @param {import('../utils/dispatch.js').DispatchCandidate[]} candidates - Best first.
+   * @param {boolean} [fit=false] - Fit the viewport to the job and the candidates.
+   */
+  function drawDispatch(job, candidates, fit = false) {
+    if (!dispatchLayer) return
+    dispatchLayer.clearLayers()
+    if (!job) return
+
+    const top = candidates.slice(0, DISPATCH_COLORS.length)
+    top.forEach((c, i) => {
+      L.polyline([[job.lat, job.lng], [c.vehicle.position.lat, c.vehicle.position.lng]], {
+        color: DISPATCH_COLORS[i],
+        weight: 3,
+        opacity: 0.9,
+        dashArray: '6,6',
+      })
+        .bindTooltip(`${i + 1}. ${escapeHtml(c.vehicle.name)}`, { sticky: true })
+        .addTo(dispatchLayer)
+    })
+    L.marker([job.lat, job.lng], { icon: pinIcon('#ff4757'), zIndexOffset: 1000 })
+      .bindTooltip(escapeHtml(job.label || t('dispatch.job')))
+      .addTo(dispatchLayer)
+
+    if (fit) {
+      const coords = [[job.lat, job.lng], ...top.map((c) => [c.vehicle.position.lat, c.vehicle.position.lng])]
+      map.fitBounds(coords, { padding: [60, 60], maxZoom: 14 })
+    }
+  }
+
+  /** Removes the dispatch job and its lines. */
+  function clearDispatch() {
+    dispatchLayer?.clearLayers()
+  }
+
+  /**
+   * Replaces the imported track overlays. Lines are dashed so they stay
+   * distinguishable from the solid history track they are compared with.
+   * Names come from the imported file and are escaped for the tooltips.
+   *
+   * @param {Array<{ name: string, color: string, lines: Array<Array<[number, number]>>, points: Array<{ lat: number, lng: number, name: string }> }>} overlays
+   */
+  function drawOverlays(overlays) {
+    if (!overlayLayer) return
+    overlayLayer.clearLayers()
+
+    overlays.forEach((o) => {
+      o.lines.forEach((line) => {
+        L.polyline(line, { color: o.color, weight: 4, opacity: 0.8, dashArray: '8,6' })
+          .bindTooltip(escapeHtml(o.name), { sticky: true })
+          .addTo(overlayLayer)
+      })
+      o.points.forEach((p) => {
+        L.circleMarker([p.lat, p.lng], { radius: 5, color: o.color, weight: 2, fillOpacity: 0.6 })
+          .bindTooltip(escapeHtml(p.name || o.name))
+          .addTo(overlayLayer)
+      })
+    })
+  }
+
+  /**
+   * Fits the viewport to an overlay's lines and waypoints.
+   *
+   * @param {{ lines: Array<Array<[number, number]>>, points: Array<{ lat: number, lng: number }> }} overlay
+   */
+  function fitOverlay(overlay) {
+    const coords = [...overlay.lines.flat(), ...overlay.points.map((p) => [p.lat, p.lng])]
+    if (coords.length) map.fitBounds(coords, { padding: [40, 40] })
+  }
+
+  return {
+    updateMarkers, drawHistory, drawComparison, drawTripPath, fitAll, panTo, clearHistory,
+    setPlaybackMarker, clearPlaybackMarker,
+    drawGeofences, setGeofenceEditing,
+    drawOverlays, fitOverlay,
+    drawStops, clearStops, flyTo, showPlace, clearPlace,
+    drawEcoEvents, focusEcoEvent, clearEcoEvents, drawHotspots, clearHotspots,
+    setLocationPicker, drawDispatch, clearDispatch,
+    setView, onViewChange,
+  }
 }
@@ -0,0 +1,174 @@
+/**
+ * @file usePlayback.js
+ * @description Composable that replays a GPS history track over time.
+ *
+ * `load()` takes the time-ordered positions from `getVehicleHistory` and
+ * resets the clock to the first point. While playing, a
+ * `requestAnimationFrame` loop advances `currentTime` by the elapsed wall time
+ * multiplied by `speed`; `current` interpolates the position between the two
+ * samples around that instant so the marker moves smoothly.
+ *
+ * The composable knows nothing about Leaflet – the parent watches `current`
+ * and moves the map marker.
+ */
+
+import { ref, computed, onUnmounted } from 'vue'
+
+/** Selectable playback speed multipliers. */
+export const PLAYBACK_SPEEDS = [1, 5, 10, 30, 60]
+
+/**
+ * @returns {{
+ *   points:      import('vue').Ref<import('../api/models.js').Position[]>,
+ *   playing:     import('vue').Ref<boolean>,
+ *   speed:       import('vue').Ref<number>,
+ *   currentTime: import('vue').Ref<number>,
+ *   startTime:   import('vue').ComputedRef<number>,
+ *   endTime:     import('vue').ComputedRef<number>,
+ *   current:     import('vue').ComputedRef<import('../api/models.js').Position | null>,
+ *   load:        (positions: import('../api/models.js').Position[] | undefined) => void,
+ *   play:        () => void,
+ *   pause:       () => void,
+ *   seek:        (time: number) => void,
+ *   reset:       () => void,
+ * }}
+ */
+export function usePlayback() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Time-ordered track points. */
+  const points = ref([])
+
+  /** True while the clock is running. */
+  const playing = ref(false)
+
+  /** Playback speed multiplier (1 = real time). */
+  const speed = ref(PLAYBACK_SPEEDS[PLAYBACK_SPEEDS.length - 1])
+
+  /** Playback clock in Unix ms. */
+  const currentTime = ref(0)
+
+  /** Id of the pending animation frame. */
+  let frame = null
+
+  /** Wall-clock time of the previous animation frame. */
+  let lastTick = 0
+
+  // ---------------------------------------------------------------------------
+  // Derived state
+  // ---------------------------------------------------------------------------
+
+  const startTime = computed(() => points.value[0]?.time ?? 0)
+  const endTime   = computed(() => points.value[points.value.length - 1]?.time ?? 0)
+
+  /**
+   * Interpolated vehicle state at `currentTime`. Speed is taken from the
+   * earlier sample (the API reports speed per fix, not between fixes).
+   */
+  const current = computed(() => {
+    const list = points.value
+    if (!list.length) return null
+
+    const t = currentTime.value
+    const i = upperIndex(list, t)
+    if (i === 0) return list[0]
+    if (i === list.length) return list[list.length - 1]
+
+    const a = list[i - 1]
+    const b = list[i]
+    const f = (t - a.time) / (b.time - a.time || 1)
+    return {
+      time:  t,
+      lat:   a.lat + (b.lat - a.lat) * f,
+      lng:   a.lng + (b.lng - a.lng) * f,
+      speed: a.speed,
+    }
+  })
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Binary search: index of the first point strictly after `t`.
+   *
+   * @param {Array<{ time: number }>} list
+   * @param {number} t
+   * @returns {number}
+   */
+  function upperIndex(list, t) {
+    let lo = 0
+    let hi = list.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (list[mid].time <= t) lo = mid + 1
+      else hi = mid
+    }
+    return lo
+  }
+
+  /** Animation-frame callback: advances the clock and stops at the end. */
+  function tick(now) {
+    currentTime.value = Math.min(currentTime.value + (now - lastTick) * speed.value, endTime.value)
+    lastTick = now
+
+    if (currentTime.value >= endTime.value) {
+      pause()
+      return
+    }
+    frame = requestAnimationFrame(tick)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Loads a history track and rewinds to its start.
+   *
+   * @param {import('../api/models.js').Position[] | undefined} positions - In time order.
+   */
+  function load(positions) {
+    pause()
+    points.value = positions || []
+    currentTime.value = startTime.value
+  }
+
+  /** Starts (or resumes) playback; restarts from the beginning at the end. */
+  function play() {
+    if (!points.value.length || playing.value) return
+    if (currentTime.value >= endTime.value) currentTime.value = startTime.value
+    playing.value = true
+    lastTick = performance.now()
+    frame = requestAnimationFrame(tick)
+  }
+
+  /** Stops the clock at the current instant. */
+  function pause() {
+    cancelAnimationFrame(frame)
+    frame = null
+    playing.value = false
+  }
+
+  /**
+   * Jumps to an instant, clamped to the track's time span.
+   *
+   * @param {number} time - Unix ms.
+   */
+  function seek(time) {
+    currentTime.value = Math.min(Math.max(time, startTime.value), endTime.value)
+  }
+
+  /** Stops playback and forgets the track. */
+  function reset() {
+    pause()
+    points.value = []
+    currentTime.value = 0
+  }
+
+  onUnmounted(pause)
+
+  return { points, playing, speed, currentTime, startTime, endTime, current, load, play, pause, seek, reset }
+}
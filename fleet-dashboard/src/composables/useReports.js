@@ -0,0 +1,388 @@
+/**
+ * @file useReports.js
+ * @description Composable that exports trips and eco-driving events of one
+ * vehicle – or of every vehicle in the group – for a date range.
+ *
+ * Formats:
+ *   trips-csv – one CSV row per trip
+ *   eco-csv   – one CSV row per eco event
+ *   xlsx      – workbook with Summary, Trips and Eco events sheets
+ *   pdf       – printable report (KPIs, speed chart, eco doughnut, eco
+ *               events by severity, trip and event tables) opened in a new
+ *               window with the print dialog
+ *
+ * Data is fetched fresh for the export rather than taken from the detail
+ * panel, so the export always covers both trips and eco events for the
+ * whole range. Vehicles are fetched through `useFleetLoader`, which reports
+ * progress; in a fleet export a vehicle whose requests fail is exported
+ * without data and flagged in the summary, while a failed single-vehicle
+ * export is reported as an error instead of writing an empty file.
+ *
+ * Headers, labels and units follow the language and unit preferences at
+ * the time of the export; the column sets are therefore built per export.
+ */
+
+import { ref } from 'vue'
+import { Chart } from 'chart.js/auto'
+import { getTrips, getEcoDriving } from '../api/gpsdozor.js'
+import { downloadFile } from '../utils/download.js'
+import { toCSV, toXLSX } from '../utils/export.js'
+import { openPrintWindow, writePrintWindow, htmlTable, escapeHtml } from '../utils/print.js'
+import { ecoName, sevName } from '../utils/eco.js'
+import { tripTotals } from '../utils/tripStats.js'
+import { useFleetLoader } from './useFleetLoader.js'
+import { reportError } from './useToasts.js'
+import {
+  t, formatDate, formatDistance, formatSpeed, toSpeed, toDistance, speedUnit, distanceUnit,
+} from '../i18n/index.js'
+
+/** Chart colours for the printed (white) page. */
+const PRINT_COLORS = ['#e6951a', '#d7263d', '#2a9d5c', '#1f8ac0', '#7b5cd6', '#d6569c', '#1faa8a', '#3f6fd8', '#c9a100']
+
+// ---------------------------------------------------------------------------
+// Formatting helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Formats milliseconds as `H:MM`.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatHours(ms) {
+  const mins = Math.round(ms / 60_000)
+  return `${Math.floor(mins / 60)}:${String(mins % 60).padStart(2, '0')}`
+}
+
+/** Rounds to one decimal place. */
+const round1 = (n) => Math.round(n * 10) / 10
+
+// ---------------------------------------------------------------------------
+// Table definitions (shared by CSV, XLSX and the printed report)
+// ---------------------------------------------------------------------------
+
+/** Translated column header. */
+const col = (key, params) => t(`reports.columns.${key}`, params)
+
+/** Speed in the active unit, rounded (null stays null). */
+const speed = (kmh) => (kmh == null ? null : Math.round(toSpeed(kmh)))
+
+/** Distance in the active unit, one decimal (null stays null). */
+const dist = (km) => (km == null ? null : round1(toDistance(km)))
+
+const vehicleColumns = () => [
+  { header: col('vehicle'), value: (r) => r.vehicle.name,  width: 20 },
+  { header: col('plate'),   value: (r) => r.vehicle.plate, width: 10 },
+]
+
+const tripColumns = () => [
+  { header: col('start'),    value: (r) => r.startTime,            type: 'date', width: 17 },
+  { header: col('finish'),   value: (r) => r.finishTime,           type: 'date', width: 17 },
+  { header: col('from'),     value: (r) => r.startAddress,         width: 32 },
+  { header: col('to'),       value: (r) => r.finishAddress,        width: 32 },
+  { header: col('duration'), value: (r) => formatHours(r.duration), width: 10 },
+  { header: col('distance', { unit: distanceUnit() }), value: (r) => dist(r.distance),  type: 'number' },
+  { header: col('avgSpeed', { unit: speedUnit() }),    value: (r) => speed(r.avgSpeed), type: 'number' },
+  { header: col('maxSpeed', { unit: speedUnit() }),    value: (r) => speed(r.maxSpeed), type: 'number' },
+]
+
+const ecoColumns = () => [
+  { header: col('time'),     value: (r) => r.time, type: 'date', width: 17 },
+  { header: col('event'),    value: (r) => ecoName(r.type), width: 16 },
+  { header: col('severity'), value: (r) => sevName(r.severity) },
+  { header: col('speed', { unit: speedUnit() }), value: (r) => speed(r.speed), type: 'number' },
+  { header: col('latitude'),  value: (r) => r.position?.lat, type: 'number' },
+  { header: col('longitude'), value: (r) => r.position?.lng, type: 'number' },
+]
+
+const summaryColumns = () => [
+  ...vehicleColumns(),
+  { header: col('trips'),    value: (r) => r.trips, type: 'number' },
+  { header: col('distance', { unit: distanceUnit() }), value: (r) => dist(r.distance), type: 'number' },
+  { header: col('driving'),  value: (r) => formatHours(r.drivingMs) },
+  { header: col('longest'),  value: (r) => formatHours(r.longestMs) },
+  { header: col('maxSpeed', { unit: speedUnit() }), value: (r) => speed(r.maxSpeed), type: 'number' },
+  { header: col('avgSpeed', { unit: speedUnit() }), value: (r) => speed(r.avgSpeed), type: 'number' },
+  { header: col('ecoEvents'), value: (r) => r.eco, type: 'number' },
+  { header: col('high'),     value: (r) => r.bySeverity[3], type: 'number' },
+  { header: col('med'),      value: (r) => r.bySeverity[2], type: 'number' },
+  { header: col('low'),      value: (r) => r.bySeverity[1], type: 'number' },
+  { header: col('note'),     value: (r) => (r.failed ? t('reports.failedNote') : '') },
+]
+
+// ---------------------------------------------------------------------------
+// Aggregation
+// ---------------------------------------------------------------------------
+
+/**
+ * Summary row for one vehicle (or, with `vehicle` omitted, a whole fleet).
+ *
+ * @param {object} vehicle
+ * @param {import('../api/models.js').Trip[]} trips
+ * @param {import('../api/models.js').EcoEvent[]} events
+ * @param {boolean} [failed]
+ * @returns {object} Row for `summaryColumns()`.
+ */
+function summarise(vehicle, trips, events, failed = false) {
+  return { vehicle, failed, ...tripTotals(trips, events) }
+}
+
+/**
+ * Eco events counted by type and severity, most frequent type first.
+ *
+ * @param {import('../api/models.js').EcoEvent[]} events
+ * @returns {Array<{ name: string, 1: number, 2: number, 3: number, total: number }>}
+ */
+function ecoMatrix(events) {
+  const byType = {}
+  events.forEach((e) => {
+    const name = ecoName(e.type)
+    const row = (byType[name] ??= { name, 1: 0, 2: 0, 3: 0, total: 0 })
+    if (e.severity in row) row[e.severity]++
+    row.total++
+  })
+  return Object.values(byType).sort((a, b) => b.total - a.total)
+}
+
+// ---------------------------------------------------------------------------
+// Printed report
+// ---------------------------------------------------------------------------
+
+/**
+ * Renders a Chart.js chart off-screen and returns it as an `<img>` tag with
+ * a PNG data URL, so the report does not depend on scripts.
+ *
+ * @param {object} config - Chart.js configuration.
+ * @param {number} width  - CSS pixels.
+ * @param {number} height - CSS pixels.
+ * @returns {string}
+ */
+function chartImage(config, width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const chart = new Chart(canvas, {
+    ...config,
+    options: { ...config.options, animation: false, responsive: false, devicePixelRatio: 2 },
+  })
+  const url = chart.toBase64Image()
+  chart.destroy()
+  return `<img src="${url}" width="${width}" height="${height}">`
+}
+
+/** Bar chart with one or more series. */
+function barChart(labels, series) {
+  return chartImage({
+    type: 'bar',
+    data: {
+      labels,
+      datasets: series.map((s, i) => ({ label: s.label, data: s.data, backgroundColor: PRINT_COLORS[i + 1] })),
+    },
+    options: { plugins: { legend: { position: 'bottom' } } },
+  }, 440, 220)
+}
+
+/** Doughnut of eco events by type. */
+function ecoDoughnut(matrix) {
+  return chartImage({
+    type: 'doughnut',
+    data: {
+      labels: matrix.map((m) => m.name),
+      datasets: [{ data: matrix.map((m) => m.total), backgroundColor: PRINT_COLORS }],
+    },
+    options: { plugins: { legend: { position: 'right' } } },
+  }, 280, 220)
+}
+
+/**
+ * KPI boxes for a summary row.
+ *
+ * @param {object} s - Result of `summarise()`.
+ * @returns {string}
+ */
+function kpiHtml(s) {
+  const kpi = (label, value) => `<div class="kpi">${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`
+  return '<div class="kpis">' + [
+    kpi(t('reports.kpi.trips'), s.trips),
+    kpi(t('reports.kpi.distance'), formatDistance(s.distance)),
+    kpi(t('reports.kpi.driving'), formatHours(s.drivingMs)),
+    kpi(t('reports.kpi.longest'), formatHours(s.longestMs)),
+    kpi(t('reports.kpi.maxSpeed'), formatSpeed(s.maxSpeed)),
+    kpi(t('reports.kpi.avgSpeed'), formatSpeed(s.avgSpeed)),
+    kpi(t('reports.kpi.ecoEvents'), s.eco),
+    kpi(t('reports.kpi.severities'), `${s.bySeverity[3]} / ${s.bySeverity[2]} / ${s.bySeverity[1]}`),
+  ].join('') + '</div>'
+}
+
+/** Table of eco events by type × severity. */
+function ecoMatrixHtml(matrix) {
+  if (!matrix.length) return `<p class="muted">${escapeHtml(t('reports.noEco'))}</p>`
+  return htmlTable(matrix, [
+    { header: col('event'), value: (m) => m.name },
+    { header: col('high'),  value: (m) => m[3], type: 'number' },
+    { header: col('med'),   value: (m) => m[2], type: 'number' },
+    { header: col('low'),   value: (m) => m[1], type: 'number' },
+    { header: col('total'), value: (m) => m.total, type: 'number' },
+  ])
+}
+
+/**
+ * Builds the report body for a single vehicle.
+ *
+ * @param {object} data - `{ results, trips, events, summary, title, period }`.
+ * @returns {string}
+ */
+function vehicleReport({ results, trips, events, summary, period }) {
+  const v = results[0].vehicle
+  const matrix = ecoMatrix(events)
+  const charts = [
+    trips.length && barChart(trips.map((_, i) => `T${i + 1}`), [
+      { label: t('charts.maxSpeed'), data: trips.map((trip) => speed(trip.maxSpeed)) },
+      { label: t('charts.avgSpeed'), data: trips.map((trip) => speed(trip.avgSpeed)) },
+    ]),
+    matrix.length && ecoDoughnut(matrix),
+  ].filter(Boolean)
+
+  return `<h1>${escapeHtml(v.name)}</h1>
+    <div class="sub">${escapeHtml(v.plate || t('common.noPlate'))} · ${escapeHtml(v.code)} · ${escapeHtml(period)}</div>
+    ${kpiHtml(summary)}
+    ${charts.length ? `<div class="charts">${charts.join('')}</div>` : ''}
+    <h2>${escapeHtml(t('reports.ecoBySeverity'))}</h2>${ecoMatrixHtml(matrix)}
+    <h2>${escapeHtml(t('reports.tripsHeading', { count: trips.length }))}</h2>${trips.length
+      ? htmlTable(trips, tripColumns())
+      : `<p class="muted">${escapeHtml(t('reports.noTrips'))}</p>`}
+    ${events.length ? `<h2>${escapeHtml(t('reports.ecoHeading', { count: events.length }))}</h2>${htmlTable(events, ecoColumns())}` : ''}`
+}
+
+/**
+ * Builds the report body for a fleet.
+ *
+ * @param {object} data - `{ results, events, summary, title, period }`.
+ * @returns {string}
+ */
+function fleetReport({ results, events, summary, title, period }) {
+  const rows = results.map((r) => r.summary)
+  const matrix = ecoMatrix(events)
+  const charts = [
+    rows.length && barChart(rows.map((r) => r.vehicle.name), [
+      { label: col('distance', { unit: distanceUnit() }), data: rows.map((r) => dist(r.distance)) },
+    ]),
+    matrix.length && ecoDoughnut(matrix),
+  ].filter(Boolean)
+
+  return `<h1>${escapeHtml(title)}</h1>
+    <div class="sub">${escapeHtml(t('reports.vehicleCount', { count: rows.length }))} · ${escapeHtml(period)}</div>
+    ${kpiHtml(summary)}
+    ${charts.length ? `<div class="charts">${charts.join('')}</div>` : ''}
+    <h2>${escapeHtml(t('reports.vehicles'))}</h2>${htmlTable(rows, summaryColumns())}
+    <h2>${escapeHtml(t('reports.ecoBySeverity'))}</h2>${ecoMatrixHtml(matrix)}`
+}
+
+// ---------------------------------------------------------------------------
+// Composable
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {{
+ *   exporting:    import('vue').Ref<boolean>,
+ *   progress:     import('vue').Ref<{ done: number, total: number } | null>,
+ *   exportError:  import('vue').Ref<string>,
+ *   exportReport: (format: 'trips-csv' | 'eco-csv' | 'xlsx' | 'pdf', vehicles: object[], options: object) => Promise<void>,
+ * }}
+ */
+export function useReports() {
+  /** True while an export is being prepared. */
+  const exporting = ref(false)
+
+  const loader = useFleetLoader('useReports')
+
+  /** Vehicles fetched so far by a fleet export, or null. */
+  const { progress } = loader
+
+  /** Message of the last failed export, or ''. */
+  const exportError = ref('')
+
+  /**
+   * Fetches the data of every vehicle. Vehicles whose requests fail are
+   * returned with `failed: true`, their `error` and no data.
+   *
+   * @param {import('../api/models.js').Vehicle[]} vehicles
+   * @param {string} from
+   * @param {string} to
+   * @param {{ trips: boolean, eco: boolean }} need - Which data the format uses.
+   * @returns {Promise<Array<{ vehicle: import('../api/models.js').Vehicle, trips: import('../api/models.js').Trip[], events: import('../api/models.js').EcoEvent[], summary: object, failed: boolean, error?: unknown }>>}
+   */
+  async function load(vehicles, from, to, need) {
+    const results = await loader.load(vehicles, async (vehicle, i, signal) => {
+      const [trips, events] = await Promise.all([
+        need.trips ? getTrips(vehicle.code, from, to, { signal }) : [],
+        need.eco ? getEcoDriving(vehicle.code, from, to, { signal }) : [],
+      ])
+      return { vehicle, trips, events }
+    }, (vehicle, i, error) => ({ vehicle, trips: [], events: [], error }))
+
+    return results.map((r) => ({ ...r, summary: summarise(r.vehicle, r.trips, r.events, r.failed) }))
+  }
+
+  /**
+   * Exports trips and/or eco events of the given vehicles and downloads the
+   * file (or opens the printable report).
+   *
+   * @param {'trips-csv' | 'eco-csv' | 'xlsx' | 'pdf'} format
+   * @param {object[]} vehicles - One vehicle, or every vehicle of the group.
+   * @param {object} options
+   * @param {boolean} options.fleet    - Fleet report (summary per vehicle) instead of a vehicle report.
+   * @param {string}  options.title    - Report title / file name stem (vehicle or group name).
+   * @param {string}  options.fromDate - `YYYY-MM-DD`.
+   * @param {string}  options.toDate   - `YYYY-MM-DD`.
+   */
+  async function exportReport(format, vehicles, { fleet, title, fromDate, toDate }) {
+    if (exporting.value || !vehicles.length) return
+
+    // Must happen before the first await or the pop-up is blocked
+    const win = format === 'pdf' ? openPrintWindow() : null
+    if (format === 'pdf' && !win) {
+      exportError.value = t('exportMenu.popupBlocked')
+      return
+    }
+
+    exporting.value = true
+    exportError.value = ''
+    try {
+      const results = await load(vehicles, `${fromDate}T00:00`, `${toDate}T23:59`, {
+        trips: format !== 'eco-csv',
+        eco:   format !== 'trips-csv',
+      })
+      if (!fleet && results[0].failed) throw results[0].error
+
+      const trips  = results.flatMap((r) => r.trips.map((trip) => ({ ...trip, vehicle: r.vehicle })))
+      const events = results.flatMap((r) => r.events.map((e) => ({ ...e, vehicle: r.vehicle })))
+      const stem   = `${fleet ? title : vehicles[0].code}_${fromDate}_${toDate}`.replace(/[^\w.-]+/g, '-')
+      const period = `${formatDate(fromDate)} – ${formatDate(toDate)}`
+
+      if (format === 'trips-csv') {
+        downloadFile(`${stem}_trips.csv`, toCSV(trips, [...vehicleColumns(), ...tripColumns()]), 'text/csv')
+      } else if (format === 'eco-csv') {
+        downloadFile(`${stem}_eco.csv`, toCSV(events, [...vehicleColumns(), ...ecoColumns()]), 'text/csv')
+      } else if (format === 'xlsx') {
+        const blob = await toXLSX([
+          { name: t('reports.sheets.summary'), rows: results.map((r) => r.summary), columns: summaryColumns() },
+          { name: t('reports.sheets.trips'),   rows: trips,  columns: [...vehicleColumns(), ...tripColumns()] },
+          { name: t('reports.sheets.eco'),     rows: events, columns: [...vehicleColumns(), ...ecoColumns()] },
+        ])
+        downloadFile(`${stem}.xlsx`, blob)
+      } else {
+        const data = { results, trips, events, summary: summarise(null, trips, events), title, period }
+        writePrintWindow(win, `${title} ${period}`, fleet ? fleetReport(data) : vehicleReport(data))
+      }
+    } catch (err) {
+      reportError('useReports', t('exportMenu.failed'), err)
+      exportError.value = t('exportMenu.failed')
+      win?.close()
+    } finally {
+      exporting.value = false
+    }
+  }
+
+  return { exporting, progress, exportError, exportReport }
+}
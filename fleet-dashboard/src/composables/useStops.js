@@ -0,0 +1,133 @@
+/**
+ * @file useStops.js
+ * @description Composable that turns a vehicle's position history into stops
+ * and movements (see `utils/stops.js`), daily driving vs stopped totals, and
+ * reverse-geocoded stop addresses.
+ *
+ * The detection settings (minimum dwell time and radius) are persisted in
+ * `localStorage`; changing them re-analyses the already loaded history
+ * without another request. Addresses are resolved one at a time (the
+ * geocoding service paces the requests) and cached by rounded coordinates
+ * so re-analysing does not repeat them.
+ */
+
+import { ref, computed, watch } from 'vue'
+import { detectStops, dailyTotals, STOP_DEFAULTS } from '../utils/stops.js'
+import { reportError } from './useToasts.js'
+import { t } from '../i18n/index.js'
+
+/** `localStorage` key holding the detection settings. */
+const STORAGE_KEY = 'fleet.stopSettings'
+
+/**
+ * Reads the stored settings merged over the defaults.
+ *
+ * @returns {{ minDwell: number, radius: number }}
+ */
+function loadSettings() {
+  try {
+    return { ...STOP_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+  } catch {
+    return { ...STOP_DEFAULTS }
+  }
+}
+
+/**
+ * @param {(lat: number, lng: number) => Promise<string | null>} resolveAddress
+ *   Reverse geocoder producing a short address label.
+ * @returns {{
+ *   settings:  import('vue').Ref<{ minDwell: number, radius: number }>,
+ *   stops:     import('vue').Ref<Array<import('../utils/stops.js').Stop & { address: string | null }>>,
+ *   movements: import('vue').Ref<Array<import('../utils/stops.js').Movement>>,
+ *   days:      import('vue').ComputedRef<Array<{ date: string, driving: number, stopped: number }>>,
+ *   analyse:   (positions: import('../api/models.js').Position[] | undefined) => void,
+ *   clear:     () => void,
+ * }}
+ */
+export function useStops(resolveAddress) {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** Minimum dwell time (minutes) and radius (metres) of a stop. */
+  const settings = ref(loadSettings())
+
+  /** Detected stops in time order; `address` fills in over time. */
+  const stops = ref([])
+
+  /** Stretches between stops. */
+  const movements = ref([])
+
+  /** Positions of the last analysis, kept for re-analysis on settings change. */
+  let positions = []
+
+  /** Address cache keyed by coordinates rounded to ~10 m. */
+  const addressCache = new Map()
+
+  /** Incremented per analysis; a running geocoding loop stops when it changes. */
+  let generation = 0
+
+  watch(settings, (s) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(s))
+    if (positions.length) analyse(positions)
+  }, { deep: true })
+
+  // ---------------------------------------------------------------------------
+  // Derived state
+  // ---------------------------------------------------------------------------
+
+  /** Driving vs stopped time per day. */
+  const days = computed(() => dailyTotals({ stops: stops.value, movements: movements.value }))
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Detects stops in a history track and starts resolving their addresses.
+   *
+   * @param {import('../api/models.js').Position[] | undefined} list
+   */
+  function analyse(list) {
+    positions = list || []
+    const result = detectStops(positions, settings.value)
+    stops.value = result.stops.map((s) => ({ ...s, address: addressCache.get(cacheKey(s)) ?? null }))
+    movements.value = result.movements
+    resolveAddresses(++generation)
+  }
+
+  /** Forgets the analysed history and stops geocoding. */
+  function clear() {
+    generation++
+    positions = []
+    stops.value = []
+    movements.value = []
+  }
+
+  /** Cache key for a stop's position (4 decimals ≈ 10 m). */
+  const cacheKey = (s) => `${s.lat.toFixed(4)},${s.lng.toFixed(4)}`
+
+  /**
+   * Resolves missing stop addresses one by one until done or superseded.
+   *
+   * @param {number} gen - Generation of the analysis that started the loop.
+   */
+  async function resolveAddresses(gen) {
+    for (const stop of stops.value) {
+      if (gen !== generation) return
+      const key = cacheKey(stop)
+      if (stop.address || addressCache.has(key)) continue
+
+      try {
+        const address = await resolveAddress(stop.lat, stop.lng)
+        addressCache.set(key, address)
+        if (gen !== generation) return
+        stops.value = stops.value.map((s) => (cacheKey(s) === key ? { ...s, address } : s))
+      } catch (err) {
+        reportError('useStops', t('errors.stopAddress'), err, 'warning')
+      }
+    }
+  }
+
+  return { settings, stops, movements, days, analyse, clear }
+}
@@ -0,0 +1,123 @@
+/**
+ * @file useToasts.js
+ * @description Shared toast notifications for errors the user should see.
+ *
+ * State lives at module scope so composables and components can report
+ * through `notify()` / `reportError()` without being wired to the component
+ * that renders the stack (`ToastStack.vue` in App.vue). A message that is
+ * already on screen is not stacked again – its counter goes up and its
+ * timer restarts – so a failing poll does not flood the corner.
+ */
+
+import { ref } from 'vue'
+import { isAbortError } from '../api/request.js'
+import { t } from '../i18n/index.js'
+
+/** How long a toast stays visible (ms). */
+const TOAST_MS = 6000
+
+/** Toasts shown at most at once; older ones make room. */
+const MAX_TOASTS = 4
+
+/**
+ * @typedef {object} Toast
+ * @property {number} id
+ * @property {string} message
+ * @property {'error' | 'warning' | 'info'} type
+ * @property {number} count - How often the message was raised while shown.
+ */
+
+// ---------------------------------------------------------------------------
+// Shared state
+// ---------------------------------------------------------------------------
+
+/** Visible toasts, oldest first. */
+const toasts = ref([])
+
+/** Toast id → dismiss timer. */
+const timers = new Map()
+
+let nextId = 1
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Removes a toast.
+ *
+ * @param {number} id
+ */
+function dismiss(id) {
+  clearTimeout(timers.get(id))
+  timers.delete(id)
+  toasts.value = toasts.value.filter((t) => t.id !== id)
+}
+
+/**
+ * (Re)starts a toast's dismiss timer.
+ *
+ * @param {number} id
+ */
+function schedule(id) {
+  clearTimeout(timers.get(id))
+  timers.set(id, setTimeout(() => dismiss(id), TOAST_MS))
+}
+
+/**
+ * Shows a toast, or bumps the counter of an identical one already shown.
+ *
+ * @param {string} message
+ * @param {'error' | 'warning' | 'info'} [type]
+ */
+export function notify(message, type = 'error') {
+  const same = toasts.value.find((t) => t.message === message && t.type === type)
+  if (same) {
+    toasts.value = toasts.value.map((t) => (t === same ? { ...t, count: t.count + 1 } : t))
+    schedule(same.id)
+    return
+  }
+
+  const toast = { id: nextId++, message, type, count: 1 }
+  toasts.value = [...toasts.value, toast]
+  schedule(toast.id)
+  while (toasts.value.length > MAX_TOASTS) dismiss(toasts.value[0].id)
+}
+
+/**
+ * Short cause of a failed request in the active language.
+ *
+ * @param {any} err
+ * @returns {string}
+ */
+function describeError(err) {
+  if (err?.timeout) return t('errors.timeout')
+  if (err?.status) return t('errors.http', { status: err.status })
+  if (err instanceof TypeError) return t('errors.network')
+  return err?.message || String(err)
+}
+
+/**
+ * Logs a failed operation and shows it as a toast. Cancelled requests are
+ * expected (a newer one replaced them) and are ignored.
+ *
+ * @param {string} context - Function name for the console, e.g. `'useFleet'`.
+ * @param {string} message - What failed, in words for the user.
+ * @param {unknown} err
+ * @param {'error' | 'warning'} [type] - `'warning'` for non-critical data.
+ */
+export function reportError(context, message, err, type = 'error') {
+  if (isAbortError(err)) return
+  console.warn(`[${context}] ${message}:`, err)
+  notify(`${message} (${describeError(err)})`, type)
+}
+
+/**
+ * @returns {{
+ *   toasts:  import('vue').Ref<Toast[]>,
+ *   dismiss: (id: number) => void,
+ * }}
+ */
+export function useToasts() {
+  return { toasts, dismiss }
+}
@@ -0,0 +1,134 @@
+/**
+ * @file useTripDetail.js
+ * @description Composable behind the detail of a clicked trip: the position
+ * history of exactly the trip's start–finish window, its speed profile and
+ * the stretches driven above a speed limit.
+ *
+ * The history and the eco events of the window are fetched together. The
+ * speed limit (km/h) is persisted in `localStorage`; changing it only
+ * recomputes the stretches. Only the latest trip counts – clicking another
+ * trip aborts the pending requests.
+ */
+
+import { ref, computed, watch } from 'vue'
+import { getVehicleHistory, getEcoDriving } from '../api/gpsdozor.js'
+import { latestRequest } from '../api/request.js'
+import { reportError } from './useToasts.js'
+import { t } from '../i18n/index.js'
+import { toApiTime } from '../utils/time.js'
+import { speedSamples, overLimit } from '../utils/tripStats.js'
+
+/** `localStorage` key holding the speed limit. */
+const STORAGE_KEY = 'fleet.speedLimit'
+
+/** Speed limit used until the user sets one (km/h). */
+const DEFAULT_LIMIT = 90
+
+/** The API's `to` has minute precision; widen it so the last position is included. */
+const WINDOW_PAD = 60_000
+
+/** @returns {number} */
+function loadLimit() {
+  const stored = Number(localStorage.getItem(STORAGE_KEY))
+  return stored > 0 ? stored : DEFAULT_LIMIT
+}
+
+/**
+ * @returns {{
+ *   trip:       import('vue').Ref<import('../api/models.js').Trip | null>,
+ *   positions:  import('vue').Ref<import('../api/models.js').Position[]>,
+ *   events:     import('vue').Ref<import('../api/models.js').EcoEvent[]>,
+ *   loading:    import('vue').Ref<boolean>,
+ *   speedLimit: import('vue').Ref<number>,
+ *   samples:    import('vue').ComputedRef<Array<{ time: number, speed: number | null }>>,
+ *   speeding:   import('vue').ComputedRef<{ segments: Array<{ from: number, to: number, maxSpeed: number }>, durationMs: number }>,
+ *   load:       (code: string, trip: import('../api/models.js').Trip) => Promise<boolean>,
+ *   clear:      () => void,
+ * }}
+ */
+export function useTripDetail() {
+  // ---------------------------------------------------------------------------
+  // State
+  // ---------------------------------------------------------------------------
+
+  /** The trip shown, or null. */
+  const trip = ref(null)
+
+  /** Position history of the trip window. */
+  const positions = ref([])
+
+  /** Eco events that fell inside the trip. */
+  const events = ref([])
+
+  /** True while the history and events are being fetched. */
+  const loading = ref(false)
+
+  /** Speed limit the profile is checked against (km/h). */
+  const speedLimit = ref(loadLimit())
+
+  const tripRequest = latestRequest()
+
+  watch(speedLimit, (limit) => {
+    if (limit > 0) localStorage.setItem(STORAGE_KEY, String(limit))
+  })
+
+  // ---------------------------------------------------------------------------
+  // Derived state
+  // ---------------------------------------------------------------------------
+
+  /** Speed over time of the trip. */
+  const samples = computed(() => speedSamples(positions.value))
+
+  /** Stretches above `speedLimit` and their total duration. */
+  const speeding = computed(() => overLimit(samples.value, speedLimit.value))
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches the history and eco events of the trip's start–finish window.
+   *
+   * @param {string} code - Vehicle code.
+   * @param {import('../api/models.js').Trip} selected
+   * @returns {Promise<boolean>} False when the fetch failed or was superseded.
+   */
+  async function load(code, selected) {
+    const signal = tripRequest.next()
+    const { startTime, finishTime } = selected
+    const inTrip = ({ time }) => time >= startTime && time <= finishTime
+
+    trip.value = selected
+    positions.value = []
+    events.value = []
+    loading.value = true
+
+    try {
+      const from = toApiTime(startTime)
+      const to = toApiTime(finishTime + WINDOW_PAD)
+      const [history, eco] = await Promise.all([
+        getVehicleHistory(code, from, to, { signal }),
+        getEcoDriving(code, from, to, { signal }),
+      ])
+      positions.value = history.filter(inTrip)
+      events.value = eco.filter(inTrip)
+      return true
+    } catch (err) {
+      reportError('useTripDetail', t('errors.tripPath'), err, 'warning')
+      return false
+    } finally {
+      if (!signal.aborted) loading.value = false
+    }
+  }
+
+  /** Drops the trip (and ignores a request still in flight). */
+  function clear() {
+    tripRequest.cancel()
+    trip.value = null
+    positions.value = []
+    events.value = []
+    loading.value = false
+  }
+
+  return { trip, positions, events, loading, speedLimit, samples, speeding, load, clear }
+}
@@ -0,0 +1,95 @@
+/**
+ * @file useUrlState.js
+ * @description Composable that mirrors the dashboard's navigation state in
+ * the URL (see `utils/urlState.js`) so views can be shared as links,
+ * survive a reload and be stepped through with the browser's back/forward
+ * buttons.
+ *
+ * Selection changes (group, vehicle, tab, map mode, date range) push a new
+ * history entry; viewport changes only replace the current one, so panning
+ * the map does not bury the selections under dozens of entries. When the
+ * user navigates back or forward, `apply` is called with the entry's state;
+ * changes it causes are not pushed again.
+ */
+
+import { watch, onUnmounted } from 'vue'
+import { parseUrlState, serializeUrlState } from '../utils/urlState.js'
+
+/**
+ * @param {{
+ *   state: import('vue').ComputedRef<Omit<import('../utils/urlState.js').UrlState, 'view'>>,
+ *   apply: (state: import('../utils/urlState.js').UrlState) => Promise<void>,
+ * }} options
+ *   `state` – current selection; `apply` – restores a state read from the URL.
+ * @returns {{
+ *   initial:    import('../utils/urlState.js').UrlState,
+ *   updateView: (view: { lat: number, lng: number, zoom: number }) => void,
+ *   start:      () => void,
+ * }}
+ */
+export function useUrlState({ state, apply }) {
+  /** State in the URL the page was opened with. */
+  const initial = parseUrlState(location.search)
+
+  /** Latest map viewport, written along with every entry. */
+  let view = initial.view
+
+  /** False until `start()`; true while `apply` restores a popped entry. */
+  let paused = true
+
+  /** Incremented per popped entry so an older restore stops writing. */
+  let generation = 0
+
+  /**
+   * Writes the current state to the URL.
+   *
+   * @param {'push' | 'replace'} how
+   */
+  function write(how) {
+    const search = serializeUrlState({ ...state.value, view })
+    if (search === location.search) return
+    const url = `${location.pathname}${search}${location.hash}`
+    if (how === 'push') history.pushState(null, '', url)
+    else history.replaceState(null, '', url)
+  }
+
+  /**
+   * Records a new map viewport in the current history entry.
+   *
+   * @param {{ lat: number, lng: number, zoom: number }} next
+   */
+  function updateView(next) {
+    view = next
+    if (!paused) write('replace')
+  }
+
+  /** Starts tracking once the initial state has been restored. */
+  function start() {
+    paused = false
+    write('replace')
+  }
+
+  /** Restores the state of the entry the browser navigated to. */
+  async function onPopState() {
+    const gen = ++generation
+    const target = parseUrlState(location.search)
+    paused = true
+    try {
+      await apply(target)
+    } catch (err) {
+      console.warn('[useUrlState] restoring state failed:', err)
+    } finally {
+      if (gen === generation) {
+        paused = false
+        write('replace') // drop whatever in the entry could not be restored
+      }
+    }
+  }
+
+  watch(state, () => { if (!paused) write('push') }, { deep: true })
+
+  window.addEventListener('popstate', onPopState)
+  onUnmounted(() => window.removeEventListener('popstate', onPopState))
+
+  return { initial, updateView, start }
+}
@@ -5,10 +5,21 @@
  *
  * The date range defaults to the past 7 days and can be changed by the user
  * via the `fromDate` / `toDate` refs (bound via `v-model` in `DetailPanel`).
+ *
+ * Only the latest request of each kind counts: starting a new trips or eco
+ * fetch aborts the previous one, so a slow answer for a vehicle clicked
+ * earlier can never overwrite the panel. `cancel()` aborts everything in
+ * flight, including history requests, when the selection changes. Failed
+ * fetches are reported as toasts. Trip addresses missing from the API are
+ * reverse-geocoded in the background after the trips load.
  */
 
 import { ref } from 'vue'
 import { getTrips, getEcoDriving, getVehicleHistory } from '../api/gpsdozor.js'
+import { latestRequest } from '../api/request.js'
+import { fillTripAddresses } from '../api/geocoding.js'
+import { reportError } from './useToasts.js'
+import { t } from '../i18n/index.js'
 
 // ---------------------------------------------------------------------------
 // Default date range helpers (evaluated once at module load time)
@@ -19,15 +30,16 @@ const weekAgo = new Date(today - 7 * 86_400_000) // 7 days × ms-per-day
 
 /**
  * @returns {{
- *   trips:        import('vue').Ref<Array<object>>,
- *   ecoEvents:    import('vue').Ref<Array<object>>,
+ *   trips:        import('vue').Ref<import('../api/models.js').Trip[]>,
+ *   ecoEvents:    import('vue').Ref<import('../api/models.js').EcoEvent[]>,
  *   loadingTrips: import('vue').Ref<boolean>,
  *   loadingEco:   import('vue').Ref<boolean>,
  *   fromDate:     import('vue').Ref<string>,
  *   toDate:       import('vue').Ref<string>,
- *   fetchTrips:   (code: string) => Promise<void>,
- *   fetchEco:     (code: string) => Promise<void>,
- *   fetchHistory: (code: string) => Promise<Array<object>>,
+ *   fetchTrips:   (code: string) => Promise<boolean>,
+ *   fetchEco:     (code: string) => Promise<boolean>,
+ *   fetchHistory: (code: string) => Promise<import('../api/models.js').Position[]>,
+ *   cancel:       () => void,
  * }}
  */
 export function useVehicleDetail() {
@@ -53,6 +65,13 @@ export function useVehicleDetail() {
   /** End of the date range in `YYYY-MM-DD` format. */
   const toDate = ref(today.toISOString().slice(0, 10))
 
+  /** Signal sources – a new request of a kind aborts the previous one. */
+  const tripsRequest = latestRequest()
+  const ecoRequest   = latestRequest()
+
+  /** Aborted by `cancel()`; history requests of the current selection use it. */
+  let selection = new AbortController()
+
   // ---------------------------------------------------------------------------
   // Helpers – build ISO datetime strings for the API query params
   // ---------------------------------------------------------------------------
@@ -72,44 +91,67 @@ export function useVehicleDetail() {
    * Resets `trips` before loading so stale data is never visible.
    *
    * @param {string} code - Vehicle code.
+   * @returns {Promise<boolean>} False when the fetch failed or was superseded.
    */
   async function fetchTrips(code) {
+    const signal = tripsRequest.next()
     loadingTrips.value = true
     trips.value = []
     try {
-      trips.value = (await getTrips(code, from(), to())) || []
+      trips.value = await getTrips(code, from(), to(), { signal })
+      // Addresses the API left empty trickle in through the geocoding queue
+      fillTripAddresses(trips.value, { signal })
+      return true
+    } catch (err) {
+      reportError('fetchTrips', t('errors.trips'), err)
+      return false
     } finally {
-      loadingTrips.value = false
+      if (!signal.aborted) loadingTrips.value = false
     }
   }
 
   /**
    * Fetches eco-driving events for the given vehicle code and date range.
-   * Normalises the response to an array even if the API returns a non-array.
    *
    * @param {string} code - Vehicle code.
+   * @returns {Promise<boolean>} False when the fetch failed or was superseded.
    */
   async function fetchEco(code) {
+    const signal = ecoRequest.next()
     loadingEco.value = true
     ecoEvents.value = []
     try {
-      const data = await getEcoDriving(code, from(), to())
-      ecoEvents.value = Array.isArray(data) ? data : []
+      ecoEvents.value = await getEcoDriving(code, from(), to(), { signal })
+      return true
+    } catch (err) {
+      reportError('fetchEco', t('errors.eco'), err)
+      return false
     } finally {
-      loadingEco.value = false
+      if (!signal.aborted) loadingEco.value = false
     }
   }
 
   /**
-   * Fetches raw GPS position history for the given vehicle code and date range.
-   * Returns the raw API response; the caller is responsible for rendering it.
+   * Fetches the GPS position history for the given vehicle code and date
+   * range; the caller is responsible for rendering it. Rejects with an
+   * `AbortError` when `cancel()` runs first.
    *
    * @param {string} code - Vehicle code.
-   * @returns {Promise<Array<object>>}
+   * @returns {Promise<import('../api/models.js').Position[]>}
    */
   async function fetchHistory(code) {
-    return getVehicleHistory(code, from(), to())
+    return getVehicleHistory(code, from(), to(), { signal: selection.signal })
+  }
+
+  /** Aborts every request in flight (the selected vehicle changed). */
+  function cancel() {
+    tripsRequest.cancel()
+    ecoRequest.cancel()
+    selection.abort()
+    selection = new AbortController()
+    loadingTrips.value = false
+    loadingEco.value = false
   }
 
-  return { trips, ecoEvents, loadingTrips, loadingEco, fromDate, toDate, fetchTrips, fetchEco, fetchHistory }
+  return { trips, ecoEvents, loadingTrips, loadingEco, fromDate, toDate, fetchTrips, fetchEco, fetchHistory, cancel }
 }
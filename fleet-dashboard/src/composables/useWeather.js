@@ -2,84 +2,168 @@
  * useWeather.js – Vue composable that wraps the Open-Meteo weather client.
  *
  * Exposes:
- *   weather        – reactive ref, null or { icon, label, temp, wind }
+ *   weather        – reactive ref, null or { icon, code, temp, wind }
  *   loadingWeather – reactive boolean
- *   fetchWeather   – async function(lat, lng); silently swallows errors
+ *   fetchWeather   – async function(lat, lng); failures show as a warning toast
+ *   tripWeather    – reactive ref, hourly weather at each trip's start (aligned with the trips)
+ *   eventWeather   – reactive ref, hourly weather of each eco event (aligned with the events)
+ *   loadingHistory – reactive boolean
+ *   fetchHistoricalWeather – async function(trips, events); failures show as a warning toast
+ *
+ * A new fetch aborts the previous one, so weather for a vehicle selected
+ * earlier cannot replace the current vehicle's. The WMO code is kept rather
+ * than its label so the description follows the language; see `wmoLabel`.
  */
 
 import { ref } from 'vue'
-import { getCurrentWeather } from '../api/weather.js'
+import { getCurrentWeather, getHistoricalWeather } from '../api/weather.js'
+import { latestRequest } from '../api/request.js'
+import { reportError } from './useToasts.js'
+import { t, hasMessage } from '../i18n/index.js'
 
 /**
- * WMO Weather Interpretation Codes → { icon: emoji, label: string }
+ * WMO Weather Interpretation Codes → emoji. The labels are in the message
+ * catalogues under `weather.wmo.<code>`.
  * Reference: https://open-meteo.com/en/docs#weathervariables
  */
-const WMO_CODES = {
-  0:  { icon: '☀️',  label: 'Clear sky' },
-  1:  { icon: '🌤️',  label: 'Mainly clear' },
-  2:  { icon: '⛅',  label: 'Partly cloudy' },
-  3:  { icon: '☁️',  label: 'Overcast' },
-  45: { icon: '🌫️',  label: 'Fog' },
-  48: { icon: '🌫️',  label: 'Icy fog' },
-  51: { icon: '🌦️',  label: 'Light drizzle' },
-  53: { icon: '🌦️',  label: 'Drizzle' },
-  55: { icon: '🌧️',  label: 'Dense drizzle' },
-  56: { icon: '🌨️',  label: 'Freezing drizzle' },
-  57: { icon: '🌨️',  label: 'Heavy freezing drizzle' },
-  61: { icon: '🌧️',  label: 'Slight rain' },
-  63: { icon: '🌧️',  label: 'Rain' },
-  65: { icon: '🌧️',  label: 'Heavy rain' },
-  66: { icon: '🌨️',  label: 'Freezing rain' },
-  67: { icon: '🌨️',  label: 'Heavy freezing rain' },
-  71: { icon: '❄️',  label: 'Slight snow' },
-  73: { icon: '❄️',  label: 'Snow' },
-  75: { icon: '❄️',  label: 'Heavy snow' },
-  77: { icon: '🌨️',  label: 'Snow grains' },
-  80: { icon: '🌦️',  label: 'Slight showers' },
-  81: { icon: '🌧️',  label: 'Showers' },
-  82: { icon: '⛈️',  label: 'Heavy showers' },
-  85: { icon: '🌨️',  label: 'Snow showers' },
-  86: { icon: '🌨️',  label: 'Heavy snow showers' },
-  95: { icon: '⛈️',  label: 'Thunderstorm' },
-  96: { icon: '⛈️',  label: 'Thunderstorm w/ hail' },
-  99: { icon: '⛈️',  label: 'Thunderstorm w/ heavy hail' },
+const WMO_ICONS = {
+  0:  '☀️',
+  1:  '🌤️',
+  2:  '⛅',
+  3:  '☁️',
+  45: '🌫️',
+  48: '🌫️',
+  51: '🌦️',
+  53: '🌦️',
+  55: '🌧️',
+  56: '🌨️',
+  57: '🌨️',
+  61: '🌧️',
+  63: '🌧️',
+  65: '🌧️',
+  66: '🌨️',
+  67: '🌨️',
+  71: '❄️',
+  73: '❄️',
+  75: '❄️',
+  77: '🌨️',
+  80: '🌦️',
+  81: '🌧️',
+  82: '⛈️',
+  85: '🌨️',
+  86: '🌨️',
+  95: '⛈️',
+  96: '⛈️',
+  99: '⛈️',
 }
 
-/** Fallback for unknown WMO codes */
-const UNKNOWN_CODE = { icon: '🌡️', label: 'Unknown' }
+/** Fallback icon for unknown WMO codes */
+const UNKNOWN_ICON = '🌡️'
+
+/**
+ * Describes a WMO weather code in the active language.
+ *
+ * @param {number} code
+ * @returns {string}
+ */
+export const wmoLabel = (code) => t(hasMessage(`weather.wmo.${code}`) ? `weather.wmo.${code}` : 'weather.unknown')
+
+/**
+ * Emoji for a WMO weather code.
+ *
+ * @param {number} code
+ * @returns {string}
+ */
+export const wmoIcon = (code) => WMO_ICONS[code] ?? UNKNOWN_ICON
+
+/**
+ * Place and time of a trip's start or an eco event, or null without a
+ * position.
+ *
+ * @param {import('../api/models.js').LatLng | null} position
+ * @param {number} time - Unix ms.
+ * @returns {{ lat: number, lng: number, time: number } | null}
+ */
+const weatherPoint = (position, time) => (position ? { ...position, time } : null)
 
 export function useWeather() {
   const weather        = ref(null)
   const loadingWeather = ref(false)
+  const weatherRequest = latestRequest()
+
+  const tripWeather    = ref([])
+  const eventWeather   = ref([])
+  const loadingHistory = ref(false)
+  const historyRequest = latestRequest()
 
   /**
    * Fetch weather for the given coordinates and update the `weather` ref.
-   * Failures are logged as warnings but never thrown – weather is non-critical.
+   * Failures are reported as warnings but never thrown – weather is non-critical.
    *
    * @param {number} lat
    * @param {number} lng
    */
   async function fetchWeather(lat, lng) {
+    const signal = weatherRequest.next()
     loadingWeather.value = true
     weather.value        = null
 
     try {
-      const current = await getCurrentWeather(lat, lng)
+      const current = await getCurrentWeather(lat, lng, { signal })
       const code    = current.weather_code ?? 0
-      const meta    = WMO_CODES[code] ?? UNKNOWN_CODE
 
       weather.value = {
-        icon:  meta.icon,
-        label: meta.label,
-        temp:  current.temperature_2m,
-        wind:  current.wind_speed_10m,
+        icon: wmoIcon(code),
+        code,
+        temp: current.temperature_2m,
+        wind: current.wind_speed_10m,
       }
     } catch (err) {
-      console.warn('[useWeather] fetch failed:', err)
+      reportError('useWeather', t('errors.weather'), err, 'warning')
     } finally {
-      loadingWeather.value = false
+      if (!signal.aborted) loadingWeather.value = false
     }
   }
 
-  return { weather, loadingWeather, fetchWeather }
+  /**
+   * Fetch the weather at each trip's start and each eco event into
+   * `tripWeather` / `eventWeather`. Entries stay null where the position or
+   * the weather is unknown. Failures are reported as warnings, never thrown.
+   *
+   * @param {import('../api/models.js').Trip[]} trips
+   * @param {import('../api/models.js').EcoEvent[]} events
+   */
+  async function fetchHistoricalWeather(trips, events) {
+    const signal = historyRequest.next()
+    tripWeather.value  = []
+    eventWeather.value = []
+
+    const points = [
+      ...trips.map((trip) => weatherPoint(trip.start, trip.startTime)),
+      ...events.map((e) => weatherPoint(e.position, e.time)),
+    ]
+    const known = points.filter(Boolean)
+    if (!known.length) {
+      loadingHistory.value = false
+      return
+    }
+
+    loadingHistory.value = true
+    try {
+      const found = await getHistoricalWeather(known, { signal })
+      let next = 0
+      const all = points.map((p) => (p ? found[next++] : null))
+      tripWeather.value  = all.slice(0, trips.length)
+      eventWeather.value = all.slice(trips.length)
+    } catch (err) {
+      reportError('useWeather', t('errors.weatherHistory'), err, 'warning')
+    } finally {
+      if (!signal.aborted) loadingHistory.value = false
+    }
+  }
+
+  return {
+    weather, loadingWeather, fetchWeather,
+    tripWeather, eventWeather, loadingHistory, fetchHistoricalWeather,
+  }
 }
@@ -0,0 +1,508 @@
+/**
+ * @file cs.js
+ * @description Czech messages. Keys mirror `en.js`.
+ */
+
+export default {
+  common: {
+    loading:  'Načítání…',
+    close:    'Zavřít',
+    noPlate:  'Bez SPZ',
+    na:       'N/A',
+    start:    'Start',
+    end:      'Cíl',
+    import:   'IMPORT',
+    export:   'EXPORT',
+    fit:      'ZOBRAZIT',
+    reload:   '↻ OBNOVIT',
+    error:    'chyba',
+  },
+
+  units: {
+    minutes:      '{m} min',
+    hoursMinutes: '{h} h {m} min',
+  },
+
+  header: {
+    vehicles:    'VOZIDLA',
+    sync:        'SYNC',
+    user:        'UŽIVATEL',
+    logout:      'ODHLÁSIT',
+    leaderboard: 'ŽEBŘÍČEK',
+    analytics:   'ANALÝZA',
+    maintenance: 'ÚDRŽBA',
+    group:       'SKUPINA',
+    allGroups:   'Všechny skupiny ({count})',
+    allGroupsTitle: 'Všechny skupiny',
+  },
+
+  prefs: {
+    title:       'Jazyk a jednotky',
+    language:    'Jazyk',
+    speed:       'Rychlost',
+    distance:    'Vzdálenost',
+    temperature: 'Teplota',
+    clock:       'Čas',
+    clocks:      { '24h': '24hodinový', '12h': '12hodinový' },
+  },
+
+  login: {
+    username:    'Uživatelské jméno',
+    password:    'Heslo',
+    signIn:      'PŘIHLÁSIT',
+    signingIn:   'PŘIHLAŠOVÁNÍ…',
+    invalid:     'Neplatné uživatelské jméno nebo heslo.',
+    unreachable: 'GPS Dozor je nedostupný – zkuste to později.',
+    expired:     'Relace vypršela – přihlaste se prosím znovu.',
+  },
+
+  fleet: {
+    moving:            'V pohybu',
+    idle:              'Stojí',
+    avgSpeed:          'Prům. {unit}',
+    search:            'Hledat vozidla',
+    searchPlaceholder: 'Název nebo SPZ…',
+    loadingFleet:      'Načítání vozového parku…',
+    noVehicles:        'Žádná vozidla',
+    compareToggle:     'Přidat do porovnání',
+    compareCount:      '{count} / {max} k porovnání',
+    compare:           'POROVNAT',
+    clearCompare:      'Zrušit výběr',
+  },
+
+  compare: {
+    title:          'Porovnání',
+    loading:        'Načítají se vozidla…',
+    none:           'Pro porovnávaná vozidla nejsou data',
+    showDetail:     'Zobrazit detail vozidla',
+    metrics: {
+      distance:  'Vzdálenost',
+      trips:     'Jízdy',
+      driving:   'Doba jízdy',
+      maxSpeed:  'Max. rychlost',
+      avgSpeed:  'Prům. rychlost',
+      ecoEvents: 'Eko události',
+    },
+    ecoByType:      'Eko události podle typu',
+    distancePerDay: 'Vzdálenost po dnech ({unit})',
+    speeds:         'Max. / prům. rychlost ({unit})',
+  },
+
+  map: {
+    live:          '● ŽIVĚ',
+    routeHistory:  'HISTORIE TRASY',
+    fitAll:        'ZOBRAZIT VŠE',
+    refresh:       '↻ OBNOVIT',
+    auto:          'AUTO {s} s',
+    autoOff:       'AUTO VYP',
+    autoTitle:     'Interval automatického obnovení',
+    push:          'PUSH',
+    pushTitle:     'Přijímat aktualizace odesílané serverem (SSE)',
+    zones:         'ZÓNY',
+    tracks:        'TRASY',
+    dispatch:      'DISPEČINK',
+    dispatchTitle: 'Najít vozidla nejblíže k místu zakázky',
+    hotspots:      'HOTSPOTY',
+    hotspotsTitle: 'Místa s častými eko událostmi všech vozidel skupiny za období z detailu',
+    liveStatus:    { off: 'vyp', polling: 'dotazování', push: 'push', paused: 'pozastaveno' },
+    popupSpeed:    'Rychlost:',
+    tripStart:     'Start: {address}',
+    tripEnd:       'Cíl: {address}',
+    hotspotEvents: { one: '{count} eko událost', few: '{count} eko události', other: '{count} eko událostí' },
+    hotspotVehicles: { one: '{count} vozidlo', few: '{count} vozidla', other: '{count} vozidel' },
+    hotspotType:   'převážně {type}',
+    hotspotsFailed: { one: 'Eko události {count} vozidla se nepodařilo načíst', few: 'Eko události {count} vozidel se nepodařilo načíst', other: 'Eko události {count} vozidel se nepodařilo načíst' },
+    searchPlaceholder: 'Hledat adresu…',
+    searchNone:    'Žádná místa nenalezena',
+    searchSubmit:  'Hledat',
+  },
+
+  playback: {
+    play:       'Přehrát',
+    pause:      'Pozastavit',
+    speedTitle: 'Rychlost přehrávání',
+  },
+
+  detail: {
+    selectVehicle:  'Vyberte vozidlo\npro zobrazení detailu',
+    collapse:       'Zúžit panel',
+    expand:         'Rozšířit panel',
+    speed:          'Rychlost',
+    odometer:       'Tachometr',
+    battery:        'Baterie',
+    lastSeen:       'Naposledy',
+    loadingWeather: '⟳ načítání počasí…',
+    wind:           'vítr {speed}',
+    tabs:           { trips: 'JÍZDY', eco: 'EKO', zones: 'ZÓNY', stops: 'ZASTÁVKY', service: 'SERVIS' },
+    go:             'OK',
+    noTrips:        'V tomto období žádné jízdy',
+    maxSpeedPerTrip: 'Max. rychlost na jízdu ({unit})',
+    avg:            'prům. {speed}',
+    max:            'max. {speed}',
+    ecoScore:       'Eko skóre',
+    weightedPer100: '{value} vážených událostí / 100 km · ',
+    driven:         'ujeto {distance}',
+    scoreHint:      '100 − {factor} × událostí vážených závažností a typem na 100 km; pod {min} km bez skóre',
+    adjustedScore:  'Po zohlednění počasí:',
+    adjustedHint:   'Události za mokra, mlhy nebo sněhu váží méně (mokro / mlha × {wet}, sníh × {snow})',
+    conditions:     'Eko události podle stavu vozovky',
+    conditionColumns: { distance: 'Vzdálenost', events: 'Události', per100km: '/ 100 km' },
+    loadingConditions: 'načítám počasí jízd a událostí…',
+    noEco:          'V tomto období žádné eko události',
+    eventsByType:   'Události podle typu',
+    noZoneVisits:   'V tomto období žádné návštěvy zón',
+    timeInZones:    'Čas v zónách',
+    liveTransitions: 'Živé přechody',
+    enter:          'VJEZD',
+    exit:           'VÝJEZD',
+    visits:         'Návštěvy',
+    stopMinDwell:   'min.',
+    stopMinutes:    'min',
+    stopRadius:     'okruh',
+    noStops:        'V tomto období žádné zastávky',
+    drivingVsStopped: 'Jízda a stání po dnech',
+    stopCount:      { one: '{count} zastávka', few: '{count} zastávky', other: '{count} zastávek' },
+    stopFallback:   'Zastávka {n} · {lat}, {lng}',
+    tripSpeed:      'Jízda {time} · rychlost v čase',
+    speedLimit:     'Rychlostní limit',
+    noTripPath:     'Pro tuto jízdu nejsou zaznamenány žádné polohy',
+    overLimit:      {
+      one:   '{count} úsek nad limitem, celkem {duration}',
+      few:   '{count} úseky nad limitem, celkem {duration}',
+      other: '{count} úseků nad limitem, celkem {duration}',
+    },
+    withinLimit:    'Celou dobu v limitu',
+    tripEvents:     { one: '{count} eko událost', few: '{count} eko události', other: '{count} eko událostí' },
+  },
+
+  charts: {
+    maxSpeed: 'Max. rychlost',
+    avgSpeed: 'Prům. rychlost',
+    events:   {
+      one:   '{name}: {count} událost',
+      few:   '{name}: {count} události',
+      other: '{name}: {count} událostí',
+    },
+    speed:    'Rychlost',
+    ecoEvents: 'Eko události',
+  },
+
+  eco: {
+    names: {
+      0: 'Neznámá',
+      1: 'Zatáčka vlevo',
+      2: 'Zatáčka vpravo',
+      3: 'Zatáčka',
+      4: 'Prudké zrychlení',
+      5: 'Prudké brzdění',
+      6: 'Náraz',
+      7: 'Dlouhá spojka',
+      8: 'Jízda na neutrál',
+      9: 'Jízda bez motoru',
+    },
+    descriptions: {
+      0: 'Neznámý typ události.',
+      1: 'Zatáčka vlevo – vozidlo zatočilo vlevo příliš ostře a namáhalo pneumatiky do boku.',
+      2: 'Zatáčka vpravo – vozidlo zatočilo vpravo příliš ostře a namáhalo pneumatiky do boku.',
+      3: 'Zatáčka – zjištěno ostré zatáčení, směr neurčen.',
+      4: 'Prudké zrychlení – řidič agresivně sešlápl plyn, což zvyšuje spotřebu.',
+      5: 'Prudké brzdění – řidič prudce zabrzdil, což nadměrně opotřebovává pneumatiky a brzdy.',
+      6: 'Náraz – vozidlo přejelo výmol nebo zpomalovací práh příliš rychle.',
+      7: 'Dlouhá spojka – spojkový pedál byl sešlápnut příliš dlouho, což zbytečně opotřebovává spojku.',
+      8: 'Jízda na neutrál – vozidlo jelo na neutrál, což plýtvá palivem a snižuje brzdný účinek motoru.',
+      9: 'Jízda bez motoru – motor byl za jízdy vypnut, což snižuje ovladatelnost a bezpečnost.',
+    },
+    severity: { 0: 'žádná', 1: 'nízká', 2: 'střední', 3: 'vysoká' },
+  },
+
+  weather: {
+    wmo: {
+      0:  'Jasno',
+      1:  'Převážně jasno',
+      2:  'Polojasno',
+      3:  'Zataženo',
+      45: 'Mlha',
+      48: 'Námrazová mlha',
+      51: 'Slabé mrholení',
+      53: 'Mrholení',
+      55: 'Husté mrholení',
+      56: 'Mrznoucí mrholení',
+      57: 'Silné mrznoucí mrholení',
+      61: 'Slabý déšť',
+      63: 'Déšť',
+      65: 'Silný déšť',
+      66: 'Mrznoucí déšť',
+      67: 'Silný mrznoucí déšť',
+      71: 'Slabé sněžení',
+      73: 'Sněžení',
+      75: 'Silné sněžení',
+      77: 'Sněhová zrna',
+      80: 'Slabé přeháňky',
+      81: 'Přeháňky',
+      82: 'Silné přeháňky',
+      85: 'Sněhové přeháňky',
+      86: 'Silné sněhové přeháňky',
+      95: 'Bouřka',
+      96: 'Bouřka s kroupami',
+      99: 'Bouřka se silnými kroupami',
+    },
+    unknown: 'Neznámé',
+    conditions: { dry: 'Sucho', wet: 'Mokro', snow: 'Sníh', fog: 'Mlha' },
+  },
+
+  zones: {
+    title:        'Geozóny',
+    hint:         'Mnohoúhelníky, obdélníky a kruhy kreslete nástroji vlevo; nástroj úprav posouvá vrcholy a koš tvary maže.',
+    none:         'Zatím žádné zóny',
+    defaultName:  'Zóna {n}',
+    delete:       'Smazat zónu',
+    recent:       'Poslední přechody',
+    categories:   { depot: 'Depo', customer: 'Zákazník', restricted: 'Zakázaná' },
+    imported:     {
+      one:   'Importována {count} zóna',
+      few:   'Importovány {count} zóny',
+      other: 'Importováno {count} zón',
+    },
+    noShapes:     'Nenalezeny žádné mnohoúhelníky ani kruhy',
+    invalid:      'Neplatný soubor GeoJSON',
+  },
+
+  tracks: {
+    title:         'Trasy',
+    exportHistory: 'Export historie trasy',
+    selectVehicle: 'Pro export historie vyberte vozidlo.',
+    overlays:      'Překryvy',
+    overlaysHint:  'Importujte soubor GPX nebo GeoJSON, např. plánovanou trasu, a porovnejte ji se skutečnou.',
+    waypoints:     '{count} bodů',
+    remove:        'Odebrat překryv',
+    imported:      'Importováno: {name}',
+    noPositions:   'V tomto období žádné polohy',
+    exportFailed:  'Export se nezdařil',
+    invalid:       'Neplatný soubor GPX nebo GeoJSON',
+  },
+
+  dispatch: {
+    title:        'Dispečink',
+    hint:         'Klikněte do mapy nebo vyhledejte adresu a nastavte místo zakázky.',
+    job:          'Místo zakázky',
+    clearJob:     'Odebrat místo zakázky',
+    status:       { all: 'Všechna vozidla', moving: 'V pohybu', idle: 'Stojící' },
+    sortEta:      'Podle příjezdu',
+    sortDistance: 'Podle vzdálenosti',
+    maxAge:       'Čerstvé ≤ {m} min',
+    maxAgeTitle:  'Starší polohy jsou zastaralé',
+    anyAge:       'Libovolné stáří',
+    hideStale:    'Skrýt zastaralé',
+    staleTitle:   'Zastaralá poloha – vozidlo se mezitím mohlo přesunout',
+    none:         'Filtrům neodpovídá žádné vozidlo',
+    more:         { one: '+{count} další vozidlo', few: '+{count} další vozidla', other: '+{count} dalších vozidel' },
+  },
+
+  maintenance: {
+    title:        'Údržba',
+    summary:      'po termínu: {overdue} · brzy: {soon}',
+    hint:         'Servisní plány vozidel této skupiny, nejnaléhavější první. Plán je brzy na řadě, zbývá-li do limitu {km} nebo {days} dní. Plány se upravují na kartě SERVIS vozidla.',
+    noPlans:      'Zatím žádné servisní plány – přidejte je na kartě SERVIS vozidla',
+    none:         'Vozidlo nemá žádné servisní plány',
+    types:        { oil: 'Výměna oleje', inspection: 'Technická kontrola', tyres: 'Přezutí', other: 'Jiný servis' },
+    status:       { overdue: 'Po termínu', soon: 'Brzy', ok: 'V pořádku', unknown: 'Nenaplánováno' },
+    columns: {
+      vehicle:  'Vozidlo',
+      service:  'Servis',
+      dueKm:    'Při stavu',
+      dueDate:  'Termín',
+      status:   'Stav',
+    },
+    noBaseline:   'Pro naplánování zadejte poslední servis nebo pevné datum',
+    dueAt:        'při {distance}',
+    dueOn:        'dne {date}',
+    left:         'zbývá {value}',
+    over:         'překročeno o {value}',
+    daysLeft:     { one: 'zbývá {count} den', few: 'zbývají {count} dny', other: 'zbývá {count} dní' },
+    daysOver:     { one: '{count} den po termínu', few: '{count} dny po termínu', other: '{count} dní po termínu' },
+    everyKm:      'Každých ({unit})',
+    everyMonths:  'Každých (měsíců)',
+    lastKm:       'Naposledy při ({unit})',
+    lastDate:     'Naposledy dne',
+    nextDate:     'Pevné datum',
+    nextDateTitle: 'Objednaný termín, např. přezutí – do provedení servisu nahrazuje měsíční interval',
+    note:         'Poznámka',
+    done:         'HOTOVO',
+    doneTitle:    'Servis proveden dnes při aktuálním stavu tachometru',
+    delete:       'Smazat plán',
+    add:          'PŘIDAT PLÁN',
+    badgeOverdue: { one: '{count} servis po termínu', few: '{count} servisy po termínu', other: '{count} servisů po termínu' },
+    badgeSoon:    { one: '{count} servis brzy', few: '{count} servisy brzy', other: '{count} servisů brzy' },
+    imported:     {
+      one:   'Importován {count} plán',
+      few:   'Importovány {count} plány',
+      other: 'Importováno {count} plánů',
+    },
+    noneImported: 'V souboru nejsou žádné plány',
+    invalid:      'Neplatný soubor JSON',
+  },
+
+  exportMenu: {
+    title:   'Export',
+    scopes:  { vehicle: 'Toto vozidlo', fleet: 'Celá skupina' },
+    formats: {
+      'trips-csv': 'Jízdy · CSV',
+      'eco-csv':   'Eko události · CSV',
+      xlsx:        'Jízdy + eko · XLSX',
+      pdf:         'Tisková sestava (PDF)',
+    },
+    popupBlocked: 'Pro tisk sestavy povolte vyskakovací okna',
+    failed:       'Export se nezdařil',
+  },
+
+  leaderboard: {
+    title:    'Eko žebříček',
+    period:   '{from} → {to} · trend oproti {prevFrom} → {prevTo}',
+    hint:     'Skóre = 100 − {factor} × vážených událostí na 100 km. Váhy podle závažnosti jsou {low}/{med}/{high} (nízká/střední/vysoká), vyšší pro prudké brzdění a jízdu bez motoru. Vozidla pod {min} km skóre nemají.',
+    scoring:  'Hodnocení vozidel…',
+    none:     'Žádná vozidla',
+    columns: {
+      vehicle:  'Vozidlo',
+      score:    'Skóre',
+      trend:    'Trend',
+      distance: 'Vzdálenost',
+      events:   'Události',
+      per100:   'Vážené / 100 km',
+    },
+  },
+
+  analytics: {
+    title:         'Analýza vozového parku',
+    loading:       'Načítají se jízdy a eko události…',
+    none:          'Žádná vozidla',
+    failed:        {
+      one:   '{count} vozidlo se nepodařilo načíst a není započteno',
+      few:   '{count} vozidla se nepodařilo načíst a nejsou započtena',
+      other: '{count} vozidel se nepodařilo načíst a nejsou započtena',
+    },
+    kpi: {
+      distance:    'Vzdálenost',
+      driving:     'Doba jízdy',
+      trips:       'Jízdy',
+      ecoEvents:   'Eko události',
+      active:      'Aktivní vozidla',
+      utilisation: 'Využití',
+    },
+    dailyDistance: 'Celková vzdálenost po dnech ({unit})',
+    ecoMix:        'Eko události po dnech podle typu',
+    odometer:      'Nárůst tachometru ({unit})',
+    busiest:       'Nejvytíženější vozidla',
+    leastUsed:     'Nejméně využitá vozidla',
+    heatmap:       'Využití po hodinách',
+    heatmapHint:   'Minuty jízdy za vozidlo a hodinu; jasnější = vytíženější.',
+    heatmapCell:   '{vehicle} · {time} · {minutes} min jízdy',
+  },
+
+  alerts: {
+    title:        'Upozornění',
+    ackAll:       'POTVRDIT VŠE',
+    rulesTitle:   'Pravidla upozornění',
+    none:         'Žádná upozornění',
+    since:        'od {time}',
+    snoozedUntil: ' · odloženo do {time}',
+    acknowledged: ' · potvrzeno',
+    ack:          'POTVRDIT',
+    resolved:     'Vyřešené',
+    clear:        'VYMAZAT',
+    rules: {
+      overspeed: 'Překročení rychlosti',
+      stale:     'Stará poloha',
+      battery:   'Slabá baterie',
+      idle:      'Dlouhé stání',
+      ecoBurst:  'Série eko událostí',
+    },
+    messages: {
+      overspeed: '{speed} (limit {limit})',
+      stale:     'Bez polohy {minutes} min',
+      battery:   'Baterie na {percent} %',
+      idle:      'Stojí {hours} h',
+      ecoBurst:  '{count} závažných eko událostí za {minutes} min',
+    },
+    settings: {
+      overspeed:     'Rychlost nad',
+      stale:         'Bez polohy déle než',
+      battery:       'Baterie pod',
+      idle:          'Stání déle než',
+      ecoBurst:      'Závažné eko události ≥',
+      within:        'za',
+      notifications: 'Oznámení prohlížeče',
+      unsupported:   ' (nepodporováno)',
+      blocked:       ' (zablokováno v nastavení prohlížeče)',
+    },
+  },
+
+  errors: {
+    timeout:       'vypršel časový limit',
+    network:       'chyba sítě',
+    http:          'HTTP {status}',
+    groups:        'Skupiny vozidel se nepodařilo načíst',
+    vehicles:      'Vozidla se nepodařilo načíst',
+    refresh:       'Vozidla se nepodařilo obnovit',
+    poll:          'Obnovení vozidel selhalo',
+    liveLost:      'Živý přenos ztracen – přechod na dotazování',
+    trips:         'Jízdy se nepodařilo načíst',
+    eco:           'Eko události se nepodařilo načíst',
+    history:       'Historii trasy se nepodařilo načíst',
+    weather:       'Počasí se nepodařilo načíst',
+    weatherHistory: 'Historické počasí se nepodařilo načíst',
+    address:       'Vyhledání adresy selhalo',
+    stopAddress:   'Vyhledání adresy zastávky selhalo',
+    addressSearch: 'Hledání adresy selhalo',
+    tripPath:      'Trasu jízdy se nepodařilo načíst',
+    ecoAlert:      'Kontrola eko upozornění pro {name} selhala',
+  },
+
+  reports: {
+    sheets:  { summary: 'Souhrn', trips: 'Jízdy', eco: 'Eko události' },
+    columns: {
+      vehicle:   'Vozidlo',
+      plate:     'SPZ',
+      start:     'Start',
+      finish:    'Konec',
+      from:      'Odkud',
+      to:        'Kam',
+      duration:  'Trvání',
+      distance:  'Vzdálenost ({unit})',
+      avgSpeed:  'Prům. rychlost ({unit})',
+      maxSpeed:  'Max. rychlost ({unit})',
+      time:      'Čas',
+      event:     'Událost',
+      severity:  'Závažnost',
+      speed:     'Rychlost ({unit})',
+      latitude:  'Zeměpisná šířka',
+      longitude: 'Zeměpisná délka',
+      trips:     'Jízdy',
+      driving:   'Jízda (h:mm)',
+      longest:   'Nejdelší jízda',
+      ecoEvents: 'Eko události',
+      high:      'Vysoká',
+      med:       'Střední',
+      low:       'Nízká',
+      total:     'Celkem',
+      note:      'Poznámka',
+    },
+    failedNote:    'Data se nepodařilo načíst',
+    kpi: {
+      trips:      'Jízdy',
+      distance:   'Vzdálenost',
+      driving:    'Doba jízdy',
+      longest:    'Nejdelší jízda',
+      maxSpeed:   'Max. rychlost',
+      avgSpeed:   'Prům. rychlost',
+      ecoEvents:  'Eko události',
+      severities: 'Vysoká / střední / nízká',
+    },
+    noEco:         'V tomto období žádné eko události.',
+    noTrips:       'V tomto období žádné jízdy.',
+    ecoBySeverity: 'Eko události podle závažnosti',
+    tripsHeading:  'Jízdy ({count})',
+    ecoHeading:    'Eko události ({count})',
+    vehicles:      'Vozidla',
+    vehicleCount:  { one: '{count} vozidlo', few: '{count} vozidla', other: '{count} vozidel' },
+  },
+}
@@ -0,0 +1,488 @@
+/**
+ * @file de.js
+ * @description German messages. Keys mirror `en.js`.
+ */
+
+export default {
+  common: {
+    loading:  'Wird geladen…',
+    close:    'Schließen',
+    noPlate:  'Kein Kennzeichen',
+    na:       'k. A.',
+    start:    'Start',
+    end:      'Ziel',
+    import:   'IMPORT',
+    export:   'EXPORT',
+    fit:      'ZEIGEN',
+    reload:   '↻ NEU LADEN',
+    error:    'Fehler',
+  },
+
+  units: {
+    minutes:      '{m} Min.',
+    hoursMinutes: '{h} Std. {m} Min.',
+  },
+
+  header: {
+    vehicles:    'FAHRZEUGE',
+    sync:        'SYNC',
+    user:        'BENUTZER',
+    logout:      'ABMELDEN',
+    leaderboard: 'RANGLISTE',
+    analytics:   'ANALYSE',
+    maintenance: 'WARTUNG',
+    group:       'GRUPPE',
+    allGroups:   'Alle Gruppen ({count})',
+    allGroupsTitle: 'Alle Gruppen',
+  },
+
+  prefs: {
+    title:       'Sprache und Einheiten',
+    language:    'Sprache',
+    speed:       'Geschwindigkeit',
+    distance:    'Entfernung',
+    temperature: 'Temperatur',
+    clock:       'Uhrzeit',
+    clocks:      { '24h': '24 Stunden', '12h': '12 Stunden' },
+  },
+
+  login: {
+    username:    'Benutzername',
+    password:    'Passwort',
+    signIn:      'ANMELDEN',
+    signingIn:   'ANMELDUNG…',
+    invalid:     'Benutzername oder Passwort ungültig.',
+    unreachable: 'GPS Dozor ist nicht erreichbar – bitte später erneut versuchen.',
+    expired:     'Sitzung abgelaufen – bitte erneut anmelden.',
+  },
+
+  fleet: {
+    moving:            'Fährt',
+    idle:              'Steht',
+    avgSpeed:          'Ø {unit}',
+    search:            'Fahrzeuge suchen',
+    searchPlaceholder: 'Name oder Kennzeichen…',
+    loadingFleet:      'Flotte wird geladen…',
+    noVehicles:        'Keine Fahrzeuge gefunden',
+    compareToggle:     'Zum Vergleich hinzufügen',
+    compareCount:      '{count} / {max} zum Vergleich',
+    compare:           'VERGLEICHEN',
+    clearCompare:      'Auswahl aufheben',
+  },
+
+  compare: {
+    title:          'Vergleich',
+    loading:        'Fahrzeuge werden geladen…',
+    none:           'Keine Daten für die verglichenen Fahrzeuge',
+    showDetail:     'Fahrzeugdetails anzeigen',
+    metrics: {
+      distance:  'Strecke',
+      trips:     'Fahrten',
+      driving:   'Fahrzeit',
+      maxSpeed:  'Höchstgeschw.',
+      avgSpeed:  'Ø Geschwindigkeit',
+      ecoEvents: 'Eco-Ereignisse',
+    },
+    ecoByType:      'Eco-Ereignisse nach Typ',
+    distancePerDay: 'Strecke pro Tag ({unit})',
+    speeds:         'Höchst- / Ø-Geschwindigkeit ({unit})',
+  },
+
+  map: {
+    live:          '● LIVE',
+    routeHistory:  'ROUTENVERLAUF',
+    fitAll:        'ALLE ZEIGEN',
+    refresh:       '↻ AKTUALISIEREN',
+    auto:          'AUTO {s} s',
+    autoOff:       'AUTO AUS',
+    autoTitle:     'Intervall der automatischen Aktualisierung',
+    push:          'PUSH',
+    pushTitle:     'Vom Server gesendete Aktualisierungen empfangen (SSE)',
+    zones:         'ZONEN',
+    tracks:        'TRACKS',
+    dispatch:      'DISPOSITION',
+    dispatchTitle: 'Die Fahrzeuge finden, die einem Einsatzort am nächsten sind',
+    hotspots:      'HOTSPOTS',
+    hotspotsTitle: 'Häufungsorte von Eco-Ereignissen aller Fahrzeuge der Gruppe im Zeitraum des Detailbereichs',
+    liveStatus:    { off: 'aus', polling: 'Abfrage', push: 'Push', paused: 'pausiert' },
+    popupSpeed:    'Geschwindigkeit:',
+    tripStart:     'Start: {address}',
+    tripEnd:       'Ziel: {address}',
+    hotspotEvents: { one: '{count} Eco-Ereignis', other: '{count} Eco-Ereignisse' },
+    hotspotVehicles: { one: '{count} Fahrzeug', other: '{count} Fahrzeuge' },
+    hotspotType:   'meist {type}',
+    hotspotsFailed: { one: 'Eco-Ereignisse von {count} Fahrzeug konnten nicht geladen werden', other: 'Eco-Ereignisse von {count} Fahrzeugen konnten nicht geladen werden' },
+    searchPlaceholder: 'Adresse suchen…',
+    searchNone:    'Keine Orte gefunden',
+    searchSubmit:  'Suchen',
+  },
+
+  playback: {
+    play:       'Abspielen',
+    pause:      'Pause',
+    speedTitle: 'Wiedergabegeschwindigkeit',
+  },
+
+  detail: {
+    selectVehicle:  'Fahrzeug auswählen,\num Details zu sehen',
+    collapse:       'Bereich verkleinern',
+    expand:         'Bereich vergrößern',
+    speed:          'Geschwindigkeit',
+    odometer:       'Kilometerstand',
+    battery:        'Batterie',
+    lastSeen:       'Zuletzt gesehen',
+    loadingWeather: '⟳ Wetter wird geladen…',
+    wind:           'Wind {speed}',
+    tabs:           { trips: 'FAHRTEN', eco: 'ECO', zones: 'ZONEN', stops: 'STOPPS', service: 'SERVICE' },
+    go:             'OK',
+    noTrips:        'Keine Fahrten in diesem Zeitraum',
+    maxSpeedPerTrip: 'Höchstgeschwindigkeit je Fahrt ({unit})',
+    avg:            'Ø {speed}',
+    max:            'max. {speed}',
+    ecoScore:       'Eco-Score',
+    weightedPer100: '{value} gewichtete Ereignisse / 100 km · ',
+    driven:         '{distance} gefahren',
+    scoreHint:      '100 − {factor} × nach Schwere und Typ gewichtete Ereignisse je 100 km; unter {min} km kein Score',
+    adjustedScore:  'Wetterbereinigt:',
+    adjustedHint:   'Ereignisse bei Nässe, Nebel oder Schnee wiegen weniger (Nässe / Nebel × {wet}, Schnee × {snow})',
+    conditions:     'Eco-Ereignisse nach Straßenzustand',
+    conditionColumns: { distance: 'Strecke', events: 'Ereignisse', per100km: '/ 100 km' },
+    loadingConditions: 'Wetter der Fahrten und Ereignisse wird geladen…',
+    noEco:          'Keine Eco-Ereignisse in diesem Zeitraum',
+    eventsByType:   'Ereignisse nach Typ',
+    noZoneVisits:   'Keine Zonenbesuche in diesem Zeitraum',
+    timeInZones:    'Zeit in Zonen',
+    liveTransitions: 'Live-Übergänge',
+    enter:          'EINFAHRT',
+    exit:           'AUSFAHRT',
+    visits:         'Besuche',
+    stopMinDwell:   'mind.',
+    stopMinutes:    'Min.',
+    stopRadius:     'Radius',
+    noStops:        'Keine Stopps in diesem Zeitraum',
+    drivingVsStopped: 'Fahren und Stehen pro Tag',
+    stopCount:      { one: '{count} Stopp', other: '{count} Stopps' },
+    stopFallback:   'Stopp {n} · {lat}, {lng}',
+    tripSpeed:      'Fahrt {time} · Geschwindigkeit im Verlauf',
+    speedLimit:     'Tempolimit',
+    noTripPath:     'Für diese Fahrt wurden keine Positionen aufgezeichnet',
+    overLimit:      { one: '{count} Abschnitt über dem Limit, insgesamt {duration}', other: '{count} Abschnitte über dem Limit, insgesamt {duration}' },
+    withinLimit:    'Durchgehend innerhalb des Limits',
+    tripEvents:     { one: '{count} Eco-Ereignis', other: '{count} Eco-Ereignisse' },
+  },
+
+  charts: {
+    maxSpeed: 'Höchstgeschwindigkeit',
+    avgSpeed: 'Durchschnitt',
+    events:   { one: '{name}: {count} Ereignis', other: '{name}: {count} Ereignisse' },
+    speed:    'Geschwindigkeit',
+    ecoEvents: 'Eco-Ereignisse',
+  },
+
+  eco: {
+    names: {
+      0: 'Unbekannt',
+      1: 'Kurve links',
+      2: 'Kurve rechts',
+      3: 'Kurve',
+      4: 'Starkes Beschleunigen',
+      5: 'Starkes Bremsen',
+      6: 'Stoß',
+      7: 'Lange Kupplung',
+      8: 'Leerlauffahrt',
+      9: 'Motor aus',
+    },
+    descriptions: {
+      0: 'Unbekannter Ereignistyp.',
+      1: 'Kurve links – das Fahrzeug bog zu scharf nach links ab und belastete die Reifen seitlich.',
+      2: 'Kurve rechts – das Fahrzeug bog zu scharf nach rechts ab und belastete die Reifen seitlich.',
+      3: 'Kurve – scharfe Kurvenfahrt erkannt, Richtung unbekannt.',
+      4: 'Starkes Beschleunigen – aggressives Gasgeben erhöht den Kraftstoffverbrauch.',
+      5: 'Starkes Bremsen – abruptes Bremsen verschleißt Reifen und Bremsen übermäßig.',
+      6: 'Stoß – das Fahrzeug fuhr zu schnell über ein Schlagloch oder eine Bodenschwelle.',
+      7: 'Lange Kupplung – das Kupplungspedal wurde zu lange getreten, was die Kupplung unnötig verschleißt.',
+      8: 'Leerlauffahrt – das Fahrzeug rollte im Leerlauf, was Kraftstoff verschwendet und die Motorbremse verringert.',
+      9: 'Motor aus – der Motor wurde während der Fahrt abgestellt, was Kontrolle und Sicherheit verringert.',
+    },
+    severity: { 0: 'keine', 1: 'gering', 2: 'mittel', 3: 'hoch' },
+  },
+
+  weather: {
+    wmo: {
+      0:  'Klar',
+      1:  'Überwiegend klar',
+      2:  'Teilweise bewölkt',
+      3:  'Bedeckt',
+      45: 'Nebel',
+      48: 'Gefrierender Nebel',
+      51: 'Leichter Nieselregen',
+      53: 'Nieselregen',
+      55: 'Starker Nieselregen',
+      56: 'Gefrierender Nieselregen',
+      57: 'Starker gefrierender Nieselregen',
+      61: 'Leichter Regen',
+      63: 'Regen',
+      65: 'Starker Regen',
+      66: 'Gefrierender Regen',
+      67: 'Starker gefrierender Regen',
+      71: 'Leichter Schneefall',
+      73: 'Schneefall',
+      75: 'Starker Schneefall',
+      77: 'Schneegriesel',
+      80: 'Leichte Schauer',
+      81: 'Schauer',
+      82: 'Starke Schauer',
+      85: 'Schneeschauer',
+      86: 'Starke Schneeschauer',
+      95: 'Gewitter',
+      96: 'Gewitter mit Hagel',
+      99: 'Gewitter mit starkem Hagel',
+    },
+    unknown: 'Unbekannt',
+    conditions: { dry: 'Trocken', wet: 'Nass', snow: 'Schnee', fog: 'Nebel' },
+  },
+
+  zones: {
+    title:        'Geozonen',
+    hint:         'Polygone, Rechtecke und Kreise mit den Werkzeugen links zeichnen; das Bearbeiten-Werkzeug verschiebt Eckpunkte, der Papierkorb löscht Formen.',
+    none:         'Noch keine Zonen',
+    defaultName:  'Zone {n}',
+    delete:       'Zone löschen',
+    recent:       'Letzte Übergänge',
+    categories:   { depot: 'Depot', customer: 'Kunde', restricted: 'Sperrzone' },
+    imported:     { one: '{count} Zone importiert', other: '{count} Zonen importiert' },
+    noShapes:     'Keine Polygone oder Kreise gefunden',
+    invalid:      'Keine gültige GeoJSON-Datei',
+  },
+
+  tracks: {
+    title:         'Tracks',
+    exportHistory: 'Routenverlauf exportieren',
+    selectVehicle: 'Fahrzeug auswählen, um seinen Verlauf zu exportieren.',
+    overlays:      'Overlays',
+    overlaysHint:  'GPX- oder GeoJSON-Datei importieren, z. B. eine geplante Route, um sie mit der gefahrenen zu vergleichen.',
+    waypoints:     '{count} Wegp.',
+    remove:        'Overlay entfernen',
+    imported:      '{name} importiert',
+    noPositions:   'Keine Positionen in diesem Zeitraum',
+    exportFailed:  'Export fehlgeschlagen',
+    invalid:       'Keine gültige GPX- oder GeoJSON-Datei',
+  },
+
+  dispatch: {
+    title:        'Disposition',
+    hint:         'Klicken Sie in die Karte oder suchen Sie eine Adresse, um den Einsatzort festzulegen.',
+    job:          'Einsatzort',
+    clearJob:     'Einsatzort entfernen',
+    status:       { all: 'Alle Fahrzeuge', moving: 'In Fahrt', idle: 'Stehend' },
+    sortEta:      'Nach Ankunft',
+    sortDistance: 'Nach Entfernung',
+    maxAge:       'Aktuell ≤ {m} min',
+    maxAgeTitle:  'Ältere Positionen gelten als veraltet',
+    anyAge:       'Beliebiges Alter',
+    hideStale:    'Veraltete ausblenden',
+    staleTitle:   'Veraltete Position – das Fahrzeug kann sich inzwischen bewegt haben',
+    none:         'Kein Fahrzeug entspricht den Filtern',
+    more:         { one: '+{count} weiteres Fahrzeug', other: '+{count} weitere Fahrzeuge' },
+  },
+
+  maintenance: {
+    title:        'Wartung',
+    summary:      '{overdue} überfällig · {soon} bald fällig',
+    hint:         'Servicepläne der Fahrzeuge dieser Gruppe, dringendste zuerst. Ein Plan ist bald fällig, wenn bis zum Limit {km} oder {days} Tage fehlen. Bearbeitet werden die Pläne im Reiter SERVICE des Fahrzeugs.',
+    noPlans:      'Noch keine Servicepläne – im Reiter SERVICE eines Fahrzeugs anlegen',
+    none:         'Keine Servicepläne für dieses Fahrzeug',
+    types:        { oil: 'Ölwechsel', inspection: 'Hauptuntersuchung', tyres: 'Reifenwechsel', other: 'Sonstiger Service' },
+    status:       { overdue: 'Überfällig', soon: 'Bald fällig', ok: 'OK', unknown: 'Nicht geplant' },
+    columns: {
+      vehicle:  'Fahrzeug',
+      service:  'Service',
+      dueKm:    'Fällig bei',
+      dueDate:  'Fällig am',
+      status:   'Status',
+    },
+    noBaseline:   'Letzten Service oder festes Datum eintragen, um ihn zu planen',
+    dueAt:        'fällig bei {distance}',
+    dueOn:        'fällig am {date}',
+    left:         'noch {value}',
+    over:         '{value} überschritten',
+    daysLeft:     { one: 'noch {count} Tag', other: 'noch {count} Tage' },
+    daysOver:     { one: '{count} Tag überfällig', other: '{count} Tage überfällig' },
+    everyKm:      'Alle ({unit})',
+    everyMonths:  'Alle (Monate)',
+    lastKm:       'Zuletzt bei ({unit})',
+    lastDate:     'Zuletzt am',
+    nextDate:     'Festes Datum',
+    nextDateTitle: 'Ein gebuchter Termin, z. B. Reifenwechsel – ersetzt bis zum Service das Monatsintervall',
+    note:         'Notiz',
+    done:         'ERLEDIGT',
+    doneTitle:    'Service heute beim aktuellen Kilometerstand erledigt',
+    delete:       'Plan löschen',
+    add:          'PLAN HINZUFÜGEN',
+    badgeOverdue: { one: '{count} Service überfällig', other: '{count} Services überfällig' },
+    badgeSoon:    { one: '{count} Service bald fällig', other: '{count} Services bald fällig' },
+    imported:     { one: '{count} Plan importiert', other: '{count} Pläne importiert' },
+    noneImported: 'Keine Pläne in der Datei gefunden',
+    invalid:      'Keine gültige JSON-Datei',
+  },
+
+  exportMenu: {
+    title:   'Export',
+    scopes:  { vehicle: 'Dieses Fahrzeug', fleet: 'Ganze Gruppe' },
+    formats: {
+      'trips-csv': 'Fahrten · CSV',
+      'eco-csv':   'Eco-Ereignisse · CSV',
+      xlsx:        'Fahrten + Eco · XLSX',
+      pdf:         'Druckbericht (PDF)',
+    },
+    popupBlocked: 'Pop-ups erlauben, um den Bericht zu drucken',
+    failed:       'Export fehlgeschlagen',
+  },
+
+  leaderboard: {
+    title:    'Eco-Rangliste',
+    period:   '{from} → {to} · Trend ggü. {prevFrom} → {prevTo}',
+    hint:     'Score = 100 − {factor} × gewichtete Ereignisse je 100 km. Ereignisse zählen nach Schwere {low}/{med}/{high} (gering/mittel/hoch), starkes Bremsen und Fahren mit abgestelltem Motor mehr. Fahrzeuge unter {min} km erhalten keinen Score.',
+    scoring:  'Fahrzeuge werden bewertet…',
+    none:     'Keine Fahrzeuge',
+    columns: {
+      vehicle:  'Fahrzeug',
+      score:    'Score',
+      trend:    'Trend',
+      distance: 'Strecke',
+      events:   'Ereignisse',
+      per100:   'Gewichtet / 100 km',
+    },
+  },
+
+  analytics: {
+    title:         'Flottenanalyse',
+    loading:       'Fahrten und Eco-Ereignisse werden geladen…',
+    none:          'Keine Fahrzeuge',
+    failed:        { one: '{count} Fahrzeug konnte nicht geladen werden und fehlt', other: '{count} Fahrzeuge konnten nicht geladen werden und fehlen' },
+    kpi: {
+      distance:    'Strecke',
+      driving:     'Fahrzeit',
+      trips:       'Fahrten',
+      ecoEvents:   'Eco-Ereignisse',
+      active:      'Aktive Fahrzeuge',
+      utilisation: 'Auslastung',
+    },
+    dailyDistance: 'Gesamtstrecke pro Tag ({unit})',
+    ecoMix:        'Eco-Ereignisse pro Tag nach Typ',
+    odometer:      'Kilometerstand-Zuwachs ({unit})',
+    busiest:       'Meistgenutzte Fahrzeuge',
+    leastUsed:     'Am wenigsten genutzte Fahrzeuge',
+    heatmap:       'Auslastung nach Stunde',
+    heatmapHint:   'Fahrminuten je Fahrzeug und Stunde; heller = stärker ausgelastet.',
+    heatmapCell:   '{vehicle} · {time} · {minutes} Min. Fahrt',
+  },
+
+  alerts: {
+    title:        'Warnungen',
+    ackAll:       'ALLE BESTÄTIGEN',
+    rulesTitle:   'Warnregeln',
+    none:         'Keine Warnungen',
+    since:        'seit {time}',
+    snoozedUntil: ' · zurückgestellt bis {time}',
+    acknowledged: ' · bestätigt',
+    ack:          'OK',
+    resolved:     'Behoben',
+    clear:        'LEEREN',
+    rules: {
+      overspeed: 'Geschwindigkeitsüberschreitung',
+      stale:     'Veraltete Position',
+      battery:   'Batterie schwach',
+      idle:      'Lange Standzeit',
+      ecoBurst:  'Häufung von Eco-Ereignissen',
+    },
+    messages: {
+      overspeed: '{speed} (Limit {limit})',
+      stale:     'Seit {minutes} Min. keine Position',
+      battery:   'Batterie bei {percent} %',
+      idle:      'Steht seit {hours} Std.',
+      ecoBurst:  '{count} schwere Eco-Ereignisse in {minutes} Min.',
+    },
+    settings: {
+      overspeed:     'Geschwindigkeit über',
+      stale:         'Keine Position länger als',
+      battery:       'Batterie unter',
+      idle:          'Standzeit länger als',
+      ecoBurst:      'Schwere Eco-Ereignisse ≥',
+      within:        'in',
+      notifications: 'Browser-Benachrichtigungen',
+      unsupported:   ' (nicht unterstützt)',
+      blocked:       ' (in den Browser-Einstellungen blockiert)',
+    },
+  },
+
+  errors: {
+    timeout:       'Zeitüberschreitung',
+    network:       'Netzwerkfehler',
+    http:          'HTTP {status}',
+    groups:        'Fahrzeuggruppen konnten nicht geladen werden',
+    vehicles:      'Fahrzeuge konnten nicht geladen werden',
+    refresh:       'Fahrzeuge konnten nicht aktualisiert werden',
+    poll:          'Aktualisierung der Fahrzeuge fehlgeschlagen',
+    liveLost:      'Live-Verbindung verloren – Wechsel auf Abfrage',
+    trips:         'Fahrten konnten nicht geladen werden',
+    eco:           'Eco-Ereignisse konnten nicht geladen werden',
+    history:       'Routenverlauf konnte nicht geladen werden',
+    weather:       'Wetter konnte nicht geladen werden',
+    weatherHistory: 'Historisches Wetter konnte nicht geladen werden',
+    address:       'Adresssuche fehlgeschlagen',
+    stopAddress:   'Adresssuche für Stopp fehlgeschlagen',
+    addressSearch: 'Adresssuche fehlgeschlagen',
+    tripPath:      'Fahrtstrecke konnte nicht geladen werden',
+    ecoAlert:      'Eco-Prüfung für {name} fehlgeschlagen',
+  },
+
+  reports: {
+    sheets:  { summary: 'Übersicht', trips: 'Fahrten', eco: 'Eco-Ereignisse' },
+    columns: {
+      vehicle:   'Fahrzeug',
+      plate:     'Kennzeichen',
+      start:     'Start',
+      finish:    'Ende',
+      from:      'Von',
+      to:        'Nach',
+      duration:  'Dauer',
+      distance:  'Strecke ({unit})',
+      avgSpeed:  'Ø Geschwindigkeit ({unit})',
+      maxSpeed:  'Höchstgeschwindigkeit ({unit})',
+      time:      'Zeit',
+      event:     'Ereignis',
+      severity:  'Schwere',
+      speed:     'Geschwindigkeit ({unit})',
+      latitude:  'Breitengrad',
+      longitude: 'Längengrad',
+      trips:     'Fahrten',
+      driving:   'Fahrzeit (h:mm)',
+      longest:   'Längste Fahrt',
+      ecoEvents: 'Eco-Ereignisse',
+      high:      'Hoch',
+      med:       'Mittel',
+      low:       'Gering',
+      total:     'Gesamt',
+      note:      'Hinweis',
+    },
+    failedNote:    'Daten konnten nicht geladen werden',
+    kpi: {
+      trips:      'Fahrten',
+      distance:   'Strecke',
+      driving:    'Fahrzeit',
+      longest:    'Längste Fahrt',
+      maxSpeed:   'Höchstgeschwindigkeit',
+      avgSpeed:   'Ø Geschwindigkeit',
+      ecoEvents:  'Eco-Ereignisse',
+      severities: 'Hoch / mittel / gering',
+    },
+    noEco:         'Keine Eco-Ereignisse in diesem Zeitraum.',
+    noTrips:       'Keine Fahrten in diesem Zeitraum.',
+    ecoBySeverity: 'Eco-Ereignisse nach Schwere',
+    tripsHeading:  'Fahrten ({count})',
+    ecoHeading:    'Eco-Ereignisse ({count})',
+    vehicles:      'Fahrzeuge',
+    vehicleCount:  { one: '{count} Fahrzeug', other: '{count} Fahrzeuge' },
+  },
+}
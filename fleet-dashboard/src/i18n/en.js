@@ -0,0 +1,489 @@
+/**
+ * @file en.js
+ * @description English messages – the reference catalogue. Every key used
+ * in the app must exist here; the other languages fall back to it.
+ */
+
+export default {
+  common: {
+    loading:  'Loading…',
+    close:    'Close',
+    noPlate:  'No plate',
+    na:       'N/A',
+    start:    'Start',
+    end:      'End',
+    import:   'IMPORT',
+    export:   'EXPORT',
+    fit:      'FIT',
+    reload:   '↻ RELOAD',
+    error:    'error',
+  },
+
+  units: {
+    minutes:      '{m}m',
+    hoursMinutes: '{h}h {m}m',
+  },
+
+  header: {
+    vehicles:    'VEHICLES',
+    sync:        'SYNC',
+    user:        'USER',
+    logout:      'LOG OUT',
+    leaderboard: 'LEADERBOARD',
+    analytics:   'ANALYTICS',
+    maintenance: 'MAINTENANCE',
+    group:       'GROUP',
+    allGroups:   'All groups ({count})',
+    allGroupsTitle: 'All groups',
+  },
+
+  prefs: {
+    title:       'Language and units',
+    language:    'Language',
+    speed:       'Speed',
+    distance:    'Distance',
+    temperature: 'Temperature',
+    clock:       'Clock',
+    clocks:      { '24h': '24-hour', '12h': '12-hour' },
+  },
+
+  login: {
+    username:    'Username',
+    password:    'Password',
+    signIn:      'SIGN IN',
+    signingIn:   'SIGNING IN…',
+    invalid:     'Invalid username or password.',
+    unreachable: 'Could not reach GPS Dozor – try again later.',
+    expired:     'Session expired – please log in again.',
+  },
+
+  fleet: {
+    moving:            'Moving',
+    idle:              'Idle',
+    avgSpeed:          'Avg {unit}',
+    search:            'Search vehicles',
+    searchPlaceholder: 'Name or plate…',
+    loadingFleet:      'Loading fleet…',
+    noVehicles:        'No vehicles found',
+    compareToggle:     'Add to comparison',
+    compareCount:      '{count} / {max} to compare',
+    compare:           'COMPARE',
+    clearCompare:      'Clear selection',
+  },
+
+  compare: {
+    title:          'Comparison',
+    loading:        'Loading vehicles…',
+    none:           'No data for the compared vehicles',
+    showDetail:     'Show vehicle detail',
+    metrics: {
+      distance:  'Distance',
+      trips:     'Trips',
+      driving:   'Driving time',
+      maxSpeed:  'Max speed',
+      avgSpeed:  'Avg speed',
+      ecoEvents: 'Eco events',
+    },
+    ecoByType:      'Eco events by type',
+    distancePerDay: 'Distance per day ({unit})',
+    speeds:         'Max / avg speed ({unit})',
+  },
+
+  map: {
+    live:          '● LIVE',
+    routeHistory:  'ROUTE HISTORY',
+    fitAll:        'FIT ALL',
+    refresh:       '↻ REFRESH',
+    auto:          'AUTO {s}s',
+    autoOff:       'AUTO OFF',
+    autoTitle:     'Auto-refresh interval',
+    push:          'PUSH',
+    pushTitle:     'Receive pushed updates from the server (SSE)',
+    zones:         'ZONES',
+    tracks:        'TRACKS',
+    dispatch:      'DISPATCH',
+    dispatchTitle: 'Find the vehicles nearest to a job location',
+    hotspots:      'HOTSPOTS',
+    hotspotsTitle: 'Eco event hotspots of all vehicles in the group for the detail panel\'s date range',
+    liveStatus:    { off: 'off', polling: 'polling', push: 'push', paused: 'paused' },
+    popupSpeed:    'Speed:',
+    tripStart:     'Start: {address}',
+    tripEnd:       'End: {address}',
+    hotspotEvents: { one: '{count} eco event', other: '{count} eco events' },
+    hotspotVehicles: { one: '{count} vehicle', other: '{count} vehicles' },
+    hotspotType:   'mostly {type}',
+    hotspotsFailed: { one: 'Eco events of {count} vehicle could not be loaded', other: 'Eco events of {count} vehicles could not be loaded' },
+    searchPlaceholder: 'Search address…',
+    searchNone:    'No places found',
+    searchSubmit:  'Search',
+  },
+
+  playback: {
+    play:       'Play',
+    pause:      'Pause',
+    speedTitle: 'Playback speed',
+  },
+
+  detail: {
+    selectVehicle:  'Select a vehicle\nto view details',
+    collapse:       'Collapse panel',
+    expand:         'Expand panel',
+    speed:          'Speed',
+    odometer:       'Odometer',
+    battery:        'Battery',
+    lastSeen:       'Last seen',
+    loadingWeather: '⟳ loading weather…',
+    wind:           '{speed} wind',
+    tabs:           { trips: 'TRIPS', eco: 'ECO', zones: 'ZONES', stops: 'STOPS', service: 'SERVICE' },
+    go:             'GO',
+    noTrips:        'No trips in this period',
+    maxSpeedPerTrip: 'Max speed per trip ({unit})',
+    avg:            'avg {speed}',
+    max:            'max {speed}',
+    ecoScore:       'Eco score',
+    weightedPer100: '{value} weighted events / 100 km · ',
+    driven:         '{distance} driven',
+    scoreHint:      '100 − {factor} × severity- and type-weighted events per 100 km; no score under {min} km',
+    adjustedScore:  'Weather-adjusted:',
+    adjustedHint:   'Events in wet, foggy or snowy conditions weigh less (wet / fog × {wet}, snow × {snow})',
+    conditions:     'Eco events by road conditions',
+    conditionColumns: { distance: 'Distance', events: 'Events', per100km: '/ 100 km' },
+    loadingConditions: 'loading weather of trips and events…',
+    noEco:          'No eco events in this period',
+    eventsByType:   'Events by type',
+    noZoneVisits:   'No zone visits in this period',
+    timeInZones:    'Time in zones',
+    liveTransitions: 'Live transitions',
+    enter:          'ENTER',
+    exit:           'EXIT',
+    visits:         'Visits',
+    stopMinDwell:   'min',
+    stopMinutes:    'min',
+    stopRadius:     'radius',
+    noStops:        'No stops in this period',
+    drivingVsStopped: 'Driving vs stopped per day',
+    stopCount:      { one: '{count} stop', other: '{count} stops' },
+    stopFallback:   'Stop {n} · {lat}, {lng}',
+    tripSpeed:      'Trip {time} · speed over time',
+    speedLimit:     'Speed limit',
+    noTripPath:     'No positions recorded for this trip',
+    overLimit:      { one: '{count} stretch over the limit, {duration} in total', other: '{count} stretches over the limit, {duration} in total' },
+    withinLimit:    'Within the limit all the way',
+    tripEvents:     { one: '{count} eco event', other: '{count} eco events' },
+  },
+
+  charts: {
+    maxSpeed: 'Max speed',
+    avgSpeed: 'Avg speed',
+    events:   { one: '{name}: {count} event', other: '{name}: {count} events' },
+    speed:    'Speed',
+    ecoEvents: 'Eco events',
+  },
+
+  eco: {
+    names: {
+      0: 'Unknown',
+      1: 'Cornering L',
+      2: 'Cornering R',
+      3: 'Cornering',
+      4: 'Hard Accel',
+      5: 'Hard Brake',
+      6: 'Bump',
+      7: 'Long Clutch',
+      8: 'Neutral Drive',
+      9: 'Freewheeling',
+    },
+    descriptions: {
+      0: 'Unknown event type.',
+      1: 'Cornering Left – vehicle turned left too sharply, causing lateral stress on tyres.',
+      2: 'Cornering Right – vehicle turned right too sharply, causing lateral stress on tyres.',
+      3: 'Cornering – sharp cornering detected, direction unspecified.',
+      4: 'Hard Acceleration – driver pressed the accelerator aggressively, increasing fuel consumption.',
+      5: 'Hard Braking – driver braked sharply, causing excessive tyre and brake wear.',
+      6: 'Bump – vehicle hit a pothole or speed bump at excessive speed.',
+      7: 'Long Clutch – clutch pedal held down for too long, causing unnecessary wear.',
+      8: 'Neutral Drive – vehicle was driven in neutral, wasting fuel and reducing engine braking.',
+      9: 'Freewheeling – engine switched off while moving, reducing control and safety.',
+    },
+    severity: { 0: 'none', 1: 'low', 2: 'med', 3: 'high' },
+  },
+
+  weather: {
+    wmo: {
+      0:  'Clear sky',
+      1:  'Mainly clear',
+      2:  'Partly cloudy',
+      3:  'Overcast',
+      45: 'Fog',
+      48: 'Icy fog',
+      51: 'Light drizzle',
+      53: 'Drizzle',
+      55: 'Dense drizzle',
+      56: 'Freezing drizzle',
+      57: 'Heavy freezing drizzle',
+      61: 'Slight rain',
+      63: 'Rain',
+      65: 'Heavy rain',
+      66: 'Freezing rain',
+      67: 'Heavy freezing rain',
+      71: 'Slight snow',
+      73: 'Snow',
+      75: 'Heavy snow',
+      77: 'Snow grains',
+      80: 'Slight showers',
+      81: 'Showers',
+      82: 'Heavy showers',
+      85: 'Snow showers',
+      86: 'Heavy snow showers',
+      95: 'Thunderstorm',
+      96: 'Thunderstorm w/ hail',
+      99: 'Thunderstorm w/ heavy hail',
+    },
+    unknown: 'Unknown',
+    conditions: { dry: 'Dry', wet: 'Wet', snow: 'Snow', fog: 'Fog' },
+  },
+
+  zones: {
+    title:        'Geofences',
+    hint:         'Draw polygons, rectangles or circles with the tools on the left; the edit tool moves vertices and the bin deletes shapes.',
+    none:         'No zones yet',
+    defaultName:  'Zone {n}',
+    delete:       'Delete zone',
+    recent:       'Recent transitions',
+    categories:   { depot: 'Depot', customer: 'Customer', restricted: 'Restricted' },
+    imported:     { one: 'Imported {count} zone', other: 'Imported {count} zones' },
+    noShapes:     'No polygons or circles found',
+    invalid:      'Not a valid GeoJSON file',
+  },
+
+  tracks: {
+    title:         'Tracks',
+    exportHistory: 'Export route history',
+    selectVehicle: 'Select a vehicle to export its history.',
+    overlays:      'Overlays',
+    overlaysHint:  'Import a GPX or GeoJSON file, e.g. a planned route, to compare it with the actual track.',
+    waypoints:     '{count} wpt',
+    remove:        'Remove overlay',
+    imported:      'Imported {name}',
+    noPositions:   'No positions in this period',
+    exportFailed:  'Export failed',
+    invalid:       'Not a valid GPX or GeoJSON file',
+  },
+
+  dispatch: {
+    title:        'Dispatch',
+    hint:         'Click the map or search an address to set the job location.',
+    job:          'Job location',
+    clearJob:     'Remove job location',
+    status:       { all: 'All vehicles', moving: 'Moving', idle: 'Idle' },
+    sortEta:      'By arrival',
+    sortDistance: 'By distance',
+    maxAge:       'Fresh ≤ {m} min',
+    maxAgeTitle:  'Positions older than this are stale',
+    anyAge:       'Any age',
+    hideStale:    'Hide stale',
+    staleTitle:   'Stale position – the vehicle may have moved since',
+    none:         'No vehicles match the filters',
+    more:         { one: '+{count} more vehicle', other: '+{count} more vehicles' },
+  },
+
+  maintenance: {
+    title:        'Maintenance',
+    summary:      '{overdue} overdue · {soon} due soon',
+    hint:         'Service plans of the vehicles in this group, most urgent first. A plan is due soon within {km} or {days} days of its limit. Plans are edited in the vehicle’s SERVICE tab.',
+    noPlans:      'No service plans yet – add them in a vehicle’s SERVICE tab',
+    none:         'No service plans for this vehicle',
+    types:        { oil: 'Oil change', inspection: 'Inspection', tyres: 'Tyre swap', other: 'Other service' },
+    status:       { overdue: 'Overdue', soon: 'Due soon', ok: 'OK', unknown: 'Not scheduled' },
+    columns: {
+      vehicle:  'Vehicle',
+      service:  'Service',
+      dueKm:    'Due at',
+      dueDate:  'Due on',
+      status:   'Status',
+    },
+    noBaseline:   'Enter the last service or a fixed date to schedule it',
+    dueAt:        'due at {distance}',
+    dueOn:        'due {date}',
+    left:         '{value} to go',
+    over:         '{value} over',
+    daysLeft:     { one: '{count} day to go', other: '{count} days to go' },
+    daysOver:     { one: '{count} day overdue', other: '{count} days overdue' },
+    everyKm:      'Every ({unit})',
+    everyMonths:  'Every (months)',
+    lastKm:       'Last at ({unit})',
+    lastDate:     'Last on',
+    nextDate:     'Fixed date',
+    nextDateTitle: 'A booked date, e.g. a tyre swap – replaces the monthly interval until the service is done',
+    note:         'Note',
+    done:         'DONE',
+    doneTitle:    'Service done today at the current odometer',
+    delete:       'Delete plan',
+    add:          'ADD PLAN',
+    badgeOverdue: { one: '{count} service overdue', other: '{count} services overdue' },
+    badgeSoon:    { one: '{count} service due soon', other: '{count} services due soon' },
+    imported:     { one: 'Imported {count} plan', other: 'Imported {count} plans' },
+    noneImported: 'No plans found in the file',
+    invalid:      'Not a valid JSON file',
+  },
+
+  exportMenu: {
+    title:   'Export',
+    scopes:  { vehicle: 'This vehicle', fleet: 'Whole group' },
+    formats: {
+      'trips-csv': 'Trips · CSV',
+      'eco-csv':   'Eco events · CSV',
+      xlsx:        'Trips + eco · XLSX',
+      pdf:         'Printable report (PDF)',
+    },
+    popupBlocked: 'Allow pop-ups to print the report',
+    failed:       'Export failed',
+  },
+
+  leaderboard: {
+    title:    'Eco leaderboard',
+    period:   '{from} → {to} · trend vs {prevFrom} → {prevTo}',
+    hint:     'Score = 100 − {factor} × weighted events per 100 km. Events weigh {low}/{med}/{high} by severity (low/med/high), more for hard braking and freewheeling. Vehicles under {min} km get no score.',
+    scoring:  'Scoring vehicles…',
+    none:     'No vehicles',
+    columns: {
+      vehicle:  'Vehicle',
+      score:    'Score',
+      trend:    'Trend',
+      distance: 'Distance',
+      events:   'Events',
+      per100:   'Weighted / 100 km',
+    },
+  },
+
+  analytics: {
+    title:         'Fleet analytics',
+    loading:       'Fetching trips and eco events…',
+    none:          'No vehicles',
+    failed:        { one: '{count} vehicle could not be loaded and is left out', other: '{count} vehicles could not be loaded and are left out' },
+    kpi: {
+      distance:    'Distance',
+      driving:     'Driving time',
+      trips:       'Trips',
+      ecoEvents:   'Eco events',
+      active:      'Active vehicles',
+      utilisation: 'Utilisation',
+    },
+    dailyDistance: 'Total distance per day ({unit})',
+    ecoMix:        'Eco events per day by type',
+    odometer:      'Odometer growth ({unit})',
+    busiest:       'Busiest vehicles',
+    leastUsed:     'Least-used vehicles',
+    heatmap:       'Utilisation by hour',
+    heatmapHint:   'Minutes driven per vehicle and hour; brighter is busier.',
+    heatmapCell:   '{vehicle} · {time} · {minutes} min driving',
+  },
+
+  alerts: {
+    title:        'Alerts',
+    ackAll:       'ACK ALL',
+    rulesTitle:   'Alert rules',
+    none:         'No alerts',
+    since:        'since {time}',
+    snoozedUntil: ' · snoozed until {time}',
+    acknowledged: ' · acknowledged',
+    ack:          'ACK',
+    resolved:     'Resolved',
+    clear:        'CLEAR',
+    rules: {
+      overspeed: 'Overspeed',
+      stale:     'Stale position',
+      battery:   'Low battery',
+      idle:      'Long idle',
+      ecoBurst:  'Eco event burst',
+    },
+    messages: {
+      overspeed: '{speed} (limit {limit})',
+      stale:     'No position for {minutes} min',
+      battery:   'Battery at {percent}%',
+      idle:      'Idle for {hours} h',
+      ecoBurst:  '{count} high-severity eco events in {minutes} min',
+    },
+    settings: {
+      overspeed:     'Overspeed above',
+      stale:         'No position for more than',
+      battery:       'Battery below',
+      idle:          'Idle for more than',
+      ecoBurst:      'High-severity eco events ≥',
+      within:        'in',
+      notifications: 'Browser notifications',
+      unsupported:   ' (not supported)',
+      blocked:       ' (blocked in browser settings)',
+    },
+  },
+
+  errors: {
+    timeout:       'request timed out',
+    network:       'network error',
+    http:          'HTTP {status}',
+    groups:        'Vehicle groups could not be loaded',
+    vehicles:      'Vehicles could not be loaded',
+    refresh:       'Vehicles could not be refreshed',
+    poll:          'Vehicle refresh failed',
+    liveLost:      'Live stream lost – falling back to polling',
+    trips:         'Trips could not be loaded',
+    eco:           'Eco-driving events could not be loaded',
+    history:       'Route history could not be loaded',
+    weather:       'Weather could not be loaded',
+    weatherHistory: 'Historical weather could not be loaded',
+    address:       'Address lookup failed',
+    stopAddress:   'Stop address lookup failed',
+    addressSearch: 'Address search failed',
+    tripPath:      'Trip path could not be loaded',
+    ecoAlert:      'Eco alert check for {name} failed',
+  },
+
+  reports: {
+    sheets:  { summary: 'Summary', trips: 'Trips', eco: 'Eco events' },
+    columns: {
+      vehicle:   'Vehicle',
+      plate:     'Plate',
+      start:     'Start',
+      finish:    'Finish',
+      from:      'From',
+      to:        'To',
+      duration:  'Duration',
+      distance:  'Distance ({unit})',
+      avgSpeed:  'Avg speed ({unit})',
+      maxSpeed:  'Max speed ({unit})',
+      time:      'Time',
+      event:     'Event',
+      severity:  'Severity',
+      speed:     'Speed ({unit})',
+      latitude:  'Latitude',
+      longitude: 'Longitude',
+      trips:     'Trips',
+      driving:   'Driving (h:mm)',
+      longest:   'Longest trip',
+      ecoEvents: 'Eco events',
+      high:      'High',
+      med:       'Med',
+      low:       'Low',
+      total:     'Total',
+      note:      'Note',
+    },
+    failedNote:    'Data could not be loaded',
+    kpi: {
+      trips:      'Trips',
+      distance:   'Distance',
+      driving:    'Driving time',
+      longest:    'Longest trip',
+      maxSpeed:   'Max speed',
+      avgSpeed:   'Avg speed',
+      ecoEvents:  'Eco events',
+      severities: 'High / med / low',
+    },
+    noEco:         'No eco events in this period.',
+    noTrips:       'No trips in this period.',
+    ecoBySeverity: 'Eco events by severity',
+    tripsHeading:  'Trips ({count})',
+    ecoHeading:    'Eco events ({count})',
+    vehicles:      'Vehicles',
+    vehicleCount:  { one: '{count} vehicle', other: '{count} vehicles' },
+  },
+}
@@ -0,0 +1,328 @@
+/**
+ * @file index.js
+ * @description Translations, unit preferences and locale-aware formatting.
+ *
+ * State lives at module scope so every component, composable and report
+ * shares one language and one set of units. `t()` and the formatters read
+ * the reactive preferences, so anything rendered through them re-renders
+ * when the user switches language or units. Both preferences are kept in
+ * `localStorage`; the language defaults to the browser's when supported.
+ *
+ * Messages are nested objects addressed by dotted keys (`detail.tabs.eco`).
+ * `{name}` placeholders are filled from `params`; a message given as
+ * `{ one, few, many, other }` is picked by `params.count` with the
+ * language's plural rules. Missing keys fall back to English, then to the
+ * key itself.
+ *
+ * All API values stay metric internally; conversion happens only here, at
+ * display time.
+ */
+
+import { ref, watch } from 'vue'
+
+import en from './en.js'
+import cs from './cs.js'
+import sk from './sk.js'
+import de from './de.js'
+
+/** Supported languages: code → native name and `Intl` locale. */
+export const LOCALES = {
+  cs: { name: 'Čeština', intl: 'cs-CZ', messages: cs },
+  sk: { name: 'Slovenčina', intl: 'sk-SK', messages: sk },
+  de: { name: 'Deutsch', intl: 'de-DE', messages: de },
+  en: { name: 'English', intl: 'en-GB', messages: en },
+}
+
+/** Selectable units and clock. */
+export const UNIT_OPTIONS = {
+  speed:       ['kmh', 'mph'],
+  distance:    ['km', 'mi'],
+  temperature: ['c', 'f'],
+  clock:       ['24h', '12h'],
+}
+
+/** Symbols of the units (the same in every language). */
+export const UNIT_SYMBOLS = { kmh: 'km/h', mph: 'mph', km: 'km', mi: 'mi', c: '°C', f: '°F' }
+
+const KM_PER_MILE = 1.609344
+
+/** `localStorage` keys. */
+const LOCALE_KEY = 'fleet.locale'
+const UNITS_KEY  = 'fleet.units'
+
+const DEFAULT_UNITS = { speed: 'kmh', distance: 'km', temperature: 'c', clock: '24h' }
+
+// ---------------------------------------------------------------------------
+// Shared state
+// ---------------------------------------------------------------------------
+
+/**
+ * Stored language, else the browser's when supported, else English.
+ *
+ * @returns {string}
+ */
+function initialLocale() {
+  const saved = localStorage.getItem(LOCALE_KEY)
+  if (saved in LOCALES) return saved
+  const browser = (navigator.language || '').slice(0, 2)
+  return browser in LOCALES ? browser : 'en'
+}
+
+/**
+ * Stored unit preferences merged over the defaults.
+ *
+ * @returns {typeof DEFAULT_UNITS}
+ */
+function loadUnits() {
+  try {
+    return { ...DEFAULT_UNITS, ...JSON.parse(localStorage.getItem(UNITS_KEY)) }
+  } catch {
+    return { ...DEFAULT_UNITS }
+  }
+}
+
+/** Active language code (a key of `LOCALES`). */
+export const locale = ref(initialLocale())
+
+/** Active units: `{ speed, distance, temperature, clock }`. */
+export const units = ref(loadUnits())
+
+watch(locale, (code) => {
+  localStorage.setItem(LOCALE_KEY, code)
+  document.documentElement.lang = code
+}, { immediate: true })
+
+watch(units, (u) => localStorage.setItem(UNITS_KEY, JSON.stringify(u)), { deep: true })
+
+/** `Intl` locale of the active language. */
+export const intlLocale = () => LOCALES[locale.value].intl
+
+// ---------------------------------------------------------------------------
+// Translation
+// ---------------------------------------------------------------------------
+
+/** Plural rules per language, created on first use. */
+const pluralRules = {}
+
+/**
+ * Looks a dotted key up in a message tree.
+ *
+ * @param {object} messages
+ * @param {string} key
+ * @returns {any}
+ */
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages)
+
+/**
+ * Translates a key into the active language.
+ *
+ * @param {string} key - Dotted message key, e.g. `'detail.tabs.trips'`.
+ * @param {Record<string, any>} [params] - Placeholder values; `count` selects the plural form.
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const code = locale.value
+  let message = lookup(LOCALES[code].messages, key) ?? lookup(en, key) ?? key
+
+  if (typeof message === 'object') {
+    pluralRules[code] ??= new Intl.PluralRules(LOCALES[code].intl)
+    message = message[pluralRules[code].select(params.count ?? 0)] ?? message.other
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match))
+}
+
+/**
+ * True when the key exists (in the active language or in English).
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const hasMessage = (key) => lookup(LOCALES[locale.value].messages, key) != null || lookup(en, key) != null
+
+// ---------------------------------------------------------------------------
+// Units
+// ---------------------------------------------------------------------------
+
+/** Symbol of the active speed unit (`km/h` or `mph`). */
+export const speedUnit = () => UNIT_SYMBOLS[units.value.speed]
+
+/** Symbol of the active distance unit (`km` or `mi`). */
+export const distanceUnit = () => UNIT_SYMBOLS[units.value.distance]
+
+/** Symbol of the active temperature unit (`°C` or `°F`). */
+export const temperatureUnit = () => UNIT_SYMBOLS[units.value.temperature]
+
+/**
+ * Converts km/h into the active speed unit.
+ *
+ * @param {number} kmh
+ * @returns {number}
+ */
+export const toSpeed = (kmh) => (units.value.speed === 'mph' ? kmh / KM_PER_MILE : kmh)
+
+/**
+ * Converts a value in the active speed unit back to km/h (e.g. user input).
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+export const fromSpeed = (value) => (units.value.speed === 'mph' ? value * KM_PER_MILE : value)
+
+/**
+ * Converts km into the active distance unit.
+ *
+ * @param {number} km
+ * @returns {number}
+ */
+export const toDistance = (km) => (units.value.distance === 'mi' ? km / KM_PER_MILE : km)
+
+/**
+ * Converts a value in the active distance unit back to km (e.g. user input).
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+export const fromDistance = (value) => (units.value.distance === 'mi' ? value * KM_PER_MILE : value)
+
+/**
+ * Converts °C into the active temperature unit.
+ *
+ * @param {number} c
+ * @returns {number}
+ */
+export const toTemperature = (c) => (units.value.temperature === 'f' ? c * 9 / 5 + 32 : c)
+
+// ---------------------------------------------------------------------------
+// Formatters
+// ---------------------------------------------------------------------------
+
+/**
+ * Formats a number with the active language's separators.
+ *
+ * @param {number} n
+ * @param {number} [digits] - Fraction digits.
+ * @returns {string}
+ */
+export const formatNumber = (n, digits = 0) =>
+  n.toLocaleString(intlLocale(), { minimumFractionDigits: digits, maximumFractionDigits: digits })
+
+/**
+ * Formats a speed in km/h in the active unit, e.g. `"62 mph"`.
+ *
+ * @param {number | null | undefined} kmh
+ * @returns {string}
+ */
+export const formatSpeed = (kmh) => (kmh == null ? '—' : `${formatNumber(toSpeed(kmh))} ${speedUnit()}`)
+
+/**
+ * Formats a distance in km in the active unit, e.g. `"12.4 mi"`.
+ *
+ * @param {number | null | undefined} km
+ * @param {number} [digits]
+ * @returns {string}
+ */
+export const formatDistance = (km, digits = 1) =>
+  km == null ? '—' : `${formatNumber(toDistance(km), digits)} ${distanceUnit()}`
+
+/**
+ * Formats a temperature in °C in the active unit.
+ *
+ * @param {number} c
+ * @returns {string}
+ */
+export const formatTemperature = (c) => `${formatNumber(toTemperature(c), 1)}${temperatureUnit()}`
+
+/** `Intl` hour cycle of the chosen clock. */
+const hourCycle = () => (units.value.clock === '12h' ? 'h12' : 'h23')
+
+/**
+ * Formats an instant as a short date + time (`"13.10. 14:05"`).
+ *
+ * @param {string | number | Date | null | undefined} value
+ * @param {{ seconds?: boolean, year?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatDateTime(value, { seconds = false, year = false } = {}) {
+  if (value == null || value === '') return '—'
+  return new Date(value).toLocaleString(intlLocale(), {
+    ...(year ? { year: 'numeric' } : {}),
+    month:  '2-digit',
+    day:    '2-digit',
+    hour:   '2-digit',
+    minute: '2-digit',
+    ...(seconds ? { second: '2-digit' } : {}),
+    hourCycle: hourCycle(),
+  })
+}
+
+/**
+ * Formats an instant as a time of day.
+ *
+ * @param {string | number | Date} value
+ * @param {{ seconds?: boolean }} [options]
+ * @returns {string}
+ */
+export const formatTime = (value, { seconds = false } = {}) =>
+  new Date(value).toLocaleTimeString(intlLocale(), {
+    hour:   '2-digit',
+    minute: '2-digit',
+    ...(seconds ? { second: '2-digit' } : {}),
+    hourCycle: hourCycle(),
+  })
+
+/**
+ * Formats a date (`YYYY-MM-DD` or an instant) in the active language.
+ *
+ * @param {string | number | Date} value
+ * @returns {string}
+ */
+export const formatDate = (value) =>
+  new Date(typeof value === 'string' && value.length === 10 ? `${value}T12:00` : value).toLocaleDateString(intlLocale())
+
+/**
+ * Formats a `YYYY-MM-DD` day as a short weekday + date.
+ *
+ * @param {string} ymd
+ * @returns {string}
+ */
+export const formatDay = (ymd) =>
+  new Date(`${ymd}T12:00`).toLocaleDateString(intlLocale(), { weekday: 'short', day: 'numeric', month: 'numeric' })
+
+/**
+ * Formats an instant relative to now (`"5 min ago"`).
+ *
+ * @param {string | number | null | undefined} value
+ * @returns {string}
+ */
+export function formatRelative(value) {
+  if (!value) return '—'
+  const mins = Math.floor((Date.now() - new Date(value)) / 60_000)
+  const rtf = new Intl.RelativeTimeFormat(intlLocale(), { numeric: 'auto', style: 'short' })
+  if (mins < 1)  return rtf.format(0, 'second')
+  if (mins < 60) return rtf.format(-mins, 'minute')
+  const hrs = Math.floor(mins / 60)
+  if (hrs < 24)  return rtf.format(-hrs, 'hour')
+  return rtf.format(-Math.floor(hrs / 24), 'day')
+}
+
+/**
+ * Formats a duration in milliseconds as hours and minutes (`"2h 05m"`).
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const mins = Math.round(ms / 60_000)
+  if (mins < 60) return t('units.minutes', { m: mins })
+  return t('units.hoursMinutes', { h: Math.floor(mins / 60), m: String(mins % 60).padStart(2, '0') })
+}
+
+/**
+ * @returns {{
+ *   locale: import('vue').Ref<string>,
+ *   units:  import('vue').Ref<{ speed: string, distance: string, temperature: string, clock: string }>,
+ * }}
+ */
+export function useI18n() {
+  return { locale, units }
+}
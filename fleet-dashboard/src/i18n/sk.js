@@ -0,0 +1,508 @@
+/**
+ * @file sk.js
+ * @description Slovak messages. Keys mirror `en.js`.
+ */
+
+export default {
+  common: {
+    loading:  'Načítava sa…',
+    close:    'Zavrieť',
+    noPlate:  'Bez EČV',
+    na:       'N/A',
+    start:    'Štart',
+    end:      'Cieľ',
+    import:   'IMPORT',
+    export:   'EXPORT',
+    fit:      'ZOBRAZIŤ',
+    reload:   '↻ OBNOVIŤ',
+    error:    'chyba',
+  },
+
+  units: {
+    minutes:      '{m} min',
+    hoursMinutes: '{h} h {m} min',
+  },
+
+  header: {
+    vehicles:    'VOZIDLÁ',
+    sync:        'SYNC',
+    user:        'POUŽÍVATEĽ',
+    logout:      'ODHLÁSIŤ',
+    leaderboard: 'REBRÍČEK',
+    analytics:   'ANALÝZA',
+    maintenance: 'ÚDRŽBA',
+    group:       'SKUPINA',
+    allGroups:   'Všetky skupiny ({count})',
+    allGroupsTitle: 'Všetky skupiny',
+  },
+
+  prefs: {
+    title:       'Jazyk a jednotky',
+    language:    'Jazyk',
+    speed:       'Rýchlosť',
+    distance:    'Vzdialenosť',
+    temperature: 'Teplota',
+    clock:       'Čas',
+    clocks:      { '24h': '24-hodinový', '12h': '12-hodinový' },
+  },
+
+  login: {
+    username:    'Používateľské meno',
+    password:    'Heslo',
+    signIn:      'PRIHLÁSIŤ',
+    signingIn:   'PRIHLASOVANIE…',
+    invalid:     'Neplatné používateľské meno alebo heslo.',
+    unreachable: 'GPS Dozor je nedostupný – skúste to neskôr.',
+    expired:     'Relácia vypršala – prihláste sa znova.',
+  },
+
+  fleet: {
+    moving:            'V pohybe',
+    idle:              'Stojí',
+    avgSpeed:          'Priem. {unit}',
+    search:            'Hľadať vozidlá',
+    searchPlaceholder: 'Názov alebo EČV…',
+    loadingFleet:      'Načítava sa vozový park…',
+    noVehicles:        'Žiadne vozidlá',
+    compareToggle:     'Pridať do porovnania',
+    compareCount:      '{count} / {max} na porovnanie',
+    compare:           'POROVNAŤ',
+    clearCompare:      'Zrušiť výber',
+  },
+
+  compare: {
+    title:          'Porovnanie',
+    loading:        'Načítavajú sa vozidlá…',
+    none:           'Pre porovnávané vozidlá nie sú dáta',
+    showDetail:     'Zobraziť detail vozidla',
+    metrics: {
+      distance:  'Vzdialenosť',
+      trips:     'Jazdy',
+      driving:   'Čas jazdy',
+      maxSpeed:  'Max. rýchlosť',
+      avgSpeed:  'Priem. rýchlosť',
+      ecoEvents: 'Eko udalosti',
+    },
+    ecoByType:      'Eko udalosti podľa typu',
+    distancePerDay: 'Vzdialenosť po dňoch ({unit})',
+    speeds:         'Max. / priem. rýchlosť ({unit})',
+  },
+
+  map: {
+    live:          '● NAŽIVO',
+    routeHistory:  'HISTÓRIA TRASY',
+    fitAll:        'ZOBRAZIŤ VŠETKO',
+    refresh:       '↻ OBNOVIŤ',
+    auto:          'AUTO {s} s',
+    autoOff:       'AUTO VYP',
+    autoTitle:     'Interval automatického obnovenia',
+    push:          'PUSH',
+    pushTitle:     'Prijímať aktualizácie odosielané serverom (SSE)',
+    zones:         'ZÓNY',
+    tracks:        'TRASY',
+    dispatch:      'DISPEČING',
+    dispatchTitle: 'Nájsť vozidlá najbližšie k miestu zákazky',
+    hotspots:      'HOTSPOTY',
+    hotspotsTitle: 'Miesta s častými eko udalosťami všetkých vozidiel skupiny za obdobie z detailu',
+    liveStatus:    { off: 'vyp', polling: 'dopytovanie', push: 'push', paused: 'pozastavené' },
+    popupSpeed:    'Rýchlosť:',
+    tripStart:     'Štart: {address}',
+    tripEnd:       'Cieľ: {address}',
+    hotspotEvents: { one: '{count} eko udalosť', few: '{count} eko udalosti', other: '{count} eko udalostí' },
+    hotspotVehicles: { one: '{count} vozidlo', few: '{count} vozidlá', other: '{count} vozidiel' },
+    hotspotType:   'prevažne {type}',
+    hotspotsFailed: { one: 'Eko udalosti {count} vozidla sa nepodarilo načítať', few: 'Eko udalosti {count} vozidiel sa nepodarilo načítať', other: 'Eko udalosti {count} vozidiel sa nepodarilo načítať' },
+    searchPlaceholder: 'Hľadať adresu…',
+    searchNone:    'Nenašli sa žiadne miesta',
+    searchSubmit:  'Hľadať',
+  },
+
+  playback: {
+    play:       'Prehrať',
+    pause:      'Pozastaviť',
+    speedTitle: 'Rýchlosť prehrávania',
+  },
+
+  detail: {
+    selectVehicle:  'Vyberte vozidlo\npre zobrazenie detailu',
+    collapse:       'Zúžiť panel',
+    expand:         'Rozšíriť panel',
+    speed:          'Rýchlosť',
+    odometer:       'Tachometer',
+    battery:        'Batéria',
+    lastSeen:       'Naposledy',
+    loadingWeather: '⟳ načítava sa počasie…',
+    wind:           'vietor {speed}',
+    tabs:           { trips: 'JAZDY', eco: 'EKO', zones: 'ZÓNY', stops: 'ZASTÁVKY', service: 'SERVIS' },
+    go:             'OK',
+    noTrips:        'V tomto období žiadne jazdy',
+    maxSpeedPerTrip: 'Max. rýchlosť na jazdu ({unit})',
+    avg:            'priem. {speed}',
+    max:            'max. {speed}',
+    ecoScore:       'Eko skóre',
+    weightedPer100: '{value} vážených udalostí / 100 km · ',
+    driven:         'najazdené {distance}',
+    scoreHint:      '100 − {factor} × udalostí vážených závažnosťou a typom na 100 km; pod {min} km bez skóre',
+    adjustedScore:  'Po zohľadnení počasia:',
+    adjustedHint:   'Udalosti za mokra, hmly alebo snehu vážia menej (mokro / hmla × {wet}, sneh × {snow})',
+    conditions:     'Eko udalosti podľa stavu vozovky',
+    conditionColumns: { distance: 'Vzdialenosť', events: 'Udalosti', per100km: '/ 100 km' },
+    loadingConditions: 'načítavam počasie jázd a udalostí…',
+    noEco:          'V tomto období žiadne eko udalosti',
+    eventsByType:   'Udalosti podľa typu',
+    noZoneVisits:   'V tomto období žiadne návštevy zón',
+    timeInZones:    'Čas v zónach',
+    liveTransitions: 'Živé prechody',
+    enter:          'VJAZD',
+    exit:           'VÝJAZD',
+    visits:         'Návštevy',
+    stopMinDwell:   'min.',
+    stopMinutes:    'min',
+    stopRadius:     'okruh',
+    noStops:        'V tomto období žiadne zastávky',
+    drivingVsStopped: 'Jazda a státie po dňoch',
+    stopCount:      { one: '{count} zastávka', few: '{count} zastávky', other: '{count} zastávok' },
+    stopFallback:   'Zastávka {n} · {lat}, {lng}',
+    tripSpeed:      'Jazda {time} · rýchlosť v čase',
+    speedLimit:     'Rýchlostný limit',
+    noTripPath:     'Pre túto jazdu nie sú zaznamenané žiadne polohy',
+    overLimit:      {
+      one:   '{count} úsek nad limitom, spolu {duration}',
+      few:   '{count} úseky nad limitom, spolu {duration}',
+      other: '{count} úsekov nad limitom, spolu {duration}',
+    },
+    withinLimit:    'Celý čas v limite',
+    tripEvents:     { one: '{count} eko udalosť', few: '{count} eko udalosti', other: '{count} eko udalostí' },
+  },
+
+  charts: {
+    maxSpeed: 'Max. rýchlosť',
+    avgSpeed: 'Priem. rýchlosť',
+    events:   {
+      one:   '{name}: {count} udalosť',
+      few:   '{name}: {count} udalosti',
+      other: '{name}: {count} udalostí',
+    },
+    speed:    'Rýchlosť',
+    ecoEvents: 'Eko udalosti',
+  },
+
+  eco: {
+    names: {
+      0: 'Neznáma',
+      1: 'Zákruta vľavo',
+      2: 'Zákruta vpravo',
+      3: 'Zákruta',
+      4: 'Prudké zrýchlenie',
+      5: 'Prudké brzdenie',
+      6: 'Náraz',
+      7: 'Dlhá spojka',
+      8: 'Jazda na neutrál',
+      9: 'Jazda bez motora',
+    },
+    descriptions: {
+      0: 'Neznámy typ udalosti.',
+      1: 'Zákruta vľavo – vozidlo zatočilo vľavo príliš ostro a namáhalo pneumatiky do boku.',
+      2: 'Zákruta vpravo – vozidlo zatočilo vpravo príliš ostro a namáhalo pneumatiky do boku.',
+      3: 'Zákruta – zistené ostré zatáčanie, smer neurčený.',
+      4: 'Prudké zrýchlenie – vodič agresívne zošliapol plyn, čo zvyšuje spotrebu.',
+      5: 'Prudké brzdenie – vodič prudko zabrzdil, čo nadmerne opotrebúva pneumatiky a brzdy.',
+      6: 'Náraz – vozidlo prešlo výtlk alebo spomaľovací prah príliš rýchlo.',
+      7: 'Dlhá spojka – spojkový pedál bol zošliapnutý príliš dlho, čo zbytočne opotrebúva spojku.',
+      8: 'Jazda na neutrál – vozidlo išlo na neutrál, čo plytvá palivom a znižuje brzdný účinok motora.',
+      9: 'Jazda bez motora – motor bol počas jazdy vypnutý, čo znižuje ovládateľnosť a bezpečnosť.',
+    },
+    severity: { 0: 'žiadna', 1: 'nízka', 2: 'stredná', 3: 'vysoká' },
+  },
+
+  weather: {
+    wmo: {
+      0:  'Jasno',
+      1:  'Prevažne jasno',
+      2:  'Polojasno',
+      3:  'Zamračené',
+      45: 'Hmla',
+      48: 'Námrazová hmla',
+      51: 'Slabé mrholenie',
+      53: 'Mrholenie',
+      55: 'Husté mrholenie',
+      56: 'Mrznúce mrholenie',
+      57: 'Silné mrznúce mrholenie',
+      61: 'Slabý dážď',
+      63: 'Dážď',
+      65: 'Silný dážď',
+      66: 'Mrznúci dážď',
+      67: 'Silný mrznúci dážď',
+      71: 'Slabé sneženie',
+      73: 'Sneženie',
+      75: 'Silné sneženie',
+      77: 'Snehové zrná',
+      80: 'Slabé prehánky',
+      81: 'Prehánky',
+      82: 'Silné prehánky',
+      85: 'Snehové prehánky',
+      86: 'Silné snehové prehánky',
+      95: 'Búrka',
+      96: 'Búrka s krúpami',
+      99: 'Búrka so silnými krúpami',
+    },
+    unknown: 'Neznáme',
+    conditions: { dry: 'Sucho', wet: 'Mokro', snow: 'Sneh', fog: 'Hmla' },
+  },
+
+  zones: {
+    title:        'Geozóny',
+    hint:         'Mnohouholníky, obdĺžniky a kruhy kreslite nástrojmi vľavo; nástroj úprav posúva vrcholy a kôš tvary maže.',
+    none:         'Zatiaľ žiadne zóny',
+    defaultName:  'Zóna {n}',
+    delete:       'Zmazať zónu',
+    recent:       'Posledné prechody',
+    categories:   { depot: 'Depo', customer: 'Zákazník', restricted: 'Zakázaná' },
+    imported:     {
+      one:   'Importovaná {count} zóna',
+      few:   'Importované {count} zóny',
+      other: 'Importovaných {count} zón',
+    },
+    noShapes:     'Nenašli sa žiadne mnohouholníky ani kruhy',
+    invalid:      'Neplatný súbor GeoJSON',
+  },
+
+  tracks: {
+    title:         'Trasy',
+    exportHistory: 'Export histórie trasy',
+    selectVehicle: 'Na export histórie vyberte vozidlo.',
+    overlays:      'Prekryvy',
+    overlaysHint:  'Importujte súbor GPX alebo GeoJSON, napr. plánovanú trasu, a porovnajte ju so skutočnou.',
+    waypoints:     '{count} bodov',
+    remove:        'Odobrať prekryv',
+    imported:      'Importované: {name}',
+    noPositions:   'V tomto období žiadne polohy',
+    exportFailed:  'Export zlyhal',
+    invalid:       'Neplatný súbor GPX alebo GeoJSON',
+  },
+
+  dispatch: {
+    title:        'Dispečing',
+    hint:         'Kliknite do mapy alebo vyhľadajte adresu a nastavte miesto zákazky.',
+    job:          'Miesto zákazky',
+    clearJob:     'Odstrániť miesto zákazky',
+    status:       { all: 'Všetky vozidlá', moving: 'V pohybe', idle: 'Stojace' },
+    sortEta:      'Podľa príjazdu',
+    sortDistance: 'Podľa vzdialenosti',
+    maxAge:       'Čerstvé ≤ {m} min',
+    maxAgeTitle:  'Staršie polohy sú zastarané',
+    anyAge:       'Ľubovoľný vek',
+    hideStale:    'Skryť zastarané',
+    staleTitle:   'Zastaraná poloha – vozidlo sa medzitým mohlo presunúť',
+    none:         'Filtrom nezodpovedá žiadne vozidlo',
+    more:         { one: '+{count} ďalšie vozidlo', few: '+{count} ďalšie vozidlá', other: '+{count} ďalších vozidiel' },
+  },
+
+  maintenance: {
+    title:        'Údržba',
+    summary:      'po termíne: {overdue} · čoskoro: {soon}',
+    hint:         'Servisné plány vozidiel tejto skupiny, najnaliehavejšie prvé. Plán je čoskoro na rade, ak do limitu zostáva {km} alebo {days} dní. Plány sa upravujú na karte SERVIS vozidla.',
+    noPlans:      'Zatiaľ žiadne servisné plány – pridajte ich na karte SERVIS vozidla',
+    none:         'Vozidlo nemá žiadne servisné plány',
+    types:        { oil: 'Výmena oleja', inspection: 'Technická kontrola', tyres: 'Prezutie', other: 'Iný servis' },
+    status:       { overdue: 'Po termíne', soon: 'Čoskoro', ok: 'V poriadku', unknown: 'Nenaplánované' },
+    columns: {
+      vehicle:  'Vozidlo',
+      service:  'Servis',
+      dueKm:    'Pri stave',
+      dueDate:  'Termín',
+      status:   'Stav',
+    },
+    noBaseline:   'Na naplánovanie zadajte posledný servis alebo pevný dátum',
+    dueAt:        'pri {distance}',
+    dueOn:        'dňa {date}',
+    left:         'zostáva {value}',
+    over:         'prekročené o {value}',
+    daysLeft:     { one: 'zostáva {count} deň', few: 'zostávajú {count} dni', other: 'zostáva {count} dní' },
+    daysOver:     { one: '{count} deň po termíne', few: '{count} dni po termíne', other: '{count} dní po termíne' },
+    everyKm:      'Každých ({unit})',
+    everyMonths:  'Každých (mesiacov)',
+    lastKm:       'Naposledy pri ({unit})',
+    lastDate:     'Naposledy dňa',
+    nextDate:     'Pevný dátum',
+    nextDateTitle: 'Objednaný termín, napr. prezutie – do vykonania servisu nahrádza mesačný interval',
+    note:         'Poznámka',
+    done:         'HOTOVO',
+    doneTitle:    'Servis vykonaný dnes pri aktuálnom stave tachometra',
+    delete:       'Zmazať plán',
+    add:          'PRIDAŤ PLÁN',
+    badgeOverdue: { one: '{count} servis po termíne', few: '{count} servisy po termíne', other: '{count} servisov po termíne' },
+    badgeSoon:    { one: '{count} servis čoskoro', few: '{count} servisy čoskoro', other: '{count} servisov čoskoro' },
+    imported:     {
+      one:   'Importovaný {count} plán',
+      few:   'Importované {count} plány',
+      other: 'Importovaných {count} plánov',
+    },
+    noneImported: 'V súbore nie sú žiadne plány',
+    invalid:      'Neplatný súbor JSON',
+  },
+
+  exportMenu: {
+    title:   'Export',
+    scopes:  { vehicle: 'Toto vozidlo', fleet: 'Celá skupina' },
+    formats: {
+      'trips-csv': 'Jazdy · CSV',
+      'eco-csv':   'Eko udalosti · CSV',
+      xlsx:        'Jazdy + eko · XLSX',
+      pdf:         'Tlačová zostava (PDF)',
+    },
+    popupBlocked: 'Na tlač zostavy povoľte vyskakovacie okná',
+    failed:       'Export zlyhal',
+  },
+
+  leaderboard: {
+    title:    'Eko rebríček',
+    period:   '{from} → {to} · trend oproti {prevFrom} → {prevTo}',
+    hint:     'Skóre = 100 − {factor} × vážených udalostí na 100 km. Váhy podľa závažnosti sú {low}/{med}/{high} (nízka/stredná/vysoká), vyššie pre prudké brzdenie a jazdu bez motora. Vozidlá pod {min} km skóre nemajú.',
+    scoring:  'Hodnotia sa vozidlá…',
+    none:     'Žiadne vozidlá',
+    columns: {
+      vehicle:  'Vozidlo',
+      score:    'Skóre',
+      trend:    'Trend',
+      distance: 'Vzdialenosť',
+      events:   'Udalosti',
+      per100:   'Vážené / 100 km',
+    },
+  },
+
+  analytics: {
+    title:         'Analýza vozového parku',
+    loading:       'Načítavajú sa jazdy a eko udalosti…',
+    none:          'Žiadne vozidlá',
+    failed:        {
+      one:   '{count} vozidlo sa nepodarilo načítať a nie je započítané',
+      few:   '{count} vozidlá sa nepodarilo načítať a nie sú započítané',
+      other: '{count} vozidiel sa nepodarilo načítať a nie sú započítané',
+    },
+    kpi: {
+      distance:    'Vzdialenosť',
+      driving:     'Čas jazdy',
+      trips:       'Jazdy',
+      ecoEvents:   'Eko udalosti',
+      active:      'Aktívne vozidlá',
+      utilisation: 'Využitie',
+    },
+    dailyDistance: 'Celková vzdialenosť po dňoch ({unit})',
+    ecoMix:        'Eko udalosti po dňoch podľa typu',
+    odometer:      'Nárast tachometra ({unit})',
+    busiest:       'Najvyťaženejšie vozidlá',
+    leastUsed:     'Najmenej využité vozidlá',
+    heatmap:       'Využitie po hodinách',
+    heatmapHint:   'Minúty jazdy za vozidlo a hodinu; jasnejšie = vyťaženejšie.',
+    heatmapCell:   '{vehicle} · {time} · {minutes} min jazdy',
+  },
+
+  alerts: {
+    title:        'Upozornenia',
+    ackAll:       'POTVRDIŤ VŠETKO',
+    rulesTitle:   'Pravidlá upozornení',
+    none:         'Žiadne upozornenia',
+    since:        'od {time}',
+    snoozedUntil: ' · odložené do {time}',
+    acknowledged: ' · potvrdené',
+    ack:          'POTVRDIŤ',
+    resolved:     'Vyriešené',
+    clear:        'VYMAZAŤ',
+    rules: {
+      overspeed: 'Prekročenie rýchlosti',
+      stale:     'Stará poloha',
+      battery:   'Slabá batéria',
+      idle:      'Dlhé státie',
+      ecoBurst:  'Séria eko udalostí',
+    },
+    messages: {
+      overspeed: '{speed} (limit {limit})',
+      stale:     'Bez polohy {minutes} min',
+      battery:   'Batéria na {percent} %',
+      idle:      'Stojí {hours} h',
+      ecoBurst:  '{count} závažných eko udalostí za {minutes} min',
+    },
+    settings: {
+      overspeed:     'Rýchlosť nad',
+      stale:         'Bez polohy dlhšie ako',
+      battery:       'Batéria pod',
+      idle:          'Státie dlhšie ako',
+      ecoBurst:      'Závažné eko udalosti ≥',
+      within:        'za',
+      notifications: 'Oznámenia prehliadača',
+      unsupported:   ' (nepodporované)',
+      blocked:       ' (zablokované v nastaveniach prehliadača)',
+    },
+  },
+
+  errors: {
+    timeout:       'vypršal časový limit',
+    network:       'chyba siete',
+    http:          'HTTP {status}',
+    groups:        'Skupiny vozidiel sa nepodarilo načítať',
+    vehicles:      'Vozidlá sa nepodarilo načítať',
+    refresh:       'Vozidlá sa nepodarilo obnoviť',
+    poll:          'Obnovenie vozidiel zlyhalo',
+    liveLost:      'Živý prenos stratený – prechod na dopytovanie',
+    trips:         'Jazdy sa nepodarilo načítať',
+    eco:           'Eko udalosti sa nepodarilo načítať',
+    history:       'Históriu trasy sa nepodarilo načítať',
+    weather:       'Počasie sa nepodarilo načítať',
+    weatherHistory: 'Historické počasie sa nepodarilo načítať',
+    address:       'Vyhľadanie adresy zlyhalo',
+    stopAddress:   'Vyhľadanie adresy zastávky zlyhalo',
+    addressSearch: 'Hľadanie adresy zlyhalo',
+    tripPath:      'Trasu jazdy sa nepodarilo načítať',
+    ecoAlert:      'Kontrola eko upozornení pre {name} zlyhala',
+  },
+
+  reports: {
+    sheets:  { summary: 'Súhrn', trips: 'Jazdy', eco: 'Eko udalosti' },
+    columns: {
+      vehicle:   'Vozidlo',
+      plate:     'EČV',
+      start:     'Štart',
+      finish:    'Koniec',
+      from:      'Odkiaľ',
+      to:        'Kam',
+      duration:  'Trvanie',
+      distance:  'Vzdialenosť ({unit})',
+      avgSpeed:  'Priem. rýchlosť ({unit})',
+      maxSpeed:  'Max. rýchlosť ({unit})',
+      time:      'Čas',
+      event:     'Udalosť',
+      severity:  'Závažnosť',
+      speed:     'Rýchlosť ({unit})',
+      latitude:  'Zemepisná šírka',
+      longitude: 'Zemepisná dĺžka',
+      trips:     'Jazdy',
+      driving:   'Jazda (h:mm)',
+      longest:   'Najdlhšia jazda',
+      ecoEvents: 'Eko udalosti',
+      high:      'Vysoká',
+      med:       'Stredná',
+      low:       'Nízka',
+      total:     'Spolu',
+      note:      'Poznámka',
+    },
+    failedNote:    'Dáta sa nepodarilo načítať',
+    kpi: {
+      trips:      'Jazdy',
+      distance:   'Vzdialenosť',
+      driving:    'Čas jazdy',
+      longest:    'Najdlhšia jazda',
+      maxSpeed:   'Max. rýchlosť',
+      avgSpeed:   'Priem. rýchlosť',
+      ecoEvents:  'Eko udalosti',
+      severities: 'Vysoká / stredná / nízka',
+    },
+    noEco:         'V tomto období žiadne eko udalosti.',
+    noTrips:       'V tomto období žiadne jazdy.',
+    ecoBySeverity: 'Eko udalosti podľa závažnosti',
+    tripsHeading:  'Jazdy ({count})',
+    ecoHeading:    'Eko udalosti ({count})',
+    vehicles:      'Vozidlá',
+    vehicleCount:  { one: '{count} vozidlo', few: '{count} vozidlá', other: '{count} vozidiel' },
+  },
+}
@@ -3,11 +3,12 @@
  * @description Application entry point.
  *
  * Creates the Vue 3 app, mounts global styles, and attaches the root component
- * to the `#app` div defined in index.html.
+ * to the `#app` div defined in index.html. `Root.vue` gates the dashboard
+ * (App.vue) behind the login screen.
  */
 
 import { createApp } from 'vue'
-import App from './App.vue'
+import Root from './Root.vue'
 import './app.css'
 
-createApp(App).mount('#app')
+createApp(Root).mount('#app')
@@ -0,0 +1,164 @@
+/**
+ * @file analytics.js
+ * @description Fleet-wide aggregates for the analytics view, computed from
+ * the trips and eco events of every vehicle of the group over a date range:
+ * daily distance, eco events per day and type, odometer growth, per-vehicle
+ * totals and an hour-by-hour utilisation matrix.
+ *
+ * Days and hours are local calendar days and wall-clock hours, like the
+ * times the API reports.
+ */
+
+import { addDays, toDay } from './time.js'
+import { tripTotals } from './tripStats.js'
+
+const HOUR = 3_600_000
+
+/**
+ * @typedef {object} VehicleUsage
+ * @property {object} vehicle
+ * @property {boolean} failed
+ * @property {number} trips
+ * @property {number} distance    - Kilometres driven.
+ * @property {number} drivingMs
+ * @property {number} eco         - Number of eco events.
+ * @property {number} utilisation - Share of the period spent driving (0–1).
+ * @property {number | null} odometer - Last odometer reading in the range (km).
+ * @property {number[]} hours     - Minutes driven per hour slot (`days × 24`).
+ */
+
+/**
+ * @typedef {object} FleetAnalytics
+ * @property {string[]} days - `YYYY-MM-DD` of the range.
+ * @property {number[]} distance - Fleet kilometres per day.
+ * @property {Object<number, number[]>} ecoByType - Eco events per day, keyed by event type.
+ * @property {number[]} odometerGrowth - Cumulative odometer kilometres since the range start, per day.
+ * @property {VehicleUsage[]} vehicles - Busiest first.
+ * @property {{ trips: number, distance: number, drivingMs: number, eco: number, active: number, utilisation: number }} totals
+ * @property {number} failed - Vehicles whose data could not be fetched.
+ */
+
+/**
+ * Every day of `from`–`to`, both inclusive.
+ *
+ * @param {string} from - `YYYY-MM-DD`
+ * @param {string} to   - `YYYY-MM-DD`
+ * @returns {string[]}
+ */
+function daysBetween(from, to) {
+  const days = []
+  for (let d = from; d <= to; d = addDays(d, 1)) days.push(d)
+  return days
+}
+
+/**
+ * Minutes driven per hour slot of the range, spreading every trip over the
+ * hours it covers.
+ *
+ * @param {import('../api/models.js').Trip[]} trips
+ * @param {string[]} days - Days of the range (`daysBetween`).
+ * @returns {number[]} `days.length × 24` slots.
+ */
+export function hourlyUsage(trips, days) {
+  const slots = new Array(days.length * 24).fill(0)
+  const origin = new Date(`${days[0]}T00:00`).getTime()
+
+  trips.forEach((trip) => {
+    let t = trip.startTime
+    const end = trip.finishTime
+    while (t < end) {
+      const next = new Date(t)
+      next.setMinutes(60, 0, 0) // next full hour
+      const until = Math.min(end, next.getTime())
+      // Slot index from the local wall-clock hour, so DST days stay aligned
+      const d = new Date(t)
+      const day = Math.round((new Date(d.getFullYear(), d.getMonth(), d.getDate()) - origin) / 86_400_000)
+      const slot = day * 24 + d.getHours()
+      if (slot >= 0 && slot < slots.length) slots[slot] += (until - t) / 60_000
+      t = until
+    }
+  })
+  return slots
+}
+
+/**
+ * Aggregates per-vehicle trips and eco events into the fleet analytics.
+ *
+ * @param {Array<{ vehicle: import('../api/models.js').Vehicle, trips: import('../api/models.js').Trip[], events: import('../api/models.js').EcoEvent[], failed: boolean }>} results
+ * @param {string} from - `YYYY-MM-DD`
+ * @param {string} to   - `YYYY-MM-DD`
+ * @returns {FleetAnalytics}
+ */
+export function fleetAnalytics(results, from, to) {
+  const days = daysBetween(from, to)
+  const dayIndex = Object.fromEntries(days.map((d, i) => [d, i]))
+  const periodMs = days.length * 24 * HOUR
+
+  const distance = new Array(days.length).fill(0)
+  const odometerDelta = new Array(days.length).fill(0)
+  const ecoByType = {}
+
+  const vehicles = results.map(({ vehicle, trips, events, failed }) => {
+    const totals = tripTotals(trips, events)
+
+    trips.forEach((trip) => {
+      const i = dayIndex[toDay(trip.startTime)]
+      if (i != null) distance[i] += trip.distance || 0
+    })
+    events.forEach((e) => {
+      const i = dayIndex[toDay(e.time)]
+      if (i == null) return
+      ecoByType[e.type] ??= new Array(days.length).fill(0)
+      ecoByType[e.type][i]++
+    })
+
+    // Odometer growth: reading at each trip's finish against the reading
+    // before the vehicle's first trip of the range
+    const readings = trips
+      .filter((trip) => trip.odometer != null)
+      .sort((a, b) => a.finishTime - b.finishTime)
+    if (readings.length) {
+      let previous = readings[0].odometer - (readings[0].distance || 0)
+      readings.forEach((trip) => {
+        const i = dayIndex[toDay(trip.finishTime)]
+        if (i != null) odometerDelta[i] += Math.max(0, trip.odometer - previous)
+        previous = trip.odometer
+      })
+    }
+
+    return {
+      vehicle,
+      failed,
+      trips:       totals.trips,
+      distance:    totals.distance,
+      drivingMs:   totals.drivingMs,
+      eco:         totals.eco,
+      utilisation: totals.drivingMs / periodMs,
+      odometer:    readings.length ? readings[readings.length - 1].odometer : null,
+      hours:       hourlyUsage(trips, days),
+    }
+  })
+
+  vehicles.sort((a, b) => b.distance - a.distance || b.drivingMs - a.drivingMs)
+
+  let growth = 0
+  const ok = vehicles.filter((v) => !v.failed)
+  const sum = (key) => ok.reduce((s, v) => s + v[key], 0)
+
+  return {
+    days,
+    distance,
+    ecoByType,
+    odometerGrowth: odometerDelta.map((km) => (growth += km)),
+    vehicles,
+    totals: {
+      trips:       sum('trips'),
+      distance:    sum('distance'),
+      drivingMs:   sum('drivingMs'),
+      eco:         sum('eco'),
+      active:      ok.filter((v) => v.trips > 0).length,
+      utilisation: ok.length ? sum('utilisation') / ok.length : 0,
+    },
+    failed: vehicles.length - ok.length,
+  }
+}
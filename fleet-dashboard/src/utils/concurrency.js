@@ -0,0 +1,63 @@
+/**
+ * @file concurrency.js
+ * @description Helpers for running many API requests without flooding the
+ * server: at most `limit` promises in flight at any time (`mapLimit`), or at
+ * most a given number started per second (`rateLimit`).
+ */
+
+/**
+ * Maps `items` through the async `fn` with bounded concurrency. Results keep
+ * the order of `items`. A rejected call rejects the whole run unless `fn`
+ * handles its own errors.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Maximum number of concurrent calls (≥ 1).
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @param {(done: number, total: number) => void} [onProgress] - Called after each item completes.
+ * @returns {Promise<R[]>}
+ */
+export async function mapLimit(items, limit, fn, onProgress) {
+  const results = new Array(items.length)
+  let next = 0
+  let done = 0
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+      onProgress?.(++done, items.length)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker))
+  return results
+}
+
+/**
+ * Creates a scheduler that starts at most `perSecond` tasks per second, in
+ * the order they were scheduled. A task whose signal aborts while it waits
+ * is dropped without using up a slot.
+ *
+ * @param {number} perSecond - Tasks started per second (> 0).
+ * @returns {<R>(fn: () => Promise<R>, signal?: AbortSignal) => Promise<R>}
+ */
+export function rateLimit(perSecond) {
+  const interval = 1000 / perSecond
+  let last = -Infinity
+  let queue = Promise.resolve()
+
+  return function schedule(fn, signal) {
+    const turn = queue.then(async () => {
+      if (signal?.aborted) return
+      const wait = last + interval - Date.now()
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait))
+      last = Date.now()
+    })
+    queue = turn
+    return turn.then(() => {
+      signal?.throwIfAborted()
+      return fn()
+    })
+  }
+}
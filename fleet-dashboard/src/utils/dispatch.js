@@ -0,0 +1,85 @@
+/**
+ * @file dispatch.js
+ * @description Nearest-vehicle ranking for dispatch: which vehicles could
+ * reach a job location first.
+ *
+ * Distance is the straight line from the vehicle's last position. The
+ * arrival estimate stretches it by `ROAD_FACTOR` (roads are rarely straight)
+ * and drives it at `TRAVEL_SPEED`; a parked vehicle first needs
+ * `START_DELAY` to get going, so a moving vehicle a little further away can
+ * still arrive first.
+ *
+ * A position older than `maxAge` minutes is stale – the vehicle may be
+ * anywhere by now. Stale vehicles are ranked but flagged, or left out with
+ * `hideStale`. Vehicles without a position are never ranked.
+ */
+
+import { distance } from './geo.js'
+
+/** Typical road distance per straight-line kilometre. */
+export const ROAD_FACTOR = 1.3
+
+/** Average speed assumed for the way to the job (km/h). */
+export const TRAVEL_SPEED = 50
+
+/** Time a parked vehicle needs before it sets off (ms). */
+export const START_DELAY = 5 * 60_000
+
+/** Default filters. */
+export const DISPATCH_DEFAULTS = { status: 'all', maxAge: 30, hideStale: false, sortBy: 'eta' }
+
+/**
+ * @typedef {object} DispatchCandidate
+ * @property {import('../api/models.js').Vehicle} vehicle
+ * @property {number} distance     - Straight-line kilometres to the job.
+ * @property {number} eta          - Estimated time to arrive (ms).
+ * @property {boolean} moving
+ * @property {boolean} stale       - Position older than `maxAge`, or of unknown age.
+ * @property {number | null} age   - Age of the position (ms), or null when unknown.
+ */
+
+/**
+ * Estimated time for a vehicle to cover `km` straight-line kilometres.
+ *
+ * @param {number} km
+ * @param {boolean} moving
+ * @returns {number} ms
+ */
+export const estimateArrival = (km, moving) =>
+  Math.round(((km * ROAD_FACTOR) / TRAVEL_SPEED) * 3_600_000) + (moving ? 0 : START_DELAY)
+
+/**
+ * Ranks vehicles by how quickly they could reach a job.
+ *
+ * @param {import('../api/models.js').Vehicle[]} vehicles
+ * @param {{ lat: number, lng: number }} job
+ * @param {object} [options]
+ * @param {'all' | 'moving' | 'idle'} [options.status='all'] - Keep only moving / idle vehicles.
+ * @param {number | null} [options.maxAge=30]   - Minutes after which a position is stale; null never.
+ * @param {boolean} [options.hideStale=false]   - Leave stale vehicles out instead of flagging them.
+ * @param {'eta' | 'distance'} [options.sortBy='eta']
+ * @param {number} [options.now=Date.now()]     - Unix ms the ages are measured at.
+ * @returns {DispatchCandidate[]} Best first.
+ */
+export function rankVehicles(vehicles, job, options = {}) {
+  const { status, maxAge, hideStale, sortBy, now = Date.now() } = { ...DISPATCH_DEFAULTS, ...options }
+  const maxAgeMs = maxAge == null ? Infinity : maxAge * 60_000
+
+  const candidates = []
+  for (const vehicle of vehicles) {
+    if (!vehicle.position) continue
+
+    const moving = vehicle.speed > 0
+    if ((status === 'moving' && !moving) || (status === 'idle' && moving)) continue
+
+    const age = vehicle.lastSeen == null ? null : Math.max(0, now - vehicle.lastSeen)
+    const stale = age == null ? maxAgeMs !== Infinity : age > maxAgeMs
+    if (stale && hideStale) continue
+
+    const km = distance(job.lat, job.lng, vehicle.position.lat, vehicle.position.lng) / 1000
+    candidates.push({ vehicle, distance: km, eta: estimateArrival(km, moving), moving, stale, age })
+  }
+
+  const key = sortBy === 'distance' ? 'distance' : 'eta'
+  return candidates.sort((a, b) => a[key] - b[key] || a.distance - b.distance)
+}
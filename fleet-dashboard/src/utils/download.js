@@ -0,0 +1,27 @@
+/**
+ * @file download.js
+ * @description Triggers a browser download for content generated in the app
+ * (exports of geofences, reports, tracks, …).
+ */
+
+/**
+ * Saves `content` as a file named `filename`.
+ *
+ * @param {string} filename
+ * @param {BlobPart | Blob} content
+ * @param {string} [type='text/plain'] - MIME type used when `content` is not a Blob.
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
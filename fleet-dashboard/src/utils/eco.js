@@ -0,0 +1,56 @@
+/**
+ * @file eco.js
+ * @description Labels and icons for GPS Dozor eco-driving events, shared by
+ * the ECO tab, its chart, the map markers and the exported reports. The
+ * texts live in the message catalogues under `eco.*`; these helpers only add
+ * the fallbacks.
+ */
+
+import { t, hasMessage } from '../i18n/index.js'
+
+/**
+ * Human-readable name of an eco event type.
+ *
+ * @param {number} type
+ * @returns {string}
+ */
+export const ecoName = (type) => t(hasMessage(`eco.names.${type}`) ? `eco.names.${type}` : 'eco.names.0')
+
+/**
+ * One-sentence explanation of an eco event type.
+ *
+ * @param {number} type
+ * @returns {string}
+ */
+export const ecoDescription = (type) =>
+  t(hasMessage(`eco.descriptions.${type}`) ? `eco.descriptions.${type}` : 'eco.descriptions.0')
+
+/**
+ * Severity label of an eco event severity (0–3).
+ *
+ * @param {number} severity
+ * @returns {string}
+ */
+export const sevName = (severity) => (hasMessage(`eco.severity.${severity}`) ? t(`eco.severity.${severity}`) : '?')
+
+/** Icon character for each eco event type. */
+const ECO_ICONS = {
+  0: '?',
+  1: '↙',
+  2: '↘',
+  3: '↕',
+  4: '⚡',
+  5: '⛔',
+  6: '💥',
+  7: '⚙',
+  8: 'N',
+  9: '〜',
+}
+
+/**
+ * Icon character of an eco event type.
+ *
+ * @param {number} type
+ * @returns {string}
+ */
+export const ecoIcon = (type) => ECO_ICONS[type] ?? '?'
@@ -0,0 +1,81 @@
+/**
+ * @file ecoScore.js
+ * @description Eco-driving score: a 0–100 number comparable across vehicles
+ * regardless of how much they drove.
+ *
+ * Every eco event adds a penalty of `SEVERITY_WEIGHTS[severity] ×
+ * TYPE_WEIGHTS[type]`; the penalty sum is normalised per 100 km driven
+ * (the distance of the trips in the same range) and subtracted from 100:
+ *
+ *   score = max(0, 100 − PENALTY_FACTOR × penalty / (km / 100))
+ *
+ * So a vehicle with 5 weighted events per 100 km scores 90, one with 25
+ * scores 50. Vehicles that drove less than `MIN_DISTANCE_KM` get no score –
+ * a handful of events on a short hop would dominate the figure.
+ *
+ * Optional per-event weights scale the penalties further, e.g. the road
+ * condition weights of `roadConditions.js` for a weather-adjusted score.
+ */
+
+/** Penalty multiplier per event severity (low, med, high). */
+export const SEVERITY_WEIGHTS = { 1: 1, 2: 2, 3: 4 }
+
+/**
+ * Penalty multiplier per event type: hard braking and freewheeling are
+ * the costliest habits, bumps and long clutch the mildest.
+ */
+export const TYPE_WEIGHTS = { 0: 1, 1: 1, 2: 1, 3: 1, 4: 1.5, 5: 2, 6: 0.5, 7: 0.5, 8: 1, 9: 1.5 }
+
+/** Points deducted per weighted event per 100 km. */
+export const PENALTY_FACTOR = 2
+
+/** Minimum distance for a meaningful score. */
+export const MIN_DISTANCE_KM = 10
+
+/**
+ * @typedef {object} EcoScore
+ * @property {number | null} score    - 0–100 (higher is better), or null below `MIN_DISTANCE_KM`.
+ * @property {number} penalty         - Sum of weighted events.
+ * @property {number | null} per100km - Weighted events per 100 km, or null without distance.
+ * @property {number} distance        - Kilometres driven.
+ * @property {number} events          - Number of eco events.
+ */
+
+/**
+ * Scores one vehicle from its eco events and trips of the same date range.
+ *
+ * @param {import('../api/models.js').EcoEvent[]} events
+ * @param {import('../api/models.js').Trip[]} trips
+ * @param {number[]} [weights] - Extra penalty multiplier per event (default 1).
+ * @returns {EcoScore}
+ */
+export function ecoScore(events, trips, weights) {
+  const distance = trips.reduce((sum, t) => sum + (t.distance || 0), 0)
+  const penalty = events.reduce(
+    (sum, e, i) => sum + (SEVERITY_WEIGHTS[e.severity] ?? 0) * (TYPE_WEIGHTS[e.type] ?? 1) * (weights?.[i] ?? 1),
+    0,
+  )
+  const per100km = distance > 0 ? penalty / (distance / 100) : null
+
+  return {
+    score:    distance >= MIN_DISTANCE_KM ? Math.max(0, Math.round(100 - PENALTY_FACTOR * per100km)) : null,
+    penalty,
+    per100km,
+    distance,
+    events:   events.length,
+  }
+}
+
+/**
+ * Colour class for a score, matching the dashboard's green / amber / red
+ * convention.
+ *
+ * @param {number | null} score
+ * @returns {'green' | 'amber' | 'red' | 'muted'}
+ */
+export function scoreClass(score) {
+  if (score == null) return 'muted'
+  if (score >= 80) return 'green'
+  if (score >= 60) return 'amber'
+  return 'red'
+}
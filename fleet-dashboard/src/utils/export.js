@@ -0,0 +1,115 @@
+/**
+ * @file export.js
+ * @description Turns tabular data into downloadable CSV and XLSX files.
+ *
+ * Both formats are driven by the same column definitions, so a table is
+ * described once and exported either way:
+ *
+ *   { header: 'Distance (km)', value: (row) => row.distance, type: 'number', width: 12 }
+ *
+ * `type` is `'string'` (default), `'number'` or `'date'`. Date values may be
+ * ISO strings or Unix ms; CSV writes them as `YYYY-MM-DD HH:MM:SS` local
+ * time, XLSX as real date cells.
+ */
+
+/**
+ * @typedef {object} Column
+ * @property {string} header
+ * @property {(row: object) => any} value
+ * @property {'string' | 'number' | 'date'} [type='string']
+ * @property {number} [width] - XLSX column width in characters.
+ */
+
+/** MIME type of `.xlsx` files. */
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/**
+ * Parses a date column value; returns null for empty or invalid input.
+ *
+ * @param {string | number | null | undefined} value
+ * @returns {Date | null}
+ */
+function toDate(value) {
+  if (value == null || value === '') return null
+  const d = new Date(value)
+  return isNaN(d) ? null : d
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const s = value == null ? '' : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * Serialises rows as CSV (RFC 4180, comma-separated). A UTF-8 byte order
+ * mark is prepended so Excel detects the encoding of Czech addresses.
+ *
+ * @param {object[]} rows
+ * @param {Column[]} columns
+ * @returns {string}
+ */
+export function toCSV(rows, columns) {
+  const lines = [columns.map((c) => csvField(c.header)).join(',')]
+
+  for (const row of rows) {
+    lines.push(columns.map((c) => {
+      const value = c.value(row)
+      if (c.type !== 'date') return csvField(value)
+      const d = toDate(value)
+      return d
+        ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+        : ''
+    }).join(','))
+  }
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Builds an XLSX workbook with one sheet per table. The writer library is
+ * loaded on first use so it stays out of the main bundle.
+ *
+ * @param {Array<{ name: string, rows: object[], columns: Column[] }>} sheets
+ * @returns {Promise<Blob>}
+ */
+export async function toXLSX(sheets) {
+  const { default: writeExcelFile } = await import('write-excel-file/universal')
+
+  return writeExcelFile(sheets.map(({ name, rows, columns }) => ({
+    // Excel limits sheet names to 31 characters and forbids a few symbols
+    sheet: name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31),
+    columns: columns.map((c) => ({ width: c.width ?? 14 })),
+    stickyRowsCount: 1,
+    data: [
+      columns.map((c) => ({ value: c.header, fontWeight: 'bold' })),
+      ...rows.map((row) => columns.map((c) => xlsxCell(c, c.value(row)))),
+    ],
+  }))).toBlob()
+}
+
+/**
+ * Converts a column value into a typed cell for `write-excel-file`.
+ *
+ * @param {Column} column
+ * @param {any} value
+ * @returns {object | null}
+ */
+function xlsxCell(column, value) {
+  if (column.type === 'date') {
+    const d = toDate(value)
+    return d ? { value: d, type: Date, format: 'dd.mm.yyyy hh:mm' } : null
+  }
+  if (column.type === 'number') {
+    const n = Number(value)
+    return value == null || value === '' || isNaN(n) ? null : { value: n, type: Number }
+  }
+  return value == null || value === '' ? null : { value: String(value), type: String }
+}
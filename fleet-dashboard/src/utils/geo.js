@@ -0,0 +1,49 @@
+/**
+ * @file geo.js
+ * @description Small geometry helpers shared by composables that reason about
+ * positions (geofences, stops, dispatch). Coordinates are `[lat, lng]` in
+ * decimal degrees; distances are in metres unless stated otherwise.
+ */
+
+/** Mean Earth radius in metres. */
+const EARTH_RADIUS = 6_371_000
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ *
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in metres.
+ */
+export function distance(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180
+  const dLat = (lat2 - lat1) * rad
+  const dLng = (lng2 - lng1) * rad
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Ray-casting point-in-polygon test. Treats the ring as planar, which is
+ * accurate enough for zones of a few kilometres.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Array<[number, number]>} ring - Polygon vertices (`[lat, lng]`), open or closed.
+ * @returns {boolean}
+ */
+export function pointInPolygon(lat, lng, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i]
+    const [yj, xj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
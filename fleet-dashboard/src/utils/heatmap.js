@@ -0,0 +1,108 @@
+/**
+ * @file heatmap.js
+ * @description Minimal canvas heatmap (rows × columns of cells), used for
+ * the analytics view's vehicle × hour utilisation. Chart.js has no matrix
+ * chart without a plugin, and a DOM grid of tens of thousands of cells
+ * would be far slower to render.
+ *
+ * Columns are laid out in equal groups (e.g. 24 hours per day) with a
+ * labelled separator per group. The canvas is sized to its parent's width
+ * and scaled for high-DPI screens; hovering a cell sets the canvas `title`
+ * to the text returned by `describe`.
+ */
+
+/** Width reserved for the row labels (CSS pixels). */
+const LABEL_WIDTH = 120
+
+/** Height of the group label row (CSS pixels). */
+const HEADER_HEIGHT = 16
+
+/** Height of one row (CSS pixels). */
+const ROW_HEIGHT = 12
+
+/** Cell colour (amber) as `r, g, b`; the value sets the opacity. */
+const CELL_RGB = '245, 166, 35'
+
+/**
+ * Draws the heatmap into `canvas`.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {{
+ *   rows:     Array<{ label: string, values: number[] }>,
+ *   groups:   string[],
+ *   max:      number,
+ *   describe: (row: number, column: number) => string,
+ * }} data - `groups` label equal runs of columns; a value of `max` is fully opaque.
+ */
+export function drawHeatmap(canvas, { rows, groups, max, describe }) {
+  const columns = rows[0]?.values.length ?? 0
+  const width = canvas.parentElement.clientWidth
+  const height = HEADER_HEIGHT + rows.length * ROW_HEIGHT
+  const ratio = window.devicePixelRatio || 1
+
+  canvas.style.width = `${width}px`
+  canvas.style.height = `${height}px`
+  canvas.width = Math.round(width * ratio)
+  canvas.height = Math.round(height * ratio)
+
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  ctx.clearRect(0, 0, width, height)
+  if (!columns) return
+
+  const cell = (width - LABEL_WIDTH) / columns
+  const perGroup = columns / groups.length
+
+  ctx.font = '9px "Space Mono", monospace'
+  ctx.textBaseline = 'middle'
+
+  // Row labels and cells
+  rows.forEach((row, r) => {
+    const y = HEADER_HEIGHT + r * ROW_HEIGHT
+    ctx.fillStyle = '#131720'
+    ctx.fillRect(LABEL_WIDTH, y, width - LABEL_WIDTH, ROW_HEIGHT - 1)
+    ctx.fillStyle = '#c8d0e0'
+    ctx.fillText(fit(ctx, row.label, LABEL_WIDTH - 8), 0, y + ROW_HEIGHT / 2)
+
+    row.values.forEach((value, c) => {
+      if (!value) return
+      ctx.fillStyle = `rgba(${CELL_RGB}, ${Math.min(1, 0.15 + 0.85 * (value / max))})`
+      ctx.fillRect(LABEL_WIDTH + c * cell, y, Math.max(cell, 1), ROW_HEIGHT - 1)
+    })
+  })
+
+  // Group labels and separators; labels are skipped when groups get too narrow
+  const labelEvery = Math.ceil(44 / (perGroup * cell))
+  ctx.fillStyle = '#4a5568'
+  ctx.strokeStyle = '#242d3d'
+  groups.forEach((label, g) => {
+    const x = LABEL_WIDTH + g * perGroup * cell
+    if (g % labelEvery === 0) ctx.fillText(label, x + 2, HEADER_HEIGHT / 2)
+    ctx.beginPath()
+    ctx.moveTo(Math.round(x) + 0.5, HEADER_HEIGHT)
+    ctx.lineTo(Math.round(x) + 0.5, height)
+    ctx.stroke()
+  })
+
+  canvas.onmousemove = (e) => {
+    const rect = canvas.getBoundingClientRect()
+    const c = Math.floor((e.clientX - rect.left - LABEL_WIDTH) / cell)
+    const r = Math.floor((e.clientY - rect.top - HEADER_HEIGHT) / ROW_HEIGHT)
+    canvas.title = c >= 0 && c < columns && r >= 0 && r < rows.length ? describe(r, c) : ''
+  }
+}
+
+/**
+ * Shortens `text` with an ellipsis until it fits `maxWidth`.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string}
+ */
+function fit(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text
+  let s = text
+  while (s.length > 1 && ctx.measureText(`${s}…`).width > maxWidth) s = s.slice(0, -1)
+  return `${s}…`
+}
@@ -0,0 +1,71 @@
+/**
+ * @file hotspots.js
+ * @description Eco event density for the map's HOTSPOTS layer: the eco
+ * events of every vehicle in the group binned into square cells of about
+ * `CELL_METERS`, so places where drivers keep braking or accelerating hard
+ * (a junction, a steep hill) stand out however many vehicles pass them.
+ *
+ * A cell's weight is the sum of its events' severities; its position is the
+ * mean of its events, so the marker sits on the junction rather than on the
+ * grid.
+ */
+
+/** Edge of a density cell (metres). */
+export const CELL_METERS = 75
+
+/** Metres per degree of latitude. */
+const METERS_PER_DEG = 111_320
+
+/**
+ * @typedef {object} Hotspot
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} count    - Events in the cell.
+ * @property {number} weight   - Sum of the events' severities (at least 1 each).
+ * @property {number} vehicles - Distinct vehicles with events in the cell.
+ * @property {number} topType  - Most frequent event type.
+ */
+
+/**
+ * Bins eco events into density cells, heaviest first.
+ *
+ * @param {Array<{ vehicle: import('../api/models.js').Vehicle, events: import('../api/models.js').EcoEvent[] }>} results
+ * @param {number} [cellMeters=CELL_METERS]
+ * @returns {Hotspot[]}
+ */
+export function ecoHotspots(results, cellMeters = CELL_METERS) {
+  const latStep = cellMeters / METERS_PER_DEG
+  const cells = new Map()
+
+  results.forEach(({ vehicle, events }) => {
+    events.forEach((e) => {
+      if (!e.position) return
+      const { lat, lng } = e.position
+
+      // Longitude steps widen towards the poles so cells stay roughly square
+      const row = Math.floor(lat / latStep)
+      const lngStep = latStep / Math.max(0.01, Math.cos((row * latStep * Math.PI) / 180))
+      const key = `${row}:${Math.floor(lng / lngStep)}`
+
+      const cell = cells.get(key) ?? { latSum: 0, lngSum: 0, count: 0, weight: 0, vehicles: new Set(), types: {} }
+      cell.latSum += lat
+      cell.lngSum += lng
+      cell.count++
+      cell.weight += Math.max(1, e.severity)
+      cell.vehicles.add(vehicle.code)
+      cell.types[e.type] = (cell.types[e.type] || 0) + 1
+      cells.set(key, cell)
+    })
+  })
+
+  return [...cells.values()]
+    .map((c) => ({
+      lat:      c.latSum / c.count,
+      lng:      c.lngSum / c.count,
+      count:    c.count,
+      weight:   c.weight,
+      vehicles: c.vehicles.size,
+      topType:  Number(Object.keys(c.types).reduce((a, b) => (c.types[b] > c.types[a] ? b : a))),
+    }))
+    .sort((a, b) => b.weight - a.weight)
+}
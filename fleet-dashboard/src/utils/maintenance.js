@@ -0,0 +1,139 @@
+/**
+ * @file maintenance.js
+ * @description Service plans of the maintenance scheduler and when they fall
+ * due.
+ *
+ * A plan repeats every `everyKm` kilometres and/or every `everyMonths`
+ * months, counted from the last time it was done (`lastKm` on the odometer,
+ * on `lastDate`); whichever limit comes first makes it due. A fixed
+ * `nextDate` – a booked tyre swap, say – replaces the calendar interval
+ * until the service is done.
+ *
+ * A plan is `soon` within `DUE_SOON_KM` or `DUE_SOON_DAYS` of its limit and
+ * `overdue` past it. Without a last service or a fixed date there is nothing
+ * to count from, so its status is `unknown`.
+ */
+
+import { toDay, addMonths, daysBetween } from './time.js'
+
+/** Kilometres before the limit at which a plan is due soon. */
+export const DUE_SOON_KM = 1000
+
+/** Days before the limit at which a plan is due soon. */
+export const DUE_SOON_DAYS = 30
+
+/** Service types → default intervals of a new plan. Labels are under `maintenance.types`. */
+export const SERVICE_TYPES = {
+  oil:        { everyKm: 15_000, everyMonths: 12 },
+  inspection: { everyKm: null,   everyMonths: 24 },
+  tyres:      { everyKm: null,   everyMonths: 6 },
+  other:      { everyKm: null,   everyMonths: 12 },
+}
+
+/** Sort rank of each status, most urgent first. */
+const STATUS_ORDER = { overdue: 0, soon: 1, ok: 2, unknown: 3 }
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * @typedef {object} ServicePlan
+ * @property {string} id
+ * @property {string} vehicleCode
+ * @property {'oil' | 'inspection' | 'tyres' | 'other'} type
+ * @property {string} note                 - Free text, e.g. "5W-30, 6.5 l".
+ * @property {number | null} everyKm       - Distance interval (km).
+ * @property {number | null} everyMonths   - Calendar interval.
+ * @property {number | null} lastKm        - Odometer at the last service (km).
+ * @property {string | null} lastDate      - Day of the last service (`YYYY-MM-DD`).
+ * @property {string | null} nextDate      - Fixed due day (`YYYY-MM-DD`), overriding `everyMonths`.
+ */
+
+/**
+ * @typedef {object} PlanStatus
+ * @property {'overdue' | 'soon' | 'ok' | 'unknown'} status
+ * @property {number | null} dueKm    - Odometer reading the plan is due at.
+ * @property {string | null} dueDate  - Day the plan is due (`YYYY-MM-DD`).
+ * @property {number | null} kmLeft   - Kilometres to go (negative when overdue).
+ * @property {number | null} daysLeft - Days to go (negative when overdue).
+ * @property {number} urgency         - Share of the "soon" margin left on the nearer limit; lower is more urgent.
+ */
+
+/** Generates a short unique plan id. */
+export const newPlanId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+
+/**
+ * Works out when a plan falls due against the odometer and the calendar.
+ *
+ * @param {ServicePlan} plan
+ * @param {number | null} odometer - Current odometer (km), null when unknown.
+ * @param {number} [now=Date.now()]
+ * @returns {PlanStatus}
+ */
+export function planStatus(plan, odometer, now = Date.now()) {
+  const dueKm = plan.everyKm && plan.lastKm != null ? plan.lastKm + plan.everyKm : null
+  const dueDate = plan.nextDate
+    ?? (plan.everyMonths && plan.lastDate ? addMonths(plan.lastDate, plan.everyMonths) : null)
+
+  const kmLeft = dueKm != null && odometer != null ? dueKm - odometer : null
+  const daysLeft = dueDate ? daysBetween(toDay(now), dueDate) : null
+
+  const km = kmLeft != null
+  const days = daysLeft != null
+  let status = 'unknown'
+  if ((km && kmLeft <= 0) || (days && daysLeft < 0)) status = 'overdue'
+  else if ((km && kmLeft <= DUE_SOON_KM) || (days && daysLeft <= DUE_SOON_DAYS)) status = 'soon'
+  else if (km || days) status = 'ok'
+
+  const urgency = Math.min(km ? kmLeft / DUE_SOON_KM : Infinity, days ? daysLeft / DUE_SOON_DAYS : Infinity)
+
+  return { status, dueKm, dueDate, kmLeft, daysLeft, urgency }
+}
+
+/**
+ * Sorts plan statuses most urgent first: overdue, then due soon, then the
+ * rest, each by the margin left on its nearer limit.
+ *
+ * @template {PlanStatus} T
+ * @param {T[]} items
+ * @returns {T[]} A new array.
+ */
+export const byUrgency = (items) =>
+  [...items].sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || a.urgency - b.urgency)
+
+/**
+ * The plan after its service was done today: counting restarts from the
+ * current odometer and today, and a fixed date is used up.
+ *
+ * @param {ServicePlan} plan
+ * @param {number | null} odometer - Current odometer (km); without it the last reading is kept.
+ * @param {number} [now=Date.now()]
+ * @returns {ServicePlan}
+ */
+export const completePlan = (plan, odometer, now = Date.now()) =>
+  ({ ...plan, lastKm: odometer ?? plan.lastKm, lastDate: toDay(now), nextDate: null })
+
+/**
+ * Validates a stored or imported plan, filling in what is missing.
+ *
+ * @param {any} raw
+ * @returns {ServicePlan | null} Null when it names no vehicle.
+ */
+export function normalisePlan(raw) {
+  if (!raw || typeof raw.vehicleCode !== 'string' || !raw.vehicleCode) return null
+
+  const positive = (value) => (Number(value) > 0 ? Number(value) : null)
+  const reading = (value) => (value == null || value === '' || !(Number(value) >= 0) ? null : Number(value))
+  const date = (value) => (DATE_RE.test(value ?? '') ? value : null)
+
+  return {
+    id:          typeof raw.id === 'string' && raw.id ? raw.id : newPlanId(),
+    vehicleCode: raw.vehicleCode,
+    type:        SERVICE_TYPES[raw.type] ? raw.type : 'other',
+    note:        typeof raw.note === 'string' ? raw.note : '',
+    everyKm:     positive(raw.everyKm),
+    everyMonths: positive(raw.everyMonths),
+    lastKm:      reading(raw.lastKm),
+    lastDate:    date(raw.lastDate),
+    nextDate:    date(raw.nextDate),
+  }
+}
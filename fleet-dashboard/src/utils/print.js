@@ -0,0 +1,103 @@
+/**
+ * @file print.js
+ * @description Printable reports: a plain light-themed HTML document written
+ * into a new window, which then opens the browser's print dialog (where
+ * "Save as PDF" produces the PDF).
+ *
+ * The window has to be opened synchronously from the click handler –
+ * browsers block pop-ups opened after an `await` – so callers open it first
+ * with `openPrintWindow()` and fill it once the data has loaded.
+ */
+
+import { locale, formatDateTime } from '../i18n/index.js'
+
+/** Styles of the printed document (A4, black on white). */
+const PRINT_CSS = `
+  @page { size: A4; margin: 14mm; }
+  body  { font: 11px/1.4 Arial, Helvetica, sans-serif; color: #111; margin: 0; }
+  h1    { font-size: 18px; margin: 0 0 2px; }
+  h2    { font-size: 13px; margin: 18px 0 6px; border-bottom: 1px solid #999; padding-bottom: 2px; }
+  .sub  { color: #555; margin-bottom: 12px; }
+  .kpis { display: flex; flex-wrap: wrap; gap: 8px; margin: 8px 0; }
+  .kpi  { border: 1px solid #ccc; border-radius: 3px; padding: 6px 10px; min-width: 90px; }
+  .kpi b { display: block; font-size: 15px; }
+  .charts { display: flex; gap: 12px; align-items: flex-start; }
+  .charts img { max-width: 100%; }
+  table { width: 100%; border-collapse: collapse; margin-top: 4px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 3px 4px; text-align: left; vertical-align: top; }
+  th    { background: #f0f0f0; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  tr    { page-break-inside: avoid; }
+  .muted { color: #777; }
+`
+
+/**
+ * Escapes text for insertion into HTML.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+
+/**
+ * Opens an empty report window showing a "preparing" message.
+ *
+ * @returns {Window | null} Null when the browser blocked the pop-up.
+ */
+export function openPrintWindow() {
+  const win = window.open('', '_blank')
+  win?.document.write('<p style="font-family:sans-serif">Preparing report…</p>')
+  return win
+}
+
+/**
+ * Replaces the window's content with the report and opens the print dialog
+ * once its images have loaded.
+ *
+ * @param {Window} win   - Window from `openPrintWindow()`.
+ * @param {string} title - Document title (also the default PDF file name).
+ * @param {string} body  - Report HTML (already escaped).
+ */
+export function writePrintWindow(win, title, body) {
+  win.document.open()
+  win.document.write(`<!doctype html><html lang="${locale.value}"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+    `<style>${PRINT_CSS}</style></head><body>${body}</body></html>`)
+  win.document.close()
+
+  // Some browsers do not fire `load` for documents written this way, so a
+  // timer backs it up; whichever comes first prints.
+  let printed = false
+  const print = () => {
+    if (printed || win.closed) return
+    printed = true
+    win.print()
+  }
+  win.onload = print
+  setTimeout(print, 800)
+}
+
+/**
+ * Builds an HTML table from column definitions (see `export.js`). Date
+ * columns are printed in the active language unless the column has a `format`.
+ *
+ * @param {object[]} rows
+ * @param {Array<{ header: string, value: (row: object) => any, type?: string, format?: (value: any) => string }>} columns
+ * @returns {string}
+ */
+export function htmlTable(rows, columns) {
+  const text = (c, value) => {
+    if (c.format) return c.format(value)
+    if (c.type === 'date') return value ? formatDateTime(value, { year: true }) : ''
+    return value
+  }
+  const cls = (c) => (c.type === 'number' ? ' class="num"' : '')
+  const head = columns.map((c) => `<th${cls(c)}>${escapeHtml(c.header)}</th>`).join('')
+  const body = rows.map((row) =>
+    '<tr>' + columns.map((c) => {
+      const value = c.value(row)
+      return `<td${cls(c)}>${escapeHtml(text(c, value))}</td>`
+    }).join('') + '</tr>',
+  ).join('')
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+}
@@ -0,0 +1,89 @@
+/**
+ * @file roadConditions.js
+ * @description Road conditions derived from historical weather, and eco
+ * event rates per condition for the ECO tab.
+ *
+ * An hour counts as `snow` with any snowfall or a snow WMO code, `wet` with
+ * any precipitation or a drizzle / rain / shower / thunderstorm code, `fog`
+ * with a fog code and `dry` otherwise. Trips take the condition at their
+ * start; eco events the one at their own time and place.
+ *
+ * Events in bad conditions weigh less in the weather-adjusted eco score
+ * (`CONDITION_WEIGHTS`) – hard braking on snow is often the right call.
+ */
+
+/** Conditions in display order. */
+export const CONDITIONS = ['dry', 'wet', 'snow', 'fog']
+
+/** Eco score penalty multiplier of an event per condition. */
+export const CONDITION_WEIGHTS = { dry: 1, wet: 0.75, fog: 0.75, snow: 0.5 }
+
+/** WMO codes of snowfall (snow, snow grains, snow showers). */
+const SNOW_CODES = new Set([71, 73, 75, 77, 85, 86])
+
+/** WMO codes of fog. */
+const FOG_CODES = new Set([45, 48])
+
+/**
+ * Road condition for one hour of weather.
+ *
+ * @param {import('../api/weather.js').HourlyWeather | null} weather
+ * @returns {'dry' | 'wet' | 'snow' | 'fog' | null} Null without weather data.
+ */
+export function roadCondition(weather) {
+  if (!weather) return null
+  const { code } = weather
+  if (weather.snowfall > 0 || SNOW_CODES.has(code)) return 'snow'
+  if (weather.precipitation > 0 || (code >= 51 && code <= 67) || code >= 80) return 'wet'
+  if (FOG_CODES.has(code)) return 'fog'
+  return 'dry'
+}
+
+/**
+ * @typedef {object} ConditionRates
+ * @property {'dry' | 'wet' | 'snow' | 'fog'} condition
+ * @property {number} trips
+ * @property {number} distance        - Kilometres driven.
+ * @property {number} events          - Eco events.
+ * @property {number | null} per100km - Events per 100 km, or null without distance.
+ */
+
+/**
+ * Distance and eco events per road condition. Conditions with neither trips
+ * nor events are left out; so are trips and events without weather.
+ *
+ * @param {import('../api/models.js').Trip[]} trips
+ * @param {Array<import('../api/weather.js').HourlyWeather | null>} tripWeather - Aligned with `trips`.
+ * @param {import('../api/models.js').EcoEvent[]} events
+ * @param {Array<import('../api/weather.js').HourlyWeather | null>} eventWeather - Aligned with `events`.
+ * @returns {ConditionRates[]}
+ */
+export function conditionRates(trips, tripWeather, events, eventWeather) {
+  const rows = Object.fromEntries(CONDITIONS.map((c) => [c, { condition: c, trips: 0, distance: 0, events: 0 }]))
+
+  trips.forEach((trip, i) => {
+    const condition = roadCondition(tripWeather[i])
+    if (!condition) return
+    rows[condition].trips++
+    rows[condition].distance += trip.distance || 0
+  })
+  events.forEach((_, i) => {
+    const condition = roadCondition(eventWeather[i])
+    if (condition) rows[condition].events++
+  })
+
+  return CONDITIONS
+    .map((c) => rows[c])
+    .filter((r) => r.trips || r.events)
+    .map((r) => ({ ...r, per100km: r.distance > 0 ? r.events / (r.distance / 100) : null }))
+}
+
+/**
+ * Eco score penalty multipliers of events from their weather, for
+ * `ecoScore(events, trips, weights)`. Events without weather weigh fully.
+ *
+ * @param {Array<import('../api/weather.js').HourlyWeather | null>} eventWeather
+ * @returns {number[]}
+ */
+export const conditionWeights = (eventWeather) =>
+  eventWeather.map((w) => CONDITION_WEIGHTS[roadCondition(w)] ?? 1)
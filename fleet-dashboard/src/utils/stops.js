@@ -0,0 +1,134 @@
+/**
+ * @file stops.js
+ * @description Splits a GPS history track into stops and movements.
+ *
+ * A stop is a run of consecutive positions that all stay within `radius`
+ * metres of the run's first position for at least `minDwell` minutes.
+ * Anchoring on the first position (rather than a moving centroid) keeps a
+ * slow crawl through traffic from being swallowed into one long "stop",
+ * while GPS jitter around a parked vehicle stays inside the radius.
+ *
+ * Everything between two stops is a movement. Arrival is the first and
+ * departure the last position of the run, so a unit that keeps reporting
+ * while parked gives exact times; one that goes silent is stopped until its
+ * last report before leaving the radius.
+ */
+
+import { distance } from './geo.js'
+
+/** Default detection settings. */
+export const STOP_DEFAULTS = { minDwell: 5, radius: 100 }
+
+/**
+ * @typedef {object} Stop
+ * @property {number} lat       - Mean latitude of the run.
+ * @property {number} lng       - Mean longitude of the run.
+ * @property {number} arrival   - Unix ms.
+ * @property {number} departure - Unix ms.
+ * @property {number} duration  - ms.
+ */
+
+/**
+ * @typedef {object} Movement
+ * @property {number} start    - Unix ms.
+ * @property {number} end      - Unix ms.
+ * @property {number} duration - ms.
+ * @property {number} distance - Metres along the track.
+ */
+
+/**
+ * Detects stops and the movements between them.
+ *
+ * @param {import('../api/models.js').Position[] | undefined} positions - In time order.
+ * @param {{ minDwell: number, radius: number }} [settings] - Minutes and metres.
+ * @returns {{ stops: Stop[], movements: Movement[] }}
+ */
+export function detectStops(positions, { minDwell, radius } = STOP_DEFAULTS) {
+  const points = positions || []
+
+  const stops = []
+  const spans = [] // [first, last] point index of each stop
+  const minDwellMs = minDwell * 60_000
+
+  let i = 0
+  while (i < points.length) {
+    const anchor = points[i]
+    let j = i + 1
+    while (j < points.length && distance(anchor.lat, anchor.lng, points[j].lat, points[j].lng) <= radius) j++
+
+    const last = points[j - 1]
+    if (last.time - anchor.time >= minDwellMs) {
+      const run = points.slice(i, j)
+      stops.push({
+        lat:       run.reduce((s, p) => s + p.lat, 0) / run.length,
+        lng:       run.reduce((s, p) => s + p.lng, 0) / run.length,
+        arrival:   anchor.time,
+        departure: last.time,
+        duration:  last.time - anchor.time,
+      })
+      spans.push([i, j - 1])
+      i = j
+    } else {
+      i++
+    }
+  }
+
+  // Movements: the stretches before, between and after stops
+  const movements = []
+  const addMovement = (from, to) => {
+    if (to <= from) return
+    let metres = 0
+    for (let k = from; k < to; k++) metres += distance(points[k].lat, points[k].lng, points[k + 1].lat, points[k + 1].lng)
+    const start = points[from].time
+    const end = points[to].time
+    movements.push({ start, end, duration: end - start, distance: metres })
+  }
+
+  let cursor = 0
+  for (const [first, last] of spans) {
+    addMovement(cursor, first)
+    cursor = last
+  }
+  if (points.length) addMovement(cursor, points.length - 1)
+
+  return { stops, movements }
+}
+
+/**
+ * Local calendar date of a Unix ms instant.
+ *
+ * @param {number} ms
+ * @returns {string} `YYYY-MM-DD`
+ */
+function localDay(ms) {
+  const d = new Date(ms)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Driving vs stopped time per local calendar day. Intervals spanning
+ * midnight are split between the two days.
+ *
+ * @param {{ stops: Stop[], movements: Movement[] }} analysis - Result of `detectStops()`.
+ * @returns {Array<{ date: string, driving: number, stopped: number }>} Days in order, ms totals.
+ */
+export function dailyTotals({ stops, movements }) {
+  const days = {}
+
+  const add = (start, end, key) => {
+    let t = start
+    while (t < end) {
+      const next = new Date(t)
+      next.setHours(24, 0, 0, 0) // next local midnight
+      const until = Math.min(end, next.getTime())
+      const day = (days[localDay(t)] ??= { date: localDay(t), driving: 0, stopped: 0 })
+      day[key] += until - t
+      t = until
+    }
+  }
+
+  movements.forEach((m) => add(m.start, m.end, 'driving'))
+  stops.forEach((s) => add(s.arrival, s.departure, 'stopped'))
+
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date))
+}
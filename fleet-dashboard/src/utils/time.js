@@ -0,0 +1,77 @@
+/**
+ * @file time.js
+ * @description Date helpers for building GPS Dozor query parameters, which
+ * expect local time without a zone (`YYYY-MM-DDTHH:MM`), and for the
+ * `YYYY-MM-DD` date ranges picked in the UI.
+ */
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/**
+ * Formats a date as the API's `from` / `to` parameter in local time.
+ *
+ * @param {Date | number} date
+ * @returns {string} e.g. `2024-05-01T08:30`
+ */
+export function toApiTime(date) {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+/**
+ * Local calendar day of an instant.
+ *
+ * @param {Date | number} date
+ * @returns {string} `YYYY-MM-DD`
+ */
+export const toDay = (date) => toApiTime(date).slice(0, 10)
+
+/**
+ * Adds whole days to a `YYYY-MM-DD` date (calendar arithmetic, no DST drift).
+ *
+ * @param {string} ymd
+ * @param {number} days - May be negative.
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function addDays(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().slice(0, 10)
+}
+
+/**
+ * The period of equal length immediately before `from`–`to` (both inclusive),
+ * e.g. 8–14 May → 1–7 May.
+ *
+ * @param {string} from - `YYYY-MM-DD`
+ * @param {string} to   - `YYYY-MM-DD`
+ * @returns {{ from: string, to: string }}
+ */
+export function previousPeriod(from, to) {
+  const days = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86_400_000) + 1
+  return { from: addDays(from, -days), to: addDays(from, -1) }
+}
+
+/**
+ * Adds whole months to a `YYYY-MM-DD` date. A day the target month lacks
+ * falls back to its last day (31 Jan + 1 month → 28/29 Feb).
+ *
+ * @param {string} ymd
+ * @param {number} months - May be negative.
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function addMonths(ymd, months) {
+  const [y, m, d] = ymd.split('-').map(Number)
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate()
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10)
+}
+
+/**
+ * Whole days from one `YYYY-MM-DD` date to another (negative when `to` is earlier).
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86_400_000)
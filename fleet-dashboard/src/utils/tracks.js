@@ -0,0 +1,241 @@
+/**
+ * @file tracks.js
+ * @description Conversion between GPS Dozor history positions and the
+ * common track formats used by GIS tools: GPX, KML and GeoJSON.
+ *
+ * Export keeps the timestamp and speed of every point:
+ *   • GPX 1.1     – `<trkpt>` with `<time>` and the Garmin TrackPointExtension
+ *                   `<gpxtpx:speed>` (m/s, as the extension defines it);
+ *   • KML 2.2     – `<gx:Track>` with `<when>` / `<gx:coord>` pairs and the
+ *                   speed as `ExtendedData` array (km/h);
+ *   • GeoJSON     – one `LineString` feature whose `coordTimes` (the de-facto
+ *                   convention used by togeojson / Mapbox) and `speeds`
+ *                   (km/h) properties run parallel to the coordinates.
+ *
+ * Import reads GPX (tracks, routes, waypoints) and GeoJSON (lines, polygon
+ * outlines, points) into a plain `{ name, lines, points }` overlay.
+ */
+
+import { escapeHtml as escapeXml } from './print.js'
+
+/** km/h → m/s */
+const KMH_TO_MS = 1 / 3.6
+
+/**
+ * @typedef {object} TrackPoint
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string | null} time  - ISO 8601 (UTC).
+ * @property {number | null} speed - km/h.
+ */
+
+/**
+ * @typedef {object} Overlay
+ * @property {string} name
+ * @property {Array<Array<[number, number]>>} lines                  - `[lat, lng]` polylines.
+ * @property {Array<{ lat: number, lng: number, name: string }>} points - Waypoints.
+ */
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * Turns a position history into track points.
+ *
+ * @param {import('../api/models.js').Position[] | undefined} positions
+ * @returns {TrackPoint[]}
+ */
+export const toTrackPoints = (positions) =>
+  (positions || []).map((p) => ({ lat: p.lat, lng: p.lng, time: new Date(p.time).toISOString(), speed: p.speed }))
+
+/**
+ * Serialises a track as GPX 1.1.
+ *
+ * @param {string} name
+ * @param {TrackPoint[]} points
+ * @returns {string}
+ */
+export function toGPX(name, points) {
+  const trkpts = points.map((p) =>
+    `      <trkpt lat="${p.lat}" lon="${p.lng}">` +
+    (p.time ? `<time>${p.time}</time>` : '') +
+    (p.speed != null
+      ? `<extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>${(p.speed * KMH_TO_MS).toFixed(2)}</gpxtpx:speed></gpxtpx:TrackPointExtension></extensions>`
+      : '') +
+    '</trkpt>',
+  ).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GPS Dozor Fleet Ops"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <trkseg>
+${trkpts}
+    </trkseg>
+  </trk>
+</gpx>
+`
+}
+
+/**
+ * Serialises a track as KML 2.2 with a `gx:Track`. Every `<when>` must be a
+ * dateTime paired with a `<gx:coord>`, so points without a time are left out.
+ *
+ * @param {string} name
+ * @param {TrackPoint[]} points
+ * @returns {string}
+ */
+export function toKML(name, points) {
+  const timed  = points.filter((p) => p.time)
+  const whens  = timed.map((p) => `        <when>${p.time}</when>`).join('\n')
+  const coords = timed.map((p) => `        <gx:coord>${p.lng} ${p.lat} 0</gx:coord>`).join('\n')
+  const speeds = timed.map((p) => `            <gx:value>${p.speed ?? ''}</gx:value>`).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Schema id="trackData">
+      <gx:SimpleArrayField name="speed" type="float">
+        <displayName>Speed (km/h)</displayName>
+      </gx:SimpleArrayField>
+    </Schema>
+    <Style id="track"><LineStyle><color>ff23a6f5</color><width>3</width></LineStyle></Style>
+    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <styleUrl>#track</styleUrl>
+      <gx:Track>
+${whens}
+${coords}
+        <ExtendedData>
+          <SchemaData schemaUrl="#trackData">
+            <gx:SimpleArrayData name="speed">
+${speeds}
+            </gx:SimpleArrayData>
+          </SchemaData>
+        </ExtendedData>
+      </gx:Track>
+    </Placemark>
+  </Document>
+</kml>
+`
+}
+
+/**
+ * Serialises a track as a GeoJSON FeatureCollection with one LineString.
+ *
+ * @param {string} name
+ * @param {TrackPoint[]} points
+ * @returns {string}
+ */
+export function toGeoJSON(name, points) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: {
+        name,
+        coordTimes: points.map((p) => p.time),
+        speeds:     points.map((p) => p.speed),
+      },
+      geometry: { type: 'LineString', coordinates: points.map((p) => [p.lng, p.lat]) },
+    }],
+  }, null, 2)
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses a GPX or GeoJSON document into an overlay. The format is detected
+ * from the content, not the file name.
+ *
+ * @param {string} text
+ * @param {string} [fallbackName] - Used when the file has no name of its own.
+ * @returns {Overlay}
+ * @throws {Error} When the text is neither GPX nor GeoJSON, or holds no geometry.
+ */
+export function parseTrack(text, fallbackName = 'Imported track') {
+  const overlay = text.trimStart().startsWith('<')
+    ? parseGPX(text, fallbackName)
+    : parseGeoJSON(text, fallbackName)
+
+  if (!overlay.lines.length && !overlay.points.length) throw new Error('No track, route or waypoint found')
+  return overlay
+}
+
+/**
+ * @param {string} text
+ * @param {string} fallbackName
+ * @returns {Overlay}
+ */
+function parseGPX(text, fallbackName) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.querySelector('parsererror') || doc.documentElement.localName !== 'gpx') {
+    throw new Error('Not a GPX document')
+  }
+
+  // GPX elements are namespaced; match on local names to accept 1.0 and 1.1
+  const children = (el, tag) => [...el.children].filter((c) => c.localName === tag)
+  const all = (tag) => [...doc.getElementsByTagNameNS('*', tag)]
+  const latLng = (el) => [parseFloat(el.getAttribute('lat')), parseFloat(el.getAttribute('lon'))]
+  const valid = ([lat, lng]) => !isNaN(lat) && !isNaN(lng)
+
+  const lines = [
+    ...all('trkseg').map((seg) => children(seg, 'trkpt').map(latLng).filter(valid)),
+    ...all('rte').map((rte) => children(rte, 'rtept').map(latLng).filter(valid)),
+  ].filter((line) => line.length > 1)
+
+  const points = all('wpt')
+    .map((w) => {
+      const [lat, lng] = latLng(w)
+      return { lat, lng, name: children(w, 'name')[0]?.textContent ?? '' }
+    })
+    .filter((p) => valid([p.lat, p.lng]))
+
+  const name = children(doc.documentElement, 'metadata')[0]?.querySelector('name')?.textContent
+    || all('name')[0]?.textContent
+    || fallbackName
+
+  return { name, lines, points }
+}
+
+/**
+ * @param {string} text
+ * @param {string} fallbackName
+ * @returns {Overlay}
+ */
+function parseGeoJSON(text, fallbackName) {
+  const doc = JSON.parse(text)
+  const features = doc.type === 'FeatureCollection' ? doc.features
+    : doc.type === 'Feature' ? [doc]
+    : [{ type: 'Feature', properties: {}, geometry: doc }]
+
+  const lines = []
+  const points = []
+  const toLatLng = ([lng, lat]) => [lat, lng]
+
+  /** Collects one geometry (recursing into collections). */
+  const add = (geom, props) => {
+    switch (geom?.type) {
+      case 'LineString':         lines.push(geom.coordinates.map(toLatLng)); break
+      case 'MultiLineString':    geom.coordinates.forEach((c) => lines.push(c.map(toLatLng))); break
+      case 'Polygon':            lines.push(geom.coordinates[0].map(toLatLng)); break
+      case 'MultiPolygon':       geom.coordinates.forEach((c) => lines.push(c[0].map(toLatLng))); break
+      case 'Point':              points.push({ lat: geom.coordinates[1], lng: geom.coordinates[0], name: props.name ?? '' }); break
+      case 'MultiPoint':         geom.coordinates.forEach(([lng, lat]) => points.push({ lat, lng, name: props.name ?? '' })); break
+      case 'GeometryCollection': geom.geometries.forEach((g) => add(g, props)); break
+    }
+  }
+  for (const f of features || []) add(f?.geometry, f?.properties ?? {})
+
+  return {
+    name: doc.name || features?.[0]?.properties?.name || fallbackName,
+    lines: lines.filter((line) => line.length > 1),
+    points,
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * @file tripStats.js
+ * @description Totals over a vehicle's trips and eco events for a date
+ * range, shared by the report exports and the multi-vehicle comparison, and
+ * the speed profile of a single trip with its stretches above a limit.
+ */
+
+import { addDays, toDay } from './time.js'
+
+/**
+ * @typedef {object} TripTotals
+ * @property {number} trips      - Number of trips.
+ * @property {number} distance   - Kilometres driven.
+ * @property {number} drivingMs  - Summed trip durations.
+ * @property {number} longestMs  - Longest single trip.
+ * @property {number} maxSpeed   - Highest trip maximum (km/h).
+ * @property {number} avgSpeed   - Distance over driving time (km/h).
+ * @property {number} eco        - Number of eco events.
+ * @property {{ 1: number, 2: number, 3: number }} bySeverity - Eco events per severity.
+ * @property {Object<number, number>} byType - Eco events per type.
+ */
+
+/**
+ * Totals for one vehicle (or, with the lists of several vehicles
+ * concatenated, for a fleet).
+ *
+ * @param {import('../api/models.js').Trip[]} trips
+ * @param {import('../api/models.js').EcoEvent[]} events
+ * @returns {TripTotals}
+ */
+export function tripTotals(trips, events) {
+  const durations = trips.map((trip) => trip.duration)
+  const distance  = trips.reduce((sum, trip) => sum + (trip.distance || 0), 0)
+  const drivingMs = durations.reduce((sum, d) => sum + d, 0)
+
+  const bySeverity = { 1: 0, 2: 0, 3: 0 }
+  const byType = {}
+  events.forEach((e) => {
+    if (e.severity in bySeverity) bySeverity[e.severity]++
+    byType[e.type] = (byType[e.type] || 0) + 1
+  })
+
+  return {
+    trips:     trips.length,
+    distance,
+    drivingMs,
+    longestMs: Math.max(0, ...durations),
+    maxSpeed:  Math.max(0, ...trips.map((trip) => trip.maxSpeed || 0)),
+    avgSpeed:  drivingMs ? distance / (drivingMs / 3_600_000) : 0,
+    eco:       events.length,
+    bySeverity,
+    byType,
+  }
+}
+
+/**
+ * Kilometres driven per day of `from`–`to` (both inclusive), counting each
+ * trip on the day it started. Days without trips are included as 0.
+ *
+ * @param {import('../api/models.js').Trip[]} trips
+ * @param {string} from - `YYYY-MM-DD`
+ * @param {string} to   - `YYYY-MM-DD`
+ * @returns {Array<{ date: string, distance: number }>}
+ */
+export function distancePerDay(trips, from, to) {
+  const days = {}
+  for (let d = from; d <= to; d = addDays(d, 1)) days[d] = 0
+  trips.forEach((trip) => {
+    const day = toDay(trip.startTime)
+    if (day in days) days[day] += trip.distance || 0
+  })
+  return Object.entries(days).map(([date, distance]) => ({ date, distance }))
+}
+
+/**
+ * Speed over time from a position history. Positions without a speed
+ * reading keep a null speed so charts show a gap.
+ *
+ * @param {import('../api/models.js').Position[]} positions - In time order.
+ * @returns {Array<{ time: number, speed: number | null }>} `time` in Unix ms, `speed` in km/h.
+ */
+export const speedSamples = (positions) => (positions || []).map(({ time, speed }) => ({ time, speed }))
+
+/**
+ * Stretches driven above a speed limit. A stretch runs from the first sample
+ * above the limit to the next sample at or below it (or the last sample).
+ *
+ * @param {Array<{ time: number, speed: number | null }>} samples - From `speedSamples`.
+ * @param {number} limit - km/h
+ * @returns {{ segments: Array<{ from: number, to: number, maxSpeed: number }>, durationMs: number }}
+ */
+export function overLimit(samples, limit) {
+  const segments = []
+  let current = null
+
+  samples.forEach(({ time, speed }) => {
+    if (speed != null && speed > limit) {
+      if (!current) {
+        current = { from: time, to: time, maxSpeed: speed }
+        segments.push(current)
+      }
+      current.to = time
+      current.maxSpeed = Math.max(current.maxSpeed, speed)
+    } else if (current) {
+      current.to = time
+      current = null
+    }
+  })
+
+  return { segments, durationMs: segments.reduce((sum, s) => sum + (s.to - s.from), 0) }
+}
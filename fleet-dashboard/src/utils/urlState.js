@@ -0,0 +1,78 @@
+/**
+ * @file urlState.js
+ * @description Converts the dashboard's navigation state to and from the
+ * URL query string, e.g.
+ *
+ *   ?group=PRG&vehicle=MOCK003&tab=eco&mode=live&from=2026-10-13&to=2026-10-13&map=50.08712,14.42103,13
+ *
+ * Parsing is lenient: unknown or malformed parameters are dropped, so a
+ * hand-edited or outdated link still restores whatever is valid in it.
+ */
+
+/** Detail panel tabs that can appear in a link. */
+export const URL_TABS = ['trips', 'eco', 'zones', 'stops', 'service']
+
+/** Map modes that can appear in a link. */
+export const URL_MODES = ['live', 'history']
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * @typedef {object} UrlState
+ * @property {string | null} group   - Group code or `ALL_GROUPS`.
+ * @property {string | null} vehicle - Selected vehicle code.
+ * @property {string | null} tab     - One of `URL_TABS`.
+ * @property {string | null} mode    - One of `URL_MODES`.
+ * @property {string | null} from    - `YYYY-MM-DD`
+ * @property {string | null} to      - `YYYY-MM-DD`
+ * @property {{ lat: number, lng: number, zoom: number } | null} view - Map viewport.
+ */
+
+/**
+ * Reads the state from a query string; invalid values become null.
+ *
+ * @param {string} search - `location.search`.
+ * @returns {UrlState}
+ */
+export function parseUrlState(search) {
+  const q = new URLSearchParams(search)
+  const oneOf = (value, allowed) => (allowed.includes(value) ? value : null)
+  const date = (value) => (DATE_RE.test(value ?? '') ? value : null)
+
+  let view = null
+  const [lat, lng, zoom] = (q.get('map') ?? '').split(',').map(Number)
+  if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && zoom >= 0 && zoom <= 19) view = { lat, lng, zoom }
+
+  return {
+    group:   q.get('group') || null,
+    vehicle: q.get('vehicle') || null,
+    tab:     oneOf(q.get('tab'), URL_TABS),
+    mode:    oneOf(q.get('mode'), URL_MODES),
+    from:    date(q.get('from')),
+    to:      date(q.get('to')),
+    view,
+  }
+}
+
+/**
+ * Writes the state as a query string; null values are left out. Tab and map
+ * mode are only meaningful with a vehicle and are omitted without one.
+ *
+ * @param {UrlState} state
+ * @returns {string} Query string including the leading `?` (or empty).
+ */
+export function serializeUrlState({ group, vehicle, tab, mode, from, to, view }) {
+  const q = new URLSearchParams()
+  if (group) q.set('group', group)
+  if (vehicle) {
+    q.set('vehicle', vehicle)
+    if (tab) q.set('tab', tab)
+    if (mode) q.set('mode', mode)
+  }
+  if (from) q.set('from', from)
+  if (to) q.set('to', to)
+  if (view) q.set('map', `${view.lat.toFixed(5)},${view.lng.toFixed(5)},${view.zoom}`)
+
+  const s = q.toString()
+  return s ? `?${s.replace(/%2C/g, ',')}` : ''
+}
@@ -0,0 +1,68 @@
+/**
+ * Unit tests of the login flow (`src/composables/useAuth.js` with the
+ * session handling of `src/api/gpsdozor.js`).
+ *
+ * `fetch` and `sessionStorage` are replaced per test; the modules are loaded
+ * afresh each time, since the session lives at module scope.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+/** In-memory `sessionStorage`. */
+const memoryStorage = () => {
+  const items = new Map()
+  return {
+    getItem:    (key) => items.get(key) ?? null,
+    setItem:    (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  }
+}
+
+/** Response of `fetch` with the given status and JSON body. */
+const response = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json' },
+})
+
+let fetch
+
+beforeEach(() => {
+  vi.resetModules()
+  vi.stubGlobal('sessionStorage', memoryStorage())
+  fetch = vi.fn(async () => response(200, []))
+  vi.stubGlobal('fetch', fetch)
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+const loadAuth = async () => (await import('../src/composables/useAuth.js')).useAuth()
+
+/** Authorization header sent with the n-th fetch. */
+const sentAuth = (n = 0) => new Headers(fetch.mock.calls[n][1]?.headers).get('authorization')
+
+describe('login', () => {
+  it('sends the credentials as Basic auth and keeps the user', async () => {
+    const auth = await loadAuth()
+    expect(await auth.login('dispatch', 'secret')).toBe(true)
+    expect(sentAuth()).toBe(`Basic ${btoa('dispatch:secret')}`)
+    expect(auth.user.value).toBe('dispatch')
+    expect(auth.loggingIn.value).toBe(false)
+  })
+
+  it('encodes a non-ASCII password as UTF-8', async () => {
+    const auth = await loadAuth()
+    expect(await auth.login('řidič', 'heslo-čř')).toBe(true)
+    expect(sentAuth()).toBe(`Basic ${Buffer.from('řidič:heslo-čř', 'utf8').toString('base64')}`)
+  })
+
+  it('rejects invalid credentials and drops them', async () => {
+    fetch.mockResolvedValue(response(401, {}))
+    const auth = await loadAuth()
+    expect(await auth.login('dispatch', 'wrong')).toBe(false)
+    expect(auth.authError.value).toBe('login.invalid')
+    expect(auth.loggingIn.value).toBe(false)
+    expect(sessionStorage.getItem('gpsdozor.session')).toBeNull()
+  })
+})
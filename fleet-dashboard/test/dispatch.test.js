@@ -0,0 +1,75 @@
+/**
+ * Unit tests of the nearest-vehicle ranking (`src/utils/dispatch.js`).
+ */
+
+import { describe, it, expect } from 'vitest'
+import { rankVehicles, estimateArrival, START_DELAY, TRAVEL_SPEED, ROAD_FACTOR } from '../src/utils/dispatch.js'
+
+const NOW = Date.UTC(2026, 2, 10, 9, 0)
+
+/** Job in central Prague. */
+const JOB = { lat: 50.0875, lng: 14.4213 }
+
+/** Vehicle `km` kilometres north of the job (one degree of latitude ≈ 111.2 km). */
+const vehicle = (code, km, { speed = 0, age = 60_000, position = true } = {}) => ({
+  code,
+  name:     code,
+  speed,
+  position: position ? { lat: JOB.lat + km / 111.195, lng: JOB.lng } : null,
+  lastSeen: age == null ? null : NOW - age,
+})
+
+const codes = (list) => list.map((c) => c.vehicle.code)
+
+describe('estimateArrival', () => {
+  it('drives the road distance at the travel speed', () => {
+    expect(estimateArrival(TRAVEL_SPEED / ROAD_FACTOR, true)).toBe(3_600_000)
+  })
+
+  it('adds the start delay for a parked vehicle', () => {
+    expect(estimateArrival(10, false) - estimateArrival(10, true)).toBe(START_DELAY)
+  })
+})
+
+describe('rankVehicles', () => {
+  const fleet = [
+    vehicle('far-moving', 6, { speed: 60 }),
+    vehicle('near-idle', 5),
+    vehicle('nearest-idle', 1),
+    vehicle('no-gps', 0, { position: false }),
+  ]
+
+  it('measures straight-line kilometres and skips vehicles without a position', () => {
+    const ranked = rankVehicles(fleet, JOB, { now: NOW })
+    expect(codes(ranked)).not.toContain('no-gps')
+    expect(ranked.find((c) => c.vehicle.code === 'nearest-idle').distance).toBeCloseTo(1, 2)
+  })
+
+  it('ranks by arrival, so a moving vehicle can beat a nearer parked one', () => {
+    expect(codes(rankVehicles(fleet, JOB, { now: NOW }))).toEqual(['nearest-idle', 'far-moving', 'near-idle'])
+  })
+
+  it('ranks by distance on request', () => {
+    expect(codes(rankVehicles(fleet, JOB, { now: NOW, sortBy: 'distance' }))).toEqual(['nearest-idle', 'near-idle', 'far-moving'])
+  })
+
+  it('filters moving and idle vehicles', () => {
+    expect(codes(rankVehicles(fleet, JOB, { now: NOW, status: 'moving' }))).toEqual(['far-moving'])
+    expect(codes(rankVehicles(fleet, JOB, { now: NOW, status: 'idle' }))).toEqual(['nearest-idle', 'near-idle'])
+  })
+
+  it('flags stale positions, or hides them', () => {
+    const list = [vehicle('fresh', 3), vehicle('old', 1, { age: 2 * 3_600_000 }), vehicle('unknown', 2, { age: null })]
+
+    const flagged = rankVehicles(list, JOB, { now: NOW, maxAge: 30 })
+    expect(flagged.map((c) => [c.vehicle.code, c.stale])).toEqual([['old', true], ['unknown', true], ['fresh', false]])
+    expect(flagged[0].age).toBe(2 * 3_600_000)
+
+    expect(codes(rankVehicles(list, JOB, { now: NOW, maxAge: 30, hideStale: true }))).toEqual(['fresh'])
+  })
+
+  it('never treats a position as stale without a threshold', () => {
+    const list = [vehicle('old', 1, { age: 48 * 3_600_000 }), vehicle('unknown', 2, { age: null })]
+    expect(rankVehicles(list, JOB, { now: NOW, maxAge: null, hideStale: true }).every((c) => !c.stale)).toBe(true)
+  })
+})
@@ -0,0 +1,83 @@
+/**
+ * Unit tests of the shared per-vehicle loading (`src/composables/useFleetLoader.js`).
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { useFleetLoader } from '../src/composables/useFleetLoader.js'
+
+const fleet = Array.from({ length: 10 }, (_, i) => ({ code: `MOCK${i}` }))
+
+/** Lets pending promise callbacks run. */
+const flush = () => new Promise((resolve) => setTimeout(resolve))
+
+/**
+ * Fetch that stays pending until released, or rejects with an `AbortError`
+ * when its signal aborts, as the API client does.
+ */
+function pendingFetch() {
+  const started = []
+  const release = []
+  const fetchOne = vi.fn((vehicle, i, signal) => new Promise((resolve, reject) => {
+    started.push(vehicle.code)
+    release.push(() => resolve({ vehicle }))
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+  }))
+  return { fetchOne, started, releaseAll: () => release.forEach((r) => r()) }
+}
+
+let warn
+
+beforeEach(() => {
+  warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  warn.mockRestore()
+})
+
+describe('useFleetLoader', () => {
+  it('loads every vehicle with bounded concurrency, falling back for failures', async () => {
+    const loader = useFleetLoader('test', { concurrency: 2 })
+    const results = await loader.load(fleet.slice(0, 3), async (vehicle) => {
+      if (vehicle.code === 'MOCK1') throw new Error('boom')
+      return { vehicle, value: 1 }
+    }, (vehicle) => ({ vehicle, value: 0 }))
+
+    expect(results.map((r) => [r.value, r.failed])).toEqual([[1, false], [0, true], [1, false]])
+    expect(warn).toHaveBeenCalledOnce()
+    expect(loader.loading.value).toBe(false)
+    expect(loader.progress.value).toBeNull()
+  })
+
+  it('aborts a cancelled load and issues no further requests', async () => {
+    const loader = useFleetLoader('test', { concurrency: 2 })
+    const { fetchOne, started } = pendingFetch()
+    const pending = loader.load(fleet, fetchOne, (vehicle) => ({ vehicle }))
+    await flush()
+    expect(started).toEqual(['MOCK0', 'MOCK1'])
+
+    loader.cancel()
+    expect(await pending).toBeNull()
+    expect(fetchOne).toHaveBeenCalledTimes(2)
+    expect(warn).not.toHaveBeenCalled()
+    expect(loader.loading.value).toBe(false)
+  })
+
+  it('aborts the previous load when a new one starts', async () => {
+    const loader = useFleetLoader('test', { concurrency: 2 })
+    const first = pendingFetch()
+    const older = loader.load(fleet, first.fetchOne, (vehicle) => ({ vehicle }))
+    await flush()
+
+    const second = pendingFetch()
+    const newer = loader.load(fleet.slice(0, 2), second.fetchOne, (vehicle) => ({ vehicle }))
+    expect(await older).toBeNull()
+    expect(first.fetchOne).toHaveBeenCalledTimes(2)
+    expect(loader.loading.value).toBe(true)
+
+    await flush()
+    second.releaseAll()
+    expect((await newer).map((r) => r.vehicle.code)).toEqual(['MOCK0', 'MOCK1'])
+    expect(loader.loading.value).toBe(false)
+  })
+})
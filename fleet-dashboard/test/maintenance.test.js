@@ -0,0 +1,153 @@
+/**
+ * Unit tests of the service plan scheduling (`src/utils/maintenance.js`) and
+ * the month arithmetic it relies on (`src/utils/time.js`).
+ *
+ * "Now" is local noon, so the calendar day is the same in every zone.
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  DUE_SOON_KM, DUE_SOON_DAYS, planStatus, byUrgency, completePlan, normalisePlan,
+} from '../src/utils/maintenance.js'
+import { addMonths, daysBetween } from '../src/utils/time.js'
+
+const NOW = new Date(2026, 2, 10, 12).getTime() // 10 March 2026
+
+/** Plan with no schedule unless given. */
+const plan = (fields = {}) => ({
+  id: 'p1', vehicleCode: 'MOCK001', type: 'oil', note: '',
+  everyKm: null, everyMonths: null, lastKm: null, lastDate: null, nextDate: null,
+  ...fields,
+})
+
+// ---------------------------------------------------------------------------
+// Month arithmetic
+// ---------------------------------------------------------------------------
+
+describe('addMonths', () => {
+  it('adds months across a year', () => {
+    expect(addMonths('2026-03-10', 12)).toBe('2027-03-10')
+    expect(addMonths('2026-11-15', 3)).toBe('2027-02-15')
+    expect(addMonths('2026-03-10', -6)).toBe('2025-09-10')
+  })
+
+  it('falls back to the last day of a shorter month', () => {
+    expect(addMonths('2026-01-31', 1)).toBe('2026-02-28')
+    expect(addMonths('2027-12-31', 2)).toBe('2028-02-29')
+  })
+
+  it('counts days between dates', () => {
+    expect(daysBetween('2026-03-10', '2026-04-09')).toBe(30)
+    expect(daysBetween('2026-03-10', '2026-03-01')).toBe(-9)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// planStatus
+// ---------------------------------------------------------------------------
+
+describe('planStatus', () => {
+  it('counts the distance interval from the last service', () => {
+    const s = planStatus(plan({ everyKm: 15_000, lastKm: 100_000 }), 110_000, NOW)
+    expect(s).toMatchObject({ status: 'ok', dueKm: 115_000, kmLeft: 5_000, dueDate: null, daysLeft: null })
+  })
+
+  it('is due soon within the margin and overdue at the limit', () => {
+    const p = plan({ everyKm: 15_000, lastKm: 100_000 })
+    expect(planStatus(p, 115_000 - DUE_SOON_KM, NOW).status).toBe('soon')
+    expect(planStatus(p, 115_000, NOW).status).toBe('overdue')
+    expect(planStatus(p, 116_200, NOW).kmLeft).toBe(-1_200)
+  })
+
+  it('counts the calendar interval from the last service', () => {
+    const s = planStatus(plan({ everyMonths: 24, lastDate: '2024-04-01' }), null, NOW)
+    expect(s).toMatchObject({ status: 'soon', dueDate: '2026-04-01', daysLeft: 22 })
+    expect(planStatus(plan({ everyMonths: 12, lastDate: '2025-03-09' }), null, NOW)).toMatchObject({ status: 'overdue', daysLeft: -1 })
+  })
+
+  it('is due today, not overdue, on the due date', () => {
+    expect(planStatus(plan({ nextDate: '2026-03-10' }), null, NOW)).toMatchObject({ status: 'soon', daysLeft: 0 })
+  })
+
+  it('lets whichever limit comes first decide', () => {
+    const p = plan({ everyKm: 15_000, lastKm: 100_000, everyMonths: 12, lastDate: '2025-03-01' })
+    expect(planStatus(p, 101_000, NOW).status).toBe('overdue') // a year passed, little driven
+    expect(planStatus({ ...p, lastDate: '2026-01-01' }, 114_800, NOW).status).toBe('soon')
+    expect(planStatus({ ...p, lastDate: '2026-01-01' }, 101_000, NOW).status).toBe('ok')
+  })
+
+  it('uses a fixed date instead of the monthly interval', () => {
+    const p = plan({ type: 'tyres', everyMonths: 6, lastDate: '2025-10-20', nextDate: '2026-11-02' })
+    expect(planStatus(p, null, NOW)).toMatchObject({ status: 'ok', dueDate: '2026-11-02' })
+  })
+
+  it('is unknown with nothing to count from', () => {
+    expect(planStatus(plan({ everyKm: 15_000, everyMonths: 12 }), 100_000, NOW).status).toBe('unknown')
+    // A distance plan cannot be tracked without an odometer reading
+    expect(planStatus(plan({ everyKm: 15_000, lastKm: 100_000 }), null, NOW)).toMatchObject({ status: 'unknown', dueKm: 115_000 })
+  })
+
+  it('measures urgency as the share of the margin left on the nearer limit', () => {
+    const p = plan({ everyKm: 15_000, lastKm: 100_000, everyMonths: 12, lastDate: '2025-04-09' })
+    expect(planStatus(p, 114_500, NOW).urgency).toBeCloseTo(Math.min(500 / DUE_SOON_KM, 30 / DUE_SOON_DAYS))
+  })
+})
+
+// ---------------------------------------------------------------------------
+// byUrgency
+// ---------------------------------------------------------------------------
+
+describe('byUrgency', () => {
+  it('puts overdue first, then due soon, ok and unknown', () => {
+    const items = [
+      { id: 'unknown', status: 'unknown', urgency: Infinity },
+      { id: 'ok',      status: 'ok',      urgency: 4 },
+      { id: 'soon-2',  status: 'soon',    urgency: 0.8 },
+      { id: 'late',    status: 'overdue', urgency: -0.1 },
+      { id: 'soon-1',  status: 'soon',    urgency: 0.2 },
+      { id: 'later',   status: 'overdue', urgency: -3 },
+    ]
+    expect(byUrgency(items).map((i) => i.id)).toEqual(['later', 'late', 'soon-1', 'soon-2', 'ok', 'unknown'])
+    expect(items[0].id).toBe('unknown') // not sorted in place
+  })
+})
+
+// ---------------------------------------------------------------------------
+// completePlan / normalisePlan
+// ---------------------------------------------------------------------------
+
+describe('completePlan', () => {
+  it('restarts counting at the odometer and today, using up a fixed date', () => {
+    const done = completePlan(plan({ everyKm: 15_000, lastKm: 100_000, nextDate: '2026-03-01' }), 116_000, NOW)
+    expect(done).toMatchObject({ lastKm: 116_000, lastDate: '2026-03-10', nextDate: null, everyKm: 15_000 })
+  })
+
+  it('keeps the last reading without an odometer', () => {
+    expect(completePlan(plan({ lastKm: 100_000 }), null, NOW).lastKm).toBe(100_000)
+  })
+})
+
+describe('normalisePlan', () => {
+  it('keeps a valid plan as is', () => {
+    const p = plan({ everyKm: 15_000, lastKm: 0, lastDate: '2026-01-05', note: '5W-30' })
+    expect(normalisePlan(p)).toEqual(p)
+  })
+
+  it('cleans up form input and imported values', () => {
+    expect(normalisePlan({
+      vehicleCode: 'MOCK002', type: 'brakes',
+      everyKm: '20000', everyMonths: '', lastKm: '-5', lastDate: '10.3.2026', nextDate: '2026-11-02',
+    })).toMatchObject({
+      type: 'other', note: '', everyKm: 20_000, everyMonths: null, lastKm: null, lastDate: null, nextDate: '2026-11-02',
+    })
+  })
+
+  it('gives a plan without an id a new one', () => {
+    expect(normalisePlan({ vehicleCode: 'MOCK002' }).id).toMatch(/^p/)
+  })
+
+  it('rejects plans without a vehicle', () => {
+    expect(normalisePlan({ type: 'oil' })).toBeNull()
+    expect(normalisePlan(null)).toBeNull()
+  })
+})
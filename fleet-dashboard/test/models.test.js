@@ -0,0 +1,281 @@
+/**
+ * Unit tests of the domain model adapters (`src/api/models.js`).
+ *
+ * The fixtures in `fixtures/` are payloads recorded from the mock server
+ * (`mock/fleet.js`), which reproduces the quirks of the real API: string
+ * coordinates, the INT32_MIN sentinel, odometers in metres, empty plates and
+ * addresses, a unit without a battery sensor, an offline unit and one that
+ * never reported a position. Broken records are added per test.
+ *
+ * API times carry no zone, so expected values are computed with `new Date()`
+ * in the local zone as the adapters do.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  NO_VALUE, parseTimeSpan,
+  toGroup, toGroups, toVehicle, toVehicles, toPosition, toPositions, toTrip, toTrips, toEcoEvent, toEcoEvents,
+} from '../src/api/models.js'
+
+import groups from './fixtures/groups.json'
+import vehicles from './fixtures/vehicles.json'
+import history from './fixtures/history.json'
+import trips from './fixtures/trips.json'
+import ecoEvents from './fixtures/eco-events.json'
+
+/** Unix ms of a zone-less API time. */
+const ms = (value) => new Date(value).getTime()
+
+let warn
+
+beforeEach(() => {
+  warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  warn.mockRestore()
+})
+
+// ---------------------------------------------------------------------------
+// parseTimeSpan
+// ---------------------------------------------------------------------------
+
+describe('parseTimeSpan', () => {
+  it('parses HH:MM:SS', () => {
+    expect(parseTimeSpan('00:45:00')).toBe(45 * 60_000)
+    expect(parseTimeSpan('01:02:03')).toBe(3_723_000)
+  })
+
+  it('parses days and fractions of a second', () => {
+    expect(parseTimeSpan('1.02:00:00')).toBe(26 * 3_600_000)
+    expect(parseTimeSpan('00:00:01.5')).toBe(1500)
+  })
+
+  it('returns null for anything else', () => {
+    expect(parseTimeSpan('')).toBeNull()
+    expect(parseTimeSpan(null)).toBeNull()
+    expect(parseTimeSpan('45 min')).toBeNull()
+    expect(parseTimeSpan(2700)).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Groups
+// ---------------------------------------------------------------------------
+
+describe('toGroups', () => {
+  it('adapts the recorded payload', () => {
+    expect(toGroups(groups)).toEqual([
+      { code: 'PRG', name: 'Praha – distribuce' },
+      { code: 'BRN', name: 'Brno – servis' },
+      { code: 'OVA', name: 'Ostrava – logistika' },
+    ])
+  })
+
+  it('falls back to the code for a missing name', () => {
+    expect(toGroup({ Code: 'X', Name: '  ' })).toEqual({ code: 'X', name: 'X' })
+  })
+
+  it('drops groups without a code', () => {
+    expect(toGroups([...groups, { Name: 'Orphan' }, null])).toHaveLength(3)
+    expect(warn).toHaveBeenCalledWith('[models] dropped 2 invalid groups of 5')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Vehicles
+// ---------------------------------------------------------------------------
+
+describe('toVehicles', () => {
+  const [moving, noSensor, offline, noGps] = toVehicles(vehicles)
+
+  it('adapts a reporting vehicle', () => {
+    expect(moving).toEqual({
+      code:      'MOCK001',
+      name:      'Ford Transit 01',
+      plate:     '1AB 2345',
+      groupCode: 'PRG',
+      groupName: null,
+      branch:    'Praha – distribuce',
+      speed:     0,
+      battery:   94,
+      odometer:  363_004.968,
+      active:    true,
+      position:  { lat: 50.096806, lng: 14.508196 },
+      lastSeen:  ms('2026-03-10T08:50:00'),
+    })
+  })
+
+  it('turns an empty plate and a 0 % battery into null', () => {
+    expect(noSensor.plate).toBeNull()
+    expect(noSensor.battery).toBeNull()
+    expect(noSensor.speed).toBe(33)
+  })
+
+  it('keeps offline units, flagged inactive', () => {
+    expect(offline.active).toBe(false)
+    expect(offline.lastSeen).toBe(ms('2026-03-06T23:59:55'))
+  })
+
+  it('has no position or last fix for a unit without GPS', () => {
+    expect(noGps.position).toBeNull()
+    expect(noGps.lastSeen).toBeNull()
+  })
+
+  it('treats the sentinel, 0,0 and out-of-range coordinates as missing', () => {
+    const v = toVehicle({
+      Code: 'X',
+      Speed: NO_VALUE,
+      Odometer: NO_VALUE,
+      BatteryPercentage: 250,
+      LastPosition: { Latitude: '0', Longitude: '0' },
+      LastPositionTimestamp: 'not a time',
+    })
+    expect(v).toMatchObject({ name: 'X', speed: null, odometer: null, battery: null, position: null, lastSeen: null })
+    expect(toVehicle({ Code: 'X', LastPosition: { Latitude: '95', Longitude: '14' } }).position).toBeNull()
+  })
+
+  it('rejects negative speeds', () => {
+    expect(toVehicle({ Code: 'X', Speed: -5 }).speed).toBeNull()
+  })
+
+  it('drops vehicles without a code', () => {
+    expect(toVehicles([...vehicles, { Name: 'No code' }, { Code: '' }])).toHaveLength(4)
+    expect(warn).toHaveBeenCalledWith('[models] dropped 2 invalid vehicles of 6')
+  })
+
+  it('returns an empty list for a payload that is not a list', () => {
+    expect(toVehicles({ error: 'Unauthorized' })).toEqual([])
+    expect(warn).toHaveBeenCalled()
+    expect(toVehicles(null)).toEqual([])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Positions
+// ---------------------------------------------------------------------------
+
+describe('toPositions', () => {
+  it('unwraps and adapts the recorded history', () => {
+    const positions = toPositions(history)
+    expect(positions).toHaveLength(history[0].Positions.length)
+    expect(positions[0]).toEqual({ lat: 50.11472, lng: 14.428567, time: ms('2026-03-10T08:20:00'), speed: 21 })
+  })
+
+  it('sorts by time', () => {
+    const shuffled = [{ Positions: [...history[0].Positions].reverse() }]
+    const times = toPositions(shuffled).map((p) => p.time)
+    expect(times).toEqual([...times].sort((a, b) => a - b))
+  })
+
+  it('drops positions without coordinates or time, keeps a missing speed', () => {
+    const positions = toPositions([{
+      Positions: [
+        { Lat: '50.1', Lng: '14.4', Time: '2026-03-10T08:00:00', Speed: NO_VALUE },
+        { Lat: '', Lng: '14.4', Time: '2026-03-10T08:00:30', Speed: 10 },
+        { Lat: '50.1', Lng: '14.4', Speed: 10 },
+      ],
+    }])
+    expect(positions).toEqual([{ lat: 50.1, lng: 14.4, time: ms('2026-03-10T08:00:00'), speed: null }])
+    expect(warn).toHaveBeenCalledWith('[models] dropped 2 invalid positions of 3')
+  })
+
+  it('returns an empty list for an empty history', () => {
+    expect(toPositions([])).toEqual([])
+    expect(toPositions([{ VehicleCode: 'X', Positions: [] }])).toEqual([])
+  })
+
+  it('adapts a single position', () => {
+    expect(toPosition({ Lat: 49.2, Lng: 16.6, Time: '2026-03-10T08:00:00' }).speed).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Trips
+// ---------------------------------------------------------------------------
+
+describe('toTrips', () => {
+  const [first, second] = toTrips(trips)
+
+  it('adapts the recorded trips', () => {
+    expect(first).toEqual({
+      id:            'MOCK001-1401',
+      startTime:     ms('2026-03-10T03:25:00'),
+      finishTime:    ms('2026-03-10T04:10:00'),
+      start:         { lat: 50.106825, lng: 14.403935 },
+      finish:        { lat: 50.078331, lng: 14.41608 },
+      startAddress:  'Stop 8',
+      finishAddress: 'Stop 9',
+      duration:      45 * 60_000,
+      distance:      28.5,
+      avgSpeed:      38,
+      maxSpeed:      42,
+      odometer:      362_890.968,
+    })
+  })
+
+  it('turns an empty address into null', () => {
+    expect(second.startAddress).toBeNull()
+    expect(second.finishAddress).toBe('Stop 10')
+  })
+
+  it('derives the duration from the times without a TripLength', () => {
+    const trip = toTrip({ ...trips[0], TripLength: '' })
+    expect(trip.duration).toBe(45 * 60_000)
+  })
+
+  it('drops trips without times or finishing before they start', () => {
+    const broken = [
+      { ...trips[0], StartTime: null },
+      { ...trips[0], FinishTime: 'soon' },
+      { ...trips[0], StartTime: trips[0].FinishTime, FinishTime: trips[0].StartTime },
+    ]
+    expect(toTrips([...trips, ...broken])).toHaveLength(trips.length)
+    expect(warn).toHaveBeenCalledWith(`[models] dropped 3 invalid trips of ${trips.length + 3}`)
+  })
+
+  it('keeps a trip without positions or figures', () => {
+    const trip = toTrip({ StartTime: trips[0].StartTime, FinishTime: trips[0].FinishTime, MaxSpeed: NO_VALUE })
+    expect(trip).toMatchObject({ start: null, finish: null, distance: null, maxSpeed: null, odometer: null })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Eco events
+// ---------------------------------------------------------------------------
+
+describe('toEcoEvents', () => {
+  const events = toEcoEvents(ecoEvents)
+
+  it('adapts the recorded events', () => {
+    expect(events).toHaveLength(ecoEvents.length)
+    expect(events[0]).toEqual({
+      time:     ms('2026-03-09T11:07:29'),
+      type:     5,
+      severity: 3,
+      speed:    108,
+      position: { lat: 50.051474, lng: 14.274421 },
+    })
+  })
+
+  it('turns the speed sentinel into null', () => {
+    const i = ecoEvents.findIndex((e) => e.Speed === NO_VALUE)
+    expect(i).toBeGreaterThan(-1)
+    expect(events[i].speed).toBeNull()
+  })
+
+  it('marks unknown types and severities as 0', () => {
+    const e = toEcoEvent({ ...ecoEvents[0], EventType: 'x', EventSeverity: 7 })
+    expect(e.type).toBe(0)
+    expect(e.severity).toBe(0)
+  })
+
+  it('keeps an event without a position', () => {
+    expect(toEcoEvent({ ...ecoEvents[0], Position: null }).position).toBeNull()
+  })
+
+  it('drops events without a time', () => {
+    expect(toEcoEvents([...ecoEvents, { ...ecoEvents[0], Timestamp: '' }])).toHaveLength(ecoEvents.length)
+    expect(warn).toHaveBeenCalledWith(`[models] dropped 1 invalid eco events of ${ecoEvents.length + 1}`)
+  })
+})
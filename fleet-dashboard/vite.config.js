@@ -1,14 +1,47 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import vue from '@vitejs/plugin-vue'
 
-export default defineConfig({
-  plugins: [vue()],
-  server: {
-    proxy: {
-      '/api': {
-        target: 'https://a1.gpsguard.eu',
-        changeOrigin: true
+// Dev-server proxies mirror the routes of the production server
+// (server/index.js) so the browser only ever talks to one origin. The SSE
+// live stream only exists in that server, so `/live` is forwarded to a
+// locally running `npm start` (override with LIVE_SERVER).
+//
+// `GEOCODER_URL` points `/geocode` at another geocoder (self-hosted Nominatim
+// or Photon), as in the production server.
+//
+// `MOCK_API=1` (or `vite --mode mock`, i.e. `npm run dev:mock`) sends `/api`
+// to the offline mock server (`npm run mock`) instead of GPS Dozor.
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+  const useMock = mode === 'mock' || env.MOCK_API === '1'
+
+  return {
+    plugins: [vue()],
+    server: {
+      proxy: {
+        '/api': useMock
+          ? { target: `http://localhost:${env.MOCK_PORT || 3001}` }
+          : { target: 'https://a1.gpsguard.eu', changeOrigin: true },
+        '/live': {
+          target: env.LIVE_SERVER || 'http://localhost:8080'
+        },
+        // Before '/weather', which would match it as a prefix
+        '/weather-archive': {
+          target: 'https://archive-api.open-meteo.com',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/weather-archive/, '')
+        },
+        '/weather': {
+          target: 'https://api.open-meteo.com',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/weather/, '')
+        },
+        '/geocode': {
+          target: env.GEOCODER_URL || 'https://nominatim.openstreetmap.org',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/geocode/, '')
+        }
       }
     }
   }
-})
\ No newline at end of file
+})